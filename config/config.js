@@ -1,4 +1,4 @@
-import { requireEnv, getEnv, getEnvInt, isDevelopment, isProduction } from '../src/utils/environment.js';
+import { requireEnv, getEnv, getEnvInt, getEnvBool, isDevelopment, isProduction } from '../src/utils/environment.js';
 
 /**
  * Main configuration loader with validation
@@ -65,6 +65,8 @@ export const http = {
     port: getEnvInt('HTTP_PORT', 3000),
     // CORS origins for dashboard
     corsOrigins: getEnv('CORS_ORIGINS', 'http://localhost:5173').split(','),
+    // Body size limit for /api/sync (crash recovery sends up to 100 full v2 saves with tracking)
+    syncBodyLimit: getEnv('SYNC_BODY_LIMIT', '25mb'),
     // Session configuration
     session: {
         secret: getEnv('SESSION_SECRET'),
@@ -101,7 +103,131 @@ export const gameServers = {
     reconnectDelay: getEnvInt('GAME_SERVER_RECONNECT_DELAY', 1000),
     reconnectDelayMax: getEnvInt('GAME_SERVER_RECONNECT_DELAY_MAX', 30000),
     // Connection timeout
-    timeout: getEnvInt('GAME_SERVER_TIMEOUT', 10000)
+    timeout: getEnvInt('GAME_SERVER_TIMEOUT', 10000),
+    // Orphaned player files recovered in parallel per crash recovery batch
+    recoveryConcurrency: getEnvInt('GAME_SERVER_RECOVERY_CONCURRENCY', 4),
+    // Players saved in parallel per batched periodic sync (players:sync-batch)
+    syncConcurrency: getEnvInt('GAME_SERVER_SYNC_CONCURRENCY', 4)
+};
+
+/**
+ * Player snapshot configuration
+ * Full v2 player documents kept for point-in-time restore
+ */
+export const snapshots = {
+    // Snapshot a player after every disconnect sync
+    onDisconnect: getEnvBool('SNAPSHOT_ON_DISCONNECT', true),
+    // Daily snapshot of every player active in the last day
+    daily: getEnvBool('SNAPSHOT_DAILY', true),
+    // How often the scheduler runs daily snapshots and retention (ms)
+    schedulerInterval: getEnvInt('SNAPSHOT_SCHEDULER_INTERVAL', 3600000), // 1 hour
+    // Retention in days per snapshot reason (0 = keep forever)
+    retentionDays: {
+        disconnect: getEnvInt('SNAPSHOT_RETENTION_DISCONNECT_DAYS', 7),
+        daily: getEnvInt('SNAPSHOT_RETENTION_DAILY_DAYS', 30),
+        admin_edit: getEnvInt('SNAPSHOT_RETENTION_ADMIN_DAYS', 180),
+        pre_restore: getEnvInt('SNAPSHOT_RETENTION_ADMIN_DAYS', 180),
+        manual: getEnvInt('SNAPSHOT_RETENTION_ADMIN_DAYS', 180)
+    },
+    // Disconnect snapshots kept per player regardless of age
+    keepLatestDisconnect: getEnvInt('SNAPSHOT_KEEP_LATEST_DISCONNECT', 5)
+};
+
+/**
+ * Steam account linking configuration
+ * /link issues a one-time code the player types in game chat
+ */
+export const linking = {
+    // Chat command the SquadJS plugin listens for (must match its linkChatCommand option)
+    chatCommand: getEnv('LINK_CHAT_COMMAND', '!link'),
+    // How long a code stays valid (minutes)
+    codeTtlMinutes: getEnvInt('LINK_CODE_TTL_MINUTES', 10),
+    // Codes a Discord user may request per hour
+    maxCodesPerHour: getEnvInt('LINK_CODE_MAX_PER_HOUR', 5)
+};
+
+/**
+ * Stat history configuration
+ * Per-player stat gains recorded by the sync handlers for period leaderboards and activity graphs
+ */
+export const statHistory = {
+    // Bucket size: 'hour' or 'day' (UTC)
+    bucket: getEnv('STAT_HISTORY_BUCKET', 'day')
+};
+
+/**
+ * Season configuration
+ */
+export const seasons = {
+    // How often the scheduler checks for seasons to start or end (ms)
+    schedulerInterval: getEnvInt('SEASON_SCHEDULER_INTERVAL', 60000)
+};
+
+/**
+ * Leaderboard configuration
+ */
+export const leaderboards = {
+    // How long a computed leaderboard page is served from memory (seconds)
+    cacheTtlSeconds: getEnvInt('LEADERBOARD_CACHE_TTL_SECONDS', 300),
+    // Largest page size the API accepts
+    maxPageSize: getEnvInt('LEADERBOARD_MAX_PAGE_SIZE', 100)
+};
+
+/**
+ * Anti-cheat rule engine configuration
+ */
+export const antiCheat = {
+    // How long a server's rules, economy multipliers and store items are reused between syncs (seconds)
+    cacheTtlSeconds: getEnvInt('ANTI_CHEAT_CACHE_TTL_SECONDS', 60)
+};
+
+/**
+ * Server watchdog configuration
+ * Flags servers whose share of flagged syncs gets too high
+ *
+ * Windows in .env: WATCHDOG_WINDOWS=minutes:minSyncs:maxFlaggedRate,...
+ * A server trips a window when it sent at least minSyncs syncs within the last
+ * minutes and the flagged share of them reached maxFlaggedRate (0-1).
+ */
+export const watchdog = {
+    enabled: getEnvBool('WATCHDOG_ENABLED', true),
+    // How often the rates are checked (ms)
+    interval: getEnvInt('WATCHDOG_INTERVAL', 60000),
+    windows: (getEnv('WATCHDOG_WINDOWS', '10:20:0.25,60:100:0.1') || '')
+        .split(',')
+        .filter(s => s.trim())
+        .map(entry => {
+            const [minutes, minSyncs, maxFlaggedRate] = entry.trim().split(':').map(Number);
+            return { minutes, minSyncs, maxFlaggedRate };
+        })
+        .filter(w => w.minutes > 0 && w.minSyncs > 0 && w.maxFlaggedRate > 0),
+    // Also quarantine a tripped server: its saves are stored for review but not applied
+    autoQuarantine: getEnvBool('WATCHDOG_AUTO_QUARANTINE', false),
+    // Discord channel for alerts (empty = log only)
+    alertChannelId: getEnv('WATCHDOG_ALERT_CHANNEL_ID')
+};
+
+/**
+ * Economy analytics configuration
+ */
+export const analytics = {
+    // How long a computed analytics report is served from memory (seconds)
+    cacheTtlSeconds: getEnvInt('ANALYTICS_CACHE_TTL_SECONDS', 300)
+};
+
+/**
+ * Legacy OfficialKothDB import configuration
+ * Source of the v1 KOTH_PlayerData rows; connection values left empty fall back to the main database
+ */
+export const legacyImport = {
+    host: getEnv('LEGACY_DB_HOST'),
+    port: getEnvInt('LEGACY_DB_PORT', 0),
+    name: getEnv('LEGACY_DB_NAME'),
+    user: getEnv('LEGACY_DB_USER'),
+    password: getEnv('LEGACY_DB_PASSWORD'),
+    table: getEnv('LEGACY_DB_TABLE', 'KOTH_PlayerData'),
+    // Rows read and imported per batch; the checkpoint advances after each batch
+    batchSize: getEnvInt('LEGACY_IMPORT_BATCH_SIZE', 500)
 };
 
 /**
@@ -127,6 +253,15 @@ export function getConfig() {
         http,
         logging,
         gameServers,
+        snapshots,
+        linking,
+        statHistory,
+        seasons,
+        leaderboards,
+        antiCheat,
+        watchdog,
+        analytics,
+        legacyImport,
         app
     };
 }
@@ -146,6 +281,15 @@ export default {
     http,
     logging,
     gameServers,
+    snapshots,
+    linking,
+    statHistory,
+    seasons,
+    leaderboards,
+    antiCheat,
+    watchdog,
+    analytics,
+    legacyImport,
     app,
     getConfig,
     validate
@@ -19,7 +19,17 @@ export const roles = {
             'commands.mute',
             'commands.kick',
             'dashboard.view',
-            'dashboard.users.view'
+            'dashboard.users.view',
+            'dashboard.servers.view',
+            'dashboard.syncs.view',
+            'dashboard.syncs.review',
+            'dashboard.snapshots.view',
+            'dashboard.seasons.view',
+            'dashboard.config.view',
+            'dashboard.analytics.view',
+            'dashboard.anticheat.view',
+            'dashboard.moderation.view',
+            'dashboard.moderation.manage'
         ]
     },
 
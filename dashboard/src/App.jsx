@@ -3,7 +3,15 @@ import { useAuth } from './context/AuthContext';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Login from './pages/Login';
-import Users from './pages/Users';
+import Players from './pages/Players';
+import PlayerDetail from './pages/PlayerDetail';
+import Servers from './pages/Servers';
+import SyncReviews from './pages/SyncReviews';
+import Snapshots from './pages/Snapshots';
+import Leaderboards from './pages/Leaderboards';
+import Seasons from './pages/Seasons';
+import StoreEditor from './pages/StoreEditor';
+import Economy from './pages/Economy';
 import Settings from './pages/Settings';
 import './styles/App.css';
 
@@ -34,7 +42,16 @@ function App() {
                 }
             >
                 <Route index element={<Dashboard />} />
-                <Route path="users" element={<Users />} />
+                <Route path="players" element={<Players />} />
+                <Route path="players/:steamId" element={<PlayerDetail />} />
+                <Route path="users" element={<Navigate to="/players" replace />} />
+                <Route path="servers" element={<Servers />} />
+                <Route path="reviews" element={<SyncReviews />} />
+                <Route path="snapshots" element={<Snapshots />} />
+                <Route path="leaderboards" element={<Leaderboards />} />
+                <Route path="seasons" element={<Seasons />} />
+                <Route path="stores" element={<StoreEditor />} />
+                <Route path="economy" element={<Economy />} />
                 <Route path="settings" element={<Settings />} />
             </Route>
         </Routes>
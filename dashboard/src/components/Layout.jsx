@@ -21,8 +21,29 @@ function Layout() {
                     <NavLink to="/" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
                         Dashboard
                     </NavLink>
-                    <NavLink to="/users" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
-                        Users
+                    <NavLink to="/players" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Players
+                    </NavLink>
+                    <NavLink to="/servers" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Servers
+                    </NavLink>
+                    <NavLink to="/reviews" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Reviews
+                    </NavLink>
+                    <NavLink to="/snapshots" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Snapshots
+                    </NavLink>
+                    <NavLink to="/leaderboards" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Leaderboards
+                    </NavLink>
+                    <NavLink to="/seasons" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Seasons
+                    </NavLink>
+                    <NavLink to="/stores" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Stores
+                    </NavLink>
+                    <NavLink to="/economy" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                        Economy
                     </NavLink>
                     <NavLink to="/settings" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
                         Settings
@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import Card from '../components/Card';
+import './Economy.css';
+
+const PERIOD_LABELS = {
+    all: 'All Time',
+    monthly: 'Last 30 Days',
+    weekly: 'Last 7 Days'
+};
+
+const FACTIONS = ['indfor', 'blufor', 'redfor'];
+
+function formatNumber(value) {
+    return value === null || value === undefined ? '-' : Math.round(value).toLocaleString();
+}
+
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function Bar({ value, max }) {
+    const width = max > 0 ? Math.max((value / max) * 100, 0) : 0;
+
+    return (
+        <div className="economy-bar">
+            <div className="economy-bar-fill" style={{ width: `${width}%` }} />
+        </div>
+    );
+}
+
+function CurrencySeries({ series }) {
+    if (series.length === 0) {
+        return <p className="empty-state">No currency recorded in this period</p>;
+    }
+
+    const max = Math.max(...series.map(bucket => Math.max(bucket.minted, bucket.spent)), 1);
+
+    return (
+        <div className="currency-series">
+            {series.map(bucket => (
+                <div
+                    key={bucket.bucketStart}
+                    className="currency-bucket"
+                    title={`${new Date(bucket.bucketStart).toLocaleString()}: minted ${formatNumber(bucket.minted)}, spent ${formatNumber(bucket.spent)}`}
+                >
+                    <div className="currency-bucket-bars">
+                        <div className="currency-minted" style={{ height: `${(bucket.minted / max) * 100}%` }} />
+                        <div className="currency-spent" style={{ height: `${(bucket.spent / max) * 100}%` }} />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function Economy() {
+    const [period, setPeriod] = useState('all');
+    const [faction, setFaction] = useState('indfor');
+    const [overview, setOverview] = useState(null);
+    const [purchases, setPurchases] = useState(null);
+    const [perma, setPerma] = useState(null);
+    const [rewards, setRewards] = useState(null);
+    const { get, loading, error } = useApi();
+
+    const fetchAnalytics = useCallback(async () => {
+        const params = new URLSearchParams({ period });
+
+        try {
+            const [overviewData, purchaseData, permaData, rewardData] = await Promise.all([
+                get(`/api/admin/analytics/economy?${params}`),
+                get(`/api/admin/analytics/purchases?${params}`),
+                get(`/api/admin/analytics/perma-unlocks?${params}`),
+                get(`/api/admin/analytics/rewards?${params}`)
+            ]);
+            setOverview(overviewData);
+            setPurchases(purchaseData);
+            setPerma(permaData);
+            setRewards(rewardData);
+        } catch (err) {
+            console.error('Failed to fetch economy analytics:', err);
+        }
+    }, [get, period]);
+
+    useEffect(() => {
+        fetchAnalytics();
+    }, [fetchAnalytics]);
+
+    const factionPurchases = purchases?.factions?.[faction] || [];
+    const factionPerma = perma?.factions?.[faction] || [];
+    const maxPurchases = Math.max(...factionPurchases.map(item => item.purchases), 0);
+    const rewardList = rewards?.rewards || [];
+
+    return (
+        <div className="economy-page">
+            <header className="page-header">
+                <h2>Economy</h2>
+                <div className="economy-header-actions">
+                    <select value={period} onChange={e => setPeriod(e.target.value)}>
+                        {Object.entries(PERIOD_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                    <button onClick={fetchAnalytics} className="refresh-btn" disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+
+            <div className="economy-cards">
+                <Card title="Currency Minted" value={formatNumber(overview?.minted)} subtitle={`${formatNumber(overview?.players)} players`} />
+                <Card title="Currency Spent" value={formatNumber(overview?.spent)} subtitle={`${formatPercent(overview?.spendRatio)} of minted`} />
+                <Card title="Net Inflow" value={formatNumber(overview?.net)} subtitle="Minted minus spent" />
+                <Card title="Currently Held" value={formatNumber(overview?.held)} subtitle={`${formatNumber(overview?.permaTokens)} perma tokens`} />
+                <Card
+                    title="Currency Multiplier"
+                    value={overview ? `x${overview.multipliers.currencyMultiplier}` : '-'}
+                    subtitle="economy.currencyMultiplier"
+                />
+            </div>
+
+            <section className="economy-section">
+                <h3>Minted vs Spent</h3>
+                <div className="currency-legend">
+                    <span><span className="legend-swatch currency-minted" /> Minted</span>
+                    <span><span className="legend-swatch currency-spent" /> Spent</span>
+                </div>
+                <CurrencySeries series={overview?.series || []} />
+            </section>
+
+            <div className="economy-faction-tabs">
+                {FACTIONS.map(name => (
+                    <button
+                        key={name}
+                        className={`faction-tab ${faction === name ? 'active' : ''}`}
+                        onClick={() => setFaction(name)}
+                    >
+                        {name}
+                    </button>
+                ))}
+            </div>
+
+            <div className="economy-columns">
+                <section className="economy-section">
+                    <h3>Most Bought Items</h3>
+                    <table className="economy-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Category</th>
+                                <th className="number-column">Bought</th>
+                                <th className="number-column">Players</th>
+                                <th className="number-column">singleCost</th>
+                                <th className="number-column">Est. Spend</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {factionPurchases.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-state">No purchases recorded</td>
+                                </tr>
+                            ) : (
+                                factionPurchases.map(item => (
+                                    <tr key={`${item.category}-${item.item}`}>
+                                        <td className="mono item-column" title={item.item}>
+                                            {item.item}
+                                            <Bar value={item.purchases} max={maxPurchases} />
+                                        </td>
+                                        <td>{item.category}</td>
+                                        <td className="number-column">{formatNumber(item.purchases)}</td>
+                                        <td className="number-column">{formatNumber(item.players)}</td>
+                                        <td className="number-column">{formatNumber(item.singleCost)}</td>
+                                        <td className="number-column">{formatNumber(item.estimatedSpend)}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                    {purchases?.unmatched?.length > 0 && (
+                        <p className="economy-note">
+                            Not in any store: {purchases.unmatched.map(item => `${item.item} (${formatNumber(item.purchases)})`).join(', ')}
+                        </p>
+                    )}
+                </section>
+
+                <section className="economy-section">
+                    <h3>Perma Unlock Adoption</h3>
+                    <table className="economy-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th className="number-column">permaCost</th>
+                                <th className="number-column">Players</th>
+                                <th className="number-column">Adoption</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {factionPerma.length === 0 ? (
+                                <tr>
+                                    <td colSpan="4" className="empty-state">No perma unlockable items</td>
+                                </tr>
+                            ) : (
+                                factionPerma.map(item => (
+                                    <tr key={`${item.category}-${item.item}`}>
+                                        <td className="mono item-column" title={item.item}>
+                                            {item.item}
+                                            <Bar value={item.adoptionRate} max={1} />
+                                        </td>
+                                        <td className="number-column">{formatNumber(item.permaCost)}</td>
+                                        <td className="number-column">{formatNumber(item.players)}</td>
+                                        <td className="number-column">{formatPercent(item.adoptionRate)}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                    {perma && <p className="economy-note">Out of {formatNumber(perma.totalPlayers)} players</p>}
+                </section>
+            </div>
+
+            <section className="economy-section">
+                <h3>Reward Sources</h3>
+                <table className="economy-table">
+                    <thead>
+                        <tr>
+                            <th>Reward</th>
+                            <th className="number-column">Earned</th>
+                            <th className="number-column">Players</th>
+                            <th className="number-column">Currency Each</th>
+                            <th className="number-column">Est. Currency</th>
+                            <th className="number-column">Share</th>
+                            <th className="number-column">Est. XP</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rewardList.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" className="empty-state">No rewards recorded</td>
+                            </tr>
+                        ) : (
+                            rewardList.map(reward => (
+                                <tr key={reward.type}>
+                                    <td>
+                                        {reward.name || reward.type}
+                                        {!reward.name && <span className="status-badge inactive">not configured</span>}
+                                    </td>
+                                    <td className="number-column">{formatNumber(reward.count)}</td>
+                                    <td className="number-column">{formatNumber(reward.players)}</td>
+                                    <td className="number-column">{formatNumber(reward.currency)}</td>
+                                    <td className="number-column">{formatNumber(reward.estimatedCurrency)}</td>
+                                    <td className="number-column">{formatPercent(reward.share)}</td>
+                                    <td className="number-column">{formatNumber(reward.estimatedXp)}</td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+                {rewards && (
+                    <p className="economy-note">
+                        Estimates use the configured reward values with currencyMultiplier x{rewards.multipliers.currencyMultiplier}
+                        {' '}and xpMultiplier x{rewards.multipliers.xpMultiplier}.
+                    </p>
+                )}
+            </section>
+
+            {overview?.generatedAt && (
+                <p className="economy-note">Updated {new Date(overview.generatedAt).toLocaleTimeString()}</p>
+            )}
+        </div>
+    );
+}
+
+export default Economy;
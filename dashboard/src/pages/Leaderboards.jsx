@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import './Leaderboards.css';
+
+const PAGE_SIZE = 25;
+
+const PERIOD_LABELS = {
+    all: 'All Time',
+    monthly: 'Last 30 Days',
+    weekly: 'Last 7 Days'
+};
+
+function formatValue(category, value) {
+    if (category === 'time_played') {
+        const hours = Math.floor(value / 3600);
+        const minutes = Math.floor((value % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    return value.toLocaleString();
+}
+
+function Leaderboards() {
+    const [categories, setCategories] = useState([]);
+    const [category, setCategory] = useState('xp');
+    const [period, setPeriod] = useState('all');
+    const [groups, setGroups] = useState([]);
+    const [group, setGroup] = useState('');
+    const [page, setPage] = useState(0);
+    const [leaderboard, setLeaderboard] = useState(null);
+    const { get, loading, error } = useApi();
+
+    const current = categories.find(c => c.id === category);
+
+    useEffect(() => {
+        get('/api/leaderboards')
+            .then(data => setCategories(data.categories || []))
+            .catch(err => console.error('Failed to fetch leaderboard categories:', err));
+    }, [get]);
+
+    // Grouped categories (vehicle kills, weapon XP) can be narrowed to one vehicle or weapon
+    useEffect(() => {
+        setGroup('');
+        setGroups([]);
+
+        if (!current?.groupLabel) return;
+
+        get(`/api/leaderboards/${category}/groups`)
+            .then(data => setGroups(data.groups || []))
+            .catch(err => console.error('Failed to fetch leaderboard groups:', err));
+    }, [get, category, current?.groupLabel]);
+
+    const fetchLeaderboard = useCallback(async () => {
+        const params = new URLSearchParams({
+            period,
+            limit: PAGE_SIZE,
+            offset: page * PAGE_SIZE
+        });
+        if (group) params.set('group', group);
+
+        try {
+            const data = await get(`/api/leaderboards/${category}?${params}`);
+            setLeaderboard(data);
+        } catch (err) {
+            console.error('Failed to fetch leaderboard:', err);
+            setLeaderboard(null);
+        }
+    }, [get, category, period, group, page]);
+
+    useEffect(() => {
+        fetchLeaderboard();
+    }, [fetchLeaderboard]);
+
+    function changeCategory(value) {
+        setCategory(value);
+        setPage(0);
+    }
+
+    function changePeriod(value) {
+        setPeriod(value);
+        setPage(0);
+    }
+
+    function changeGroup(value) {
+        setGroup(value);
+        setPage(0);
+    }
+
+    const entries = leaderboard?.entries || [];
+    const totalPages = Math.max(Math.ceil((leaderboard?.total || 0) / PAGE_SIZE), 1);
+
+    return (
+        <div className="leaderboards-page">
+            <header className="page-header">
+                <h2>Leaderboards</h2>
+                <button onClick={fetchLeaderboard} className="refresh-btn" disabled={loading}>
+                    {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </header>
+
+            <div className="leaderboard-controls">
+                <div className="category-tabs">
+                    {categories.map(c => (
+                        <button
+                            key={c.id}
+                            className={`category-tab ${category === c.id ? 'active' : ''}`}
+                            onClick={() => changeCategory(c.id)}
+                        >
+                            {c.label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="leaderboard-filters">
+                    <select value={period} onChange={e => changePeriod(e.target.value)}>
+                        {Object.entries(PERIOD_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+
+                    {current?.groupLabel && (
+                        <select value={group} onChange={e => changeGroup(e.target.value)}>
+                            <option value="">All {current.groupLabel.toLowerCase()}s</option>
+                            {groups.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+            </div>
+
+            {error && <div className="error">{error}</div>}
+
+            <div className="leaderboard-table-container">
+                <table className="leaderboard-table">
+                    <thead>
+                        <tr>
+                            <th className="rank-column">Rank</th>
+                            <th>Player</th>
+                            <th>Steam ID</th>
+                            <th className="value-column">{current?.label || 'Value'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length === 0 ? (
+                            <tr>
+                                <td colSpan="4" className="empty-state">
+                                    {loading ? 'Loading...' : 'No players ranked yet'}
+                                </td>
+                            </tr>
+                        ) : (
+                            entries.map(entry => (
+                                <tr key={entry.steamId}>
+                                    <td className={`rank-column rank-${entry.rank}`}>{entry.rank}</td>
+                                    <td>{entry.name || 'Unknown'}</td>
+                                    <td className="mono">{entry.steamId}</td>
+                                    <td className="value-column">{formatValue(category, entry.value)}</td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="leaderboard-footer">
+                <span>
+                    {leaderboard?.total || 0} players
+                    {leaderboard?.generatedAt && ` | updated ${new Date(leaderboard.generatedAt).toLocaleTimeString()}`}
+                </span>
+                <div className="leaderboard-pagination">
+                    <button className="action-btn" onClick={() => setPage(p => p - 1)} disabled={loading || page === 0}>
+                        Previous
+                    </button>
+                    <span>Page {page + 1} of {totalPages}</span>
+                    <button
+                        className="action-btn"
+                        onClick={() => setPage(p => p + 1)}
+                        disabled={loading || page + 1 >= totalPages}
+                    >
+                        Next
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Leaderboards;
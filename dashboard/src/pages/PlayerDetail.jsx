@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import './Players.css';
+import './PlayerDetail.css';
+
+const SYNC_TYPE_LABELS = {
+    connect: 'Connect',
+    periodic: 'Periodic',
+    disconnect: 'Disconnect',
+    crash_recovery: 'Crash recovery'
+};
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+}
+
+function storeList(stores) {
+    if (!stores.length) return '-';
+    return stores.map(store => [store.faction, store.category].filter(Boolean).join(' / ')).join(', ');
+}
+
+function syncOutcome(entry) {
+    if (entry.quarantined) return { label: 'Quarantined', className: 'rejected' };
+    if (entry.rejected) return { label: 'Rejected', className: 'rejected' };
+    if (entry.flagged) return { label: entry.reviewStatus || 'Flagged', className: entry.reviewStatus || 'pending' };
+    return { label: 'Applied', className: 'active' };
+}
+
+function PlayerDetail() {
+    const { steamId } = useParams();
+    const [detail, setDetail] = useState(null);
+    const [showDocument, setShowDocument] = useState(false);
+    const { get, loading, error } = useApi();
+
+    useEffect(() => {
+        fetchDetail();
+    }, [steamId]);
+
+    async function fetchDetail() {
+        try {
+            const data = await get(`/api/admin/players/${encodeURIComponent(steamId)}`);
+            setDetail(data);
+        } catch (err) {
+            console.error('Failed to fetch player:', err);
+            setDetail(null);
+        }
+    }
+
+    if (!detail) {
+        return (
+            <div className="players-page">
+                <Link to="/players" className="player-link">&larr; Players</Link>
+                {loading && <div className="loading">Loading...</div>}
+                {error && <div className="error">{error}</div>}
+            </div>
+        );
+    }
+
+    const { player, session, supporterStatus, moderation } = detail;
+    const summary = [
+        { label: 'Steam ID', value: player.steamId, mono: true },
+        { label: 'EOS ID', value: player.eosId || '-', mono: true },
+        { label: 'Sync Seq', value: player.syncSeq, mono: true },
+        { label: 'First Seen', value: formatDate(player.createdAt) },
+        { label: 'Last Saved', value: formatDate(player.updatedAt) }
+    ];
+
+    return (
+        <div className="players-page">
+            <Link to="/players" className="player-link">&larr; Players</Link>
+
+            <header className="page-header">
+                <h2>{player.name || 'Unknown'}</h2>
+                <button onClick={fetchDetail} className="refresh-btn" disabled={loading}>
+                    {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+
+            <div className="player-section">
+                <div className="player-summary">
+                    {summary.map(item => (
+                        <div key={item.label} className="summary-item">
+                            <span className="summary-label">{item.label}</span>
+                            <span className={item.mono ? 'summary-value mono' : 'summary-value'}>{item.value}</span>
+                        </div>
+                    ))}
+                    <div className="summary-item">
+                        <span className="summary-label">Session</span>
+                        {session.activeServerId ? (
+                            <span className="summary-value">
+                                <span className="status-badge active">
+                                    {session.activeServerName || session.activeServerId}
+                                </span>
+                                <span className="summary-note">
+                                    <span className="mono">{session.activeServerId}</span> since {formatDate(session.activeSince)}
+                                </span>
+                            </span>
+                        ) : (
+                            <span className="summary-value"><span className="status-badge offline">Offline</span></span>
+                        )}
+                    </div>
+                    <div className="summary-item">
+                        <span className="summary-label">Supporter</span>
+                        {supporterStatus ? (
+                            <span className="summary-value">
+                                <span className={`status-badge ${supporterStatus.active ? 'active' : 'offline'}`}>
+                                    {supporterStatus.type}{supporterStatus.active ? '' : ' (expired)'}
+                                </span>
+                                <span className="summary-note">
+                                    {supporterStatus.expiresAt ? `Expires ${formatDate(supporterStatus.expiresAt)}` : 'No expiry'}
+                                </span>
+                            </span>
+                        ) : (
+                            <span className="summary-value">-</span>
+                        )}
+                    </div>
+                    {moderation && (
+                        <div className="summary-item">
+                            <span className="summary-label">Moderation</span>
+                            <span className="summary-value">
+                                <span className={`status-badge ${moderation.status === 'frozen' ? 'frozen' : 'banned'}`}>
+                                    {moderation.status === 'frozen' ? 'Frozen' : 'Sync banned'}
+                                </span>
+                                <span className="summary-note">
+                                    {moderation.reason} ({moderation.expiresAt ? `until ${formatDate(moderation.expiresAt)}` : 'permanent'})
+                                </span>
+                            </span>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="player-section">
+                <h3>Linked Discord Accounts</h3>
+                {detail.discordLinks.length === 0 ? (
+                    <div className="section-empty">No linked accounts</div>
+                ) : (
+                    <table className="players-table">
+                        <thead>
+                            <tr>
+                                <th>Discord ID</th>
+                                <th>Username</th>
+                                <th>Verified</th>
+                                <th>Linked</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {detail.discordLinks.map(link => (
+                                <tr key={link.discordId}>
+                                    <td className="mono">{link.discordId}</td>
+                                    <td>{link.username || '-'}</td>
+                                    <td>
+                                        <span className={`status-badge ${link.verified ? 'active' : 'offline'}`}>
+                                            {link.verified ? formatDate(link.verifiedAt) : 'No'}
+                                        </span>
+                                    </td>
+                                    <td>{formatDate(link.linkedAt)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="player-section">
+                <h3>Loadout</h3>
+                {detail.loadout.length === 0 ? (
+                    <div className="section-empty">Empty loadout</div>
+                ) : (
+                    <table className="players-table">
+                        <thead>
+                            <tr>
+                                <th>Slot</th>
+                                <th>Store Group</th>
+                                <th>Item</th>
+                                <th>Family</th>
+                                <th>Count</th>
+                                <th>Stores</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {detail.loadout.map((slot, index) => (
+                                <tr key={`${slot.slot}-${index}`}>
+                                    <td className="mono">{slot.slot}</td>
+                                    <td>{slot.group || <span className="unresolved">Not in any store</span>}</td>
+                                    <td className="mono">{slot.item}</td>
+                                    <td>{slot.family}</td>
+                                    <td className="mono">{slot.count}</td>
+                                    <td className="store-list">{storeList(slot.stores)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="player-section">
+                <h3>Perks</h3>
+                {detail.perks.length === 0 ? (
+                    <div className="section-empty">No perks</div>
+                ) : (
+                    <div className="perk-list">
+                        {detail.perks.map(perk => (
+                            <span key={perk} className="perk-tag">{perk}</span>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="player-section">
+                <h3>Perma Unlocks ({detail.permaUnlocks.length})</h3>
+                {detail.permaUnlocks.length === 0 ? (
+                    <div className="section-empty">No perma unlocks</div>
+                ) : (
+                    <table className="players-table">
+                        <thead>
+                            <tr>
+                                <th>Unlock</th>
+                                <th>Store Group</th>
+                                <th>Stores</th>
+                                <th>Unlocked</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {detail.permaUnlocks.map(unlock => (
+                                <tr key={unlock.name}>
+                                    <td className="mono">{unlock.name}</td>
+                                    <td>{unlock.group || <span className="unresolved">Not in any store</span>}</td>
+                                    <td className="store-list">{storeList(unlock.stores)}</td>
+                                    <td>{formatDate(unlock.unlockedAt)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="player-section">
+                <h3>Sync Timeline</h3>
+                {detail.syncHistory.length === 0 ? (
+                    <div className="section-empty">No recorded syncs</div>
+                ) : (
+                    <table className="players-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Server</th>
+                                <th>Type</th>
+                                <th>Seq</th>
+                                <th>Outcome</th>
+                                <th>Duration</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {detail.syncHistory.map(entry => {
+                                const outcome = syncOutcome(entry);
+                                return (
+                                    <tr key={entry.id}>
+                                        <td>{formatDate(entry.createdAt)}</td>
+                                        <td className="mono">{entry.serverId}</td>
+                                        <td>{SYNC_TYPE_LABELS[entry.syncType] || entry.syncType}</td>
+                                        <td className="mono">{entry.syncSeqBefore ?? '-'} &rarr; {entry.syncSeqAfter ?? '-'}</td>
+                                        <td>
+                                            <span className={`status-badge ${outcome.className}`}>{outcome.label}</span>
+                                            {entry.flagReason && <div className="flag-reason">{entry.flagReason}</div>}
+                                        </td>
+                                        <td className="mono">{entry.durationMs != null ? `${entry.durationMs} ms` : '-'}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="player-section">
+                <h3>
+                    v2 Document
+                    <button className="action-btn" onClick={() => setShowDocument(!showDocument)}>
+                        {showDocument ? 'Hide' : 'Show'}
+                    </button>
+                </h3>
+                {showDocument && (
+                    <pre className="player-json">{JSON.stringify(detail.document, null, 2)}</pre>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default PlayerDetail;
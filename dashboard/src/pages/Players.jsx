@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import './Players.css';
+
+function Players() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const [input, setInput] = useState(query);
+    const [players, setPlayers] = useState([]);
+    const [total, setTotal] = useState(0);
+    const { get, loading, error } = useApi();
+
+    useEffect(() => {
+        if (query) {
+            fetchPlayers(query);
+        }
+    }, [query]);
+
+    async function fetchPlayers(q) {
+        try {
+            const data = await get(`/api/admin/players?q=${encodeURIComponent(q)}`);
+            setPlayers(data.players || []);
+            setTotal(data.total || 0);
+        } catch (err) {
+            console.error('Failed to search players:', err);
+            setPlayers([]);
+            setTotal(0);
+        }
+    }
+
+    function handleSearch(event) {
+        event.preventDefault();
+        setSearchParams({ q: input.trim() });
+    }
+
+    return (
+        <div className="players-page">
+            <header className="page-header">
+                <h2>Players</h2>
+            </header>
+
+            <form className="player-search" onSubmit={handleSearch}>
+                <input
+                    type="text"
+                    placeholder="Steam ID, EOS ID, name or Discord user"
+                    value={input}
+                    onChange={e => setInput(e.target.value)}
+                />
+                <button type="submit" className="refresh-btn" disabled={loading || input.trim().length < 2}>
+                    Search
+                </button>
+            </form>
+
+            {error && <div className="error">{error}</div>}
+
+            {query && (
+                <div className="players-table-container">
+                    <table className="players-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Steam ID</th>
+                                <th>EOS ID</th>
+                                <th>Discord</th>
+                                <th>Status</th>
+                                <th>Last Seen</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {players.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-state">
+                                        {loading ? 'Searching...' : `No players match "${query}"`}
+                                    </td>
+                                </tr>
+                            ) : (
+                                players.map(player => (
+                                    <tr key={player.steamId}>
+                                        <td>
+                                            <Link to={`/players/${player.steamId}`} className="player-link">
+                                                {player.name || 'Unknown'}
+                                            </Link>
+                                        </td>
+                                        <td className="mono">{player.steamId}</td>
+                                        <td className="mono">{player.eosId || '-'}</td>
+                                        <td className="mono">{player.discordIds.join(', ') || '-'}</td>
+                                        <td>
+                                            <span className={`status-badge ${player.activeServerId ? 'active' : 'offline'}`}>
+                                                {player.activeServerId ? `On ${player.activeServerId}` : 'Offline'}
+                                            </span>
+                                        </td>
+                                        <td>{new Date(player.lastSeen).toLocaleString()}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {query && players.length > 0 && (
+                <div className="players-footer">Showing {players.length} of {total}</div>
+            )}
+        </div>
+    );
+}
+
+export default Players;
@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import './Seasons.css';
+
+const RESET_LABELS = {
+    xp: 'XP',
+    currency: 'Currency',
+    prestige: 'Prestige',
+    perma_tokens: 'Perma tokens',
+    daily_claims: 'Daily claims'
+};
+
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function Seasons() {
+    const [seasons, setSeasons] = useState([]);
+    const [resetGroups, setResetGroups] = useState([]);
+    const [form, setForm] = useState({ name: '', startsAt: '', endsAt: '', resetFields: [] });
+    const [results, setResults] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const { get, post, del, loading, error } = useApi();
+
+    const fetchSeasons = useCallback(async () => {
+        try {
+            const data = await get('/api/admin/seasons');
+            setSeasons(data.seasons || []);
+            setResetGroups(Object.keys(data.resetGroups || {}));
+            setForm(prev => prev.resetFields.length > 0
+                ? prev
+                : { ...prev, resetFields: data.defaultResetFields || [] });
+        } catch (err) {
+            console.error('Failed to fetch seasons:', err);
+        }
+    }, [get]);
+
+    useEffect(() => {
+        fetchSeasons();
+    }, [fetchSeasons]);
+
+    function toggleResetField(field) {
+        setForm(prev => ({
+            ...prev,
+            resetFields: prev.resetFields.includes(field)
+                ? prev.resetFields.filter(f => f !== field)
+                : [...prev.resetFields, field]
+        }));
+    }
+
+    async function handleCreate(event) {
+        event.preventDefault();
+
+        try {
+            await post('/api/admin/seasons', {
+                name: form.name,
+                startsAt: new Date(form.startsAt).toISOString(),
+                endsAt: new Date(form.endsAt).toISOString(),
+                resetFields: form.resetFields
+            });
+            setForm(prev => ({ ...prev, name: '', startsAt: '', endsAt: '' }));
+            await fetchSeasons();
+        } catch (err) {
+            console.error('Failed to create season:', err);
+        }
+    }
+
+    async function handleEnd(season) {
+        const resets = season.reset_fields.map(f => RESET_LABELS[f] || f).join(', ') || 'nothing';
+        if (!window.confirm(`End "${season.name}" now? Standings are archived and ${resets} reset for every player.`)) return;
+
+        try {
+            const result = await post(`/api/admin/seasons/${season.id}/end`, {});
+            setNotice(`"${season.name}" ended: ${result.resultsCount} standings archived, ` +
+                `${result.playersReset} players reset, ${result.pushed}/${result.onlinePlayers} online players updated.`);
+            await fetchSeasons();
+        } catch (err) {
+            console.error('Failed to end season:', err);
+        }
+    }
+
+    async function handleDelete(season) {
+        if (!window.confirm(`Delete scheduled season "${season.name}"?`)) return;
+
+        try {
+            await del(`/api/admin/seasons/${season.id}`);
+            await fetchSeasons();
+        } catch (err) {
+            console.error('Failed to delete season:', err);
+        }
+    }
+
+    async function handleResults(season) {
+        if (results?.season.id === season.id) {
+            setResults(null);
+            return;
+        }
+
+        try {
+            const data = await get(`/api/admin/seasons/${season.id}/results?limit=100`);
+            setResults(data);
+        } catch (err) {
+            console.error('Failed to fetch season results:', err);
+        }
+    }
+
+    return (
+        <div className="seasons-page">
+            <header className="page-header">
+                <h2>Seasons</h2>
+                <button onClick={fetchSeasons} className="refresh-btn" disabled={loading}>
+                    {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+            {notice && (
+                <div className="season-notice" onClick={() => setNotice(null)}>{notice}</div>
+            )}
+
+            <form className="season-form" onSubmit={handleCreate}>
+                <h3>Schedule Season</h3>
+                <div className="season-form-row">
+                    <input
+                        type="text"
+                        placeholder="Season name"
+                        value={form.name}
+                        onChange={e => setForm({ ...form, name: e.target.value })}
+                        required
+                    />
+                    <label>
+                        Starts
+                        <input
+                            type="datetime-local"
+                            value={form.startsAt}
+                            onChange={e => setForm({ ...form, startsAt: e.target.value })}
+                            required
+                        />
+                    </label>
+                    <label>
+                        Ends
+                        <input
+                            type="datetime-local"
+                            value={form.endsAt}
+                            onChange={e => setForm({ ...form, endsAt: e.target.value })}
+                            required
+                        />
+                    </label>
+                </div>
+                <div className="season-form-row">
+                    <span className="reset-label">Reset at season end:</span>
+                    {resetGroups.map(field => (
+                        <label key={field} className="reset-option">
+                            <input
+                                type="checkbox"
+                                checked={form.resetFields.includes(field)}
+                                onChange={() => toggleResetField(field)}
+                            />
+                            {RESET_LABELS[field] || field}
+                        </label>
+                    ))}
+                    <button type="submit" className="action-btn" disabled={loading}>
+                        Schedule
+                    </button>
+                </div>
+                <p className="season-hint">Perma unlocks, supporter status, skins and loadouts always persist.</p>
+            </form>
+
+            <div className="seasons-table-container">
+                <table className="seasons-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Starts</th>
+                            <th>Ends</th>
+                            <th>Status</th>
+                            <th>Resets</th>
+                            <th>Standings</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {seasons.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" className="empty-state">No seasons yet</td>
+                            </tr>
+                        ) : (
+                            seasons.map(season => (
+                                <tr key={season.id} className={results?.season.id === season.id ? 'selected' : ''}>
+                                    <td>{season.name}</td>
+                                    <td>{new Date(season.starts_at).toLocaleString()}</td>
+                                    <td>{new Date(season.ends_at).toLocaleString()}</td>
+                                    <td>
+                                        <span className={`status-badge ${season.status}`}>{season.status}</span>
+                                    </td>
+                                    <td className="season-resets">
+                                        {season.reset_fields.map(f => RESET_LABELS[f] || f).join(', ') || '-'}
+                                    </td>
+                                    <td>{season.status === 'ended' ? season.results_count : '-'}</td>
+                                    <td>
+                                        <div className="season-actions">
+                                            {season.status === 'active' && (
+                                                <button className="action-btn" onClick={() => handleEnd(season)}>
+                                                    End Now
+                                                </button>
+                                            )}
+                                            {season.status === 'scheduled' && (
+                                                <button className="action-btn" onClick={() => handleDelete(season)}>
+                                                    Delete
+                                                </button>
+                                            )}
+                                            {season.status === 'ended' && (
+                                                <button className="action-btn" onClick={() => handleResults(season)}>
+                                                    {results?.season.id === season.id ? 'Hide' : 'Standings'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {results && (
+                <div className="season-results">
+                    <h3>{results.season.name} - Final Standings</h3>
+                    <table className="seasons-table">
+                        <thead>
+                            <tr>
+                                <th>Rank</th>
+                                <th>Player</th>
+                                <th>XP</th>
+                                <th>Prestige</th>
+                                <th>Kills</th>
+                                <th>Time Played</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {results.results.map(result => (
+                                <tr key={result.id}>
+                                    <td>{result.rank}</td>
+                                    <td>
+                                        {result.player_name || 'Unknown'}
+                                        <span className="mono season-steam-id">{result.steam_id}</span>
+                                    </td>
+                                    <td>{Number(result.xp_total).toLocaleString()}</td>
+                                    <td>{result.prestige}</td>
+                                    <td>{result.kills.toLocaleString()}</td>
+                                    <td>{formatDuration(Number(result.time_played))}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="seasons-footer">Showing {results.results.length} of {results.total}</div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Seasons;
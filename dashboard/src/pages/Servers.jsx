@@ -0,0 +1,376 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useSocket } from '../context/SocketContext';
+import './Servers.css';
+
+const STATUS_LABELS = {
+    connected: 'Connected',
+    connecting: 'Connecting',
+    disconnected: 'Disconnected',
+    error: 'Unreachable',
+    auth_failed: 'Auth failed'
+};
+
+function connectionLabel(connection) {
+    if (!connection) return 'Not configured';
+    if (connection.status === 'connected' && !connection.authenticated) return 'Authenticating';
+    return STATUS_LABELS[connection.status] || connection.status;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : 'Never';
+}
+
+const CONFIG_LABELS = {
+    settings: 'Settings',
+    indfor: 'INDFOR',
+    blufor: 'BLUFOR',
+    redfor: 'REDFOR'
+};
+
+function formatRevision(revision) {
+    return revision.overrideVersion
+        ? `v${revision.version} + override v${revision.overrideVersion}`
+        : `v${revision.version}`;
+}
+
+// Compare the revision a server acknowledged with the one it should run
+function configBadge(current, running) {
+    if (!current.hash) return { className: 'inactive', text: 'Not saved' };
+    if (running?.error) return { className: 'flagged', text: 'Write failed' };
+    if (running?.pendingVersion) return { className: 'disconnected', text: `Sending v${running.pendingVersion}` };
+    if (!running?.hash) return { className: 'disconnected', text: 'Unknown' };
+    if (running.hash === current.hash) return { className: 'connected', text: formatRevision(running) };
+    return { className: 'flagged', text: `${formatRevision(running)}, current ${formatRevision(current)}` };
+}
+
+function ConfigStatus({ current, running }) {
+    const documents = Object.keys(current || {});
+    if (documents.length === 0) return '-';
+
+    return (
+        <ul className="config-status">
+            {documents.map(document => {
+                const badge = configBadge(current[document], running?.[document]);
+                return (
+                    <li key={document} title={running?.[document]?.error || running?.[document]?.hash || ''}>
+                        <span className="config-document">{CONFIG_LABELS[document] || document}</span>
+                        <span className={`status-badge ${badge.className}`}>{badge.text}</span>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+// Worst flagged-sync rate across the watchdog windows
+function FlagRate({ windows }) {
+    const active = (windows || []).filter(w => w.syncs > 0);
+    if (active.length === 0) return null;
+
+    const worst = active.reduce((a, b) => (b.rate / b.maxFlaggedRate > a.rate / a.maxFlaggedRate ? b : a));
+
+    return (
+        <div
+            className={`flag-rate ${worst.tripped ? 'tripped' : ''}`}
+            title={active.map(w => `${w.minutes} min: ${w.flagged}/${w.syncs} flagged, limit ${Math.round(w.maxFlaggedRate * 100)}%`).join('\n')}
+        >
+            {Math.round(worst.rate * 100)}% flagged ({worst.minutes} min)
+        </div>
+    );
+}
+
+function Servers() {
+    const [servers, setServers] = useState([]);
+    const [unmatched, setUnmatched] = useState([]);
+    const [flagRates, setFlagRates] = useState({});
+    const [newToken, setNewToken] = useState(null);
+    const [form, setForm] = useState({ serverId: '', serverName: '' });
+    const { get, post, del, loading, error } = useApi();
+    const { socket, connected } = useSocket();
+
+    const fetchServers = useCallback(async () => {
+        try {
+            const [data, rates] = await Promise.all([
+                get('/api/admin/servers'),
+                get('/api/admin/servers/flag-rates')
+            ]);
+            setServers(data.servers || []);
+            setUnmatched(data.unmatchedConnections || []);
+            setFlagRates(rates.servers || {});
+        } catch (err) {
+            console.error('Failed to fetch servers:', err);
+        }
+    }, [get]);
+
+    useEffect(() => {
+        fetchServers();
+    }, [fetchServers]);
+
+    // Live updates pushed from the bot
+    useEffect(() => {
+        if (!socket || !connected) return;
+
+        function onStatus(status) {
+            if (!status.serverId) {
+                setUnmatched(prev => [...prev.filter(c => c.url !== status.url), status]);
+                return;
+            }
+            setServers(prev => prev.map(server =>
+                server.server_id === status.serverId ? { ...server, connection: status, last_seen_at: status.lastSeenAt ?? server.last_seen_at } : server
+            ));
+            setUnmatched(prev => prev.filter(c => c.url !== status.url));
+        }
+
+        function onUpdated(updated) {
+            setServers(prev => prev.map(server =>
+                server.server_id === updated.server_id ? { ...server, ...updated } : server
+            ));
+        }
+
+        socket.emit('subscribe', 'servers');
+        socket.on('gameServer:status', onStatus);
+        socket.on('gameServer:updated', onUpdated);
+        socket.on('gameServer:registered', fetchServers);
+        socket.on('config:updated', fetchServers);
+
+        return () => {
+            socket.emit('unsubscribe', 'servers');
+            socket.off('gameServer:status', onStatus);
+            socket.off('gameServer:updated', onUpdated);
+            socket.off('gameServer:registered', fetchServers);
+            socket.off('config:updated', fetchServers);
+        };
+    }, [socket, connected, fetchServers]);
+
+    async function runAction(action) {
+        try {
+            await action();
+        } catch (err) {
+            console.error('Server action failed:', err);
+        }
+    }
+
+    function handleFlag(server) {
+        const reason = window.prompt(`Reason for flagging ${server.server_id}:`);
+        if (!reason) return;
+        runAction(() => post(`/api/admin/servers/${server.server_id}/flag`, { reason }));
+    }
+
+    function handleUnflag(server) {
+        runAction(() => del(`/api/admin/servers/${server.server_id}/flag`));
+    }
+
+    function handleQuarantine(server) {
+        const reason = window.prompt(`Quarantining ${server.server_id} stores its saves for review without applying them. Reason:`);
+        if (!reason) return;
+        runAction(() => post(`/api/admin/servers/${server.server_id}/quarantine`, { reason }));
+    }
+
+    function handleUnquarantine(server) {
+        runAction(() => del(`/api/admin/servers/${server.server_id}/quarantine`));
+    }
+
+    function handleDeactivate(server) {
+        const reason = window.prompt(`Deactivating ${server.server_id} revokes its token and releases its players. Reason:`);
+        if (!reason) return;
+        runAction(() => post(`/api/admin/servers/${server.server_id}/deactivate`, { reason }));
+    }
+
+    function handleReactivate(server) {
+        runAction(() => post(`/api/admin/servers/${server.server_id}/reactivate`));
+    }
+
+    function handleReconnect(server) {
+        runAction(() => post(`/api/admin/servers/${server.server_id}/reconnect`));
+    }
+
+    function handlePushConfig(server) {
+        runAction(() => post('/api/admin/config/push', { serverIds: [server.server_id] }));
+    }
+
+    function handleRotateToken(server) {
+        if (!window.confirm(`Rotate the token for ${server.server_id}? The old token stops working on the next connection; update the plugin config and GAME_SERVERS.`)) {
+            return;
+        }
+        runAction(async () => {
+            const result = await post(`/api/admin/servers/${server.server_id}/token`);
+            setNewToken(result);
+        });
+    }
+
+    function handleRegister(event) {
+        event.preventDefault();
+        runAction(async () => {
+            const result = await post('/api/admin/servers', form);
+            setNewToken(result);
+            setForm({ serverId: '', serverName: '' });
+            await fetchServers();
+        });
+    }
+
+    return (
+        <div className="servers-page">
+            <header className="page-header">
+                <h2>Game Servers</h2>
+                <button onClick={fetchServers} className="refresh-btn" disabled={loading}>
+                    {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+
+            {newToken && (
+                <div className="token-notice">
+                    <div>
+                        <strong>API token for {newToken.serverId}</strong>
+                        <p>Copy it now, it will not be shown again.</p>
+                        <code className="mono">{newToken.apiToken}</code>
+                    </div>
+                    <button className="action-btn" onClick={() => setNewToken(null)}>Dismiss</button>
+                </div>
+            )}
+
+            <div className="servers-table-container">
+                <table className="servers-table">
+                    <thead>
+                        <tr>
+                            <th>Server</th>
+                            <th>Connection</th>
+                            <th>Players</th>
+                            <th>Config</th>
+                            <th>Last Seen</th>
+                            <th>Flag</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {servers.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" className="empty-state">
+                                    No servers registered
+                                </td>
+                            </tr>
+                        ) : (
+                            servers.map(server => {
+                                const isConnected = server.connection?.status === 'connected' && server.connection?.authenticated;
+                                return (
+                                    <tr key={server.server_id}>
+                                        <td>
+                                            <div className="server-name">{server.server_name || server.server_id}</div>
+                                            <div className="mono">{server.server_id}</div>
+                                        </td>
+                                        <td>
+                                            {!server.is_active ? (
+                                                <span className="status-badge inactive">Deactivated</span>
+                                            ) : (
+                                                <span className={`status-badge ${isConnected ? 'connected' : 'disconnected'}`}>
+                                                    {connectionLabel(server.connection)}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            {server.connection?.playerCount ?? '-'}
+                                            {server.connection?.queueDepth > 0 && (
+                                                <div className="queue-depth">{server.connection.queueDepth} queued events</div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <ConfigStatus current={server.config} running={server.connection?.config} />
+                                        </td>
+                                        <td>{formatDate(server.last_seen_at)}</td>
+                                        <td>
+                                            {server.quarantined && <span className="status-badge quarantined">Quarantined</span>}
+                                            {server.flagged ? (
+                                                <>
+                                                    <span className="status-badge flagged">Flagged</span>
+                                                    <div className="flag-reason">{server.flagged_reason}</div>
+                                                </>
+                                            ) : (
+                                                <span className="status-badge active">OK</span>
+                                            )}
+                                            <FlagRate windows={flagRates[server.server_id]} />
+                                        </td>
+                                        <td>
+                                            <div className="server-actions">
+                                                {server.flagged ? (
+                                                    <button className="action-btn" onClick={() => handleUnflag(server)}>Unflag</button>
+                                                ) : (
+                                                    <button className="action-btn" onClick={() => handleFlag(server)}>Flag</button>
+                                                )}
+                                                {server.quarantined ? (
+                                                    <button className="action-btn" onClick={() => handleUnquarantine(server)}>Release</button>
+                                                ) : (
+                                                    <button className="action-btn" onClick={() => handleQuarantine(server)}>Quarantine</button>
+                                                )}
+                                                {server.is_active ? (
+                                                    <button className="action-btn" onClick={() => handleDeactivate(server)}>Deactivate</button>
+                                                ) : (
+                                                    <button className="action-btn" onClick={() => handleReactivate(server)}>Reactivate</button>
+                                                )}
+                                                <button
+                                                    className="action-btn"
+                                                    onClick={() => handleReconnect(server)}
+                                                    disabled={!server.connection || isConnected}
+                                                >
+                                                    Reconnect
+                                                </button>
+                                                <button
+                                                    className="action-btn"
+                                                    onClick={() => handlePushConfig(server)}
+                                                    disabled={!isConnected}
+                                                >
+                                                    Push Config
+                                                </button>
+                                                <button className="action-btn" onClick={() => handleRotateToken(server)}>Rotate Token</button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {unmatched.length > 0 && (
+                <div className="servers-section">
+                    <h3>Unregistered Connections</h3>
+                    <p className="section-hint">Configured in GAME_SERVERS but not authenticated against a registered server.</p>
+                    <ul className="unmatched-list">
+                        {unmatched.map(conn => (
+                            <li key={conn.url}>
+                                <span className="mono">{conn.url}</span>
+                                <span className="status-badge disconnected">{connectionLabel(conn)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="servers-section">
+                <h3>Register Server</h3>
+                <form className="register-form" onSubmit={handleRegister}>
+                    <input
+                        type="text"
+                        placeholder="server-id"
+                        value={form.serverId}
+                        onChange={e => setForm({ ...form, serverId: e.target.value })}
+                        required
+                    />
+                    <input
+                        type="text"
+                        placeholder="Display name"
+                        value={form.serverName}
+                        onChange={e => setForm({ ...form, serverName: e.target.value })}
+                    />
+                    <button type="submit" className="refresh-btn" disabled={loading || !form.serverId}>
+                        Register
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default Servers;
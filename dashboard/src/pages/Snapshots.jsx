@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import './Snapshots.css';
+
+const REASON_LABELS = {
+    disconnect: 'Disconnect',
+    daily: 'Daily',
+    admin_edit: 'Admin edit',
+    pre_restore: 'Pre-restore',
+    manual: 'Manual'
+};
+
+function snapshotSummary(data) {
+    const stats = data?.player?.stats || {};
+    return [
+        { label: 'Currency', value: (stats.currencyTotal || 0) - (stats.currencySpent || 0) },
+        { label: 'XP', value: stats.xp || 0 },
+        { label: 'Prestige', value: stats.prestige || 0 },
+        { label: 'Loadout slots', value: data?.player?.loadout?.length || 0 },
+        { label: 'Perks', value: data?.player?.perks?.length || 0 },
+        { label: 'Perma unlocks', value: data?.player?.permaUnlocks?.length || 0 }
+    ];
+}
+
+function Snapshots() {
+    const [steamId, setSteamId] = useState('');
+    const [loadedSteamId, setLoadedSteamId] = useState(null);
+    const [snapshots, setSnapshots] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [selected, setSelected] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const { get, post, loading, error } = useApi();
+
+    async function loadSnapshots(id) {
+        try {
+            const data = await get(`/api/admin/snapshots?steamId=${encodeURIComponent(id)}`);
+            setSnapshots(data.snapshots || []);
+            setTotal(data.total || 0);
+            setLoadedSteamId(id);
+        } catch (err) {
+            console.error('Failed to fetch snapshots:', err);
+            setSnapshots([]);
+            setLoadedSteamId(null);
+        }
+    }
+
+    function handleSearch(event) {
+        event.preventDefault();
+        setSelected(null);
+        setNotice(null);
+        loadSnapshots(steamId.trim());
+    }
+
+    async function handleView(snapshot) {
+        if (selected?.id === snapshot.id) {
+            setSelected(null);
+            return;
+        }
+
+        try {
+            const data = await get(`/api/admin/snapshots/${snapshot.id}`);
+            setSelected(data.snapshot);
+        } catch (err) {
+            console.error('Failed to fetch snapshot:', err);
+        }
+    }
+
+    async function handleTakeSnapshot() {
+        const note = window.prompt('Note for this snapshot (optional):');
+        if (note === null) return;
+
+        try {
+            await post('/api/admin/snapshots', { steamId: loadedSteamId, note });
+            await loadSnapshots(loadedSteamId);
+        } catch (err) {
+            console.error('Failed to take snapshot:', err);
+        }
+    }
+
+    async function handleRestore(snapshot) {
+        const note = window.prompt(
+            `Restore ${snapshot.steam_id} to ${new Date(snapshot.created_at).toLocaleString()}? ` +
+            'The current state is saved as a pre-restore snapshot first. Note (optional):'
+        );
+        if (note === null) return;
+
+        try {
+            const result = await post(`/api/admin/snapshots/${snapshot.id}/restore`, { note });
+            setNotice(result.pushed
+                ? `Restored and pushed to the player's server (seq ${result.syncSeq}).`
+                : `Restored (seq ${result.syncSeq}). The player is offline, so the data loads on their next connect.`);
+            setSelected(null);
+            await loadSnapshots(snapshot.steam_id);
+        } catch (err) {
+            console.error('Failed to restore snapshot:', err);
+        }
+    }
+
+    return (
+        <div className="snapshots-page">
+            <header className="page-header">
+                <h2>Player Snapshots</h2>
+            </header>
+
+            <form className="snapshot-search" onSubmit={handleSearch}>
+                <input
+                    type="text"
+                    placeholder="Steam ID (17 digits)"
+                    value={steamId}
+                    onChange={e => setSteamId(e.target.value)}
+                />
+                <button type="submit" className="refresh-btn" disabled={loading || !steamId.trim()}>
+                    Search
+                </button>
+                {loadedSteamId && (
+                    <button type="button" className="action-btn" onClick={handleTakeSnapshot} disabled={loading}>
+                        Take Snapshot
+                    </button>
+                )}
+            </form>
+
+            {error && <div className="error">{error}</div>}
+            {notice && (
+                <div className="snapshot-notice" onClick={() => setNotice(null)}>{notice}</div>
+            )}
+
+            {loadedSteamId && (
+                <div className="snapshots-table-container">
+                    <table className="snapshots-table">
+                        <thead>
+                            <tr>
+                                <th>Taken</th>
+                                <th>Reason</th>
+                                <th>Sync Seq</th>
+                                <th>Note</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {snapshots.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" className="empty-state">
+                                        No snapshots for {loadedSteamId}
+                                    </td>
+                                </tr>
+                            ) : (
+                                snapshots.map(snapshot => (
+                                    <tr key={snapshot.id} className={selected?.id === snapshot.id ? 'selected' : ''}>
+                                        <td>{new Date(snapshot.created_at).toLocaleString()}</td>
+                                        <td>
+                                            <span className={`reason-badge ${snapshot.reason}`}>
+                                                {REASON_LABELS[snapshot.reason] || snapshot.reason}
+                                            </span>
+                                        </td>
+                                        <td className="mono">{snapshot.sync_seq}</td>
+                                        <td className="snapshot-note">{snapshot.note || '-'}</td>
+                                        <td>
+                                            <div className="snapshot-actions">
+                                                <button className="action-btn" onClick={() => handleView(snapshot)}>
+                                                    {selected?.id === snapshot.id ? 'Hide' : 'View'}
+                                                </button>
+                                                <button className="action-btn" onClick={() => handleRestore(snapshot)}>
+                                                    Restore
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {loadedSteamId && (
+                <div className="snapshots-footer">Showing {snapshots.length} of {total}</div>
+            )}
+
+            {selected && (
+                <div className="snapshot-detail">
+                    <h3>Snapshot #{selected.id}</h3>
+                    <div className="snapshot-summary">
+                        {snapshotSummary(selected.data).map(item => (
+                            <div key={item.label} className="summary-item">
+                                <span className="summary-label">{item.label}</span>
+                                <span className="summary-value">{item.value}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <pre className="snapshot-json">{JSON.stringify(selected.data, null, 2)}</pre>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Snapshots;
@@ -0,0 +1,524 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import './StoreEditor.css';
+
+const FACTIONS = ['indfor', 'blufor', 'redfor'];
+
+const FACTION_LABELS = {
+    indfor: 'INDFOR',
+    blufor: 'BLUFOR',
+    redfor: 'REDFOR'
+};
+
+function newUnlock() {
+    return { item: '', unlockLevel: 0, perkRequirements: [], itemCount: -1, prestige: 0 };
+}
+
+// New items per category type, filled with the fields the v2 schema requires
+const ITEM_TEMPLATES = {
+    free: () => ({ item: '', slot: 0, itemCount: -1 }),
+    weapon: () => ({
+        group: 'New Group',
+        singleCost: 0,
+        permaCost: -1,
+        description: '',
+        texture: '',
+        unlockLevel: 0,
+        xpUnlocks: [newUnlock()]
+    }),
+    vehicle: () => ({
+        name: 'New Vehicle',
+        vehicle: '',
+        singleCost: 0,
+        description: '',
+        unlockLevel: 0,
+        texture: '',
+        spawnType: 'Ground Vehicle',
+        killXpReward: 0,
+        killCurrencyReward: 0,
+        prestige: 0
+    }),
+    perk: () => ({ name: 'New Perk', description: '', texture: '', material: 'None', unlockLevel: 0, unlockItems: [], prestige: 0 }),
+    skin: () => ({ name: 'New Skin' }),
+    community: () => ({ name: 'New Entry' })
+};
+
+function emptyStore(faction) {
+    return { v: 2, faction, categories: {} };
+}
+
+function itemLabel(item) {
+    return item.group || item.name || item.item || item.xpUnlocks?.[0]?.item || '(unnamed)';
+}
+
+function moveEntry(list, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= list.length) return list;
+
+    const result = [...list];
+    [result[index], result[target]] = [result[target], result[index]];
+    return result;
+}
+
+function toNumber(value) {
+    return value === '' ? undefined : Number(value);
+}
+
+function formatValue(value) {
+    return value === null || value === undefined ? '-' : JSON.stringify(value);
+}
+
+function TextField({ label, value, onChange, wide }) {
+    return (
+        <label className={`store-field${wide ? ' wide' : ''}`}>
+            <span>{label}</span>
+            <input type="text" value={value ?? ''} onChange={e => onChange(e.target.value)} />
+        </label>
+    );
+}
+
+function NumberField({ label, value, onChange }) {
+    return (
+        <label className="store-field">
+            <span>{label}</span>
+            <input type="number" value={value ?? ''} onChange={e => onChange(toNumber(e.target.value))} />
+        </label>
+    );
+}
+
+// Comma-separated list, applied when the field loses focus so commas can be typed
+function ListField({ label, value, onChange }) {
+    const [text, setText] = useState((value || []).join(', '));
+
+    return (
+        <label className="store-field wide">
+            <span>{label}</span>
+            <input
+                type="text"
+                value={text}
+                onChange={e => setText(e.target.value)}
+                onBlur={() => onChange(text.split(',').map(entry => entry.trim()).filter(Boolean))}
+            />
+        </label>
+    );
+}
+
+function XpUnlockChain({ unlocks, onChange }) {
+    function update(index, changes) {
+        onChange(unlocks.map((unlock, i) => i === index ? { ...unlock, ...changes } : unlock));
+    }
+
+    return (
+        <div className="xp-unlocks">
+            <div className="store-subheader">
+                <h4>XP Unlocks</h4>
+                <button type="button" className="action-btn" onClick={() => onChange([...unlocks, newUnlock()])}>
+                    Add Unlock
+                </button>
+            </div>
+            {unlocks.map((unlock, index) => (
+                <div key={index} className="xp-unlock">
+                    <span className="xp-unlock-step">{index + 1}</span>
+                    <TextField label="Item blueprint" value={unlock.item} onChange={value => update(index, { item: value })} wide />
+                    <NumberField label="Unlock level" value={unlock.unlockLevel} onChange={value => update(index, { unlockLevel: value })} />
+                    <NumberField label="Item count" value={unlock.itemCount} onChange={value => update(index, { itemCount: value })} />
+                    <NumberField label="Prestige" value={unlock.prestige} onChange={value => update(index, { prestige: value })} />
+                    <ListField
+                        key={`${index}-${(unlock.perkRequirements || []).join()}`}
+                        label="Perk requirements (comma-separated)"
+                        value={unlock.perkRequirements}
+                        onChange={value => update(index, { perkRequirements: value })}
+                    />
+                    <div className="store-row-actions">
+                        <button type="button" className="action-btn" onClick={() => onChange(moveEntry(unlocks, index, -1))} disabled={index === 0}>Up</button>
+                        <button type="button" className="action-btn" onClick={() => onChange(moveEntry(unlocks, index, 1))} disabled={index === unlocks.length - 1}>Down</button>
+                        <button type="button" className="action-btn" onClick={() => onChange(unlocks.filter((_, i) => i !== index))}>Remove</button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function WeaponFields({ item, onChange }) {
+    const set = changes => onChange({ ...item, ...changes });
+
+    return (
+        <>
+            <div className="store-fields">
+                <TextField label="Group" value={item.group} onChange={value => set({ group: value })} />
+                <NumberField label="Single cost" value={item.singleCost} onChange={value => set({ singleCost: value })} />
+                <NumberField label="Perma cost (-1 = none)" value={item.permaCost} onChange={value => set({ permaCost: value })} />
+                <NumberField label="Unlock level" value={item.unlockLevel} onChange={value => set({ unlockLevel: value })} />
+                <TextField label="Description" value={item.description} onChange={value => set({ description: value })} wide />
+                <TextField label="Texture" value={item.texture} onChange={value => set({ texture: value })} wide />
+            </div>
+            <XpUnlockChain unlocks={item.xpUnlocks || []} onChange={xpUnlocks => set({ xpUnlocks })} />
+        </>
+    );
+}
+
+function VehicleFields({ item, onChange }) {
+    const set = changes => onChange({ ...item, ...changes });
+
+    return (
+        <div className="store-fields">
+            <TextField label="Name" value={item.name} onChange={value => set({ name: value })} />
+            <TextField label="Vehicle blueprint" value={item.vehicle} onChange={value => set({ vehicle: value })} wide />
+            <NumberField label="Single cost" value={item.singleCost} onChange={value => set({ singleCost: value })} />
+            <NumberField label="Unlock level" value={item.unlockLevel} onChange={value => set({ unlockLevel: value })} />
+            <NumberField label="Prestige" value={item.prestige} onChange={value => set({ prestige: value })} />
+            <TextField label="Spawn type" value={item.spawnType} onChange={value => set({ spawnType: value })} />
+            <NumberField label="Kill XP reward" value={item.killXpReward} onChange={value => set({ killXpReward: value })} />
+            <NumberField label="Kill currency reward" value={item.killCurrencyReward} onChange={value => set({ killCurrencyReward: value })} />
+            <TextField label="Description" value={item.description} onChange={value => set({ description: value })} wide />
+            <TextField label="Texture" value={item.texture} onChange={value => set({ texture: value })} wide />
+            <label className="store-field checkbox">
+                <input type="checkbox" checked={!!item.crewman} onChange={e => set({ crewman: e.target.checked })} />
+                <span>Crewman kit required</span>
+            </label>
+        </div>
+    );
+}
+
+// Other item types are edited as JSON
+function JsonFields({ item, onChange }) {
+    const [text, setText] = useState(() => JSON.stringify(item, null, 2));
+    const [parseError, setParseError] = useState(null);
+
+    function handleBlur() {
+        try {
+            onChange(JSON.parse(text));
+            setParseError(null);
+        } catch (err) {
+            setParseError(err.message);
+        }
+    }
+
+    return (
+        <div className="store-json">
+            <textarea value={text} onChange={e => setText(e.target.value)} onBlur={handleBlur} rows={14} spellCheck={false} />
+            {parseError && <div className="store-json-error">{parseError}</div>}
+        </div>
+    );
+}
+
+function ItemEditor({ type, item, onChange }) {
+    if (type === 'weapon') return <WeaponFields item={item} onChange={onChange} />;
+    if (type === 'vehicle') return <VehicleFields item={item} onChange={onChange} />;
+    return <JsonFields item={item} onChange={onChange} />;
+}
+
+function StoreDiff({ preview }) {
+    const { diff } = preview;
+    const hasCategoryChanges = diff.categories.added.length > 0 || diff.categories.removed.length > 0 || diff.categories.reordered;
+
+    if (!preview.changed) {
+        return <p className="store-hint">No changes compared to version {preview.version}.</p>;
+    }
+
+    return (
+        <div className="store-diff">
+            {hasCategoryChanges && (
+                <ul>
+                    {diff.categories.added.map(category => (
+                        <li key={`add-${category}`} className="diff-added">+ category {category}</li>
+                    ))}
+                    {diff.categories.removed.map(category => (
+                        <li key={`remove-${category}`} className="diff-removed">- category {category}</li>
+                    ))}
+                    {diff.categories.reordered && <li className="diff-changed">~ category order changed</li>}
+                </ul>
+            )}
+            <ul>
+                {diff.items.map(entry => (
+                    <li key={`${entry.change}-${entry.category}-${entry.key}`} className={`diff-${entry.change}`}>
+                        {entry.change === 'added' && '+ '}
+                        {entry.change === 'removed' && '- '}
+                        {entry.change === 'changed' && '~ '}
+                        {entry.category} / {entry.key}
+                        {entry.fields && (
+                            <ul>
+                                {entry.fields.map(field => (
+                                    <li key={field.path}>
+                                        <span className="mono">{field.path}</span>: {formatValue(field.before)} &rarr; {formatValue(field.after)}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </li>
+                ))}
+                {diff.reorderedItems.map(category => (
+                    <li key={`order-${category}`} className="diff-changed">~ {category} item order changed</li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function StoreEditor() {
+    const [faction, setFaction] = useState('indfor');
+    const [categoryTypes, setCategoryTypes] = useState({});
+    const [store, setStore] = useState(emptyStore('indfor'));
+    const [version, setVersion] = useState(0);
+    const [selectedCategory, setSelectedCategory] = useState(null);
+    const [selectedIndex, setSelectedIndex] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [note, setNote] = useState('');
+    const [notice, setNotice] = useState(null);
+    const { get, post, put, loading, error } = useApi();
+
+    const fetchStore = useCallback(async () => {
+        setPreview(null);
+        setSelectedIndex(null);
+
+        try {
+            const config = await get('/api/admin/config');
+            setCategoryTypes(config.storeCategoryTypes || {});
+
+            const current = config.documents.find(entry => entry.document === faction);
+            if (!current?.version) {
+                setStore(emptyStore(faction));
+                setVersion(0);
+                setSelectedCategory(null);
+                return;
+            }
+
+            const data = await get(`/api/admin/config/stores/${faction}`);
+            setStore(data.store);
+            setVersion(data.version);
+            setSelectedCategory(Object.keys(data.store.categories)[0] || null);
+        } catch (err) {
+            console.error('Failed to fetch store:', err);
+        }
+    }, [get, faction]);
+
+    useEffect(() => {
+        fetchStore();
+    }, [fetchStore]);
+
+    const categoryNames = Object.keys(store.categories);
+    const unusedCategories = Object.keys(categoryTypes).filter(name => !categoryNames.includes(name));
+    const items = selectedCategory ? store.categories[selectedCategory] || [] : [];
+    const selectedItem = selectedIndex !== null ? items[selectedIndex] : null;
+
+    // Every edit invalidates the last preview
+    function updateCategories(update) {
+        setStore(prev => ({ ...prev, categories: update(prev.categories) }));
+        setPreview(null);
+    }
+
+    function updateItems(update) {
+        updateCategories(categories => ({ ...categories, [selectedCategory]: update(categories[selectedCategory] || []) }));
+    }
+
+    function selectCategory(name) {
+        setSelectedCategory(name);
+        setSelectedIndex(null);
+    }
+
+    function handleAddCategory(name) {
+        if (!name) return;
+        updateCategories(categories => ({ ...categories, [name]: [] }));
+        selectCategory(name);
+    }
+
+    function handleMoveCategory(name, offset) {
+        updateCategories(categories => Object.fromEntries(
+            moveEntry(Object.entries(categories), Object.keys(categories).indexOf(name), offset)
+        ));
+    }
+
+    function handleRemoveCategory(name) {
+        if (!window.confirm(`Remove the ${name} category and its ${store.categories[name].length} items?`)) return;
+
+        updateCategories(categories => {
+            const result = { ...categories };
+            delete result[name];
+            return result;
+        });
+        if (selectedCategory === name) {
+            selectCategory(null);
+        }
+    }
+
+    function handleAddItem() {
+        const template = ITEM_TEMPLATES[categoryTypes[selectedCategory]];
+        if (!template) return;
+
+        updateItems(list => [...list, template()]);
+        setSelectedIndex(items.length);
+    }
+
+    function handleMoveItem(index, offset) {
+        updateItems(list => moveEntry(list, index, offset));
+
+        // Keep the selection on the same item
+        if (selectedIndex === index) {
+            setSelectedIndex(index + offset);
+        } else if (selectedIndex === index + offset) {
+            setSelectedIndex(index);
+        }
+    }
+
+    function handleRemoveItem(index) {
+        if (!window.confirm(`Remove ${itemLabel(items[index])}?`)) return;
+
+        updateItems(list => list.filter((_, i) => i !== index));
+        setSelectedIndex(null);
+    }
+
+    function handleItemChange(item) {
+        updateItems(list => list.map((entry, i) => i === selectedIndex ? item : entry));
+    }
+
+    async function handlePreview() {
+        try {
+            const result = await post(`/api/admin/config/stores/${faction}/preview`, { store });
+            setPreview(result);
+        } catch (err) {
+            console.error('Failed to preview store:', err);
+        }
+    }
+
+    async function handlePublish() {
+        if (!window.confirm(`Publish the ${FACTION_LABELS[faction]} store to all connected servers?`)) return;
+
+        try {
+            const result = await put(`/api/admin/config/stores/${faction}`, { store, note: note || undefined });
+            setNotice(`${FACTION_LABELS[faction]} store saved as version ${result.version} and sent to ${result.pushedTo.length} server(s).`);
+            setNote('');
+            await fetchStore();
+        } catch (err) {
+            console.error('Failed to publish store:', err);
+        }
+    }
+
+    return (
+        <div className="store-editor-page">
+            <header className="page-header">
+                <h2>Store Editor</h2>
+                <button onClick={fetchStore} className="refresh-btn" disabled={loading}>
+                    {loading ? 'Loading...' : 'Discard Changes'}
+                </button>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+            {notice && (
+                <div className="store-notice" onClick={() => setNotice(null)}>{notice}</div>
+            )}
+
+            <div className="store-toolbar">
+                <div className="faction-tabs">
+                    {FACTIONS.map(name => (
+                        <button
+                            key={name}
+                            className={`faction-tab${name === faction ? ' active' : ''}`}
+                            onClick={() => setFaction(name)}
+                        >
+                            {FACTION_LABELS[name]}
+                        </button>
+                    ))}
+                </div>
+                <span className="store-hint">{version ? `Editing version ${version}` : 'Not saved yet'}</span>
+            </div>
+
+            <div className="store-layout">
+                <section className="store-panel">
+                    <div className="store-subheader">
+                        <h3>Categories</h3>
+                        <select value="" onChange={e => handleAddCategory(e.target.value)} disabled={unusedCategories.length === 0}>
+                            <option value="">Add...</option>
+                            {unusedCategories.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <ul className="store-list">
+                        {categoryNames.map((name, index) => (
+                            <li key={name} className={name === selectedCategory ? 'selected' : ''}>
+                                <button className="store-list-label" onClick={() => selectCategory(name)}>
+                                    {name} <span className="store-count">{store.categories[name].length}</span>
+                                </button>
+                                <div className="store-row-actions">
+                                    <button className="action-btn" onClick={() => handleMoveCategory(name, -1)} disabled={index === 0}>Up</button>
+                                    <button className="action-btn" onClick={() => handleMoveCategory(name, 1)} disabled={index === categoryNames.length - 1}>Down</button>
+                                    <button className="action-btn" onClick={() => handleRemoveCategory(name)}>Remove</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section className="store-panel">
+                    <div className="store-subheader">
+                        <h3>{selectedCategory || 'Items'}</h3>
+                        <button className="action-btn" onClick={handleAddItem} disabled={!selectedCategory}>Add Item</button>
+                    </div>
+                    <ul className="store-list">
+                        {items.map((item, index) => (
+                            <li key={index} className={index === selectedIndex ? 'selected' : ''}>
+                                <button className="store-list-label" onClick={() => setSelectedIndex(index)}>
+                                    {itemLabel(item)}
+                                </button>
+                                <div className="store-row-actions">
+                                    <button className="action-btn" onClick={() => handleMoveItem(index, -1)} disabled={index === 0}>Up</button>
+                                    <button className="action-btn" onClick={() => handleMoveItem(index, 1)} disabled={index === items.length - 1}>Down</button>
+                                    <button className="action-btn" onClick={() => handleRemoveItem(index)}>Remove</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section className="store-panel store-item-panel">
+                    {selectedItem ? (
+                        <>
+                            <h3>{itemLabel(selectedItem)}</h3>
+                            <ItemEditor
+                                key={`${faction}-${selectedCategory}-${selectedIndex}`}
+                                type={categoryTypes[selectedCategory]}
+                                item={selectedItem}
+                                onChange={handleItemChange}
+                            />
+                        </>
+                    ) : (
+                        <p className="store-hint">Select an item to edit it.</p>
+                    )}
+                </section>
+            </div>
+
+            <section className="store-panel store-publish">
+                <div className="store-subheader">
+                    <h3>Publish</h3>
+                    <div className="store-row-actions">
+                        <input
+                            type="text"
+                            placeholder="Note (optional)"
+                            value={note}
+                            onChange={e => setNote(e.target.value)}
+                        />
+                        <button className="action-btn" onClick={handlePreview} disabled={loading}>Preview Changes</button>
+                        <button
+                            className="refresh-btn"
+                            onClick={handlePublish}
+                            disabled={loading || !preview?.valid || !preview?.changed}
+                        >
+                            Publish
+                        </button>
+                    </div>
+                </div>
+
+                {!preview && <p className="store-hint">Preview the changes to validate them before publishing.</p>}
+                {preview && !preview.valid && (
+                    <ul className="store-errors">
+                        {preview.errors.map(message => <li key={message}>{message}</li>)}
+                    </ul>
+                )}
+                {preview?.valid && <StoreDiff preview={preview} />}
+            </section>
+        </div>
+    );
+}
+
+export default StoreEditor;
@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useSocket } from '../context/SocketContext';
+import './SyncReviews.css';
+
+const STATUS_FILTERS = [
+    { value: 'pending', label: 'Pending' },
+    { value: 'reviewed', label: 'Reviewed' },
+    { value: 'all', label: 'All' }
+];
+
+const SUMMARY_FIELDS = [
+    { key: 'currencyBalance', label: 'Currency' },
+    { key: 'xp', label: 'XP' },
+    { key: 'prestige', label: 'Prestige' }
+];
+
+function matchesFilter(entry, status) {
+    if (status === 'pending') return !entry.review_status;
+    if (status === 'reviewed') return !!entry.review_status;
+    return true;
+}
+
+function formatDelta(before, after) {
+    const delta = (after ?? 0) - (before ?? 0);
+    return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+function SyncReviews() {
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [status, setStatus] = useState('pending');
+    const [notice, setNotice] = useState(null);
+    const { get, post, put, loading, error } = useApi();
+    const { socket, connected } = useSocket();
+
+    const fetchEntries = useCallback(async () => {
+        try {
+            const data = await get(`/api/admin/syncs/flagged?status=${status}`);
+            setEntries(data.entries || []);
+            setTotal(data.total || 0);
+        } catch (err) {
+            console.error('Failed to fetch flagged syncs:', err);
+        }
+    }, [get, status]);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [fetchEntries]);
+
+    // New flags and other moderators' reviews arrive live
+    useEffect(() => {
+        if (!socket || !connected) return;
+
+        function onFlagged(entry) {
+            if (!matchesFilter(entry, status)) return;
+            setEntries(prev => [entry, ...prev]);
+            setTotal(prev => prev + 1);
+        }
+
+        function onReviewed() {
+            fetchEntries();
+        }
+
+        socket.emit('subscribe', 'syncs');
+        socket.on('sync:flagged', onFlagged);
+        socket.on('sync:reviewed', onReviewed);
+
+        return () => {
+            socket.emit('unsubscribe', 'syncs');
+            socket.off('sync:flagged', onFlagged);
+            socket.off('sync:reviewed', onReviewed);
+        };
+    }, [socket, connected, status, fetchEntries]);
+
+    function applyUpdate(entry) {
+        if (matchesFilter(entry, status)) {
+            setEntries(prev => prev.map(e => e.id === entry.id ? entry : e));
+        } else {
+            setEntries(prev => prev.filter(e => e.id !== entry.id));
+            setTotal(prev => Math.max(prev - 1, 0));
+        }
+    }
+
+    async function handleApprove(entry) {
+        const note = window.prompt('Approve this sync and keep its data. Note (optional):');
+        if (note === null) return;
+
+        try {
+            const result = await post(`/api/admin/syncs/flagged/${entry.id}/approve`, { note });
+            applyUpdate(result.entry);
+        } catch (err) {
+            console.error('Failed to approve sync:', err);
+        }
+    }
+
+    async function handleRevert(entry) {
+        const note = window.prompt(
+            `Take back what this sync gave ${entry.player_steam_id} (currency, XP, prestige and leaderboard gains)? ` +
+            'Progress from later syncs is kept. Note (optional):'
+        );
+        if (note === null) return;
+
+        try {
+            const result = await post(`/api/admin/syncs/flagged/${entry.id}/revert`, { note });
+            applyUpdate(result.entry);
+            setNotice(result.pushed
+                ? `Reverted ${entry.player_steam_id} and pushed the data to their server (seq ${result.syncSeq}).`
+                : `Reverted ${entry.player_steam_id} (seq ${result.syncSeq}). They are offline, so the data loads on their next connect.`);
+        } catch (err) {
+            console.error('Failed to revert sync:', err);
+        }
+    }
+
+    async function handleNote(entry) {
+        const note = window.prompt('Reviewer note:', entry.review_note || '');
+        if (note === null) return;
+
+        try {
+            const result = await put(`/api/admin/syncs/flagged/${entry.id}/note`, { note });
+            applyUpdate(result.entry);
+        } catch (err) {
+            console.error('Failed to update note:', err);
+        }
+    }
+
+    return (
+        <div className="reviews-page">
+            <header className="page-header">
+                <h2>Sync Reviews</h2>
+                <div className="reviews-controls">
+                    <div className="status-filter">
+                        {STATUS_FILTERS.map(filter => (
+                            <button
+                                key={filter.value}
+                                className={`filter-btn ${status === filter.value ? 'active' : ''}`}
+                                onClick={() => setStatus(filter.value)}
+                            >
+                                {filter.label}
+                            </button>
+                        ))}
+                    </div>
+                    <button onClick={fetchEntries} className="refresh-btn" disabled={loading}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
+            </header>
+
+            {error && <div className="error">{error}</div>}
+            {notice && (
+                <div className="review-notice" onClick={() => setNotice(null)}>{notice}</div>
+            )}
+
+            <div className="reviews-table-container">
+                <table className="reviews-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Player</th>
+                            <th>Server</th>
+                            <th>Change</th>
+                            <th>Reason</th>
+                            <th>Review</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length === 0 ? (
+                            <tr>
+                                <td colSpan="7" className="empty-state">
+                                    {status === 'pending' ? 'No flagged syncs waiting for review' : 'No flagged syncs'}
+                                </td>
+                            </tr>
+                        ) : (
+                            entries.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                                    <td>
+                                        <div className="mono">{entry.player_steam_id}</div>
+                                        <div className="sync-meta">{entry.sync_type} · seq {entry.sync_seq_before ?? '-'} → {entry.sync_seq_after ?? '-'}</div>
+                                    </td>
+                                    <td className="mono">{entry.server_id}</td>
+                                    <td>
+                                        <ul className="delta-list">
+                                            {SUMMARY_FIELDS.map(field => (
+                                                <li key={field.key}>
+                                                    <span>{field.label}</span>
+                                                    <span className="mono">
+                                                        {entry.data_before?.[field.key] ?? '-'} → {entry.data_after?.[field.key] ?? '-'}
+                                                        {entry.data_before && entry.data_after && (
+                                                            <span className="delta"> ({formatDelta(entry.data_before[field.key], entry.data_after[field.key])})</span>
+                                                        )}
+                                                    </span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                    <td className="flag-reason">
+                                        {entry.rejected && (
+                                            <span className="status-badge rejected">{entry.quarantined ? 'quarantined' : 'not applied'}</span>
+                                        )}
+                                        {entry.flag_reason}
+                                    </td>
+                                    <td>
+                                        {entry.review_status ? (
+                                            <>
+                                                <span className={`status-badge ${entry.review_status}`}>{entry.review_status}</span>
+                                                <div className="sync-meta">by {entry.reviewed_by_name || entry.reviewed_by}</div>
+                                            </>
+                                        ) : (
+                                            <span className="status-badge pending">pending</span>
+                                        )}
+                                        {entry.review_note && <div className="review-note">{entry.review_note}</div>}
+                                    </td>
+                                    <td>
+                                        <div className="review-actions">
+                                            {!entry.review_status && (
+                                                <>
+                                                    <button className="action-btn" onClick={() => handleApprove(entry)}>Approve</button>
+                                                    <button
+                                                        className="action-btn"
+                                                        onClick={() => handleRevert(entry)}
+                                                        disabled={!entry.data_before || entry.rejected}
+                                                    >
+                                                        Revert
+                                                    </button>
+                                                </>
+                                            )}
+                                            <button className="action-btn" onClick={() => handleNote(entry)}>Note</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="reviews-footer">
+                Showing {entries.length} of {total}
+            </div>
+        </div>
+    );
+}
+
+export default SyncReviews;
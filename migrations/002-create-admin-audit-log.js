@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Admin audit log
+ *
+ * Records every action taken through the admin API (who, what, on which target).
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('admin_audit_log', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        actor_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            comment: 'Discord user ID of the dashboard user'
+        },
+        actor_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        action: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            comment: 'Action key, e.g., "server.register"'
+        },
+        target_type: {
+            type: DataTypes.STRING(30),
+            allowNull: true
+        },
+        target_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        details: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('admin_audit_log', ['actor_id']);
+    await queryInterface.addIndex('admin_audit_log', ['action']);
+    await queryInterface.addIndex('admin_audit_log', ['target_type', 'target_id']);
+    await queryInterface.addIndex('admin_audit_log', ['created_at']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('admin_audit_log');
+}
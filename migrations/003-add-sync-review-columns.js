@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Flagged sync review
+ *
+ * Adds the moderator review state to sync_audit_log entries.
+ * review_status is NULL while a flagged entry is waiting in the queue.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.addColumn('sync_audit_log', 'review_status', {
+        type: DataTypes.ENUM('approved', 'reverted'),
+        allowNull: true
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'reviewed_by', {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Discord user ID of the reviewer'
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'reviewed_by_name', {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'reviewed_at', {
+        type: DataTypes.DATE,
+        allowNull: true
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'review_note', {
+        type: DataTypes.TEXT,
+        allowNull: true
+    });
+
+    await queryInterface.addIndex('sync_audit_log', ['flagged', 'review_status']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.removeIndex('sync_audit_log', ['flagged', 'review_status']);
+    await queryInterface.removeColumn('sync_audit_log', 'review_note');
+    await queryInterface.removeColumn('sync_audit_log', 'reviewed_at');
+    await queryInterface.removeColumn('sync_audit_log', 'reviewed_by_name');
+    await queryInterface.removeColumn('sync_audit_log', 'reviewed_by');
+    await queryInterface.removeColumn('sync_audit_log', 'review_status');
+}
@@ -0,0 +1,65 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Player snapshots
+ *
+ * Full v2 player documents kept for point-in-time restore.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('player_snapshots', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            references: {
+                model: 'players',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.ENUM('disconnect', 'daily', 'admin_edit', 'pre_restore', 'manual'),
+            allowNull: false
+        },
+        sync_seq: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            comment: 'Combined v2 document { player, tracking }'
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID for admin snapshots'
+        },
+        note: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('player_snapshots', ['player_id', 'created_at']);
+    await queryInterface.addIndex('player_snapshots', ['reason', 'created_at']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('player_snapshots');
+}
@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Steam account linking
+ *
+ * Adds the verification columns the DiscordLink model expects and the
+ * one-time codes issued by /link and redeemed from game chat.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.addColumn('discord_links', 'verified', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    });
+
+    await queryInterface.addColumn('discord_links', 'verified_at', {
+        type: DataTypes.DATE,
+        allowNull: true
+    });
+
+    await queryInterface.createTable('link_codes', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        code: {
+            type: DataTypes.STRING(12),
+            allowNull: false,
+            unique: true
+        },
+        discord_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        discord_username: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        used_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        used_by_steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: true
+        },
+        used_on_server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('link_codes', ['discord_id', 'created_at']);
+    await queryInterface.addIndex('link_codes', ['expires_at']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('link_codes');
+    await queryInterface.removeColumn('discord_links', 'verified_at');
+    await queryInterface.removeColumn('discord_links', 'verified');
+}
@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Stat history
+ *
+ * Per-player stat gains summed into time buckets (hour or day), recorded by
+ * the sync handlers. Drives period leaderboards and activity graphs while
+ * player_stats and the tracking tables keep the current totals.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('stat_history', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            references: {
+                model: 'players',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        bucket_start: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            comment: 'Start of the hour or day (UTC) the gains belong to'
+        },
+        stat: {
+            type: DataTypes.STRING(32),
+            allowNull: false
+        },
+        group_name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            defaultValue: '',
+            comment: 'Vehicle or weapon name for grouped stats, empty otherwise'
+        },
+        value: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    });
+
+    await queryInterface.addIndex('stat_history', ['player_id', 'stat', 'group_name', 'bucket_start'], { unique: true });
+    await queryInterface.addIndex('stat_history', ['stat', 'bucket_start']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('stat_history');
+}
@@ -0,0 +1,143 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Seasons
+ *
+ * A season runs from starts_at to ends_at. When it ends, final standings are
+ * archived into season_results and the configured player_stats fields reset.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('seasons', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        starts_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        ends_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('scheduled', 'active', 'ended'),
+            allowNull: false,
+            defaultValue: 'scheduled'
+        },
+        reset_fields: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            comment: 'Stat groups reset at season end, e.g. ["xp", "currency", "prestige", "perma_tokens"]'
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        results_count: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID'
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('seasons', ['status', 'starts_at']);
+
+    await queryInterface.createTable('season_results', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        season_id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            references: {
+                model: 'seasons',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: true,
+            references: {
+                model: 'players',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        player_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        rank: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        xp_total: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        prestige: {
+            type: DataTypes.TINYINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        currency_total: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        time_played: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        kills: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Kills during the season (from stat_history)'
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('season_results', ['season_id', 'rank']);
+    await queryInterface.addIndex('season_results', ['steam_id']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('season_results');
+    await queryInterface.dropTable('seasons');
+}
@@ -0,0 +1,258 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Server configuration (docs/ServerSettings-v2-format.md)
+ *
+ * settings.json is split into server_settings (one row) and settings_rewards,
+ * the faction store files into store_categories and store_items. Every change
+ * stores the full rebuilt document in config_revisions.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('server_settings', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        currency_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        xp_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        weapon_xp_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        settings: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            comment: 'Remaining settings.json sections (dailyRewards, zone, bounties, ...)'
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID'
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.createTable('settings_rewards', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        reward_key: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'Reward type, e.g. enemyKilled'
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        xp: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        currency: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        texture: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        display_reward: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('settings_rewards', ['reward_key'], { unique: true });
+
+    await queryInterface.createTable('store_categories', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        faction: {
+            type: DataTypes.ENUM('indfor', 'blufor', 'redfor'),
+            allowNull: false
+        },
+        name: {
+            type: DataTypes.STRING(32),
+            allowNull: false,
+            comment: 'v2 category key, e.g. primary, vehicles, communityTab'
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('store_categories', ['faction', 'name'], { unique: true });
+
+    await queryInterface.createTable('store_items', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        category_id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            references: {
+                model: 'store_categories',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        name: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            comment: 'group, name or item path, whichever the item type has'
+        },
+        single_cost: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        perma_cost: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: '-1 = cannot be permanently unlocked'
+        },
+        unlock_level: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        prestige: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            comment: 'Full v2 item object'
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('store_items', ['category_id', 'sort_order']);
+
+    await queryInterface.createTable('config_revisions', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        document: {
+            type: DataTypes.ENUM('settings', 'indfor', 'blufor', 'redfor'),
+            allowNull: false,
+            comment: 'settings.json or stores/{faction}.json'
+        },
+        version: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        hash: {
+            type: DataTypes.CHAR(64),
+            allowNull: false,
+            comment: 'SHA-256 of the document without lastUpdated'
+        },
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID'
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('config_revisions', ['document', 'version'], { unique: true });
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('config_revisions');
+    await queryInterface.dropTable('store_items');
+    await queryInterface.dropTable('store_categories');
+    await queryInterface.dropTable('settings_rewards');
+    await queryInterface.dropTable('server_settings');
+}
@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Per-server settings.json overrides
+ *
+ * Each game server can have one override document that is deep-merged over the
+ * global settings before the file is delivered to that server.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('server_config_overrides', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            comment: 'GameServer server_id'
+        },
+        overrides: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            comment: 'Partial settings.json, e.g. { "economy": { "xpMultiplier": 2 } }'
+        },
+        version: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 1
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID'
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('server_config_overrides', ['server_id'], { unique: true });
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('server_config_overrides');
+}
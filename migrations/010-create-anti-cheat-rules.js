@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Anti-cheat rules
+ *
+ * Rows tune the built-in rules (antiCheatService.DEFAULT_RULES) or add new
+ * ones, globally (server_id NULL) or for one game server. Columns left NULL
+ * inherit from the global row or the built-in rule.
+ *
+ * sync_audit_log.rejected marks syncs a rule refused to apply.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('anti_cheat_rules', {
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        rule_key: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'Built-in rule key or a new rule, e.g. currency_rate'
+        },
+        server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+            comment: 'GameServer server_id, NULL = all servers'
+        },
+        type: {
+            type: DataTypes.ENUM('delta', 'rate', 'state'),
+            allowNull: true
+        },
+        severity: {
+            type: DataTypes.ENUM('log', 'flag', 'reject', 'flag_server'),
+            allowNull: true
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        params: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Merged over the inherited params, e.g. { "maxPerMinute": 1500 }'
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            comment: 'Discord user ID'
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('anti_cheat_rules', ['rule_key', 'server_id'], { unique: true });
+
+    await queryInterface.addColumn('sync_audit_log', 'rejected', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Sync refused by an anti-cheat rule, its data was not applied'
+    });
+}
+
+export async function down(queryInterface) {
+    await queryInterface.removeColumn('sync_audit_log', 'rejected');
+    await queryInterface.dropTable('anti_cheat_rules');
+}
@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Server quarantine
+ *
+ * A quarantined server keeps its connection, but its saves are only stored
+ * in sync_audit_log for review and never applied to players.
+ * payload holds the full save (tracking included) of such entries.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.addColumn('game_servers', 'quarantined', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    });
+
+    await queryInterface.addColumn('game_servers', 'quarantined_at', {
+        type: DataTypes.DATE,
+        allowNull: true
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'quarantined', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Sent while the server was quarantined, not applied'
+    });
+
+    await queryInterface.addColumn('sync_audit_log', 'payload', {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Full v2 save of a quarantined sync'
+    });
+
+    // Flagged-sync rates per server over recent windows (watchdog)
+    await queryInterface.addIndex('sync_audit_log', ['created_at', 'server_id']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.removeIndex('sync_audit_log', ['created_at', 'server_id']);
+    await queryInterface.removeColumn('sync_audit_log', 'payload');
+    await queryInterface.removeColumn('sync_audit_log', 'quarantined');
+    await queryInterface.removeColumn('game_servers', 'quarantined_at');
+    await queryInterface.removeColumn('game_servers', 'quarantined');
+}
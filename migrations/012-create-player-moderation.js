@@ -0,0 +1,97 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Player moderation
+ *
+ * Moderation records against game players (not dashboard users):
+ * - freeze: the player plays normally but saves are not applied
+ * - wipe: progression was reset when the record was created
+ * - sync_ban: the player gets no stored data and nothing is saved
+ *
+ * freeze and sync_ban apply until expires_at (NULL = permanent) or until revoked.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.createTable('player_moderation', {
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            references: {
+                model: 'players',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        action: {
+            type: DataTypes.ENUM('freeze', 'wipe', 'sync_ban'),
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        evidence: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Evidence links (array of URLs)'
+        },
+        moderator_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            comment: 'Discord user ID of the moderator'
+        },
+        moderator_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'NULL = permanent (unused for wipes)'
+        },
+        snapshot_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: true,
+            comment: 'Snapshot taken before a wipe'
+        },
+        revoked_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        revoked_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        revoked_by_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    });
+
+    await queryInterface.addIndex('player_moderation', ['player_id', 'revoked_at']);
+    await queryInterface.addIndex('player_moderation', ['steam_id']);
+    await queryInterface.addIndex('player_moderation', ['action', 'created_at']);
+}
+
+export async function down(queryInterface) {
+    await queryInterface.dropTable('player_moderation');
+}
@@ -0,0 +1,21 @@
+import { DataTypes } from 'sequelize';
+
+/**
+ * Stat history gains per sync
+ *
+ * Keeps what an applied sync added to stat_history ({ bucketStart, deltas })
+ * on its sync_audit_log entry, so reverting a flagged sync can take its
+ * leaderboard gains back out of the bucket they were recorded in.
+ */
+
+export async function up(queryInterface) {
+    await queryInterface.addColumn('sync_audit_log', 'stat_deltas', {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Gains recorded into stat_history: { bucketStart, deltas: [{ stat, group, value }] }'
+    });
+}
+
+export async function down(queryInterface) {
+    await queryInterface.removeColumn('sync_audit_log', 'stat_deltas');
+}
@@ -0,0 +1,201 @@
+import { v2PlayerToDbParts, v2TrackingToDbParts } from '../src/services/gameDataTransformer.js';
+import { planSaveWrites, countPlanStatements } from '../src/services/playerSaveWriter.js';
+
+const USAGE = `Usage: node scripts/benchmark-sync-writes.js [options]
+
+Counts the SQL write statements one periodic sync runs, with the per-row writes
+the sync handlers used before (delete and re-insert loadout and perks, one
+upsert per perma unlock and tracking row) and with playerSaveWriter's diff.
+No database needed: both are counted for the same generated player.
+
+Options:
+  --players <n>   Online players per server (default 100)
+  --servers <n>   Game servers (default 4)`;
+
+const SESSION_START = new Date('2025-01-01T12:00:00Z');
+const LAST_SYNC = new Date('2025-01-01T12:30:00Z');
+
+function parseArgs(argv) {
+    const options = { players: 100, servers: 4 };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--players':
+                options.players = parseInt(argv[++i]) || options.players;
+                break;
+            case '--servers':
+                options.servers = parseInt(argv[++i]) || options.servers;
+                break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+function range(count, fn) {
+    return Array.from({ length: count }, (_, i) => fn(i));
+}
+
+/**
+ * A mid-session save of a long-time player
+ */
+function buildSave() {
+    return {
+        v: 2,
+        steamId: '76561198000000001',
+        eosId: '0002a1b2c3d4e5f6a7b8c9d0e1f2a3b4',
+        name: 'Benchmark',
+        syncSeq: 120,
+        stats: {
+            currencyTotal: 250000,
+            currencySpent: 180000,
+            xp: 42000,
+            xpTotal: 910000,
+            prestige: 3,
+            permaTokens: 2,
+            dailyClaims: 40,
+            gamesPlayed: 310,
+            timePlayed: 720000,
+            joinTime: '2024-03-01T18:00:00.000Z',
+            dailyClaimTime: '2025-01-01T10:00:00.000Z'
+        },
+        skins: { indfor: 'skin_a', blufor: 'skin_b', redfor: 'skin_c' },
+        supporterStatus: ['supporter'],
+        loadout: range(12, i => ({ slot: i + 1, family: 'Rifle', item: `/Game/Weapons/Item${i}`, count: 1 })),
+        perks: range(6, i => `perk_${i}`),
+        permaUnlocks: range(40, i => `weapon_${i}`),
+        tracking: {
+            kills: Object.fromEntries(range(25, i => [`7656119800000${1000 + i}`, 1 + (i % 4)])),
+            vehicleKills: Object.fromEntries(range(5, i => [`vehicle_${i}`, 1])),
+            purchases: Object.fromEntries(range(10, i => [`item_${i}`, 2])),
+            weaponXp: Object.fromEntries(range(8, i => [`weapon_${i}`, 1500 + i * 100])),
+            rewards: Object.fromEntries(range(4, i => [`reward_${i}`, 3]))
+        }
+    };
+}
+
+/**
+ * The player as findWithFullData loads it after the previous sync wrote `save`
+ */
+function loadStored(save) {
+    const parts = v2PlayerToDbParts(save);
+    const tracking = v2TrackingToDbParts(save.tracking);
+    let id = 1;
+    const rows = list => list.map(row => ({ id: id++, ...row, updatedAt: LAST_SYNC }));
+
+    return {
+        id: 1,
+        ...parts.player,
+        active_since: SESSION_START,
+        stats: { id: 1, ...parts.stats },
+        skins: { ...parts.skins },
+        supporterStatus: { id: 1, ...parts.supporterStatus },
+        loadout: rows(parts.loadout),
+        perks: rows(parts.perks),
+        permaUnlocks: rows(parts.permaUnlocks),
+        rewards: rows(tracking.rewards),
+        kills: rows(tracking.kills),
+        vehicleKills: rows(tracking.vehicleKills),
+        purchases: rows(tracking.purchases),
+        weaponXp: rows(tracking.weaponXp)
+    };
+}
+
+/**
+ * Statements of the per-row writes the sync handlers ran before playerSaveWriter
+ */
+function legacyStatements(save) {
+    const parts = v2PlayerToDbParts(save);
+    const tracking = save.tracking ? v2TrackingToDbParts(save.tracking) : null;
+
+    return 1 // players update
+        + (parts.stats ? 1 : 0) + (parts.skins ? 1 : 0) + (parts.supporterStatus ? 1 : 0)
+        + 1 + parts.loadout.length // loadout delete + inserts
+        + 1 + parts.perks.length // perks delete + inserts
+        + parts.permaUnlocks.length
+        + (tracking ? Object.values(tracking).reduce((sum, rows) => sum + rows.length, 0) : 0);
+}
+
+function diffStatements(stored, save) {
+    const plan = planSaveWrites(
+        stored,
+        v2PlayerToDbParts(save),
+        save.tracking ? v2TrackingToDbParts(save.tracking) : null,
+        stored.active_since
+    );
+    return countPlanStatements(plan);
+}
+
+/**
+ * Sync scenarios: the stored player and the next save
+ */
+function scenarios() {
+    const base = buildSave();
+    const next = (change) => {
+        const save = JSON.parse(JSON.stringify(base));
+        save.syncSeq++;
+        change(save);
+        return save;
+    };
+
+    return [
+        ['Idle (time played only)', next(save => {
+            save.stats.timePlayed += 60;
+        })],
+        ['Typical (stats, 2 kills, weapon xp)', next(save => {
+            save.stats.timePlayed += 60;
+            save.stats.xp += 300;
+            save.stats.xpTotal += 300;
+            save.stats.currencyTotal += 200;
+            save.tracking.kills['76561198000001000'] += 1;
+            save.tracking.kills['76561198000009999'] = 1;
+            save.tracking.weaponXp.weapon_0 += 300;
+        })],
+        ['Loadout and perk change', next(save => {
+            save.stats.timePlayed += 60;
+            save.loadout[0].item = '/Game/Weapons/NewRifle';
+            save.perks.push('perk_new');
+        })],
+        ['First sync of a session (tracking reset)', next(save => {
+            save.stats.timePlayed += 60;
+        }), { freshSession: true }]
+    ];
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const syncsPerMinute = options.players * options.servers;
+
+    console.log(`Statements per periodic sync (${options.servers} servers x ${options.players} players, one sync per minute each)\n`);
+    console.log(`${'Scenario'.padEnd(42)}${'Before'.padStart(8)}${'After'.padStart(8)}${'Before/min'.padStart(13)}${'After/min'.padStart(12)}`);
+
+    for (const [name, save, { freshSession = false } = {}] of scenarios()) {
+        const stored = loadStored(buildSave());
+        if (freshSession) {
+            // Tracking rows were written in the previous session
+            stored.active_since = new Date(LAST_SYNC.getTime() + 60000);
+        }
+
+        const before = legacyStatements(save);
+        const after = diffStatements(stored, save);
+
+        console.log(`${name.padEnd(42)}${String(before).padStart(8)}${String(after).padStart(8)}${String(before * syncsPerMinute).padStart(13)}${String(after * syncsPerMinute).padStart(12)}`);
+    }
+
+    console.log('\nReads (findWithFullData, lock) and stat history / audit writes are the same before and after and not counted.');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+import '../src/utils/environment.js';
+import fs from 'fs';
+import databaseManager from '../src/database/index.js';
+import { createServiceLogger } from '../src/utils/logger.js';
+import { validateSteamId } from '../src/services/dataValidator.js';
+import { exportPlayerFilesToFolder, exportPlayerFilesToZip } from '../src/services/playerFileService.js';
+
+const logger = createServiceLogger('PlayerFileExport');
+
+const USAGE = `Usage: node scripts/export-player-files.js <folder|file.zip> [options]
+
+Exports players as KOTH/players/{steamId}.json files (v2). Exports every player by default.
+
+Options:
+  --steam-ids <a,b,...>   Only these players
+  --steam-ids-file <file> Only the players listed in the file (one Steam ID per line)`;
+
+function parseSteamIds(values) {
+    return values.map(value => value.trim()).filter(Boolean).map(value => {
+        const validation = validateSteamId(value);
+        if (!validation.valid) {
+            throw new Error(`${value}: ${validation.error}`);
+        }
+        return validation.steamId;
+    });
+}
+
+function parseArgs(argv) {
+    const options = { target: null, steamIds: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--steam-ids':
+                options.steamIds = parseSteamIds(String(argv[++i] || '').split(','));
+                break;
+            case '--steam-ids-file':
+                options.steamIds = parseSteamIds(fs.readFileSync(argv[++i], 'utf8').split(/\r?\n/));
+                break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--') || options.target) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.target = arg;
+        }
+    }
+
+    if (!options.target) {
+        throw new Error(`Missing output folder or zip file\n\n${USAGE}`);
+    }
+
+    return options;
+}
+
+async function exportFiles() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        await databaseManager.initialize();
+        await databaseManager.connect();
+
+        let count;
+        if (options.target.endsWith('.zip')) {
+            const result = await exportPlayerFilesToZip(options.steamIds);
+            fs.writeFileSync(options.target, result.buffer);
+            count = result.count;
+        } else {
+            count = await exportPlayerFilesToFolder(options.target, options.steamIds);
+        }
+
+        logger.info(`Exported ${count} players to ${options.target}`);
+
+        await databaseManager.close();
+        process.exit(0);
+    } catch (error) {
+        logger.error('Player file export failed:', error.message);
+        process.exit(1);
+    }
+}
+
+exportFiles();
@@ -0,0 +1,112 @@
+import '../src/utils/environment.js';
+import fs from 'fs';
+import path from 'path';
+import databaseManager from '../src/database/index.js';
+import { createServiceLogger } from '../src/utils/logger.js';
+import { runLegacyImport } from '../src/services/legacyImportService.js';
+
+const logger = createServiceLogger('LegacyImport');
+
+const USAGE = `Usage: node scripts/import-legacy-players.js [options]
+
+Imports OfficialKothDB KOTH_PlayerData rows into the v2 schema.
+
+Options:
+  --dry-run             Convert and validate only, write nothing
+  --overwrite           Replace players that already exist (snapshot taken first)
+  --batch-size <n>      Rows per batch (default LEGACY_IMPORT_BATCH_SIZE)
+  --limit <n>           Stop after n rows
+  --checkpoint <file>   Checkpoint file (default logs/legacy-import.checkpoint.json)
+  --report <file>       Report file (default logs/legacy-import-report.json)
+  --reset               Ignore the checkpoint and start from the first row`;
+
+function parseArgs(argv) {
+    const options = {
+        dryRun: false,
+        overwrite: false,
+        batchSize: undefined,
+        limit: null,
+        checkpoint: 'logs/legacy-import.checkpoint.json',
+        report: null,
+        reset: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--dry-run': options.dryRun = true; break;
+            case '--overwrite': options.overwrite = true; break;
+            case '--reset': options.reset = true; break;
+            case '--batch-size': options.batchSize = parseInt(argv[++i], 10); break;
+            case '--limit': options.limit = parseInt(argv[++i], 10); break;
+            case '--checkpoint': options.checkpoint = argv[++i]; break;
+            case '--report': options.report = argv[++i]; break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (Number.isNaN(options.batchSize) || options.batchSize <= 0 || Number.isNaN(options.limit)) {
+        throw new Error('--batch-size and --limit must be positive numbers');
+    }
+
+    options.report = options.report || (options.dryRun ? 'logs/legacy-import-dry-run.json' : 'logs/legacy-import-report.json');
+
+    return options;
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+async function importLegacyPlayers() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        // Dry runs never resume or advance the checkpoint
+        let checkpoint = null;
+        if (!options.dryRun && !options.reset && fs.existsSync(options.checkpoint)) {
+            checkpoint = JSON.parse(fs.readFileSync(options.checkpoint, 'utf8'));
+            logger.info(`Resuming after legacy row ${checkpoint.lastId}`);
+        }
+
+        await databaseManager.initialize();
+        await databaseManager.connect();
+
+        const report = await runLegacyImport({
+            afterId: checkpoint?.lastId || 0,
+            batchSize: options.batchSize,
+            limit: options.limit,
+            dryRun: options.dryRun,
+            overwrite: options.overwrite,
+            report: checkpoint?.report || null,
+            onBatch: async (progress) => {
+                if (!options.dryRun) {
+                    writeJson(options.checkpoint, { lastId: progress.lastId, report: progress });
+                }
+            }
+        });
+
+        writeJson(options.report, report);
+
+        logger.info(`${options.dryRun ? 'Dry run' : 'Import'} finished at legacy row ${report.lastId}`);
+        logger.info(`  ${report.scanned} scanned, ${report.imported} imported, ${report.overwritten} overwritten, ${report.skipped} skipped, ${report.failed} failed`);
+        logger.info(`  ${report.warnings.length} players with conversion warnings`);
+        logger.info(`Report written to ${options.report}`);
+
+        await databaseManager.close();
+        process.exit(report.failed > 0 ? 2 : 0);
+    } catch (error) {
+        logger.error('Legacy import failed:', error.message);
+        logger.error(error.stack);
+        process.exit(1);
+    }
+}
+
+importLegacyPlayers();
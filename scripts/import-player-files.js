@@ -0,0 +1,81 @@
+import '../src/utils/environment.js';
+import fs from 'fs';
+import path from 'path';
+import databaseManager from '../src/database/index.js';
+import { createServiceLogger } from '../src/utils/logger.js';
+import { importPlayerFiles } from '../src/services/playerFileService.js';
+
+const logger = createServiceLogger('PlayerFileImport');
+
+const USAGE = `Usage: node scripts/import-player-files.js <folder|file.zip> [options]
+
+Imports KOTH/players/{steamId}.json files (v2) into the database.
+
+Options:
+  --dry-run         Validate and compare with the database, write nothing
+  --force           Also import files whose syncSeq is older than the database
+  --report <file>   Report file (default logs/player-file-import.json)`;
+
+function parseArgs(argv) {
+    const options = { source: null, dryRun: false, force: false, report: 'logs/player-file-import.json' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--dry-run': options.dryRun = true; break;
+            case '--force': options.force = true; break;
+            case '--report': options.report = argv[++i]; break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--') || options.source) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.source = arg;
+        }
+    }
+
+    if (!options.source) {
+        throw new Error(`Missing folder or zip file\n\n${USAGE}`);
+    }
+
+    return options;
+}
+
+async function importFiles() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        if (!fs.existsSync(options.source)) {
+            throw new Error(`Not found: ${options.source}`);
+        }
+
+        const source = fs.statSync(options.source).isDirectory()
+            ? { folder: options.source }
+            : { zipPath: options.source };
+
+        await databaseManager.initialize();
+        await databaseManager.connect();
+
+        const report = await importPlayerFiles(source, { dryRun: options.dryRun, force: options.force });
+
+        fs.mkdirSync(path.dirname(path.resolve(options.report)), { recursive: true });
+        fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+
+        logger.info(`${options.dryRun ? 'Dry run' : 'Import'} of ${report.total} files finished`);
+        logger.info(`  ${report.created} created, ${report.updated} updated, ${report.forced} forced, ${report.unchanged} unchanged`);
+        logger.info(`  ${report.conflict} conflicts (database newer), ${report.invalid} invalid, ${report.failed} failed`);
+        logger.info(`Report written to ${options.report}`);
+
+        await databaseManager.close();
+        process.exit(report.invalid + report.failed > 0 ? 2 : 0);
+    } catch (error) {
+        logger.error('Player file import failed:', error.message);
+        process.exit(1);
+    }
+}
+
+importFiles();
@@ -9,13 +9,13 @@ Trust In Blood (discord: trustinblood)
 Inspired by OfficialKothDB by Skillet (discord: steelskillet)
 The Unnamed (https://theunnamedcorp.com/)
 
-HTTP API version for KOTH Bot integration
+HTTP API version for KOTH Bot integration (v2)
 */
 
 import BasePlugin from './base-plugin.js';
 import path from 'path';
 import fs from 'fs';
-import { readFile, writeFile } from 'node:fs/promises';
+import { readFile, writeFile, readdir, unlink } from 'node:fs/promises';
 
 /**
  * Decode buffer with BOM detection (UTF-16LE, UTF-16BE, UTF-8)
@@ -51,7 +51,7 @@ async function readJsonSmart(filePath) {
 
 export default class HttpKothDB extends BasePlugin {
     static get description() {
-        return 'KOTH Database integration via HTTP API - syncs player data through KOTH Bot server';
+        return 'KOTH Database integration via HTTP API (v2) - syncs player data through KOTH Bot server';
     }
 
     static get defaultEnabled() {
@@ -65,9 +65,9 @@ export default class HttpKothDB extends BasePlugin {
                 description: 'KOTH Bot API base URL (e.g., http://localhost:3000)',
                 default: 'http://localhost:3000'
             },
-            apiKey: {
+            apiToken: {
                 required: true,
-                description: 'API key for X-API-Key header authentication',
+                description: 'Per-server API token for authenticating with KOTH Bot (get from KOTH Bot admin)',
                 default: ''
             },
             kothFolderPath: {
@@ -75,6 +75,11 @@ export default class HttpKothDB extends BasePlugin {
                 description: 'Folder path (relative to squadjs index.js) of the koth data folder',
                 default: './SquadGame/Saved/KOTH/'
             },
+            syncIntervalSeconds: {
+                required: false,
+                description: 'How often to sync player data to KOTH Bot (in seconds)',
+                default: 60
+            },
             serverSettingsSyncInterval: {
                 required: false,
                 description: 'Interval in milliseconds for ServerSettings sync (0 to disable)',
@@ -95,15 +100,15 @@ export default class HttpKothDB extends BasePlugin {
                 description: 'Base delay between retries in milliseconds (exponential backoff)',
                 default: 1000
             },
-            fallbackToCache: {
+            serverHopMaxRetries: {
                 required: false,
-                description: 'Use cached local JSON file if API is unavailable on player connect',
-                default: true
+                description: 'Max retries when player is active elsewhere',
+                default: 5
             },
-            defaultSaveVersion: {
+            deleteFileOnDisconnect: {
                 required: false,
-                description: 'Default save version for new players',
-                default: 'v1.5'
+                description: 'Delete player file after successful disconnect sync (recommended)',
+                default: true
             },
             dryRun: {
                 required: false,
@@ -117,6 +122,10 @@ export default class HttpKothDB extends BasePlugin {
         super(server, options, connectors);
 
         this.kothPath = null;
+        this.playersPath = null;
+        this.configPath = null;
+        this.activePlayers = new Map(); // steamId -> { syncSeq, lastSync }
+        this.syncInterval = null;
         this.serverSettingsInterval = null;
 
         this.onPlayerConnected = this.onPlayerConnected.bind(this);
@@ -124,9 +133,10 @@ export default class HttpKothDB extends BasePlugin {
     }
 
     async mount() {
-        this.verbose(1, 'HttpKothDB: Mounting plugin');
+        this.verbose(1, 'HttpKothDB: Mounting plugin (v2)');
         this.verbose(1, `HttpKothDB: API URL: ${this.options.apiUrl}`);
         this.verbose(1, `HttpKothDB: KOTH Folder: ${this.options.kothFolderPath}`);
+        this.verbose(1, `HttpKothDB: Sync Interval: ${this.options.syncIntervalSeconds}s`);
 
         if (this.options.dryRun) {
             this.verbose(1, '='.repeat(60));
@@ -135,19 +145,16 @@ export default class HttpKothDB extends BasePlugin {
             this.verbose(1, '='.repeat(60));
         }
 
-        // Resolve KOTH path
+        // Resolve KOTH paths (same layout as WsKothDB)
         this.kothPath = path.isAbsolute(this.options.kothFolderPath)
             ? this.options.kothFolderPath
             : path.resolve(process.cwd(), this.options.kothFolderPath);
+        this.playersPath = path.join(this.kothPath, 'players');
+        this.configPath = path.join(this.kothPath, 'config');
 
         this.verbose(1, `HttpKothDB: Resolved KOTH path: ${this.kothPath}`);
 
-        // Check if KOTH folder exists (game server should create this)
-        if (!fs.existsSync(this.kothPath)) {
-            this.verbose(1, `HttpKothDB: WARNING - KOTH directory does not exist at ${this.kothPath}`);
-            this.verbose(1, 'HttpKothDB: The game server should create this folder. Check your kothFolderPath config.');
-            this.verbose(1, 'HttpKothDB: Plugin will continue but file operations will fail until folder exists.');
-        }
+        await this.ensureDirectories();
 
         // Check API health
         try {
@@ -162,11 +169,17 @@ export default class HttpKothDB extends BasePlugin {
         this.server.on('PLAYER_CONNECTED', this.onPlayerConnected);
         this.server.on('PLAYER_DISCONNECTED', this.onPlayerDisconnected);
 
+        // Start periodic sync timer
+        this.startSyncTimer();
+
         // Start ServerSettings sync interval if enabled
         if (this.options.serverSettingsSyncInterval > 0) {
             this.startServerSettingsSync();
         }
 
+        // Perform crash recovery (process orphaned files)
+        await this.performCrashRecovery();
+
         this.verbose(1, 'HttpKothDB: Plugin mounted successfully');
     }
 
@@ -176,12 +189,19 @@ export default class HttpKothDB extends BasePlugin {
         this.server.removeEventListener('PLAYER_CONNECTED', this.onPlayerConnected);
         this.server.removeEventListener('PLAYER_DISCONNECTED', this.onPlayerDisconnected);
 
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+            this.syncInterval = null;
+        }
+
         if (this.serverSettingsInterval) {
             clearInterval(this.serverSettingsInterval);
             this.serverSettingsInterval = null;
             this.verbose(1, 'HttpKothDB: Stopped ServerSettings sync');
         }
 
+        this.activePlayers.clear();
+
         this.verbose(1, 'HttpKothDB: Plugin unmounted');
     }
 
@@ -190,43 +210,53 @@ export default class HttpKothDB extends BasePlugin {
     async onPlayerConnected(info) {
         const steamId = info.player.steamID;
         const eosId = info.player.eosID || '';
+        const name = info.player.name || '';
 
-        this.verbose(1, `HttpKothDB: Player connected: ${steamId}`);
+        this.verbose(1, `HttpKothDB: Player connected: ${steamId} (${name})`);
 
         try {
-            // Fetch player data from API
-            const playerData = await this.fetchPlayerData(steamId);
+            const result = await this.connectPlayer(steamId, eosId, name);
+
+            // Write combined file with empty tracking (game will populate during session)
+            await this.writePlayerJson(steamId, {
+                ...result.player,
+                tracking: {
+                    kills: {},
+                    vehicleKills: {},
+                    purchases: {},
+                    weaponXp: {},
+                    rewards: {}
+                }
+            });
+
+            this.activePlayers.set(steamId, {
+                syncSeq: result.syncSeq || 0,
+                lastSync: Date.now()
+            });
+            this.verbose(1, `HttpKothDB: Loaded player data for ${steamId} (seq: ${result.syncSeq})`);
 
-            if (playerData) {
-                // Write JSON file for game server
-                await this.writePlayerJson(steamId, playerData);
-                this.verbose(1, `HttpKothDB: Loaded player data for ${steamId}`);
-            } else {
-                // New player - create default save
-                this.verbose(1, `HttpKothDB: Player ${steamId} not found in database, creating default save`);
-                const defaultSave = this.createDefaultSave(steamId, eosId);
-                await this.writePlayerJson(steamId, defaultSave);
-            }
         } catch (error) {
             this.verbose(1, `HttpKothDB: Error loading player ${steamId}: ${error.message}`);
 
-            // Fallback: try to use cached JSON if available
-            if (this.options.fallbackToCache) {
-                try {
-                    const cached = await this.readPlayerJson(steamId);
-                    if (cached) {
-                        this.verbose(1, `HttpKothDB: Using cached data for ${steamId}`);
-                        return;
-                    }
-                } catch (cacheError) {
-                    this.verbose(2, `HttpKothDB: No cached data available for ${steamId}`);
-                }
+            // Fallback: try to use cached v2 JSON if available
+            const cached = await this.readPlayerJson(steamId);
+            if (cached && cached.v === 2) {
+                this.verbose(1, `HttpKothDB: Using cached v2 data for ${steamId} (KOTH Bot unavailable)`);
+                this.activePlayers.set(steamId, {
+                    syncSeq: cached.syncSeq || 0,
+                    lastSync: Date.now()
+                });
+                return;
             }
 
             // Last resort: create default save
-            this.verbose(1, `HttpKothDB: Creating default save for ${steamId} due to API failure`);
-            const defaultSave = this.createDefaultSave(steamId, eosId);
-            await this.writePlayerJson(steamId, defaultSave);
+            this.verbose(1, `HttpKothDB: Creating default v2 save for ${steamId} due to API failure`);
+            await this.writePlayerJson(steamId, this.createDefaultV2Save(steamId, eosId, name));
+
+            this.activePlayers.set(steamId, {
+                syncSeq: 0,
+                lastSync: Date.now()
+            });
         }
     }
 
@@ -235,8 +265,11 @@ export default class HttpKothDB extends BasePlugin {
 
         this.verbose(1, `HttpKothDB: Player disconnected: ${steamId}`);
 
+        const playerInfo = this.activePlayers.get(steamId);
+        this.activePlayers.delete(steamId);
+
         try {
-            // Read JSON file from game server
+            // Read combined JSON file (player + embedded tracking)
             const playerData = await this.readPlayerJson(steamId);
 
             if (!playerData) {
@@ -244,12 +277,114 @@ export default class HttpKothDB extends BasePlugin {
                 return;
             }
 
-            // Send to API for storage
-            await this.syncPlayerToApi(playerData);
-            this.verbose(1, `HttpKothDB: Synced player data for ${steamId} to API`);
+            // Increment syncSeq for final sync
+            playerData.syncSeq = ((playerInfo?.syncSeq) || (playerData.syncSeq) || 0) + 1;
+            await this.writePlayerJson(steamId, playerData);
+
+            const result = await this.apiPost('/api/sync/disconnect', playerData);
+            this.verbose(1, `HttpKothDB: Synced disconnect for ${steamId} (seq: ${result.syncSeq})${result.flagged ? ' [FLAGGED]' : ''}`);
+
+            if (this.options.deleteFileOnDisconnect) {
+                await this.deletePlayerJson(steamId);
+            }
+        } catch (error) {
+            this.verbose(1, `HttpKothDB: Error syncing disconnect for ${steamId}: ${error.message}`);
+            // Keep file on error for crash recovery
+        }
+    }
+
+    // ==================== Periodic Sync ====================
+
+    startSyncTimer() {
+        const intervalMs = this.options.syncIntervalSeconds * 1000;
+
+        this.syncInterval = setInterval(async () => {
+            await this.performPeriodicSync();
+        }, intervalMs);
+
+        this.verbose(1, `HttpKothDB: Started periodic sync timer (${this.options.syncIntervalSeconds}s)`);
+    }
+
+    async performPeriodicSync() {
+        const activeSteamIds = Array.from(this.activePlayers.keys());
+        if (activeSteamIds.length === 0) {
+            return;
+        }
+
+        this.verbose(2, `HttpKothDB: Performing periodic sync for ${activeSteamIds.length} players`);
+
+        for (const steamId of activeSteamIds) {
+            try {
+                const playerData = await this.readPlayerJson(steamId);
+                if (!playerData) {
+                    this.verbose(2, `HttpKothDB: No file found for ${steamId}, skipping sync`);
+                    continue;
+                }
+
+                const playerInfo = this.activePlayers.get(steamId);
+                if (!playerInfo) continue;
+
+                playerData.syncSeq = (playerInfo.syncSeq || 0) + 1;
+                await this.writePlayerJson(steamId, playerData);
+
+                const result = await this.apiPost('/api/sync/periodic', playerData);
+                playerInfo.syncSeq = result.syncSeq;
+                playerInfo.lastSync = Date.now();
+
+                this.verbose(2, `HttpKothDB: Periodic sync for ${steamId} (seq: ${result.syncSeq})${result.flagged ? ' [FLAGGED]' : ''}`);
+
+            } catch (error) {
+                this.verbose(1, `HttpKothDB: Periodic sync error for ${steamId}: ${error.message}`);
+            }
+        }
+    }
+
+    // ==================== Crash Recovery ====================
+
+    async performCrashRecovery() {
+        if (!fs.existsSync(this.playersPath)) {
+            return;
+        }
+
+        this.verbose(1, 'HttpKothDB: Checking for orphaned player files (crash recovery)');
+
+        try {
+            const files = await readdir(this.playersPath);
+            const playerFiles = files.filter(f => /^\d{17}\.json$/.test(f));
+
+            if (playerFiles.length === 0) {
+                this.verbose(1, 'HttpKothDB: No orphaned files found');
+                return;
+            }
+
+            const players = [];
+
+            for (const file of playerFiles) {
+                const playerData = await this.readPlayerJson(file.replace('.json', ''));
+                if (playerData && playerData.v === 2) {
+                    players.push(playerData);
+                } else {
+                    this.verbose(1, `HttpKothDB: Skipping non-v2 file: ${file}`);
+                }
+            }
+
+            if (players.length === 0) {
+                return;
+            }
+
+            const result = await this.apiPost('/api/sync/crash-recovery', { players });
+            this.verbose(1, `HttpKothDB: Crash recovery complete: ${result.successful}/${result.total} succeeded, ${result.failed} failed`);
+
+            for (const entry of result.results) {
+                if (entry.success) {
+                    await this.deletePlayerJson(entry.steamId);
+                } else {
+                    this.verbose(1, `HttpKothDB: Recovery error for ${entry.steamId}: ${entry.error}`);
+                }
+            }
+
         } catch (error) {
-            this.verbose(1, `HttpKothDB: Error syncing player ${steamId}: ${error.message}`);
-            // Data remains in local JSON file, will be synced on next disconnect or can be manually recovered
+            this.verbose(1, `HttpKothDB: Crash recovery error: ${error.message}`);
         }
     }
 
@@ -261,27 +396,26 @@ export default class HttpKothDB extends BasePlugin {
         return response;
     }
 
-    async fetchPlayerData(steamId) {
-        const url = `${this.options.apiUrl}/api/sync/player/${steamId}?format=game`;
+    /**
+     * Claim the player session, waiting while another server still holds it
+     */
+    async connectPlayer(steamId, eosId, name) {
+        for (let attempt = 0; attempt <= this.options.serverHopMaxRetries; attempt++) {
+            const result = await this.apiPost('/api/sync/connect', { steamId, eosId, name });
 
-        try {
-            const response = await this.httpRequestWithRetry('GET', url);
-            return response;
-        } catch (error) {
-            // 404 means player not found - not an error, just new player
-            if (error.status === 404) {
-                return null;
+            if (result.status !== 'player_active_elsewhere') {
+                return result;
             }
-            throw error;
+
+            this.verbose(1, `HttpKothDB: Player ${steamId} active on ${result.activeServer}, waiting...`);
+            await this.sleep(result.retryAfterMs);
         }
-    }
 
-    async syncPlayerToApi(playerData) {
-        const url = `${this.options.apiUrl}/api/sync/player`;
+        throw new Error(`Player ${steamId} still active elsewhere after ${this.options.serverHopMaxRetries} retries`);
+    }
 
-        return await this.httpRequestWithRetry('POST', url, playerData, {
-            'X-Data-Format': 'game'
-        });
+    async apiPost(route, body) {
+        return await this.httpRequestWithRetry('POST', `${this.options.apiUrl}${route}`, body);
     }
 
     async fetchServerSettings() {
@@ -334,7 +468,7 @@ export default class HttpKothDB extends BasePlugin {
 
         try {
             const headers = {
-                'X-API-Key': this.options.apiKey,
+                'Authorization': `Bearer ${this.options.apiToken}`,
                 'Content-Type': 'application/json',
                 ...extraHeaders
             };
@@ -352,17 +486,17 @@ export default class HttpKothDB extends BasePlugin {
             const response = await fetch(url, fetchOptions);
 
             if (!response.ok) {
-                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                error.status = response.status;
-
                 // Try to get error details from response body
+                let errorBody = null;
                 try {
-                    const errorBody = await response.json();
-                    error.details = errorBody;
+                    errorBody = await response.json();
                 } catch {
                     // Ignore JSON parse errors
                 }
 
+                const error = new Error(`HTTP ${response.status}: ${errorBody?.error || response.statusText}`);
+                error.status = response.status;
+                error.details = errorBody;
                 throw error;
             }
 
@@ -383,8 +517,23 @@ export default class HttpKothDB extends BasePlugin {
 
     // ==================== File Operations ====================
 
+    async ensureDirectories() {
+        const dirs = [this.kothPath, this.playersPath, this.configPath];
+
+        for (const dir of dirs) {
+            if (!fs.existsSync(dir)) {
+                if (this.options.dryRun) {
+                    this.verbose(1, `HttpKothDB: [DRY RUN] Would create directory: ${dir}`);
+                } else {
+                    fs.mkdirSync(dir, { recursive: true });
+                    this.verbose(1, `HttpKothDB: Created directory: ${dir}`);
+                }
+            }
+        }
+    }
+
     getPlayerFilePath(steamId) {
-        return path.join(this.kothPath, `${steamId}.json`);
+        return path.join(this.playersPath, `${steamId}.json`);
     }
 
     async writePlayerJson(steamId, data) {
@@ -392,7 +541,7 @@ export default class HttpKothDB extends BasePlugin {
 
         if (this.options.dryRun) {
             this.verbose(1, `HttpKothDB: [DRY RUN] Would write player file: ${filePath}`);
-            this.verbose(2, `HttpKothDB: [DRY RUN] Data preview: currency=${data['save data']?.['$']}, xp=${data['save data']?.['xp']}`);
+            this.verbose(2, `HttpKothDB: [DRY RUN] Data: v=${data.v}, syncSeq=${data.syncSeq}, currencyTotal=${data.stats?.currencyTotal}`);
             return;
         }
 
@@ -417,6 +566,24 @@ export default class HttpKothDB extends BasePlugin {
         }
     }
 
+    async deletePlayerJson(steamId) {
+        const filePath = this.getPlayerFilePath(steamId);
+
+        if (this.options.dryRun) {
+            this.verbose(1, `HttpKothDB: [DRY RUN] Would delete player file: ${filePath}`);
+            return;
+        }
+
+        try {
+            if (fs.existsSync(filePath)) {
+                await unlink(filePath);
+                this.verbose(2, `HttpKothDB: Deleted player file: ${filePath}`);
+            }
+        } catch (error) {
+            this.verbose(1, `HttpKothDB: Error deleting player file ${filePath}: ${error.message}`);
+        }
+    }
+
     // ==================== ServerSettings Sync ====================
 
     startServerSettingsSync() {
@@ -437,10 +604,10 @@ export default class HttpKothDB extends BasePlugin {
             const settings = await this.fetchServerSettings();
 
             if (settings) {
-                const filePath = path.join(this.kothPath, 'ServerSettings.json');
+                const filePath = path.join(this.configPath, 'settings.json');
 
                 if (this.options.dryRun) {
-                    this.verbose(1, `HttpKothDB: [DRY RUN] Would write ServerSettings.json: ${filePath}`);
+                    this.verbose(1, `HttpKothDB: [DRY RUN] Would write settings.json: ${filePath}`);
                     return;
                 }
 
@@ -456,54 +623,49 @@ export default class HttpKothDB extends BasePlugin {
 
     // ==================== Utility Methods ====================
 
-    createDefaultSave(steamId, eosId) {
-        const now = new Date();
-        const [major, minor] = this.options.defaultSaveVersion.replace('v', '').split('.').map(Number);
-
+    createDefaultV2Save(steamId, eosId, name) {
+        // Combined file - player data + embedded tracking (empty)
+        // Note: 'currency' is derived (currencyTotal - currencySpent), not stored
         return {
-            'save version': {
-                'text': this.options.defaultSaveVersion,
-                'major': major || 1,
-                'minor': minor || 5
-            },
-            'player info': {
-                'steamid': steamId,
-                'eosid': eosId || '',
-                'supporter status': []
-            },
-            'update info': {
-                'year': now.getUTCFullYear(),
-                'month': now.getUTCMonth() + 1,
-                'day': now.getUTCDate(),
-                'hour': now.getUTCHours(),
-                'minute': now.getUTCMinutes(),
-                'second': now.getUTCSeconds(),
-                'millisecond': now.getUTCMilliseconds(),
-                'iso': now.toISOString()
+            v: 2,
+            steamId: steamId,
+            eosId: eosId || null,
+            name: name || null,
+            syncSeq: 0,
+
+            stats: {
+                currencyTotal: 0,
+                currencySpent: 0,
+                xp: 0,
+                xpTotal: 0,
+                prestige: 0,
+                permaTokens: 0,
+                dailyClaims: 0,
+                gamesPlayed: 0,
+                timePlayed: 0,
+                joinTime: new Date().toISOString(),
+                dailyClaimTime: null
             },
-            'save data': {
-                '$': 0,
-                'total $': 0,
-                'xp': 0,
-                'total xp': 0,
-                'indfor skin': '',
-                'blufor skin': '',
-                'redfor skin': '',
-                'loadout': [],
-                'perks': [],
-                'perma unlocks': [],
-                'rewards': {},
-                'player kills': {},
-                'vehicle kills': {},
-                'purchase history': {},
-                'weapon xp': {},
-                'prestige': 0,
-                'daily_claim_time': '',
-                'join_time': '',
-                'daily_claims': 0,
-                'perma_tokens': 0
+
+            skins: {
+                indfor: null,
+                blufor: null,
+                redfor: null
             },
-            'old save data': {}
+
+            loadout: [],
+            perks: [],
+            permaUnlocks: [],
+            supporterStatus: [],
+
+            // Tracking data (game populates during session)
+            tracking: {
+                kills: {},
+                vehicleKills: {},
+                purchases: {},
+                weaponXp: {},
+                rewards: {}
+            }
         };
     }
 
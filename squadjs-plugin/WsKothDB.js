@@ -16,19 +16,39 @@ Uses the existing socket.io package from SquadJS (no additional dependencies nee
 v2 Changes:
 - Uses v2 JSON format (flat camelCase keys, single combined file)
 - Single JSON file per player containing player data + embedded tracking
-- Periodic sync every 60 seconds (includes tracking for crash protection)
-- Crash recovery on mount (scans for orphaned player files)
+- Periodic sync every 60 seconds (includes tracking for crash protection),
+  all online players in one players:sync-batch message answered by one sync:batch-ack
+- Crash recovery on mount and on every reconnect (scans for orphaned player files,
+  sends them in chunks; files that fail stay for the next attempt)
 - File deletion after successful disconnect sync
 - Handles server-hop wait-and-retry
 - syncSeq tracking for conflict resolution
 - Connect returns player data only (game builds tracking fresh)
+- Connect status: frozen players keep playing but their saves are rejected,
+  sync banned players play on a fresh save that is never sent
+- Offline outbox: connect, sync and disconnect events are queued on disk while
+  KOTH Bot is unreachable and replayed in order once it reconnects
+- Lifecycle requests carry a request ID and are answered through Socket.IO acks;
+  unanswered requests are resent with the same ID (KOTH Bot answers repeats from cache)
 */
 
 import BasePlugin from './base-plugin.js';
 import { Server as SocketIOServer } from 'socket.io';
 import path from 'path';
 import fs from 'fs';
-import { readFile, writeFile, unlink, readdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { readFile, writeFile, unlink, readdir, rename } from 'node:fs/promises';
+
+// Most saves KOTH Bot accepts in one players:sync-batch or player:batch-crash-recovery message
+const MAX_SYNC_BATCH = 100;
+
+// Config documents pushed by KOTH Bot and their files under KOTH/config
+const CONFIG_FILES = {
+    settings: 'settings.json',
+    indfor: path.join('stores', 'indfor.json'),
+    blufor: path.join('stores', 'blufor.json'),
+    redfor: path.join('stores', 'redfor.json')
+};
 
 /**
  * Decode buffer with BOM detection (UTF-16LE, UTF-16BE, UTF-8)
@@ -108,6 +128,21 @@ export default class WsKothDB extends BasePlugin {
                 description: 'Timeout for waiting for KOTH Bot responses in milliseconds',
                 default: 10000
             },
+            requestRetries: {
+                required: false,
+                description: 'Times an unanswered request is resent with the same request ID',
+                default: 2
+            },
+            batchSync: {
+                required: false,
+                description: 'Send the periodic sync of all online players in one players:sync-batch message',
+                default: true
+            },
+            recoveryChunkSize: {
+                required: false,
+                description: 'Orphaned player files sent per crash recovery request (at most 100)',
+                default: 25
+            },
             serverHopRetryDelay: {
                 required: false,
                 description: 'Delay between retries when player is active elsewhere (ms)',
@@ -118,6 +153,11 @@ export default class WsKothDB extends BasePlugin {
                 description: 'Max retries when player is active elsewhere',
                 default: 5
             },
+            linkChatCommand: {
+                required: false,
+                description: 'Chat command players use to redeem a Discord /link code (e.g., "!link ABC123")',
+                default: '!link'
+            },
             deleteFileOnDisconnect: {
                 required: false,
                 description: 'Delete player file after successful disconnect sync (recommended)',
@@ -138,14 +178,20 @@ export default class WsKothDB extends BasePlugin {
         this.kothPath = null;
         this.playersPath = null;
         this.configPath = null;
+        this.storesPath = null;
         this.kothBotSocket = null;
         this.authenticated = false;
-        this.pendingRequests = new Map();
-        this.activePlayers = new Map(); // steamId -> { syncSeq, lastSync, syncTimer }
+        this.activePlayers = new Map(); // steamId -> { syncSeq, lastSync, syncTimer, moderation, noSession }
         this.syncInterval = null;
+        this.outboxPath = null;
+        this.outbox = []; // [{ type: 'connect' | 'sync' | 'disconnect', steamId, syncSeq, queuedAt, ... }]
+        this.replayingOutbox = false;
+        this.replayingEntry = null;
+        this.recoveringCrash = false;
 
         this.onPlayerConnected = this.onPlayerConnected.bind(this);
         this.onPlayerDisconnected = this.onPlayerDisconnected.bind(this);
+        this.onChatMessage = this.onChatMessage.bind(this);
     }
 
     async mount() {
@@ -170,9 +216,12 @@ export default class WsKothDB extends BasePlugin {
         // Subfolder structure:
         // KOTH/
         //   players/     - Player save files ({steamId}.json) - combined player + tracking data
-        //   config/      - Server config files (store.json, settings.json, etc.)
+        //   config/      - Server config files (settings.json, stores/{faction}.json)
+        //   outbox.json  - Events waiting for KOTH Bot (offline write-ahead queue)
         this.playersPath = path.join(this.kothPath, 'players');
+        this.outboxPath = path.join(this.kothPath, 'outbox.json');
         this.configPath = path.join(this.kothPath, 'config');
+        this.storesPath = path.join(this.configPath, 'stores');
 
         this.verbose(1, `WsKothDB: Resolved KOTH path: ${this.kothPath}`);
         this.verbose(1, `WsKothDB: Players path: ${this.playersPath}`);
@@ -181,12 +230,16 @@ export default class WsKothDB extends BasePlugin {
         // Ensure directories exist
         await this.ensureDirectories();
 
+        // Load events queued while KOTH Bot was unreachable (replayed on auth:success)
+        await this.loadOutbox();
+
         // Start WebSocket server
         await this.startWebSocketServer();
 
         // Register event listeners
         this.server.on('PLAYER_CONNECTED', this.onPlayerConnected);
         this.server.on('PLAYER_DISCONNECTED', this.onPlayerDisconnected);
+        this.server.on('CHAT_MESSAGE', this.onChatMessage);
 
         // Start periodic sync timer
         this.startSyncTimer();
@@ -202,6 +255,7 @@ export default class WsKothDB extends BasePlugin {
 
         this.server.removeEventListener('PLAYER_CONNECTED', this.onPlayerConnected);
         this.server.removeEventListener('PLAYER_DISCONNECTED', this.onPlayerDisconnected);
+        this.server.removeEventListener('CHAT_MESSAGE', this.onChatMessage);
 
         // Stop sync timer
         if (this.syncInterval) {
@@ -217,12 +271,6 @@ export default class WsKothDB extends BasePlugin {
         }
         this.activePlayers.clear();
 
-        // Clean up pending requests
-        for (const [steamId, pending] of this.pendingRequests) {
-            pending.reject(new Error('Plugin unmounting'));
-        }
-        this.pendingRequests.clear();
-
         // Close WebSocket server
         if (this.io) {
             await new Promise((resolve) => {
@@ -287,172 +335,123 @@ export default class WsKothDB extends BasePlugin {
         this.authenticated = true;
 
         // Send server info
-        socket.emit('server:info', {
-            serverId: this.options.serverId,
-            serverName: this.options.serverName || this.options.serverId,
-            playerCount: this.server.players?.length || 0
-        });
+        this.sendServerInfo();
 
         // ==================== Handle KOTH Bot Events ====================
 
-        socket.on('disconnect', (reason) => {
+        socket.on('disconnect', async (reason) => {
             this.verbose(1, `WsKothDB: KOTH Bot disconnected: ${reason}`);
             if (this.kothBotSocket === socket) {
                 this.kothBotSocket = null;
                 this.authenticated = false;
+
+                // KOTH Bot releases this server's sessions when it loses us, reclaim them on replay
+                await this.queueActiveSessions();
             }
         });
 
-        // Auth success confirmation from KOTH Bot
-        socket.on('auth:success', (data) => {
+        // Auth success confirmation from KOTH Bot, send what was queued while it was away,
+        // then recover files orphaned by a crash or by saves KOTH Bot did not answer
+        socket.on('auth:success', async (data) => {
             this.verbose(1, `WsKothDB: Auth confirmed by KOTH Bot: ${data.serverName}`);
+            await this.replayOutbox();
+            await this.performCrashRecovery();
         });
 
-        // Player data response (player only - no tracking from DB)
-        // Game builds tracking fresh during gameplay session
-        socket.on('player:data', async (data) => {
-            const { steamId, player: playerData, syncSeq } = data;
-            this.verbose(2, `WsKothDB: Received player data for ${steamId} (seq: ${syncSeq})`);
-
-            const pending = this.pendingRequests.get(steamId);
-            if (pending) {
-                this.pendingRequests.delete(steamId);
-                clearTimeout(pending.timeout);
-                pending.resolve({ playerData, syncSeq });
-            }
-
-            // Write combined file with empty tracking (game will populate during session)
-            if (playerData) {
-                // Add empty tracking section if not present
-                const combinedData = {
-                    ...playerData,
-                    tracking: playerData.tracking || {
-                        kills: {},
-                        vehicleKills: {},
-                        purchases: {},
-                        weaponXp: {},
-                        rewards: {}
-                    }
-                };
-                await this.writePlayerJson(steamId, combinedData);
-            }
-
-            this.activePlayers.set(steamId, {
-                syncSeq: syncSeq || 0,
-                lastSync: Date.now()
-            });
+        // Crash recovery chunk processed by KOTH Bot
+        socket.on('batch-recovery:progress', (data) => {
+            const { chunk, chunks, successful, failed } = data;
+            this.verbose(2, `WsKothDB: Crash recovery chunk ${chunk}/${chunks}: ${successful} recovered, ${failed} failed`);
         });
 
-        // Player wait (active elsewhere)
-        socket.on('player:wait', async (data) => {
-            const { steamId, activeServer, retryAfterMs, maxRetries } = data;
-            this.verbose(1, `WsKothDB: Player ${steamId} active on ${activeServer}, waiting...`);
-
-            const pending = this.pendingRequests.get(steamId);
-            if (pending) {
-                pending.retryCount = (pending.retryCount || 0) + 1;
-
-                if (pending.retryCount >= maxRetries) {
-                    this.pendingRequests.delete(steamId);
-                    clearTimeout(pending.timeout);
-                    pending.reject(new Error(`Player ${steamId} still active on ${activeServer} after ${maxRetries} retries`));
-                    return;
-                }
+        // Player data pushed after an admin change (review revert, snapshot restore, wipe)
+        // Connect answers come back through the player:connect acknowledgement
+        socket.on('player:data', async (data) => {
+            const { steamId, player: playerData, syncSeq, status, moderation } = data;
+            this.verbose(2, `WsKothDB: Received player data for ${steamId} (seq: ${syncSeq})${status && status !== 'ok' ? ` [${status}]` : ''}`);
 
-                // Retry after delay
-                setTimeout(() => {
-                    if (this.isConnected()) {
-                        this.kothBotSocket.emit('player:connect', {
-                            steamId,
-                            eosId: pending.eosId,
-                            name: pending.name
-                        });
-                    }
-                }, retryAfterMs);
-            }
+            await this.applyPlayerData(steamId, { playerData, syncSeq, status, moderation });
         });
 
-        // Player error
-        socket.on('player:error', (data) => {
-            const { steamId, error } = data;
-            this.verbose(1, `WsKothDB: Error for player ${steamId}: ${error}`);
+        // Freeze or sync ban created or revoked while the player is online
+        socket.on('player:moderation', async (data) => {
+            const { steamId, moderation } = data;
+            const playerInfo = this.activePlayers.get(steamId);
+            if (!playerInfo) return;
 
-            const pending = this.pendingRequests.get(steamId);
-            if (pending) {
-                this.pendingRequests.delete(steamId);
-                clearTimeout(pending.timeout);
-                pending.reject(new Error(error));
-            }
-        });
+            const status = moderation?.status || null;
+            if (playerInfo.moderation === status) return;
 
-        // Sync acknowledgment
-        socket.on('sync:ack', (data) => {
-            const { steamId, syncSeq, flagged } = data;
-            this.verbose(2, `WsKothDB: Sync ack for ${steamId} (seq: ${syncSeq})${flagged ? ' [FLAGGED]' : ''}`);
+            this.verbose(1, `WsKothDB: Moderation for ${steamId}: ${playerInfo.moderation || 'none'} -> ${status || 'none'}`);
 
-            const playerInfo = this.activePlayers.get(steamId);
-            if (playerInfo) {
-                playerInfo.syncSeq = syncSeq;
-                playerInfo.lastSync = Date.now();
+            if (!status && playerInfo.moderation === 'sync_banned') {
+                // The player is on a fresh save, their stored data loads on the next connect
+                await this.warnPlayer(steamId, 'Your KOTH sync ban was lifted. Reconnect to load your progress.');
+                return;
             }
-        });
 
-        // Sync error
-        socket.on('sync:error', (data) => {
-            const { steamId, error, errors } = data;
-            this.verbose(1, `WsKothDB: Sync error for ${steamId}: ${error}`);
-            if (errors) {
-                this.verbose(1, `WsKothDB: Validation errors: ${errors.join(', ')}`);
+            playerInfo.moderation = status;
+            if (status) {
+                await this.warnModeration(steamId, moderation);
+            } else {
+                await this.warnPlayer(steamId, 'Your KOTH progress is being saved again.');
             }
         });
 
-        // Disconnect acknowledgment
-        socket.on('disconnect:ack', async (data) => {
-            const { steamId, syncSeq } = data;
-            this.verbose(1, `WsKothDB: Disconnect ack for ${steamId} (seq: ${syncSeq})`);
+        // Discord link verification result, tell the player in game
+        socket.on('link:result', async (data) => {
+            const { steamId, success, message } = data;
+            this.verbose(1, `WsKothDB: Link ${success ? 'verified' : 'rejected'} for ${steamId}`);
+            await this.warnPlayer(steamId, message);
+        });
 
-            // Remove from active players
-            this.activePlayers.delete(steamId);
+        // Config revision pushed from the dashboard, write it and report the hash back
+        socket.on('config:update', async (data) => {
+            const { document, version, overrideVersion, hash, data: content } = data;
+            const filename = CONFIG_FILES[document];
 
-            // Delete player file (now contains tracking too) if configured
-            if (this.options.deleteFileOnDisconnect) {
-                await this.deletePlayerJson(steamId);
+            if (!filename) {
+                socket.emit('config:error', { document, version, error: `Unknown config document: ${document}` });
+                return;
             }
-        });
 
-        // Disconnect error
-        socket.on('disconnect:error', (data) => {
-            const { steamId, error } = data;
-            this.verbose(1, `WsKothDB: Disconnect error for ${steamId}: ${error}`);
-            // Keep file on error for crash recovery
+            try {
+                await this.writeConfigJson(filename, content);
+                this.verbose(1, `WsKothDB: Updated ${filename} to version ${version}`);
+                socket.emit('config:ack', { document, version, overrideVersion, hash });
+            } catch (error) {
+                this.verbose(1, `WsKothDB: Failed to write ${filename}: ${error.message}`);
+                socket.emit('config:error', { document, version, error: error.message });
+            }
         });
+    }
 
-        // Crash recovery acknowledgment
-        socket.on('recovery:ack', async (data) => {
-            const { steamId, syncSeq, skipped, flagged } = data;
-            this.verbose(1, `WsKothDB: Recovery ack for ${steamId}${skipped ? ' (skipped)' : ''}${flagged ? ' [FLAGGED]' : ''}`);
+    isConnected() {
+        return this.kothBotSocket !== null && this.kothBotSocket.connected && this.authenticated;
+    }
 
-            // Delete recovered file (combined format)
-            await this.deletePlayerJson(steamId);
-        });
+    /**
+     * Whether events have to go through the outbox
+     * Once anything is queued, newer events queue behind it so KOTH Bot sees them in order.
+     */
+    shouldQueue() {
+        return !this.isConnected() || this.outbox.length > 0;
+    }
 
-        // Crash recovery error
-        socket.on('recovery:error', (data) => {
-            const { steamId, error } = data;
-            this.verbose(1, `WsKothDB: Recovery error for ${steamId}: ${error}`);
-        });
+    /**
+     * Send server info (player count, outbox depth) so the dashboard shows live state
+     */
+    sendServerInfo() {
+        if (!this.kothBotSocket) return;
 
-        // Batch recovery complete
-        socket.on('batch-recovery:complete', (data) => {
-            const { total, successful, failed } = data;
-            this.verbose(1, `WsKothDB: Batch recovery complete: ${successful}/${total} succeeded, ${failed} failed`);
+        this.kothBotSocket.emit('server:info', {
+            serverId: this.options.serverId,
+            serverName: this.options.serverName || this.options.serverId,
+            playerCount: this.server.players?.length || 0,
+            queueDepth: this.outbox.length
         });
     }
 
-    isConnected() {
-        return this.kothBotSocket !== null && this.kothBotSocket.connected && this.authenticated;
-    }
-
     // ==================== Periodic Sync ====================
 
     startSyncTimer() {
@@ -466,20 +465,24 @@ export default class WsKothDB extends BasePlugin {
     }
 
     async performPeriodicSync() {
-        if (!this.isConnected()) {
-            this.verbose(2, 'WsKothDB: Skipping periodic sync - not connected');
-            return;
-        }
-
         const activeSteamIds = Array.from(this.activePlayers.keys());
         if (activeSteamIds.length === 0) {
             return;
         }
 
-        this.verbose(2, `WsKothDB: Performing periodic sync for ${activeSteamIds.length} players`);
+        const queue = this.shouldQueue();
+        this.verbose(2, `WsKothDB: Performing periodic sync for ${activeSteamIds.length} players${queue ? ' (queued)' : ''}`);
+
+        const batch = [];
 
         for (const steamId of activeSteamIds) {
             try {
+                const playerInfo = this.activePlayers.get(steamId);
+                if (!playerInfo || playerInfo.moderation === 'sync_banned') continue;
+
+                // The previous sync is still waiting for its answer, or the stored data is being reloaded
+                if (playerInfo.syncing || playerInfo.reloading) continue;
+
                 // Read combined JSON file (player + embedded tracking)
                 const playerData = await this.readPlayerJson(steamId);
                 if (!playerData) {
@@ -487,9 +490,6 @@ export default class WsKothDB extends BasePlugin {
                     continue;
                 }
 
-                const playerInfo = this.activePlayers.get(steamId);
-                if (!playerInfo) continue;
-
                 // Increment syncSeq for this sync
                 const newSyncSeq = (playerInfo.syncSeq || 0) + 1;
                 playerData.syncSeq = newSyncSeq;
@@ -497,75 +497,269 @@ export default class WsKothDB extends BasePlugin {
                 // Update file with new syncSeq
                 await this.writePlayerJson(steamId, playerData);
 
+                if (queue) {
+                    this.queueOutbox({ type: 'sync', steamId, syncSeq: newSyncSeq, data: playerData });
+                    continue;
+                }
+
                 // Send full data to KOTH Bot (includes tracking for crash protection)
-                this.kothBotSocket.emit('player:sync', playerData);
                 const hasTracking = playerData.tracking && Object.keys(playerData.tracking).some(k =>
                     playerData.tracking[k] && Object.keys(playerData.tracking[k]).length > 0
                 );
-                this.verbose(2, `WsKothDB: Sent periodic sync for ${steamId} (seq: ${newSyncSeq})${hasTracking ? ' +tracking' : ''}`);
+                this.verbose(2, `WsKothDB: Sending periodic sync for ${steamId} (seq: ${newSyncSeq})${hasTracking ? ' +tracking' : ''}`);
+                batch.push({ steamId, playerData });
 
             } catch (error) {
                 this.verbose(1, `WsKothDB: Periodic sync error for ${steamId}: ${error.message}`);
             }
         }
+
+        if (queue) {
+            await this.saveOutbox();
+        }
+
+        if (batch.length === 0) return;
+
+        if (this.options.batchSync) {
+            for (let i = 0; i < batch.length; i += MAX_SYNC_BATCH) {
+                await this.sendSyncBatch(batch.slice(i, i + MAX_SYNC_BATCH));
+            }
+        } else {
+            await Promise.all(batch.map(({ steamId, playerData }) => this.sendSync(steamId, playerData)));
+        }
+    }
+
+    /**
+     * Send the periodic saves of several players in one message and apply each player's result
+     */
+    async sendSyncBatch(batch) {
+        const syncing = batch.map(({ steamId }) => this.activePlayers.get(steamId)).filter(Boolean);
+        for (const playerInfo of syncing) playerInfo.syncing = true;
+
+        try {
+            const response = await this.sendRequest('players:sync-batch', { players: batch.map(({ playerData }) => playerData) });
+            await this.handleSyncBatchResponse(response);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Periodic sync of ${batch.length} players not answered: ${error.message}`);
+        } finally {
+            for (const playerInfo of syncing) playerInfo.syncing = false;
+        }
+    }
+
+    async handleSyncBatchResponse(response) {
+        if (response.event !== 'sync:batch-ack') {
+            this.verbose(1, `WsKothDB: Batch sync error: ${response.error}`);
+            return;
+        }
+
+        const { total, successful, failed, results } = response;
+        this.verbose(2, `WsKothDB: Batch sync ack: ${successful}/${total} saved${failed ? `, ${failed} failed` : ''}`);
+
+        for (const result of results) {
+            await this.handleSyncResponse(result.steamId, { event: result.success ? 'sync:ack' : 'sync:error', ...result });
+        }
+    }
+
+    /**
+     * Send a periodic sync and apply the answer
+     * syncSeq only advances once KOTH Bot acknowledges the save.
+     */
+    async sendSync(steamId, playerData) {
+        const playerInfo = this.activePlayers.get(steamId);
+        if (playerInfo) playerInfo.syncing = true;
+
+        try {
+            const response = await this.sendRequest('player:sync', playerData);
+            await this.handleSyncResponse(steamId, response);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Periodic sync for ${steamId} not answered: ${error.message}`);
+        } finally {
+            if (playerInfo) playerInfo.syncing = false;
+        }
+    }
+
+    async handleSyncResponse(steamId, response) {
+        const playerInfo = this.activePlayers.get(steamId);
+
+        if (response.event === 'sync:ack') {
+            this.verbose(2, `WsKothDB: Sync ack for ${steamId} (seq: ${response.syncSeq})${response.flagged ? ' [FLAGGED]' : ''}`);
+            if (playerInfo) {
+                playerInfo.syncSeq = response.syncSeq;
+                playerInfo.lastSync = Date.now();
+            }
+            return;
+        }
+
+        this.verbose(1, `WsKothDB: Sync error for ${steamId}: ${response.error}`);
+        if (response.errors) {
+            this.verbose(1, `WsKothDB: Validation errors: ${response.errors.join(', ')}`);
+        }
+
+        await this.reconcileSyncSeq(steamId, response.expectedSeq);
+    }
+
+    /**
+     * Catch up with KOTH Bot's sequence after a rejected save, so the next save is not refused as stale
+     *
+     * A higher sequence means the stored data changed without this server (an admin
+     * revert, restore, wipe or season reset whose player:data push did not arrive):
+     * the stored data is loaded over the local file first, and the sequence is only
+     * adopted with it. If that fails the sequence stays, saves keep being rejected
+     * and the next rejection tries again.
+     */
+    async reconcileSyncSeq(steamId, expectedSeq) {
+        const playerInfo = this.activePlayers.get(steamId);
+        if (!playerInfo || typeof expectedSeq !== 'number' || playerInfo.syncSeq === expectedSeq) return;
+
+        if (expectedSeq < (playerInfo.syncSeq || 0)) {
+            this.verbose(1, `WsKothDB: Reconciled syncSeq for ${steamId}: ${playerInfo.syncSeq} -> ${expectedSeq}`);
+            playerInfo.syncSeq = expectedSeq;
+            return;
+        }
+
+        if (playerInfo.reloading) return;
+        playerInfo.reloading = true;
+
+        try {
+            this.verbose(1, `WsKothDB: Stored data of ${steamId} is newer (seq ${playerInfo.syncSeq} -> ${expectedSeq}), reloading`);
+            const result = await this.requestPlayerData(steamId);
+
+            // The player left while the reload was in flight, the disconnect save decides
+            if (this.activePlayers.get(steamId) !== playerInfo) return;
+
+            await this.applyPlayerData(steamId, result);
+            this.verbose(1, `WsKothDB: Reloaded player data for ${steamId} (seq: ${result.syncSeq})`);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Reload of ${steamId} failed, keeping seq ${playerInfo.syncSeq}: ${error.message}`);
+        } finally {
+            playerInfo.reloading = false;
+        }
     }
 
     // ==================== Crash Recovery ====================
 
+    /**
+     * Send orphaned player files to KOTH Bot
+     *
+     * Files are read and sent one chunk at a time (recoveryChunkSize). Recovered
+     * files are deleted as each chunk is answered; failed ones and chunks not
+     * answered stay on disk and are sent again the next time KOTH Bot connects.
+     */
     async performCrashRecovery() {
-        if (!fs.existsSync(this.playersPath)) {
+        if (!fs.existsSync(this.playersPath) || this.recoveringCrash) {
             return;
         }
 
+        this.recoveringCrash = true;
         this.verbose(1, 'WsKothDB: Checking for orphaned player files (crash recovery)');
 
         try {
-            const files = await readdir(this.playersPath);
-            const playerFiles = files.filter(f =>
-                f.endsWith('.json') &&
-                /^\d{17}\.json$/.test(f) // Steam ID format
-            );
+            const orphaned = await this.findOrphanedPlayers();
 
-            if (playerFiles.length === 0) {
+            if (orphaned.length === 0) {
                 this.verbose(1, 'WsKothDB: No orphaned files found');
                 return;
             }
 
-            this.verbose(1, `WsKothDB: Found ${playerFiles.length} orphaned player files`);
+            this.verbose(1, `WsKothDB: Found ${orphaned.length} orphaned player files`);
 
             // Wait for connection before recovery
             if (!this.isConnected()) {
                 this.verbose(1, 'WsKothDB: Waiting for KOTH Bot connection for crash recovery...');
-                // Will retry on next mount or when connection established
+                // Retried on auth:success
                 return;
             }
 
-            // Collect all player data for batch recovery (combined format)
-            const players = [];
+            const size = Math.min(Math.max(1, this.options.recoveryChunkSize), MAX_SYNC_BATCH);
+            const chunks = Math.ceil(orphaned.length / size);
+            const batchId = randomUUID();
 
-            for (const file of playerFiles) {
-                const steamId = file.replace('.json', '');
+            for (let chunk = 1; chunk <= chunks; chunk++) {
+                const players = await this.readRecoveryChunk(orphaned.slice((chunk - 1) * size, chunk * size));
+                if (players.length === 0) continue;
 
+                this.verbose(1, `WsKothDB: Sending crash recovery chunk ${chunk}/${chunks} (${players.length} players)`);
+
+                let response;
                 try {
-                    // Read combined JSON file (player + embedded tracking)
-                    const playerData = await this.readPlayerJson(steamId);
-                    if (playerData && playerData.v === 2) {
-                        players.push(playerData);
-                    } else {
-                        this.verbose(1, `WsKothDB: Skipping non-v2 file: ${file}`);
-                    }
+                    response = await this.sendRequest('player:batch-crash-recovery', { batchId, chunk, chunks, players });
                 } catch (error) {
-                    this.verbose(1, `WsKothDB: Error reading ${file}: ${error.message}`);
+                    this.verbose(1, `WsKothDB: Crash recovery stopped at chunk ${chunk}/${chunks}, resuming on reconnect: ${error.message}`);
+                    return;
                 }
-            }
 
-            if (players.length > 0) {
-                this.kothBotSocket.emit('player:batch-crash-recovery', { players });
-                this.verbose(1, `WsKothDB: Sent ${players.length} players for crash recovery (combined format)`);
+                await this.handleRecoveryResponse(response);
             }
 
         } catch (error) {
             this.verbose(1, `WsKothDB: Crash recovery error: ${error.message}`);
+        } finally {
+            this.recoveringCrash = false;
+        }
+    }
+
+    /**
+     * Steam IDs of player files that belong to no online player and no queued event
+     * Players with queued events are sent by the outbox replay.
+     */
+    async findOrphanedPlayers() {
+        const files = await readdir(this.playersPath);
+        const queued = new Set(this.outbox.map(entry => entry.steamId));
+
+        return files
+            .filter(f => /^\d{17}\.json$/.test(f)) // Steam ID format
+            .map(f => f.replace('.json', ''))
+            .filter(steamId => !queued.has(steamId) && !this.activePlayers.has(steamId));
+    }
+
+    /**
+     * Read a chunk of orphaned files (combined format)
+     * Players who came back online since the scan are left to their new session.
+     */
+    async readRecoveryChunk(steamIds) {
+        const players = [];
+
+        for (const steamId of steamIds) {
+            if (this.activePlayers.has(steamId)) continue;
+
+            try {
+                // Read combined JSON file (player + embedded tracking)
+                const playerData = await this.readPlayerJson(steamId);
+                if (playerData && playerData.v === 2) {
+                    players.push(playerData);
+                } else if (playerData) {
+                    this.verbose(1, `WsKothDB: Skipping non-v2 file: ${steamId}.json`);
+                }
+            } catch (error) {
+                this.verbose(1, `WsKothDB: Error reading ${steamId}.json: ${error.message}`);
+            }
+        }
+
+        return players;
+    }
+
+    /**
+     * Delete the files KOTH Bot recovered (applied, skipped as stale or rejected); failed ones stay for the next attempt
+     */
+    async handleRecoveryResponse(response) {
+        if (response.event !== 'batch-recovery:complete') {
+            this.verbose(1, `WsKothDB: Batch recovery error: ${response.error}`);
+            return;
+        }
+
+        const { chunk, chunks, total, successful, failed, results } = response;
+        this.verbose(1, `WsKothDB: Crash recovery chunk ${chunk || 1}/${chunks || 1} complete: ${successful}/${total} succeeded, ${failed} failed`);
+
+        for (const result of results) {
+            const { steamId, skipped, flagged, rejected, quarantined, moderation, error } = result;
+
+            if (!result.success) {
+                this.verbose(1, `WsKothDB: Recovery error for ${steamId}, file kept for the next attempt: ${error}`);
+                continue;
+            }
+
+            this.verbose(2, `WsKothDB: Recovered ${steamId}${skipped ? ' (skipped)' : ''}${flagged ? ' [FLAGGED]' : ''}${quarantined ? ' [QUARANTINED]' : moderation ? ` [${moderation.toUpperCase()}]` : rejected ? ' [REJECTED]' : ''}`);
+            await this.deletePlayerJson(steamId);
         }
     }
 
@@ -577,50 +771,49 @@ export default class WsKothDB extends BasePlugin {
         const name = info.player.name || '';
 
         this.verbose(1, `WsKothDB: Player connected: ${steamId} (${name})`);
+        this.sendServerInfo();
 
         try {
-            if (this.isConnected()) {
+            if (!this.shouldQueue()) {
                 const result = await this.requestPlayerData(steamId, eosId, name);
+                await this.applyPlayerData(steamId, result);
 
-                if (result && result.playerData) {
-                    // player:data handler already wrote the combined file
-                    this.activePlayers.set(steamId, {
-                        syncSeq: result.syncSeq || 0,
-                        lastSync: Date.now()
-                    });
-                    this.verbose(1, `WsKothDB: Loaded player data for ${steamId} (seq: ${result.syncSeq})`);
+                if (result.status === 'sync_banned') {
+                    this.verbose(1, `WsKothDB: Player ${steamId} is sync banned, using a fresh save that is not sent`);
+                } else if (result.playerData) {
+                    this.verbose(1, `WsKothDB: Loaded player data for ${steamId} (seq: ${result.syncSeq})${result.status === 'frozen' ? ' [FROZEN]' : ''}`);
                 } else {
-                    // New player - KOTH Bot will create and return default data
-                    this.verbose(1, `WsKothDB: New player ${steamId}, using default data from KOTH Bot`);
-                    this.activePlayers.set(steamId, {
-                        syncSeq: 0,
-                        lastSync: Date.now()
-                    });
+                    this.verbose(1, `WsKothDB: No stored data for ${steamId}, the game starts a new save`);
+                }
+
+                if (result.moderation) {
+                    await this.warnModeration(steamId, result.moderation);
                 }
                 return;
             }
 
             // Fallback: try to use cached v2 JSON if available
+            let syncSeq = 0;
             const cached = await this.readPlayerJson(steamId);
             if (cached && cached.v === 2) {
                 this.verbose(1, `WsKothDB: Using cached v2 data for ${steamId} (KOTH Bot unavailable)`);
-                this.activePlayers.set(steamId, {
-                    syncSeq: cached.syncSeq || 0,
-                    lastSync: Date.now()
-                });
-                return;
+                syncSeq = cached.syncSeq || 0;
+            } else {
+                // Create default v2 save (combined file with empty tracking)
+                this.verbose(1, `WsKothDB: Creating default v2 save for ${steamId} (no connection)`);
+                const defaultSave = this.createDefaultV2Save(steamId, eosId, name);
+                await this.writePlayerJson(steamId, defaultSave);
             }
 
-            // Create default v2 save (combined file with empty tracking)
-            this.verbose(1, `WsKothDB: Creating default v2 save for ${steamId} (no connection)`);
-            const defaultSave = this.createDefaultV2Save(steamId, eosId, name);
-            await this.writePlayerJson(steamId, defaultSave);
-
             this.activePlayers.set(steamId, {
-                syncSeq: 0,
+                syncSeq,
                 lastSync: Date.now()
             });
 
+            // Claim the session once KOTH Bot is back
+            this.queueOutbox({ type: 'connect', steamId, syncSeq, eosId, name });
+            await this.saveOutbox();
+
         } catch (error) {
             this.verbose(1, `WsKothDB: Error loading player ${steamId}: ${error.message}`);
 
@@ -639,8 +832,19 @@ export default class WsKothDB extends BasePlugin {
         const steamId = info.player.steamID;
 
         this.verbose(1, `WsKothDB: Player disconnected: ${steamId}`);
+        this.sendServerInfo();
 
         try {
+            const playerInfo = this.activePlayers.get(steamId);
+
+            // Sync banned on connect: KOTH Bot never gave this server the session, the save is discarded
+            if (playerInfo?.noSession) {
+                this.verbose(1, `WsKothDB: Discarding save of sync banned player ${steamId}`);
+                this.activePlayers.delete(steamId);
+                await this.deletePlayerJson(steamId);
+                return;
+            }
+
             // Read combined JSON file (player + embedded tracking)
             const playerData = await this.readPlayerJson(steamId);
 
@@ -651,66 +855,438 @@ export default class WsKothDB extends BasePlugin {
             }
 
             // Increment syncSeq for final sync
-            const playerInfo = this.activePlayers.get(steamId);
             const newSyncSeq = ((playerInfo?.syncSeq) || (playerData.syncSeq) || 0) + 1;
             playerData.syncSeq = newSyncSeq;
 
             // Update file before sending
             await this.writePlayerJson(steamId, playerData);
 
-            if (this.isConnected()) {
+            const requestId = randomUUID();
+
+            if (!this.shouldQueue()) {
                 // Send combined format (includes embedded tracking)
-                this.kothBotSocket.emit('player:disconnect', playerData);
                 const hasTracking = playerData.tracking && Object.keys(playerData.tracking).some(k =>
                     playerData.tracking[k] && Object.keys(playerData.tracking[k]).length > 0
                 );
-                this.verbose(1, `WsKothDB: Sent disconnect data for ${steamId} (seq: ${newSyncSeq})${hasTracking ? ' +tracking' : ''}`);
-            } else {
-                this.verbose(1, `WsKothDB: KOTH Bot unavailable, keeping file for ${steamId} (crash recovery)`);
-                this.activePlayers.delete(steamId);
+                this.verbose(1, `WsKothDB: Sending disconnect data for ${steamId} (seq: ${newSyncSeq})${hasTracking ? ' +tracking' : ''}`);
+
+                try {
+                    const response = await this.sendRequest('player:disconnect', playerData, requestId);
+                    await this.handleDisconnectResponse(steamId, response);
+                    return;
+                } catch (error) {
+                    if (this.isConnected()) {
+                        this.verbose(1, `WsKothDB: Disconnect for ${steamId} not answered, keeping file for crash recovery: ${error.message}`);
+                        this.activePlayers.delete(steamId);
+                        return;
+                    }
+                    // KOTH Bot went away mid-request: queue it under the same request ID, if it
+                    // did land the replay is answered from KOTH Bot's result cache
+                }
             }
 
+            // The file stays until the replayed disconnect is acknowledged
+            this.verbose(1, `WsKothDB: KOTH Bot unavailable, queued disconnect for ${steamId} (seq: ${newSyncSeq})`);
+            this.activePlayers.delete(steamId);
+            this.queueOutbox({ type: 'disconnect', steamId, syncSeq: newSyncSeq, requestId, data: playerData });
+            await this.saveOutbox();
+
         } catch (error) {
             this.verbose(1, `WsKothDB: Error on disconnect for ${steamId}: ${error.message}`);
             this.activePlayers.delete(steamId);
         }
     }
 
+    /**
+     * Apply KOTH Bot's answer to a disconnect (live or replayed)
+     */
+    async handleDisconnectResponse(steamId, response) {
+        // A replayed disconnect of a player who has since come back: their file belongs to the new session
+        const reconnected = this.outbox.some(entry => entry.steamId === steamId && entry.type === 'connect');
+
+        if (response.event !== 'disconnect:ack') {
+            // Keep file on error for crash recovery
+            this.verbose(1, `WsKothDB: Disconnect error for ${steamId}: ${response.error}`);
+            if (!reconnected) this.activePlayers.delete(steamId);
+            return;
+        }
+
+        const { syncSeq, rejected, quarantined, moderation } = response;
+        this.verbose(1, `WsKothDB: Disconnect ack for ${steamId} (seq: ${syncSeq})${quarantined ? ' [QUARANTINED]' : moderation ? ` [${moderation.toUpperCase()}]` : rejected ? ' [REJECTED]' : ''}`);
+
+        if (reconnected) return;
+
+        // Remove from active players
+        this.activePlayers.delete(steamId);
+
+        // Delete player file (now contains tracking too) if configured
+        if (this.options.deleteFileOnDisconnect) {
+            await this.deletePlayerJson(steamId);
+        }
+    }
+
+    async onChatMessage(info) {
+        const command = this.options.linkChatCommand;
+        const message = (info.message || '').trim();
+
+        if (!command || !info.player || !message.toLowerCase().startsWith(`${command.toLowerCase()} `)) {
+            return;
+        }
+
+        const steamId = info.player.steamID;
+        const code = message.slice(command.length).trim();
+
+        this.verbose(1, `WsKothDB: Link code from ${steamId}`);
+
+        if (!this.isConnected()) {
+            await this.warnPlayer(steamId, 'Account linking is unavailable right now, try again shortly.');
+            return;
+        }
+
+        this.kothBotSocket.emit('link:verify', {
+            steamId,
+            eosId: info.player.eosID || null,
+            name: info.player.name || null,
+            code
+        });
+    }
+
     // ==================== Request/Response Methods ====================
 
-    requestPlayerData(steamId, eosId, name) {
-        return new Promise((resolve, reject) => {
+    /**
+     * Send a lifecycle request and wait for KOTH Bot's answer (Socket.IO acknowledgement)
+     *
+     * A request that is not answered in time is resent with the same request ID;
+     * KOTH Bot answers a repeat from its result cache instead of applying it twice.
+     *
+     * @returns {Promise<Object>} { event, requestId, ...payload } - event is the answer type (e.g. 'sync:ack', 'sync:error')
+     */
+    async sendRequest(event, data, requestId = randomUUID()) {
+        const attempts = 1 + Math.max(0, this.options.requestRetries);
+
+        for (let attempt = 1; ; attempt++) {
             if (!this.isConnected()) {
-                reject(new Error('KOTH Bot not connected'));
-                return;
+                throw new Error('KOTH Bot not connected');
             }
 
+            try {
+                return await this.emitWithAck(event, { ...data, requestId });
+            } catch (error) {
+                if (attempt >= attempts || !this.isConnected()) throw error;
+                this.verbose(1, `WsKothDB: No answer to ${event} ${requestId} (attempt ${attempt}/${attempts}), resending`);
+            }
+        }
+    }
+
+    emitWithAck(event, data) {
+        const socket = this.kothBotSocket;
+
+        return new Promise((resolve, reject) => {
+            const onDisconnect = () => {
+                clearTimeout(timeout);
+                reject(new Error('KOTH Bot disconnected'));
+            };
+
             const timeout = setTimeout(() => {
-                this.pendingRequests.delete(steamId);
+                socket.off('disconnect', onDisconnect);
                 reject(new Error('Request timeout'));
             }, this.options.requestTimeout);
 
-            this.pendingRequests.set(steamId, {
-                resolve,
-                reject,
-                timeout,
-                eosId,
-                name,
-                retryCount: 0
+            socket.once('disconnect', onDisconnect);
+            socket.emit(event, data, (response) => {
+                clearTimeout(timeout);
+                socket.off('disconnect', onDisconnect);
+                resolve(response);
             });
+        });
+    }
+
+    /**
+     * Ask KOTH Bot for a player's data, waiting while they are still active on another server
+     *
+     * @returns {Promise<Object>} { playerData, syncSeq, status, moderation }
+     */
+    async requestPlayerData(steamId, eosId, name) {
+        for (let attempt = 1; ; attempt++) {
+            const response = await this.sendRequest('player:connect', { steamId, eosId, name });
+
+            if (response.event === 'player:data') {
+                const { player: playerData, syncSeq, status, moderation } = response;
+                return { playerData, syncSeq, status, moderation };
+            }
 
-            this.kothBotSocket.emit('player:connect', {
-                steamId,
-                eosId,
-                name
+            if (response.event !== 'player:wait') {
+                throw new Error(response.error || `Unexpected answer: ${response.event}`);
+            }
+
+            if (attempt >= response.maxRetries) {
+                throw new Error(`Player ${steamId} still active on ${response.activeServer} after ${response.maxRetries} retries`);
+            }
+
+            this.verbose(1, `WsKothDB: Player ${steamId} active on ${response.activeServer}, waiting...`);
+            await new Promise(resolve => setTimeout(resolve, response.retryAfterMs));
+        }
+    }
+
+    /**
+     * Write player data received from KOTH Bot and register the player
+     * Sync banned players get a fresh save: their stored data is not sent and nothing they do is saved.
+     */
+    async applyPlayerData(steamId, { playerData, syncSeq, status, moderation }) {
+        if (status === 'sync_banned') {
+            if (!this.activePlayers.has(steamId)) {
+                await this.writePlayerJson(steamId, this.createDefaultV2Save(steamId));
+            }
+
+            this.activePlayers.set(steamId, {
+                syncSeq: syncSeq || 0,
+                lastSync: Date.now(),
+                moderation: 'sync_banned',
+                noSession: !playerData
             });
+            return;
+        }
+
+        // Write combined file with empty tracking (game will populate during session)
+        if (playerData) {
+            // Add empty tracking section if not present
+            const combinedData = {
+                ...playerData,
+                tracking: playerData.tracking || {
+                    kills: {},
+                    vehicleKills: {},
+                    purchases: {},
+                    weaponXp: {},
+                    rewards: {}
+                }
+            };
+            await this.writePlayerJson(steamId, combinedData);
+        }
+
+        this.activePlayers.set(steamId, {
+            syncSeq: syncSeq || 0,
+            lastSync: Date.now(),
+            moderation: moderation?.status || null
         });
     }
 
+    /**
+     * Tell a player about a freeze or sync ban
+     */
+    async warnModeration(steamId, moderation) {
+        const until = moderation.expiresAt ? ` until ${new Date(moderation.expiresAt).toUTCString()}` : '';
+        const message = moderation.status === 'sync_banned'
+            ? `Your KOTH progress is not being saved${until}: ${moderation.reason}`
+            : `Your KOTH progress is frozen${until}, nothing you earn now is kept: ${moderation.reason}`;
+
+        await this.warnPlayer(steamId, message);
+    }
+
+    // ==================== Offline Outbox ====================
+
+    /**
+     * Load the outbox left by a previous run
+     */
+    async loadOutbox() {
+        if (!fs.existsSync(this.outboxPath)) return;
+
+        try {
+            const data = await readJsonSmart(this.outboxPath);
+            this.outbox = Array.isArray(data?.entries) ? data.entries : [];
+            this.verbose(1, `WsKothDB: Loaded ${this.outbox.length} queued events from outbox`);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Error reading outbox ${this.outboxPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist the outbox (written to a temp file and renamed, so a crash never leaves half a queue)
+     * and report the new depth to KOTH Bot
+     */
+    async saveOutbox() {
+        this.sendServerInfo();
+
+        if (this.options.dryRun) {
+            this.verbose(2, `WsKothDB: [DRY RUN] Would write outbox (${this.outbox.length} events)`);
+            return;
+        }
+
+        try {
+            const tempPath = `${this.outboxPath}.tmp`;
+            await writeFile(tempPath, JSON.stringify({ v: 1, entries: this.outbox }), 'utf-8');
+            await rename(tempPath, this.outboxPath);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Error writing outbox ${this.outboxPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add an event to the outbox (call saveOutbox afterwards)
+     *
+     * A sync or disconnect supersedes the player's syncs queued since their last
+     * connect or disconnect: it carries newer data with the same syncSeq, since
+     * syncSeq only advances on an acknowledged sync.
+     */
+    queueOutbox(entry) {
+        if (entry.type !== 'connect') {
+            for (let i = this.outbox.length - 1; i >= 0; i--) {
+                const queued = this.outbox[i];
+                if (queued.steamId !== entry.steamId) continue;
+                if (queued.type !== 'sync' || queued === this.replayingEntry) break;
+                this.outbox.splice(i, 1);
+            }
+        }
+
+        if (entry.type !== 'connect' && !entry.requestId) {
+            entry = { ...entry, requestId: randomUUID() };
+        }
+
+        this.outbox.push({ ...entry, queuedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Queue a connect for every online player without queued events
+     * KOTH Bot released their sessions when it lost the connection.
+     */
+    async queueActiveSessions() {
+        const queued = new Set(this.outbox.map(entry => entry.steamId));
+        let added = 0;
+
+        for (const [steamId, playerInfo] of this.activePlayers) {
+            if (queued.has(steamId) || playerInfo.noSession) continue;
+            this.queueOutbox({ type: 'connect', steamId, syncSeq: playerInfo.syncSeq || 0, eosId: null, name: null });
+            added++;
+        }
+
+        if (added > 0) {
+            this.verbose(1, `WsKothDB: Queued session reclaim for ${added} online players`);
+            await this.saveOutbox();
+        }
+    }
+
+    /**
+     * Remove a player's queued session starting at entry (up to their next connect)
+     *
+     * @returns {boolean} Whether the session had a queued disconnect (the player has left)
+     */
+    dropOutboxSession(entry) {
+        let left = false;
+        let ended = false;
+        const start = this.outbox.indexOf(entry);
+
+        this.outbox = this.outbox.filter((queued, index) => {
+            if (ended || index < start || queued.steamId !== entry.steamId) return true;
+            if (queued !== entry && queued.type === 'connect') {
+                ended = true;
+                return true;
+            }
+            if (queued.type === 'disconnect') left = true;
+            return false;
+        });
+
+        return left;
+    }
+
+    /**
+     * Send queued events to KOTH Bot in order, one at a time
+     * Stops (keeping the rest) if KOTH Bot goes away or does not answer; the next auth:success resumes.
+     */
+    async replayOutbox() {
+        if (this.replayingOutbox || this.outbox.length === 0) return;
+
+        this.replayingOutbox = true;
+        this.verbose(1, `WsKothDB: Replaying ${this.outbox.length} queued events`);
+
+        try {
+            while (this.outbox.length > 0 && this.isConnected()) {
+                const entry = this.outbox[0];
+                this.replayingEntry = entry;
+
+                if (!(await this.replayOutboxEntry(entry))) break;
+
+                const index = this.outbox.indexOf(entry);
+                if (index !== -1) this.outbox.splice(index, 1);
+                await this.saveOutbox();
+            }
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Outbox replay error: ${error.message}`);
+        } finally {
+            this.replayingOutbox = false;
+            this.replayingEntry = null;
+        }
+
+        this.verbose(1, `WsKothDB: Outbox replay ${this.outbox.length === 0 ? 'complete' : `stopped, ${this.outbox.length} events left`}`);
+        this.sendServerInfo();
+    }
+
+    /**
+     * Send one queued event and wait for KOTH Bot's answer
+     *
+     * @returns {Promise<boolean>} Whether the event is done with (answered, or dropped as unsendable)
+     */
+    async replayOutboxEntry(entry) {
+        const { steamId } = entry;
+
+        if (entry.type === 'connect') {
+            let result;
+            try {
+                result = await this.requestPlayerData(steamId, entry.eosId, entry.name);
+            } catch (error) {
+                if (!this.isConnected() || error.message === 'Request timeout') return false;
+
+                this.verbose(1, `WsKothDB: Dropping queued session of ${steamId}: ${error.message}`);
+                this.dropOutboxSession(entry);
+                return true;
+            }
+
+            // The first save of the session has to be at or past the bot's sequence to be accepted
+            const nextSave = this.outbox.find(queued => queued !== entry && queued.steamId === steamId && queued.type !== 'connect');
+            const nextSeq = nextSave ? nextSave.syncSeq : (entry.syncSeq || 0) + 1;
+            const stale = result.status === 'sync_banned' || (result.syncSeq || 0) > nextSeq;
+
+            if (stale) {
+                // Saves made while KOTH Bot was away cannot be applied, take the bot's copy instead
+                this.verbose(1, `WsKothDB: Queued saves of ${steamId} dropped (${result.status === 'sync_banned' ? 'sync banned' : `bot seq ${result.syncSeq} > ${nextSeq}`})`);
+                const left = this.dropOutboxSession(entry);
+
+                if (!left && this.activePlayers.has(steamId)) {
+                    await this.applyPlayerData(steamId, result);
+                } else if (left && this.options.deleteFileOnDisconnect) {
+                    await this.deletePlayerJson(steamId);
+                }
+            } else {
+                const playerInfo = this.activePlayers.get(steamId);
+                if (playerInfo) playerInfo.moderation = result.moderation?.status || null;
+            }
+
+            if (result.moderation && this.activePlayers.has(steamId)) {
+                await this.warnModeration(steamId, result.moderation);
+            }
+            return true;
+        }
+
+        let response;
+        try {
+            response = await this.sendRequest(entry.type === 'sync' ? 'player:sync' : 'player:disconnect', entry.data, entry.requestId);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Replay of ${entry.type} for ${steamId} not answered: ${error.message}`);
+            return false;
+        }
+
+        this.verbose(2, `WsKothDB: Replayed ${entry.type} for ${steamId} (seq: ${entry.syncSeq}, queued ${entry.queuedAt})`);
+
+        if (entry.type === 'sync') {
+            await this.handleSyncResponse(steamId, response);
+        } else {
+            await this.handleDisconnectResponse(steamId, response);
+        }
+        return true;
+    }
+
     // ==================== File Operations ====================
 
     async ensureDirectories() {
-        const dirs = [this.kothPath, this.playersPath, this.configPath];
+        const dirs = [this.kothPath, this.playersPath, this.configPath, this.storesPath];
 
         for (const dir of dirs) {
             if (!fs.existsSync(dir)) {
@@ -813,6 +1389,21 @@ export default class WsKothDB extends BasePlugin {
 
     // ==================== Utility Methods ====================
 
+    async warnPlayer(steamId, message) {
+        if (!message) return;
+
+        if (this.options.dryRun) {
+            this.verbose(1, `WsKothDB: [DRY RUN] Would warn ${steamId}: ${message}`);
+            return;
+        }
+
+        try {
+            await this.server.rcon.warn(steamId, message);
+        } catch (error) {
+            this.verbose(1, `WsKothDB: Failed to warn ${steamId}: ${error.message}`);
+        }
+    }
+
     createDefaultV2Save(steamId, eosId, name) {
         // Combined file - player data + embedded tracking (empty)
         // Note: 'currency' is derived (currencyTotal - currencySpent), not stored
@@ -0,0 +1,112 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { CATEGORIES, getLeaderboard, getLeaderboardGroups } from '../services/leaderboardService.js';
+import { infoEmbed, errorEmbed } from '../utils/messageHandler.js';
+
+// Players listed per page
+const PAGE_SIZE = 10;
+
+const PERIOD_LABELS = {
+    all: 'All Time',
+    monthly: 'Last 30 Days',
+    weekly: 'Last 7 Days'
+};
+
+export const data = new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Show the top KOTH players')
+    .addStringOption(option =>
+        option
+            .setName('category')
+            .setDescription('What to rank players by')
+            .setRequired(true)
+            .addChoices(...Object.entries(CATEGORIES).map(([value, { label }]) => ({ name: label, value })))
+    )
+    .addStringOption(option =>
+        option
+            .setName('period')
+            .setDescription('Time period (defaults to all time)')
+            .addChoices(...Object.entries(PERIOD_LABELS).map(([value, name]) => ({ name, value })))
+    )
+    .addStringOption(option =>
+        option
+            .setName('group')
+            .setDescription('Vehicle or weapon name (vehicle kills and weapon XP only)')
+    )
+    .addIntegerOption(option =>
+        option
+            .setName('page')
+            .setDescription('Page number')
+            .setMinValue(1)
+    );
+
+/**
+ * Format a leaderboard value for its category
+ */
+function formatValue(category, value) {
+    if (category === 'time_played') {
+        const hours = Math.floor(value / 3600);
+        const minutes = Math.floor((value % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    return value.toLocaleString();
+}
+
+export async function execute(interaction) {
+    await interaction.deferReply();
+
+    const category = interaction.options.getString('category');
+    const period = interaction.options.getString('period') || 'all';
+    const group = interaction.options.getString('group');
+    const page = interaction.options.getInteger('page') || 1;
+    const definition = CATEGORIES[category];
+
+    if (group && !definition.groupColumn) {
+        await interaction.editReply({
+            embeds: [errorEmbed('Invalid Option', `${definition.label} cannot be filtered by vehicle or weapon.`)]
+        });
+        return;
+    }
+
+    if (group) {
+        const groups = await getLeaderboardGroups(category);
+        if (!groups.includes(group)) {
+            const known = groups.slice(0, 15).join(', ');
+            await interaction.editReply({
+                embeds: [errorEmbed(
+                    `Unknown ${definition.groupLabel}`,
+                    `No ${definition.label.toLowerCase()} recorded for **${group}**.${known ? `\nKnown: ${known}` : ''}`
+                )]
+            });
+            return;
+        }
+    }
+
+    const leaderboard = await getLeaderboard(category, {
+        period,
+        group,
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE
+    });
+
+    const title = `${definition.label} Leaderboard${group ? ` - ${group}` : ''}`;
+    const totalPages = Math.max(Math.ceil(leaderboard.total / PAGE_SIZE), 1);
+
+    if (leaderboard.entries.length === 0) {
+        await interaction.editReply({
+            embeds: [infoEmbed(title, page > 1
+                ? `Page ${page} is empty (last page is ${totalPages}).`
+                : 'No players ranked yet.')]
+        });
+        return;
+    }
+
+    const lines = leaderboard.entries.map(entry =>
+        `**${entry.rank}.** ${entry.name || entry.steamId} - ${formatValue(category, entry.value)}`
+    );
+
+    const embed = infoEmbed(title, lines.join('\n'))
+        .setFooter({ text: `${PERIOD_LABELS[period]} | Page ${page}/${totalPages} | ${leaderboard.total.toLocaleString()} players` });
+
+    await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,41 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { linking as linkingConfig } from '../../config/config.js';
+import { createLinkCode, getLinkByDiscordId } from '../services/linkService.js';
+import { infoEmbed, replyWithError } from '../utils/messageHandler.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('link')
+    .setDescription('Link your Steam account by typing a one-time code in game chat');
+
+export async function execute(interaction) {
+    const existing = await getLinkByDiscordId(interaction.user.id);
+
+    if (existing?.verified) {
+        await replyWithError(
+            interaction,
+            `You are already linked to Steam ID \`${existing.steamId}\`. Use /unlink first to link a different account.`
+        );
+        return;
+    }
+
+    let result;
+    try {
+        result = await createLinkCode(interaction.user);
+    } catch (error) {
+        if (error.message.startsWith('Rate limited')) {
+            await replyWithError(interaction, 'You have requested too many link codes. Please try again later.');
+            return;
+        }
+        throw error;
+    }
+
+    const expiresAt = Math.floor(result.expiresAt.getTime() / 1000);
+    const embed = infoEmbed(
+        'Link Your Steam Account',
+        'Join any KOTH server and type this in chat:\n\n' +
+        `**\`${linkingConfig.chatCommand} ${result.code}\`**\n\n` +
+        `The code expires <t:${expiresAt}:R> and can only be used once.`
+    );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -0,0 +1,90 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkPermission } from '../handlers/permissionHandler.js';
+import { forceLinkDiscordAccount, getLinkByDiscordId, unlinkDiscordAccount } from '../services/linkService.js';
+import { validateSteamId } from '../services/dataValidator.js';
+import { infoEmbed, replyWithError, replyWithSuccess } from '../utils/messageHandler.js';
+import { createServiceLogger } from '../utils/logger.js';
+
+const logger = createServiceLogger('LinkAdminCommand');
+
+export const data = new SlashCommandBuilder()
+    .setName('linkadmin')
+    .setDescription('Manage Discord to Steam account links')
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('set')
+            .setDescription('Link a user to a Steam account without a code')
+            .addUserOption(option =>
+                option.setName('user').setDescription('Discord user').setRequired(true)
+            )
+            .addStringOption(option =>
+                option.setName('steamid').setDescription('Steam ID (17 digits)').setRequired(true)
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('remove')
+            .setDescription('Remove a user\'s link')
+            .addUserOption(option =>
+                option.setName('user').setDescription('Discord user').setRequired(true)
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('info')
+            .setDescription('Show a user\'s link')
+            .addUserOption(option =>
+                option.setName('user').setDescription('Discord user').setRequired(true)
+            )
+    );
+
+export async function execute(interaction) {
+    if (!await checkPermission(interaction, 'commands.linkadmin')) {
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const user = interaction.options.getUser('user');
+
+    if (subcommand === 'set') {
+        const validation = validateSteamId(interaction.options.getString('steamid'));
+        if (!validation.valid) {
+            await replyWithError(interaction, validation.error);
+            return;
+        }
+
+        await forceLinkDiscordAccount(user.id, validation.steamId);
+        logger.info(`${interaction.user.tag} linked ${user.tag} to ${validation.steamId}`);
+
+        await replyWithSuccess(interaction, 'Link Set', `${user} is now linked to Steam ID \`${validation.steamId}\`.`, true);
+        return;
+    }
+
+    if (subcommand === 'remove') {
+        const removed = await unlinkDiscordAccount(user.id);
+        if (!removed) {
+            await replyWithError(interaction, `${user} does not have a linked Steam account.`);
+            return;
+        }
+
+        logger.info(`${interaction.user.tag} unlinked ${user.tag}`);
+
+        await replyWithSuccess(interaction, 'Link Removed', `${user} is no longer linked.`, true);
+        return;
+    }
+
+    const link = await getLinkByDiscordId(user.id);
+    if (!link) {
+        await replyWithError(interaction, `${user} does not have a linked Steam account.`);
+        return;
+    }
+
+    const embed = infoEmbed('Account Link', `${user}`)
+        .addFields(
+            { name: 'Steam ID', value: `\`${link.steamId}\``, inline: true },
+            { name: 'Player Name', value: link.playerName || 'Unknown', inline: true },
+            { name: 'Verified', value: link.verified ? `Yes (<t:${Math.floor(new Date(link.verifiedAt).getTime() / 1000)}:R>)` : 'No', inline: true }
+        );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
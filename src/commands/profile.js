@@ -0,0 +1,113 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { getPlayerByDiscordId, getPlayerBySteamId, getPlayerSession } from '../services/syncService.js';
+import { validateSteamId } from '../services/dataValidator.js';
+import { infoEmbed, errorEmbed } from '../utils/messageHandler.js';
+
+// Items listed per field before truncating (embed field values max out at 1024 chars)
+const MAX_LIST_ITEMS = 15;
+
+export const data = new SlashCommandBuilder()
+    .setName('profile')
+    .setDescription('Show a player\'s KOTH progression')
+    .addUserOption(option =>
+        option
+            .setName('user')
+            .setDescription('Discord user with a linked Steam account (defaults to you)')
+    )
+    .addStringOption(option =>
+        option
+            .setName('steamid')
+            .setDescription('Steam ID (17 digits) instead of a Discord user')
+    );
+
+/**
+ * Format seconds as "12h 34m"
+ */
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Format a list for an embed field, truncating long lists
+ */
+function formatList(items) {
+    if (!items || items.length === 0) return 'None';
+
+    const shown = items.slice(0, MAX_LIST_ITEMS).join(', ');
+    const hidden = items.length - MAX_LIST_ITEMS;
+    return hidden > 0 ? `${shown} and ${hidden} more` : shown;
+}
+
+/**
+ * Resolve the requested player to v2 data, or an error message
+ */
+async function resolvePlayer(interaction) {
+    const steamIdOption = interaction.options.getString('steamid');
+
+    if (steamIdOption) {
+        const validation = validateSteamId(steamIdOption);
+        if (!validation.valid) {
+            return { error: validation.error };
+        }
+
+        const playerData = await getPlayerBySteamId(validation.steamId);
+        return playerData
+            ? { playerData }
+            : { error: `No KOTH player found with Steam ID ${validation.steamId}.` };
+    }
+
+    const user = interaction.options.getUser('user') || interaction.user;
+    const playerData = await getPlayerByDiscordId(user.id);
+
+    if (!playerData) {
+        return {
+            error: user.id === interaction.user.id
+                ? 'You have not linked a Steam account yet.'
+                : `${user.username} has not linked a Steam account.`
+        };
+    }
+
+    return { playerData };
+}
+
+export async function execute(interaction) {
+    await interaction.deferReply();
+
+    const { playerData, error } = await resolvePlayer(interaction);
+
+    if (error) {
+        await interaction.editReply({ embeds: [errorEmbed('Profile Not Found', error)] });
+        return;
+    }
+
+    const player = playerData.player;
+    const stats = player.stats;
+    const session = await getPlayerSession(player.steamId);
+
+    const status = session
+        ? `Live on **${session.serverName}**${session.since ? ` since <t:${Math.floor(new Date(session.since).getTime() / 1000)}:R>` : ''}`
+        : 'Offline';
+
+    const skins = player.skins;
+
+    const embed = infoEmbed(player.name || player.steamId, status)
+        .addFields(
+            { name: 'Prestige', value: String(stats.prestige), inline: true },
+            { name: 'XP', value: stats.xp.toLocaleString(), inline: true },
+            { name: 'Currency', value: (stats.currencyTotal - stats.currencySpent).toLocaleString(), inline: true },
+            { name: 'Time Played', value: formatDuration(stats.timePlayed), inline: true },
+            { name: 'Games Played', value: stats.gamesPlayed.toLocaleString(), inline: true },
+            { name: 'Daily Streak', value: String(stats.dailyClaims), inline: true },
+            { name: `Perma Unlocks (${player.permaUnlocks.length})`, value: formatList(player.permaUnlocks) },
+            { name: `Perks (${player.perks.length})`, value: formatList(player.perks) },
+            {
+                name: 'Skins',
+                value: `INDFOR: ${skins.indfor || 'Default'}\nBLUFOR: ${skins.blufor || 'Default'}\nREDFOR: ${skins.redfor || 'Default'}`
+            }
+        )
+        .setFooter({ text: `Steam ID: ${player.steamId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,18 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { unlinkDiscordAccount } from '../services/linkService.js';
+import { replyWithError, replyWithSuccess } from '../utils/messageHandler.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Unlink your Steam account from your Discord account');
+
+export async function execute(interaction) {
+    const removed = await unlinkDiscordAccount(interaction.user.id);
+
+    if (!removed) {
+        await replyWithError(interaction, 'You do not have a linked Steam account.');
+        return;
+    }
+
+    await replyWithSuccess(interaction, 'Account Unlinked', 'Your Steam account is no longer linked. Use /link to link one again.', true);
+}
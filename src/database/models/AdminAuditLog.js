@@ -0,0 +1,74 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineAdminAuditLog(sequelize) {
+    class AdminAuditLog extends Model {
+        /**
+         * Record an admin action
+         */
+        static async record({
+            actorId,
+            actorName = null,
+            action,
+            targetType = null,
+            targetId = null,
+            details = null,
+            ipAddress = null
+        }) {
+            return AdminAuditLog.create({
+                actor_id: actorId,
+                actor_name: actorName,
+                action,
+                target_type: targetType,
+                target_id: targetId,
+                details,
+                ip_address: ipAddress
+            });
+        }
+    }
+
+    AdminAuditLog.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        actor_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        actor_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        action: {
+            type: DataTypes.STRING(50),
+            allowNull: false
+        },
+        target_type: {
+            type: DataTypes.STRING(30),
+            allowNull: true
+        },
+        target_id: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        details: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        ip_address: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'AdminAuditLog',
+        tableName: 'admin_audit_log',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false, // No updated_at for audit logs
+        underscored: true
+    });
+
+    return AdminAuditLog;
+}
@@ -0,0 +1,75 @@
+import { DataTypes, Model, Op } from 'sequelize';
+
+export default function defineAntiCheatRule(sequelize) {
+    class AntiCheatRule extends Model {
+        /**
+         * Get the global rows plus the rows for one server
+         */
+        static async getForServer(serverId, options = {}) {
+            const servers = serverId ? [{ server_id: null }, { server_id: serverId }] : [{ server_id: null }];
+
+            return AntiCheatRule.findAll({
+                ...options,
+                where: { [Op.or]: servers },
+                order: [['rule_key', 'ASC']]
+            });
+        }
+    }
+
+    AntiCheatRule.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        rule_key: {
+            type: DataTypes.STRING(64),
+            allowNull: false
+        },
+        // NULL = all servers
+        server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        // NULL columns inherit from the global row or the built-in rule
+        type: {
+            type: DataTypes.ENUM('delta', 'rate', 'state'),
+            allowNull: true
+        },
+        severity: {
+            type: DataTypes.ENUM('log', 'flag', 'reject', 'flag_server'),
+            allowNull: true
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        // Merged over the inherited params
+        params: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'AntiCheatRule',
+        tableName: 'anti_cheat_rules',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['rule_key', 'server_id']
+            }
+        ]
+    });
+
+    return AntiCheatRule;
+}
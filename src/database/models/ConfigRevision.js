@@ -0,0 +1,60 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineConfigRevision(sequelize) {
+    class ConfigRevision extends Model {
+        /**
+         * Get the latest revision of a document
+         */
+        static async getLatest(document, options = {}) {
+            return ConfigRevision.findOne({
+                ...options,
+                where: { document },
+                order: [['version', 'DESC']]
+            });
+        }
+    }
+
+    ConfigRevision.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        // 'settings' or a faction store
+        document: {
+            type: DataTypes.ENUM('settings', 'indfor', 'blufor', 'redfor'),
+            allowNull: false
+        },
+        version: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        // SHA-256 of the document without lastUpdated
+        hash: {
+            type: DataTypes.CHAR(64),
+            allowNull: false
+        },
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ConfigRevision',
+        tableName: 'config_revisions',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        underscored: true
+    });
+
+    return ConfigRevision;
+}
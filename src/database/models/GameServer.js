@@ -57,6 +57,26 @@ export default function defineGameServer(sequelize) {
             return this.save();
         }
 
+        /**
+         * Quarantine this server: its saves are kept for review instead of applied
+         */
+        async quarantine(reason) {
+            this.flagged = true;
+            this.flagged_reason = reason;
+            this.quarantined = true;
+            this.quarantined_at = new Date();
+            return this.save();
+        }
+
+        /**
+         * Lift quarantine (the flag stays until reviewed)
+         */
+        async releaseQuarantine() {
+            this.quarantined = false;
+            this.quarantined_at = null;
+            return this.save();
+        }
+
         /**
          * Regenerate API token (invalidates old token)
          */
@@ -116,6 +136,16 @@ export default function defineGameServer(sequelize) {
             type: DataTypes.TEXT,
             allowNull: true
         },
+        // Saves are stored in sync_audit_log for review but not applied
+        quarantined: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        quarantined_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         last_seen_at: {
             type: DataTypes.DATE,
             allowNull: true
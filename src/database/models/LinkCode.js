@@ -0,0 +1,88 @@
+import { DataTypes, Model, Op } from 'sequelize';
+
+export default function defineLinkCode(sequelize) {
+    class LinkCode extends Model {
+        /**
+         * Whether the code can still be redeemed
+         */
+        isRedeemable() {
+            return !this.used_at && new Date(this.expires_at).getTime() > Date.now();
+        }
+
+        /**
+         * Count codes issued to a Discord user since a point in time (rate limiting)
+         */
+        static async countIssuedSince(discordId, since) {
+            return LinkCode.count({
+                where: {
+                    discord_id: discordId,
+                    created_at: { [Op.gte]: since }
+                }
+            });
+        }
+
+        /**
+         * Expire every unused code of a Discord user (a new code replaces them)
+         */
+        static async expireUnused(discordId, options = {}) {
+            return LinkCode.update(
+                { expires_at: new Date() },
+                {
+                    ...options,
+                    where: {
+                        discord_id: discordId,
+                        used_at: null,
+                        expires_at: { [Op.gt]: new Date() }
+                    }
+                }
+            );
+        }
+    }
+
+    LinkCode.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        code: {
+            type: DataTypes.STRING(12),
+            allowNull: false,
+            unique: true
+        },
+        discord_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        discord_username: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        used_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        used_by_steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: true
+        },
+        used_on_server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'LinkCode',
+        tableName: 'link_codes',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        underscored: true
+    });
+
+    return LinkCode;
+}
@@ -15,6 +15,8 @@ export default function definePlayer(sequelize) {
             Player.hasMany(models.PlayerVehicleKill, { foreignKey: 'player_id', as: 'vehicleKills' });
             Player.hasMany(models.PlayerPurchase, { foreignKey: 'player_id', as: 'purchases' });
             Player.hasMany(models.PlayerWeaponXp, { foreignKey: 'player_id', as: 'weaponXp' });
+            Player.hasMany(models.PlayerSnapshot, { foreignKey: 'player_id', as: 'snapshots' });
+            Player.hasMany(models.StatHistory, { foreignKey: 'player_id', as: 'statHistory' });
         }
 
         /**
@@ -72,10 +74,12 @@ export default function definePlayer(sequelize) {
          * Find player with all associations for game data
          * @param {string|null} steamId - Steam ID to search by
          * @param {number|null} playerId - Player ID to search by (if steamId is null)
+         * @param {Object} options - Extra query options (e.g., transaction)
          */
-        static async findWithFullData(steamId, playerId = null) {
+        static async findWithFullData(steamId, playerId = null, options = {}) {
             const where = steamId ? { steam_id: steamId } : { id: playerId };
             return Player.findOne({
+                ...options,
                 where,
                 include: [
                     { association: 'stats' },
@@ -0,0 +1,103 @@
+import { DataTypes, Model, Op } from 'sequelize';
+
+export default function definePlayerModeration(sequelize) {
+    class PlayerModeration extends Model {
+        static associate(models) {
+            PlayerModeration.belongsTo(models.Player, { foreignKey: 'player_id', as: 'player' });
+        }
+
+        /**
+         * Freezes and sync bans currently in force for a player
+         */
+        static async getActive(playerId, options = {}) {
+            return PlayerModeration.findAll({
+                where: {
+                    player_id: playerId,
+                    action: ['freeze', 'sync_ban'],
+                    revoked_at: null,
+                    [Op.or]: [
+                        { expires_at: null },
+                        { expires_at: { [Op.gt]: new Date() } }
+                    ]
+                },
+                order: [['created_at', 'DESC']],
+                ...options
+            });
+        }
+
+        /**
+         * Whether this record still applies (wipes never do, they are one-off)
+         */
+        isActive() {
+            if (this.action === 'wipe' || this.revoked_at) return false;
+            return !this.expires_at || this.expires_at > new Date();
+        }
+    }
+
+    PlayerModeration.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        action: {
+            type: DataTypes.ENUM('freeze', 'wipe', 'sync_ban'),
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        // Evidence links (array of URLs)
+        evidence: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        moderator_id: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        moderator_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // NULL = permanent (unused for wipes)
+        expires_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Snapshot taken before a wipe
+        snapshot_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: true
+        },
+        revoked_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        revoked_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        revoked_by_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'PlayerModeration',
+        tableName: 'player_moderation',
+        timestamps: true,
+        underscored: true
+    });
+
+    return PlayerModeration;
+}
@@ -0,0 +1,84 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function definePlayerSnapshot(sequelize) {
+    class PlayerSnapshot extends Model {
+        static associate(models) {
+            PlayerSnapshot.belongsTo(models.Player, { foreignKey: 'player_id', as: 'player' });
+        }
+
+        /**
+         * List a player's snapshots without the (large) data column
+         */
+        static async listForPlayer(playerId, { reason, limit = 50, offset = 0 } = {}) {
+            const where = { player_id: playerId };
+            if (reason) where.reason = reason;
+
+            return PlayerSnapshot.findAndCountAll({
+                where,
+                attributes: { exclude: ['data'] },
+                order: [['created_at', 'DESC']],
+                limit,
+                offset
+            });
+        }
+
+        /**
+         * Get the most recent snapshot of a player for a reason
+         */
+        static async getLatest(playerId, reason) {
+            return PlayerSnapshot.findOne({
+                where: { player_id: playerId, reason },
+                attributes: { exclude: ['data'] },
+                order: [['created_at', 'DESC']]
+            });
+        }
+    }
+
+    PlayerSnapshot.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        reason: {
+            type: DataTypes.ENUM('disconnect', 'daily', 'admin_edit', 'pre_restore', 'manual'),
+            allowNull: false
+        },
+        sync_seq: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Full combined v2 document: { player, tracking } (see dbToV2)
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        note: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'PlayerSnapshot',
+        tableName: 'player_snapshots',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false, // Snapshots are immutable
+        underscored: true
+    });
+
+    return PlayerSnapshot;
+}
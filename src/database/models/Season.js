@@ -0,0 +1,84 @@
+import { DataTypes, Model, Op } from 'sequelize';
+
+export default function defineSeason(sequelize) {
+    class Season extends Model {
+        static associate(models) {
+            Season.hasMany(models.SeasonResult, { foreignKey: 'season_id', as: 'results' });
+        }
+
+        /**
+         * Get the running season, if any
+         */
+        static async getActive(options = {}) {
+            return Season.findOne({ ...options, where: { status: 'active' } });
+        }
+
+        /**
+         * Get the earliest scheduled season whose start time has passed
+         */
+        static async getDueToStart(now = new Date()) {
+            return Season.findOne({
+                where: { status: 'scheduled', starts_at: { [Op.lte]: now } },
+                order: [['starts_at', 'ASC']]
+            });
+        }
+
+        /**
+         * Check whether the season's end time has passed
+         */
+        isDue(now = new Date()) {
+            return this.status === 'active' && new Date(this.ends_at) <= now;
+        }
+    }
+
+    Season.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        starts_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        ends_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('scheduled', 'active', 'ended'),
+            allowNull: false,
+            defaultValue: 'scheduled'
+        },
+        // Stat groups reset at season end (see seasonService.RESET_GROUPS)
+        reset_fields: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        results_count: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        created_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'Season',
+        tableName: 'seasons',
+        timestamps: true,
+        underscored: true
+    });
+
+    return Season;
+}
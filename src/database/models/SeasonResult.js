@@ -0,0 +1,74 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineSeasonResult(sequelize) {
+    class SeasonResult extends Model {
+        static associate(models) {
+            SeasonResult.belongsTo(models.Season, { foreignKey: 'season_id', as: 'season' });
+            SeasonResult.belongsTo(models.Player, { foreignKey: 'player_id', as: 'player' });
+        }
+    }
+
+    SeasonResult.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        season_id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: true
+        },
+        steam_id: {
+            type: DataTypes.STRING(17),
+            allowNull: false
+        },
+        player_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        rank: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        xp_total: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        prestige: {
+            type: DataTypes.TINYINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        currency_total: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        time_played: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Kills during the season, from stat_history
+        kills: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'SeasonResult',
+        tableName: 'season_results',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false, // Archived standings are immutable
+        underscored: true
+    });
+
+    return SeasonResult;
+}
@@ -0,0 +1,51 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineServerConfigOverride(sequelize) {
+    class ServerConfigOverride extends Model {
+        /**
+         * Get a server's override document, if it has one
+         */
+        static async getForServer(serverId, options = {}) {
+            return ServerConfigOverride.findOne({ ...options, where: { server_id: serverId } });
+        }
+    }
+
+    ServerConfigOverride.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        server_id: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true
+        },
+        // Partial settings.json merged over the global settings
+        overrides: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        version: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 1
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ServerConfigOverride',
+        tableName: 'server_config_overrides',
+        timestamps: true,
+        underscored: true
+    });
+
+    return ServerConfigOverride;
+}
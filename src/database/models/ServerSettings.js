@@ -0,0 +1,52 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineServerSettings(sequelize) {
+    class ServerSettings extends Model {
+        /**
+         * Get the settings row (there is at most one)
+         */
+        static async getCurrent(options = {}) {
+            return ServerSettings.findOne({ ...options, order: [['id', 'ASC']] });
+        }
+    }
+
+    ServerSettings.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        currency_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        xp_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        weapon_xp_multiplier: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 1
+        },
+        // settings.json sections without a table of their own
+        settings: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        updated_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ServerSettings',
+        tableName: 'server_settings',
+        timestamps: true,
+        underscored: true
+    });
+
+    return ServerSettings;
+}
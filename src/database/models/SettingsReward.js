@@ -0,0 +1,58 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineSettingsReward(sequelize) {
+    class SettingsReward extends Model {}
+
+    SettingsReward.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        reward_key: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        xp: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        currency: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        texture: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        display_reward: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'SettingsReward',
+        tableName: 'settings_rewards',
+        timestamps: true,
+        underscored: true
+    });
+
+    return SettingsReward;
+}
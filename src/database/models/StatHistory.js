@@ -0,0 +1,116 @@
+import { DataTypes, Model, QueryTypes } from 'sequelize';
+
+export default function defineStatHistory(sequelize) {
+    class StatHistory extends Model {
+        static associate(models) {
+            StatHistory.belongsTo(models.Player, { foreignKey: 'player_id', as: 'player' });
+        }
+
+        /**
+         * Add gains to a player's bucket, creating the rows as needed
+         *
+         * @param {number} playerId - Player ID
+         * @param {Date} bucketStart - Start of the bucket
+         * @param {Array<Object>} deltas - [{ stat, group, value }]
+         * @param {Object} options - Sequelize options (transaction)
+         */
+        static async addDeltas(playerId, bucketStart, deltas, options = {}) {
+            if (deltas.length === 0) return;
+
+            const rows = deltas.map(() => '(?, ?, ?, ?, ?)').join(', ');
+            const replacements = deltas.flatMap(delta => [
+                playerId,
+                bucketStart,
+                delta.stat,
+                delta.group || '',
+                delta.value
+            ]);
+
+            await sequelize.query(
+                `INSERT INTO stat_history (player_id, bucket_start, stat, group_name, value)
+                VALUES ${rows}
+                ON DUPLICATE KEY UPDATE value = value + VALUES(value)`,
+                { ...options, replacements, type: QueryTypes.INSERT }
+            );
+        }
+
+        /**
+         * Take gains back out of a player's bucket (never below zero)
+         *
+         * @param {number} playerId - Player ID
+         * @param {Date} bucketStart - Start of the bucket the gains were added to
+         * @param {Array<Object>} deltas - [{ stat, group, value }]
+         * @param {Object} options - Sequelize options (transaction)
+         */
+        static async removeDeltas(playerId, bucketStart, deltas, options = {}) {
+            for (const delta of deltas) {
+                // value is unsigned, so compare before subtracting
+                await sequelize.query(
+                    `UPDATE stat_history
+                    SET value = IF(value > :value, value - :value, 0)
+                    WHERE player_id = :playerId AND bucket_start = :bucketStart
+                        AND stat = :stat AND group_name = :group`,
+                    {
+                        ...options,
+                        replacements: {
+                            playerId,
+                            bucketStart,
+                            stat: delta.stat,
+                            group: delta.group || '',
+                            value: delta.value
+                        },
+                        type: QueryTypes.UPDATE
+                    }
+                );
+            }
+        }
+    }
+
+    StatHistory.init({
+        id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        player_id: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false
+        },
+        bucket_start: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        stat: {
+            type: DataTypes.STRING(32),
+            allowNull: false
+        },
+        // Vehicle, weapon, item or reward type for grouped stats, '' otherwise
+        group_name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            defaultValue: ''
+        },
+        value: {
+            type: DataTypes.BIGINT.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'StatHistory',
+        tableName: 'stat_history',
+        timestamps: false,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['player_id', 'stat', 'group_name', 'bucket_start']
+            },
+            {
+                fields: ['stat', 'bucket_start']
+            }
+        ]
+    });
+
+    return StatHistory;
+}
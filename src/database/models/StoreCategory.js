@@ -0,0 +1,42 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineStoreCategory(sequelize) {
+    class StoreCategory extends Model {
+        static associate(models) {
+            StoreCategory.hasMany(models.StoreItem, { foreignKey: 'category_id', as: 'items' });
+        }
+    }
+
+    StoreCategory.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        faction: {
+            type: DataTypes.ENUM('indfor', 'blufor', 'redfor'),
+            allowNull: false
+        },
+        // v2 category key (see configValidator.STORE_CATEGORIES)
+        name: {
+            type: DataTypes.STRING(32),
+            allowNull: false
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'StoreCategory',
+        tableName: 'store_categories',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['faction', 'name'] }
+        ]
+    });
+
+    return StoreCategory;
+}
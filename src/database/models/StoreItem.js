@@ -0,0 +1,62 @@
+import { DataTypes, Model } from 'sequelize';
+
+export default function defineStoreItem(sequelize) {
+    class StoreItem extends Model {
+        static associate(models) {
+            StoreItem.belongsTo(models.StoreCategory, { foreignKey: 'category_id', as: 'category' });
+        }
+    }
+
+    StoreItem.init({
+        id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        category_id: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false
+        },
+        // group, name or item path, whichever the item type has
+        name: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        single_cost: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        perma_cost: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        unlock_level: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        prestige: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Full v2 item object as written to the store file
+        data: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        sort_order: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'StoreItem',
+        tableName: 'store_items',
+        timestamps: true,
+        underscored: true
+    });
+
+    return StoreItem;
+}
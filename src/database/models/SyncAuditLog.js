@@ -15,6 +15,10 @@ export default function defineSyncAuditLog(sequelize) {
             dataAfter = null,
             flagged = false,
             flagReason = null,
+            rejected = false,
+            quarantined = false,
+            payload = null,
+            statDeltas = null,
             durationMs = null
         }) {
             return SyncAuditLog.create({
@@ -27,16 +31,20 @@ export default function defineSyncAuditLog(sequelize) {
                 data_after: dataAfter,
                 flagged,
                 flag_reason: flagReason,
+                rejected,
+                quarantined,
+                payload,
+                stat_deltas: statDeltas,
                 duration_ms: durationMs
             });
         }
 
         /**
-         * Get flagged entries for review
+         * Get flagged entries still waiting for review
          */
         static async getFlagged({ limit = 50, offset = 0 } = {}) {
             return SyncAuditLog.findAndCountAll({
-                where: { flagged: true },
+                where: { flagged: true, review_status: null },
                 order: [['created_at', 'DESC']],
                 limit,
                 offset
@@ -109,9 +117,51 @@ export default function defineSyncAuditLog(sequelize) {
             type: DataTypes.TEXT,
             allowNull: true
         },
+        // Refused by an anti-cheat rule, the data was not applied
+        rejected: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Sent while the server was quarantined (also rejected), payload holds the full save
+        quarantined: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        payload: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        // What an applied sync added to stat_history: { bucketStart, deltas }
+        stat_deltas: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
         duration_ms: {
             type: DataTypes.INTEGER.UNSIGNED,
             allowNull: true
+        },
+        // Moderator review of flagged entries (NULL = pending)
+        review_status: {
+            type: DataTypes.ENUM('approved', 'reverted'),
+            allowNull: true
+        },
+        reviewed_by: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        reviewed_by_name: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        reviewed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        review_note: {
+            type: DataTypes.TEXT,
+            allowNull: true
         }
     }, {
         sequelize,
@@ -15,6 +15,20 @@ import definePlayerPurchase from './PlayerPurchase.js';
 import definePlayerWeaponXp from './PlayerWeaponXp.js';
 import defineGameServer from './GameServer.js';
 import defineSyncAuditLog from './SyncAuditLog.js';
+import defineAdminAuditLog from './AdminAuditLog.js';
+import definePlayerSnapshot from './PlayerSnapshot.js';
+import defineStatHistory from './StatHistory.js';
+import defineSeason from './Season.js';
+import defineSeasonResult from './SeasonResult.js';
+import defineLinkCode from './LinkCode.js';
+import defineServerSettings from './ServerSettings.js';
+import defineSettingsReward from './SettingsReward.js';
+import defineStoreCategory from './StoreCategory.js';
+import defineStoreItem from './StoreItem.js';
+import defineConfigRevision from './ConfigRevision.js';
+import defineServerConfigOverride from './ServerConfigOverride.js';
+import defineAntiCheatRule from './AntiCheatRule.js';
+import definePlayerModeration from './PlayerModeration.js';
 import { createServiceLogger } from '../../utils/logger.js';
 
 const logger = createServiceLogger('Models');
@@ -42,6 +56,7 @@ export async function initializeModels() {
     const Player = databaseManager.registerModel('Player', definePlayer);
     const PlayerStats = databaseManager.registerModel('PlayerStats', definePlayerStats);
     const DiscordLink = databaseManager.registerModel('DiscordLink', defineDiscordLink);
+    const LinkCode = databaseManager.registerModel('LinkCode', defineLinkCode);
     const PlayerSkin = databaseManager.registerModel('PlayerSkin', definePlayerSkin);
     const PlayerSupporterStatus = databaseManager.registerModel('PlayerSupporterStatus', definePlayerSupporterStatus);
     const LoadoutSlot = databaseManager.registerModel('LoadoutSlot', defineLoadoutSlot);
@@ -52,9 +67,28 @@ export async function initializeModels() {
     const PlayerVehicleKill = databaseManager.registerModel('PlayerVehicleKill', definePlayerVehicleKill);
     const PlayerPurchase = databaseManager.registerModel('PlayerPurchase', definePlayerPurchase);
     const PlayerWeaponXp = databaseManager.registerModel('PlayerWeaponXp', definePlayerWeaponXp);
+    const PlayerSnapshot = databaseManager.registerModel('PlayerSnapshot', definePlayerSnapshot);
+    const StatHistory = databaseManager.registerModel('StatHistory', defineStatHistory);
 
-    // Register audit log model
+    // Register season models
+    const Season = databaseManager.registerModel('Season', defineSeason);
+    const SeasonResult = databaseManager.registerModel('SeasonResult', defineSeasonResult);
+
+    // Register server config models
+    const ServerSettings = databaseManager.registerModel('ServerSettings', defineServerSettings);
+    const SettingsReward = databaseManager.registerModel('SettingsReward', defineSettingsReward);
+    const StoreCategory = databaseManager.registerModel('StoreCategory', defineStoreCategory);
+    const StoreItem = databaseManager.registerModel('StoreItem', defineStoreItem);
+    const ConfigRevision = databaseManager.registerModel('ConfigRevision', defineConfigRevision);
+    const ServerConfigOverride = databaseManager.registerModel('ServerConfigOverride', defineServerConfigOverride);
+
+    // Register audit log models
     const SyncAuditLog = databaseManager.registerModel('SyncAuditLog', defineSyncAuditLog);
+    const AdminAuditLog = databaseManager.registerModel('AdminAuditLog', defineAdminAuditLog);
+
+    // Register anti-cheat and player moderation models
+    const AntiCheatRule = databaseManager.registerModel('AntiCheatRule', defineAntiCheatRule);
+    const PlayerModeration = databaseManager.registerModel('PlayerModeration', definePlayerModeration);
 
     // Collect all models for association setup
     const models = {
@@ -63,6 +97,7 @@ export async function initializeModels() {
         Player,
         PlayerStats,
         DiscordLink,
+        LinkCode,
         PlayerSkin,
         PlayerSupporterStatus,
         LoadoutSlot,
@@ -73,7 +108,20 @@ export async function initializeModels() {
         PlayerVehicleKill,
         PlayerPurchase,
         PlayerWeaponXp,
-        SyncAuditLog
+        PlayerSnapshot,
+        StatHistory,
+        Season,
+        SeasonResult,
+        ServerSettings,
+        SettingsReward,
+        StoreCategory,
+        StoreItem,
+        ConfigRevision,
+        ServerConfigOverride,
+        SyncAuditLog,
+        AdminAuditLog,
+        AntiCheatRule,
+        PlayerModeration
     };
 
     // Set up associations
@@ -99,6 +147,7 @@ export function getModels() {
         Player: databaseManager.getModel('Player'),
         PlayerStats: databaseManager.getModel('PlayerStats'),
         DiscordLink: databaseManager.getModel('DiscordLink'),
+        LinkCode: databaseManager.getModel('LinkCode'),
         PlayerSkin: databaseManager.getModel('PlayerSkin'),
         PlayerSupporterStatus: databaseManager.getModel('PlayerSupporterStatus'),
         LoadoutSlot: databaseManager.getModel('LoadoutSlot'),
@@ -109,7 +158,20 @@ export function getModels() {
         PlayerVehicleKill: databaseManager.getModel('PlayerVehicleKill'),
         PlayerPurchase: databaseManager.getModel('PlayerPurchase'),
         PlayerWeaponXp: databaseManager.getModel('PlayerWeaponXp'),
-        SyncAuditLog: databaseManager.getModel('SyncAuditLog')
+        PlayerSnapshot: databaseManager.getModel('PlayerSnapshot'),
+        StatHistory: databaseManager.getModel('StatHistory'),
+        Season: databaseManager.getModel('Season'),
+        SeasonResult: databaseManager.getModel('SeasonResult'),
+        ServerSettings: databaseManager.getModel('ServerSettings'),
+        SettingsReward: databaseManager.getModel('SettingsReward'),
+        StoreCategory: databaseManager.getModel('StoreCategory'),
+        StoreItem: databaseManager.getModel('StoreItem'),
+        ConfigRevision: databaseManager.getModel('ConfigRevision'),
+        ServerConfigOverride: databaseManager.getModel('ServerConfigOverride'),
+        SyncAuditLog: databaseManager.getModel('SyncAuditLog'),
+        AdminAuditLog: databaseManager.getModel('AdminAuditLog'),
+        AntiCheatRule: databaseManager.getModel('AntiCheatRule'),
+        PlayerModeration: databaseManager.getModel('PlayerModeration')
     };
 }
 
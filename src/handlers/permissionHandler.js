@@ -1,5 +1,6 @@
 import { isDevelopment } from '../utils/environment.js';
 import { createServiceLogger } from '../utils/logger.js';
+import { discord as discordConfig } from '../../config/config.js';
 
 const logger = createServiceLogger('Permissions');
 
@@ -124,10 +125,71 @@ export async function checkPermission(interaction, permission) {
     return true;
 }
 
+/**
+ * Check if a dashboard user has a permission through their guild roles
+ * Application admins (users.is_admin) always have every permission.
+ * @param {Client} client - Discord client
+ * @param {Object} user - Dashboard User model instance
+ * @param {string} permission - Permission to check
+ * @returns {Promise<boolean>}
+ */
+export async function userHasPermission(client, user, permission) {
+    if (user.isAdmin) {
+        return true;
+    }
+
+    const guild = client?.guilds.cache.get(discordConfig.guildId);
+    if (!guild) {
+        logger.warn('Permission check failed: guild not available');
+        return false;
+    }
+
+    try {
+        const member = await guild.members.fetch(String(user.id));
+        return memberHasPermission(member, permission);
+    } catch (error) {
+        logger.debug(`Permission check failed: ${user.username} is not a guild member (${error.message})`);
+        return false;
+    }
+}
+
+/**
+ * Express middleware requiring a dashboard session with a permission
+ * @param {string} permission - Required permission
+ * @returns {Function} Express middleware
+ */
+export function requireDashboardPermission(permission) {
+    return async (req, res, next) => {
+        if (!req.isAuthenticated()) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        if (req.user.isBanned) {
+            return res.status(403).json({ error: 'User is banned' });
+        }
+
+        try {
+            const allowed = await userHasPermission(req.app.get('discordClient'), req.user, permission);
+
+            if (!allowed) {
+                logger.debug(`Permission denied: ${req.user.username} lacks ${permission}`);
+                return res.status(403).json({ error: 'Insufficient permissions', permission });
+            }
+
+            next();
+        } catch (error) {
+            logger.error(`Permission check error for ${req.user.username}:`, error.message);
+            res.status(500).json({ error: 'Permission check failed' });
+        }
+    };
+}
+
 export default {
     getMemberHighestRole,
     memberHasPermission,
     getMemberPermissions,
     requirePermission,
-    checkPermission
+    checkPermission,
+    userHasPermission,
+    requireDashboardPermission
 };
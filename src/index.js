@@ -17,8 +17,14 @@ import { loadCommands, handleCommand } from './handlers/commandHandler.js';
 import apiRoutes from './routes/api.js';
 import authRoutes from './routes/auth.js';
 import syncRoutes from './routes/sync.js';
+import adminRoutes from './routes/admin/index.js';
+import leaderboardRoutes from './routes/leaderboards.js';
 import { createServiceLogger } from './utils/logger.js';
 import { initGameServerConnector, disconnectAll as disconnectGameServers } from './services/gameServerConnector.js';
+import { setupDashboardEvents } from './services/dashboardEvents.js';
+import { startSnapshotScheduler, stopSnapshotScheduler } from './services/snapshotService.js';
+import { startSeasonScheduler, stopSeasonScheduler } from './services/seasonService.js';
+import { startWatchdog, stopWatchdog } from './services/watchdogService.js';
 
 const logger = createServiceLogger('Main');
 
@@ -64,6 +70,8 @@ app.use(cors({
     credentials: true
 }));
 
+// Game server saves are larger than dashboard requests, parse them first with their own limit
+app.use('/api/sync', express.json({ limit: httpConfig.syncBodyLimit }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -82,7 +90,7 @@ async function setupSession() {
         expiration: httpConfig.session.maxAge
     });
 
-    app.use(session({
+    const sessionMiddleware = session({
         secret: httpConfig.session.secret,
         store: sessionStore,
         resave: false,
@@ -92,11 +100,17 @@ async function setupSession() {
             httpOnly: true,
             maxAge: httpConfig.session.maxAge
         }
-    }));
+    });
 
+    app.use(sessionMiddleware);
     app.use(passport.initialize());
     app.use(passport.session());
 
+    // Share the session with Socket.IO so dashboard sockets know their user
+    io.engine.use(sessionMiddleware);
+    io.engine.use(passport.initialize());
+    io.engine.use(passport.session());
+
     // Passport serialization
     passport.serializeUser((user, done) => {
         done(null, user.id);
@@ -158,33 +172,33 @@ async function setupSession() {
 // Routes
 // ============================================
 
-app.use('/api', apiRoutes);
-app.use('/api/sync', syncRoutes);
-app.use('/auth', authRoutes);
-
-// Root endpoint
-app.get('/', (req, res) => {
-    res.json({
-        name: 'KOTH Bot API',
-        status: 'running',
-        documentation: '/api'
+// Registered after setupSession() so session/passport middleware runs first
+function setupRoutes() {
+    app.use('/api', apiRoutes);
+    app.use('/api/sync', syncRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/leaderboards', leaderboardRoutes);
+    app.use('/auth', authRoutes);
+
+    // Root endpoint
+    app.get('/', (req, res) => {
+        res.json({
+            name: 'KOTH Bot API',
+            status: 'running',
+            documentation: '/api'
+        });
     });
-});
+}
 
 // ============================================
 // Socket.IO Events
 // ============================================
 
-io.on('connection', (socket) => {
-    logger.debug(`Socket connected: ${socket.id}`);
+setupDashboardEvents(io, client);
 
-    socket.on('disconnect', () => {
-        logger.debug(`Socket disconnected: ${socket.id}`);
-    });
-});
-
-// Make io accessible to routes
+// Make io and the Discord client accessible to routes
 app.set('io', io);
+app.set('discordClient', client);
 
 // ============================================
 // Discord Events
@@ -223,6 +237,7 @@ async function start() {
 
         // Setup session after database is ready
         await setupSession();
+        setupRoutes();
 
         // Load Discord commands
         await loadCommands(client);
@@ -230,6 +245,15 @@ async function start() {
         // Initialize game server connections (WebSocket client to game servers)
         await initGameServerConnector();
 
+        // Daily player snapshots and snapshot retention
+        startSnapshotScheduler();
+
+        // Season start/end and resets
+        startSeasonScheduler();
+
+        // Flagged-sync rates per server, flags and quarantines anomalous servers
+        startWatchdog(client);
+
         // Start HTTP server with proper error handling and retry logic
         await new Promise((resolve, reject) => {
             let retries = 0;
@@ -312,6 +336,10 @@ async function shutdown(signal) {
         client.destroy();
         logger.info('Discord client destroyed');
 
+        stopSnapshotScheduler();
+        stopSeasonScheduler();
+        stopWatchdog();
+
         // Disconnect from game servers
         await disconnectGameServers();
         logger.info('Disconnected from game servers');
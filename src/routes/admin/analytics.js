@@ -0,0 +1,98 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    getEconomyOverview,
+    getTopPurchases,
+    getPermaUnlockAdoption,
+    getRewardSources
+} from '../../services/analyticsService.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminAnalyticsAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.analytics.view');
+
+/**
+ * Map analyticsService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Unknown analytics period') || error.message.startsWith('Unknown faction')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/admin/analytics/economy
+ * Currency minted against currency spent
+ *
+ * Query params: period (all|monthly|weekly)
+ *
+ * Response 200: { period, minted, spent, net, spendRatio, players, held, permaTokens, multipliers, series: [{ bucketStart, minted, spent }], generatedAt }
+ */
+router.get('/economy', canView, async (req, res) => {
+    try {
+        const overview = await getEconomyOverview({ period: req.query.period });
+        res.json(overview);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve economy overview');
+    }
+});
+
+/**
+ * GET /api/admin/analytics/purchases
+ * Most bought items per faction
+ *
+ * Query params: period (all|monthly|weekly), faction, limit (per faction, max 100)
+ *
+ * Response 200: { period, factions: { [faction]: [{ item, category, purchases, players, singleCost, permaCost, estimatedSpend }] }, unmatched, generatedAt }
+ */
+router.get('/purchases', canView, async (req, res) => {
+    try {
+        const { period, faction, limit } = req.query;
+        const purchases = await getTopPurchases({ period, faction, limit });
+        res.json(purchases);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve purchases');
+    }
+});
+
+/**
+ * GET /api/admin/analytics/perma-unlocks
+ * Perma unlock adoption per store item
+ *
+ * Query params: period (all|monthly|weekly), faction, limit (per faction, max 100)
+ *
+ * Response 200: { period, totalPlayers, factions: { [faction]: [{ item, category, permaCost, players, adoptionRate }] }, unmatched, generatedAt }
+ */
+router.get('/perma-unlocks', canView, async (req, res) => {
+    try {
+        const { period, faction, limit } = req.query;
+        const adoption = await getPermaUnlockAdoption({ period, faction, limit });
+        res.json(adoption);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve perma unlock adoption');
+    }
+});
+
+/**
+ * GET /api/admin/analytics/rewards
+ * Rewards earned by type and the currency and XP they are worth
+ *
+ * Query params: period (all|monthly|weekly)
+ *
+ * Response 200: { period, multipliers, rewards: [{ type, name, count, players, currency, xp, estimatedCurrency, estimatedXp, share }], generatedAt }
+ */
+router.get('/rewards', canView, async (req, res) => {
+    try {
+        const rewards = await getRewardSources({ period: req.query.period });
+        res.json(rewards);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve reward sources');
+    }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import { listRules, setRule, deleteRule } from '../../services/antiCheatService.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminAntiCheatAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.anticheat.view');
+const canManage = requireDashboardPermission('dashboard.anticheat.manage');
+
+/**
+ * Map antiCheatService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Rule not found') || error.message.startsWith('Server not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid rule')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Record a rule change performed by the current dashboard user
+ */
+function record(req, action, key, serverId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'anticheat_rule',
+        targetId: serverId ? `${key}@${serverId}` : key,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * GET /api/admin/anti-cheat/rules
+ * Built-in rules, stored rule rows and the rules as they apply
+ *
+ * Query params: serverId (resolve for this server; without it all rows are listed)
+ *
+ * Response 200: { defaults, rows, effective: [{ key, type, severity, enabled, params, description, source }], severities, stateChecks }
+ */
+router.get('/rules', canView, async (req, res) => {
+    try {
+        const rules = await listRules(req.query.serverId || null);
+        res.json(rules);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve anti-cheat rules');
+    }
+});
+
+/**
+ * PUT /api/admin/anti-cheat/rules/:key
+ * Create or replace the rule row for a key, globally or for one server
+ * Omitted fields inherit from the global row or the built-in rule; params are merged over the inherited params.
+ *
+ * Body: { serverId?, type?, severity?, enabled?, params?, description? }
+ *
+ * Response 200: { row, effective }
+ */
+router.put('/rules/:key', canManage, async (req, res) => {
+    const { key } = req.params;
+    const { serverId = null, type = null, severity = null, enabled = null, params = null, description = null } = req.body || {};
+
+    try {
+        const result = await setRule(key, { serverId, type, severity, enabled, params, description }, { user: req.user });
+        await record(req, 'anticheat.rule.set', key, serverId, { type, severity, enabled, params });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to save anti-cheat rule');
+    }
+});
+
+/**
+ * DELETE /api/admin/anti-cheat/rules/:key
+ * Remove the rule row for a key; the rule falls back to what it inherits
+ *
+ * Query params: serverId (the server's row; without it the global row)
+ *
+ * Response 200: { success: true }
+ */
+router.delete('/rules/:key', canManage, async (req, res) => {
+    const { key } = req.params;
+    const serverId = req.query.serverId || null;
+
+    try {
+        await deleteRule(key, serverId);
+        await record(req, 'anticheat.rule.delete', key, serverId);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete anti-cheat rule');
+    }
+});
+
+export default router;
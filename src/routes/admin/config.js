@@ -0,0 +1,616 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    CONFIG_DOCUMENTS,
+    getConfigDocument,
+    getEffectiveSettings,
+    listServerOverrides,
+    getServerOverride,
+    setServerOverride,
+    deleteServerOverride,
+    replaceSettings,
+    updateSettings,
+    setReward,
+    deleteReward,
+    replaceStore,
+    previewStore,
+    listStoreItems,
+    createStoreItem,
+    updateStoreItem,
+    deleteStoreItem,
+    listRevisions,
+    getRevision,
+    restoreRevision
+} from '../../services/configService.js';
+import { FACTIONS, STORE_CATEGORIES } from '../../services/configValidator.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { pushConfig } from '../../services/gameServerConnector.js';
+import { emitToDashboard } from '../../services/dashboardEvents.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminConfigAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.config.view');
+const canManage = requireDashboardPermission('dashboard.config.manage');
+
+/**
+ * Map configService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid config')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Record a config change performed by the current dashboard user
+ * Changes that left the document identical are not recorded.
+ */
+function record(req, action, result, details = {}) {
+    if (!result.changed) return null;
+
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'config',
+        targetId: result.document,
+        details: { version: result.version, ...details },
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * Get the optional serverIds list from the request body (null = every connected server)
+ */
+function getServerIds(req) {
+    const { serverIds } = req.body || {};
+    if (!Array.isArray(serverIds) || serverIds.length === 0) return null;
+    return serverIds.filter(serverId => typeof serverId === 'string');
+}
+
+/**
+ * Send a saved revision to the game servers and tell dashboards about it
+ * Servers left out by serverIds receive it the next time they connect.
+ *
+ * @returns {Promise<Array<string>>} Server IDs the revision was sent to
+ */
+async function publish(req, result) {
+    if (!result.changed) return [];
+
+    emitToDashboard('servers', 'config:updated', {
+        document: result.document,
+        version: result.version,
+        hash: result.hash
+    });
+
+    try {
+        const pushed = await pushConfig([result.document], getServerIds(req));
+        return pushed.map(entry => entry.serverId);
+    } catch (error) {
+        logger.error(`Failed to push ${result.document} v${result.version}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Send a server its settings.json after its override changed
+ *
+ * @returns {Promise<Array<string>>} [serverId] if it is connected, otherwise []
+ */
+async function publishOverride(serverId) {
+    emitToDashboard('servers', 'config:updated', { document: 'settings', serverId });
+
+    try {
+        const pushed = await pushConfig(['settings'], [serverId]);
+        return pushed.map(entry => entry.serverId);
+    } catch (error) {
+        logger.error(`Failed to push settings to ${serverId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Shape a change result for the response
+ */
+function changeResponse(result, pushedTo) {
+    return {
+        document: result.document,
+        version: result.version,
+        hash: result.hash,
+        changed: result.changed,
+        pushedTo
+    };
+}
+
+/**
+ * Get the optional note from the request body
+ */
+function getNote(req) {
+    const { note } = req.body || {};
+    return typeof note === 'string' && note ? note : null;
+}
+
+/**
+ * Reject unknown factions with 400
+ */
+function checkFaction(req, res, next) {
+    if (!FACTIONS.includes(req.params.faction)) {
+        return res.status(400).json({ error: `faction must be one of: ${FACTIONS.join(', ')}` });
+    }
+    next();
+}
+
+/**
+ * GET /api/admin/config
+ * Current version of every config document
+ *
+ * Response 200: { documents: [{ document, version, hash, updatedAt }], storeCategories, storeCategoryTypes }
+ */
+router.get('/', canView, async (req, res) => {
+    try {
+        const documents = [];
+        for (const document of CONFIG_DOCUMENTS) {
+            const current = await getConfigDocument(document);
+            documents.push({
+                document,
+                version: current?.version || 0,
+                hash: current?.hash || null,
+                updatedAt: current?.updatedAt || null
+            });
+        }
+
+        res.json({ documents, storeCategories: Object.keys(STORE_CATEGORIES), storeCategoryTypes: STORE_CATEGORIES });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve config');
+    }
+});
+
+/**
+ * POST /api/admin/config/push
+ * Send the current revisions to game servers again, e.g. after fixing a server's files by hand
+ *
+ * Body: { documents?: ['settings', 'indfor', ...], serverIds?: [...] } (omit for all)
+ * Response 200: { servers: [{ serverId, documents: [{ document, version, overrideVersion, hash }] }] }
+ */
+router.post('/push', canManage, async (req, res) => {
+    const { documents = CONFIG_DOCUMENTS } = req.body || {};
+    if (!Array.isArray(documents) || documents.some(document => !CONFIG_DOCUMENTS.includes(document))) {
+        return res.status(400).json({ error: `documents must be a list of: ${CONFIG_DOCUMENTS.join(', ')}` });
+    }
+
+    try {
+        const servers = await pushConfig(documents, getServerIds(req));
+
+        await recordAdminAction({
+            user: req.user,
+            action: 'config.push',
+            targetType: 'config',
+            details: { documents, serverIds: servers.map(entry => entry.serverId) },
+            ipAddress: req.ip
+        });
+
+        res.json({ servers });
+    } catch (error) {
+        sendError(res, error, 'Failed to push config');
+    }
+});
+
+/**
+ * GET /api/admin/config/settings
+ * settings.json as served to game servers
+ *
+ * Response 200: { settings, version, hash }
+ */
+router.get('/settings', canView, async (req, res) => {
+    try {
+        const current = await getConfigDocument('settings');
+
+        if (!current) {
+            return res.status(404).json({ error: 'Settings not found' });
+        }
+
+        res.json({ settings: current.data, version: current.version, hash: current.hash });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve settings');
+    }
+});
+
+/**
+ * PUT /api/admin/config/settings
+ * Replace settings.json
+ *
+ * Body: { settings, note?, serverIds? }
+ * Response 200: { document, version, hash, changed, pushedTo }
+ */
+router.put('/settings', canManage, async (req, res) => {
+    try {
+        const result = await replaceSettings(req.body?.settings, { user: req.user, note: getNote(req) });
+        await record(req, 'config.settings.replace', result);
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to save settings');
+    }
+});
+
+/**
+ * PATCH /api/admin/config/settings
+ * Replace individual top-level sections of settings.json
+ *
+ * Body: { settings: { economy?, zone?, ... }, note?, serverIds? }
+ * Response 200: { document, version, hash, changed, pushedTo }
+ */
+router.patch('/settings', canManage, async (req, res) => {
+    const changes = req.body?.settings;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ error: 'settings must be an object' });
+    }
+
+    try {
+        const result = await updateSettings(changes, { user: req.user, note: getNote(req) });
+        await record(req, 'config.settings.update', result, { sections: Object.keys(changes) });
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to save settings');
+    }
+});
+
+/**
+ * PUT /api/admin/config/settings/rewards/:key
+ * Add or replace a reward
+ *
+ * Body: { reward: { name, xp, currency, description?, texture?, displayReward? }, note?, serverIds? }
+ */
+router.put('/settings/rewards/:key', canManage, async (req, res) => {
+    try {
+        const result = await setReward(req.params.key, req.body?.reward, { user: req.user, note: getNote(req) });
+        await record(req, 'config.reward.set', result, { reward: req.params.key });
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to save reward');
+    }
+});
+
+/**
+ * DELETE /api/admin/config/settings/rewards/:key
+ * Remove a reward
+ *
+ * Body: { note?, serverIds? }
+ */
+router.delete('/settings/rewards/:key', canManage, async (req, res) => {
+    try {
+        const result = await deleteReward(req.params.key, { user: req.user, note: getNote(req) });
+        await record(req, 'config.reward.delete', result, { reward: req.params.key });
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to delete reward');
+    }
+});
+
+/**
+ * GET /api/admin/config/stores/:faction
+ * stores/{faction}.json as served to game servers
+ *
+ * Response 200: { store, version, hash }
+ */
+router.get('/stores/:faction', canView, checkFaction, async (req, res) => {
+    try {
+        const current = await getConfigDocument(req.params.faction);
+
+        if (!current) {
+            return res.status(404).json({ error: `Store not found: ${req.params.faction}` });
+        }
+
+        res.json({ store: current.data, version: current.version, hash: current.hash });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve store');
+    }
+});
+
+/**
+ * PUT /api/admin/config/stores/:faction
+ * Replace a faction's store file
+ *
+ * Body: { store, note?, serverIds? }
+ * Response 200: { document, version, hash, changed, pushedTo }
+ */
+router.put('/stores/:faction', canManage, checkFaction, async (req, res) => {
+    try {
+        const result = await replaceStore(req.params.faction, req.body?.store, { user: req.user, note: getNote(req) });
+        await record(req, 'config.store.replace', result);
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to save store');
+    }
+});
+
+/**
+ * POST /api/admin/config/stores/:faction/preview
+ * Validate a store file and show what saving it would change, without saving
+ *
+ * Body: { store }
+ * Response 200: {
+ *   valid, errors, version, hash, changed,
+ *   diff: { categories: { added, removed, reordered }, items: [{ category, key, change, ... }], reorderedItems }
+ * }
+ */
+router.post('/stores/:faction/preview', canView, checkFaction, async (req, res) => {
+    try {
+        const preview = await previewStore(req.params.faction, req.body?.store);
+        res.json(preview);
+    } catch (error) {
+        sendError(res, error, 'Failed to preview store');
+    }
+});
+
+/**
+ * GET /api/admin/config/stores/:faction/items
+ * A faction's store items with their IDs
+ *
+ * Query params: category
+ * Response 200: { items: [{ id, category, sortOrder, item }] }
+ */
+router.get('/stores/:faction/items', canView, checkFaction, async (req, res) => {
+    const { category } = req.query;
+    if (category && !STORE_CATEGORIES[category]) {
+        return res.status(400).json({ error: `category must be one of: ${Object.keys(STORE_CATEGORIES).join(', ')}` });
+    }
+
+    try {
+        const items = await listStoreItems(req.params.faction, { category });
+        res.json({ items });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve store items');
+    }
+});
+
+/**
+ * POST /api/admin/config/stores/:faction/items
+ * Add a store item
+ *
+ * Body: { category, item, sortOrder?, note?, serverIds? }
+ * Response 201: { id, document, version, hash, changed, pushedTo }
+ */
+router.post('/stores/:faction/items', canManage, checkFaction, async (req, res) => {
+    const { category, item, sortOrder } = req.body || {};
+
+    try {
+        const result = await createStoreItem(req.params.faction, category, item, {
+            sortOrder: Number.isInteger(sortOrder) ? sortOrder : null,
+            user: req.user,
+            note: getNote(req)
+        });
+        await record(req, 'config.store_item.create', result, { itemId: result.result.id, category });
+        const pushedTo = await publish(req, result);
+        res.status(201).json({ id: result.result.id, ...changeResponse(result, pushedTo) });
+    } catch (error) {
+        sendError(res, error, 'Failed to create store item');
+    }
+});
+
+/**
+ * PUT /api/admin/config/stores/items/:id
+ * Change a store item
+ *
+ * Body: { item?, sortOrder?, note?, serverIds? }
+ * Response 200: { id, document, version, hash, changed, pushedTo }
+ */
+router.put('/stores/items/:id', canManage, async (req, res) => {
+    const { item, sortOrder } = req.body || {};
+
+    if (!item && !Number.isInteger(sortOrder)) {
+        return res.status(400).json({ error: 'item or sortOrder is required' });
+    }
+
+    try {
+        const result = await updateStoreItem(req.params.id, {
+            item: item || null,
+            sortOrder: Number.isInteger(sortOrder) ? sortOrder : null
+        }, { user: req.user, note: getNote(req) });
+        await record(req, 'config.store_item.update', result, { itemId: Number(req.params.id) });
+        const pushedTo = await publish(req, result);
+        res.json({ id: Number(req.params.id), ...changeResponse(result, pushedTo) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update store item');
+    }
+});
+
+/**
+ * DELETE /api/admin/config/stores/items/:id
+ * Remove a store item
+ *
+ * Body: { note?, serverIds? }
+ */
+router.delete('/stores/items/:id', canManage, async (req, res) => {
+    try {
+        const result = await deleteStoreItem(req.params.id, { user: req.user, note: getNote(req) });
+        await record(req, 'config.store_item.delete', result, { itemId: Number(req.params.id) });
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to delete store item');
+    }
+});
+
+/**
+ * GET /api/admin/config/overrides
+ * Every server's settings override
+ *
+ * Response 200: { overrides: [{ serverId, overrides, version, note, updatedBy, updatedAt }] }
+ */
+router.get('/overrides', canView, async (req, res) => {
+    try {
+        const overrides = await listServerOverrides();
+        res.json({ overrides });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve overrides');
+    }
+});
+
+/**
+ * GET /api/admin/config/overrides/:serverId
+ * A server's settings override
+ */
+router.get('/overrides/:serverId', canView, async (req, res) => {
+    try {
+        const override = await getServerOverride(req.params.serverId);
+        res.json({ override });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve override');
+    }
+});
+
+/**
+ * PUT /api/admin/config/overrides/:serverId
+ * Set a server's settings override, deep-merged over the global settings.json
+ *
+ * Body: { overrides: { economy?: { xpMultiplier? }, zone?: { moveInterval? }, ... }, note? }
+ * Response 200: { serverId, version, changed, pushedTo }
+ */
+router.put('/overrides/:serverId', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const result = await setServerOverride(serverId, req.body?.overrides, { user: req.user, note: getNote(req) });
+        const pushedTo = result.changed ? await publishOverride(serverId) : [];
+
+        if (result.changed) {
+            await recordAdminAction({
+                user: req.user,
+                action: 'config.override.set',
+                targetType: 'server',
+                targetId: serverId,
+                details: { version: result.version, overrides: req.body.overrides },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json({ ...result, pushedTo });
+    } catch (error) {
+        sendError(res, error, 'Failed to save override');
+    }
+});
+
+/**
+ * DELETE /api/admin/config/overrides/:serverId
+ * Remove a server's override, it gets the global settings.json again
+ *
+ * Response 200: { serverId, changed, pushedTo }
+ */
+router.delete('/overrides/:serverId', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const result = await deleteServerOverride(serverId, { user: req.user });
+        const pushedTo = await publishOverride(serverId);
+
+        await recordAdminAction({
+            user: req.user,
+            action: 'config.override.delete',
+            targetType: 'server',
+            targetId: serverId,
+            ipAddress: req.ip
+        });
+
+        res.json({ ...result, pushedTo });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete override');
+    }
+});
+
+/**
+ * GET /api/admin/config/effective/:serverId
+ * settings.json as delivered to a server, with the source of every value
+ *
+ * Response 200: {
+ *   settings, version, overrideVersion, hash,
+ *   sources: { 'economy.xpMultiplier': 'server', 'zone.moveInterval': 'global', ... }
+ * }
+ */
+router.get('/effective/:serverId', canView, async (req, res) => {
+    try {
+        const effective = await getEffectiveSettings(req.params.serverId);
+
+        if (!effective) {
+            return res.status(404).json({ error: 'Settings not found' });
+        }
+
+        res.json({
+            settings: effective.data,
+            version: effective.version,
+            overrideVersion: effective.overrideVersion,
+            hash: effective.hash,
+            sources: effective.sources
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve effective settings');
+    }
+});
+
+/**
+ * GET /api/admin/config/revisions
+ * A document's revisions, newest first (document data omitted)
+ *
+ * Query params: document (settings, indfor, blufor, redfor), limit (max 200), offset
+ */
+router.get('/revisions', canView, async (req, res) => {
+    const { document } = req.query;
+    if (!CONFIG_DOCUMENTS.includes(document)) {
+        return res.status(400).json({ error: `document must be one of: ${CONFIG_DOCUMENTS.join(', ')}` });
+    }
+
+    try {
+        const result = await listRevisions(document, {
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve revisions');
+    }
+});
+
+/**
+ * GET /api/admin/config/revisions/:id
+ * A single revision including its full document
+ */
+router.get('/revisions/:id', canView, async (req, res) => {
+    try {
+        const revision = await getRevision(req.params.id);
+        res.json({ revision });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve revision');
+    }
+});
+
+/**
+ * POST /api/admin/config/revisions/:id/restore
+ * Restore a document to this revision (saved as a new revision)
+ *
+ * Body: { note?, serverIds? }
+ * Response 200: { document, version, hash, changed, pushedTo }
+ */
+router.post('/revisions/:id/restore', canManage, async (req, res) => {
+    try {
+        const result = await restoreRevision(req.params.id, { user: req.user, note: getNote(req) });
+        await record(req, 'config.revision.restore', result, { revisionId: Number(req.params.id) });
+        const pushedTo = await publish(req, result);
+        res.json(changeResponse(result, pushedTo));
+    } catch (error) {
+        sendError(res, error, 'Failed to restore revision');
+    }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import { getAdminActions } from '../../services/auditService.js';
+import { createServiceLogger } from '../../utils/logger.js';
+import serverRoutes from './servers.js';
+import syncRoutes from './syncs.js';
+import snapshotRoutes from './snapshots.js';
+import seasonRoutes from './seasons.js';
+import playerFileRoutes from './playerFiles.js';
+import configRoutes from './config.js';
+import analyticsRoutes from './analytics.js';
+import antiCheatRoutes from './antiCheat.js';
+import moderationRoutes from './moderation.js';
+import playerRoutes from './players.js';
+
+const logger = createServiceLogger('AdminAPI');
+const router = Router();
+
+router.use('/servers', serverRoutes);
+router.use('/syncs', syncRoutes);
+router.use('/snapshots', snapshotRoutes);
+router.use('/seasons', seasonRoutes);
+router.use('/player-files', playerFileRoutes);
+router.use('/config', configRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/anti-cheat', antiCheatRoutes);
+router.use('/moderation', moderationRoutes);
+router.use('/players', playerRoutes);
+
+/**
+ * GET /api/admin/audit
+ * Recorded admin actions, newest first
+ *
+ * Query params: actorId, action, targetType, targetId, limit (max 200), offset
+ */
+router.get('/audit', requireDashboardPermission('dashboard.audit.view'), async (req, res) => {
+    try {
+        const { actorId, action, targetType, targetId } = req.query;
+
+        const result = await getAdminActions({
+            actorId,
+            action,
+            targetType,
+            targetId,
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Failed to get admin actions:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve admin actions' });
+    }
+});
+
+export default router;
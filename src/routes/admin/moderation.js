@@ -0,0 +1,167 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    MODERATION_ACTIONS,
+    listModeration,
+    createModeration,
+    revokeModeration
+} from '../../services/moderationService.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { pushPlayerData, pushPlayerModeration } from '../../services/gameServerConnector.js';
+import { validateSteamId } from '../../services/dataValidator.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminModerationAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.moderation.view');
+const canManage = requireDashboardPermission('dashboard.moderation.manage');
+
+/**
+ * Map moderationService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Moderation not found') || error.message.startsWith('Player not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid moderation')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Moderation cannot be revoked')) {
+        return res.status(409).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Record a moderation action performed by the current dashboard user
+ */
+function record(req, action, steamId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'player',
+        targetId: steamId,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * Tell the player's server about the change
+ * Wipes push the reset data, freezes and sync bans only the new status.
+ */
+async function pushChange(steamId, action) {
+    try {
+        return action === 'wipe'
+            ? await pushPlayerData(steamId)
+            : await pushPlayerModeration(steamId);
+    } catch (error) {
+        logger.error(`Failed to push ${action} for ${steamId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * GET /api/admin/moderation
+ * Moderation records, newest first
+ *
+ * Query params: steamId, action, active (true = freezes and sync bans still in force), limit (max 200), offset
+ */
+router.get('/', canView, async (req, res) => {
+    const { steamId, action } = req.query;
+
+    if (steamId) {
+        const validation = validateSteamId(steamId);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+    }
+
+    if (action && !MODERATION_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+
+    try {
+        const result = await listModeration({
+            steamId,
+            action,
+            active: req.query.active === 'true',
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve moderation records');
+    }
+});
+
+/**
+ * POST /api/admin/moderation
+ * Freeze, wipe or sync ban a player
+ *
+ * Body: { steamId, action: 'freeze' | 'wipe' | 'sync_ban', reason, evidence?: [url], expiresAt? }
+ *
+ * Response 201: { record, syncSeq, pushed } - syncSeq is set for wipes; pushed is false if the
+ * player is offline or their server is not connected (the next connect applies the change)
+ */
+router.post('/', canManage, async (req, res) => {
+    const { steamId, action, reason, evidence = null, expiresAt = null } = req.body || {};
+    const validation = validateSteamId(steamId);
+
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const result = await createModeration(validation.steamId, { action, reason, evidence, expiresAt }, { user: req.user });
+        const pushed = await pushChange(validation.steamId, action);
+
+        await record(req, `player.${action}`, validation.steamId, {
+            moderationId: result.record.id,
+            reason: result.record.reason,
+            expiresAt: result.record.expires_at,
+            snapshotId: result.record.snapshot_id,
+            pushed
+        });
+
+        res.status(201).json({
+            record: result.record,
+            syncSeq: result.syncSeq,
+            pushed
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create moderation record');
+    }
+});
+
+/**
+ * DELETE /api/admin/moderation/:id
+ * Revoke a freeze or sync ban before it expires
+ *
+ * Response 200: { record, pushed }
+ * Response 409: the record is a wipe (restore its snapshot instead) or no longer in force
+ */
+router.delete('/:id', canManage, async (req, res) => {
+    try {
+        const revoked = await revokeModeration(req.params.id, { user: req.user });
+        const pushed = await pushChange(revoked.steam_id, revoked.action);
+
+        await record(req, 'player.moderation.revoke', revoked.steam_id, {
+            moderationId: revoked.id,
+            action: revoked.action,
+            pushed
+        });
+
+        res.json({ record: revoked, pushed });
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke moderation record');
+    }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+import express, { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import { importPlayerFiles, exportPlayerFilesToZip } from '../../services/playerFileService.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { validateSteamId } from '../../services/dataValidator.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminPlayerFilesAPI');
+const router = Router();
+
+const canImport = requireDashboardPermission('dashboard.players.import');
+const canExport = requireDashboardPermission('dashboard.players.export');
+
+// Zip uploads are sent as the raw request body
+const zipBody = express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '200mb' });
+
+/**
+ * Map playerFileService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Player not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid zip archive')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * POST /api/admin/player-files/import
+ * Import a zip of KOTH/players/{steamId}.json files
+ *
+ * Body: the zip archive (Content-Type: application/zip)
+ * Query params: dryRun=true (compare only), force=true (also import files older than the database)
+ *
+ * Response 200: { dryRun, total, created, updated, forced, unchanged, conflict, invalid, failed, files }
+ */
+router.post('/import', canImport, zipBody, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Request body must be a zip archive' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const force = req.query.force === 'true';
+
+    try {
+        const report = await importPlayerFiles({ zipBuffer: req.body }, { dryRun, force, user: req.user });
+
+        if (!dryRun) {
+            const { files, ...counts } = report;
+            await recordAdminAction({
+                user: req.user,
+                action: 'player_files.import',
+                targetType: 'player',
+                details: {
+                    ...counts,
+                    force,
+                    steamIds: files.filter(file => ['created', 'updated', 'forced'].includes(file.status)).map(file => file.steamId)
+                },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json(report);
+    } catch (error) {
+        sendError(res, error, 'Failed to import player files');
+    }
+});
+
+/**
+ * GET /api/admin/player-files/export
+ * Download players as a zip of v2 {steamId}.json files
+ *
+ * Query params: steamIds (comma-separated, omit for every player)
+ */
+router.get('/export', canExport, async (req, res) => {
+    let steamIds = null;
+
+    if (req.query.steamIds) {
+        steamIds = [];
+        for (const value of String(req.query.steamIds).split(',')) {
+            const validation = validateSteamId(value);
+            if (!validation.valid) {
+                return res.status(400).json({ error: `${value}: ${validation.error}` });
+            }
+            steamIds.push(validation.steamId);
+        }
+    }
+
+    try {
+        const { buffer, count } = await exportPlayerFilesToZip(steamIds);
+
+        await recordAdminAction({
+            user: req.user,
+            action: 'player_files.export',
+            targetType: 'player',
+            details: { count, steamIds },
+            ipAddress: req.ip
+        });
+
+        const filename = `koth-players-${new Date().toISOString().slice(0, 10)}.zip`;
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(buffer);
+    } catch (error) {
+        sendError(res, error, 'Failed to export player files');
+    }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import { searchPlayers, getPlayerDetail } from '../../services/playerLookupService.js';
+import { validateSteamId } from '../../services/dataValidator.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminPlayersAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.users.view');
+
+/**
+ * Map playerLookupService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Player not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid search')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/admin/players
+ * Search players by Steam ID, EOS ID, name or linked Discord user (ID or dashboard username)
+ *
+ * Query params: q (at least 2 characters), limit (max 100), offset
+ */
+router.get('/', canView, async (req, res) => {
+    try {
+        const result = await searchPlayers(req.query.q, {
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to search players');
+    }
+});
+
+/**
+ * GET /api/admin/players/:steamId
+ * Player detail: v2 document, loadout with store groups, perks, perma unlocks,
+ * supporter status, Discord links, current session, moderation and sync timeline
+ *
+ * Query params: historyLimit (max 200)
+ */
+router.get('/:steamId', canView, async (req, res) => {
+    const validation = validateSteamId(req.params.steamId);
+
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const detail = await getPlayerDetail(validation.steamId, {
+            historyLimit: Math.min(Math.max(parseInt(req.query.historyLimit, 10) || 50, 1), 200)
+        });
+
+        res.json(detail);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve player');
+    }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    RESET_GROUPS,
+    DEFAULT_RESET_FIELDS,
+    listSeasons,
+    getSeason,
+    createSeason,
+    updateSeason,
+    deleteSeason,
+    endSeason,
+    getSeasonResults
+} from '../../services/seasonService.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminSeasonsAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.seasons.view');
+const canManage = requireDashboardPermission('dashboard.seasons.manage');
+
+/**
+ * Map seasonService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Season not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    if (error.message.startsWith('Invalid season')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (error.message === 'Season already ended' || error.message === 'Season already started' || error.message === 'Season not started') {
+        return res.status(409).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Record a season action performed by the current dashboard user
+ */
+function record(req, action, seasonId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'season',
+        targetId: seasonId,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * GET /api/admin/seasons
+ * All seasons, newest first, plus the stat groups a season can reset
+ *
+ * Response 200: { seasons, resetGroups: { group: [columns] }, defaultResetFields }
+ */
+router.get('/', canView, async (req, res) => {
+    try {
+        const seasons = await listSeasons();
+        res.json({
+            seasons,
+            resetGroups: RESET_GROUPS,
+            defaultResetFields: DEFAULT_RESET_FIELDS
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve seasons');
+    }
+});
+
+/**
+ * GET /api/admin/seasons/:id
+ */
+router.get('/:id', canView, async (req, res) => {
+    try {
+        const season = await getSeason(req.params.id);
+        res.json({ season });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve season');
+    }
+});
+
+/**
+ * GET /api/admin/seasons/:id/results
+ * Archived final standings of an ended season
+ *
+ * Query params: limit (max 200), offset
+ */
+router.get('/:id/results', canView, async (req, res) => {
+    try {
+        const result = await getSeasonResults(req.params.id, {
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve season results');
+    }
+});
+
+/**
+ * POST /api/admin/seasons
+ * Schedule a season, activated automatically at startsAt
+ *
+ * Body: { name, startsAt, endsAt, resetFields? }
+ * Response 201: { season }
+ */
+router.post('/', canManage, async (req, res) => {
+    const { name, startsAt, endsAt, resetFields } = req.body || {};
+
+    try {
+        const season = await createSeason({ name, startsAt, endsAt, resetFields }, req.user);
+
+        await record(req, 'season.create', season.id, {
+            name: season.name,
+            startsAt: season.starts_at,
+            endsAt: season.ends_at,
+            resetFields: season.reset_fields
+        });
+
+        res.status(201).json({ season });
+    } catch (error) {
+        sendError(res, error, 'Failed to create season');
+    }
+});
+
+/**
+ * PUT /api/admin/seasons/:id
+ * Change a scheduled or active season
+ *
+ * Body: any of { name, startsAt, endsAt, resetFields }
+ */
+router.put('/:id', canManage, async (req, res) => {
+    const { name, startsAt, endsAt, resetFields } = req.body || {};
+
+    try {
+        const season = await updateSeason(req.params.id, { name, startsAt, endsAt, resetFields });
+
+        await record(req, 'season.update', season.id, { name, startsAt, endsAt, resetFields });
+
+        res.json({ season });
+    } catch (error) {
+        sendError(res, error, 'Failed to update season');
+    }
+});
+
+/**
+ * DELETE /api/admin/seasons/:id
+ * Remove a season that has not started
+ */
+router.delete('/:id', canManage, async (req, res) => {
+    try {
+        await deleteSeason(req.params.id);
+        await record(req, 'season.delete', req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete season');
+    }
+});
+
+/**
+ * POST /api/admin/seasons/:id/end
+ * End the active season now: archive standings, reset stats and push online players
+ *
+ * Response 200: { season, resultsCount, playersReset, onlinePlayers, pushed }
+ */
+router.post('/:id/end', canManage, async (req, res) => {
+    try {
+        const result = await endSeason(req.params.id);
+
+        await record(req, 'season.end', result.season.id, {
+            resultsCount: result.resultsCount,
+            playersReset: result.playersReset,
+            pushed: result.pushed
+        });
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to end season');
+    }
+});
+
+export default router;
@@ -0,0 +1,379 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    getServers,
+    getSyncStats,
+    registerServer,
+    regenerateServerToken,
+    flagServer,
+    unflagServer,
+    quarantineServer,
+    unquarantineServer,
+    deactivateServer,
+    reactivateServer,
+    recordAdminAction
+} from '../../services/auditService.js';
+import {
+    getConnectedGameServers,
+    getConnectionByServerId,
+    reconnectToServer,
+    disconnectServer,
+    refreshServerRecord
+} from '../../services/gameServerConnector.js';
+import { getServerFlagRates } from '../../services/watchdogService.js';
+import { getConfigVersions } from '../../services/configService.js';
+import { emitToDashboard } from '../../services/dashboardEvents.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminServersAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.servers.view');
+const canManage = requireDashboardPermission('dashboard.servers.manage');
+
+// Server IDs are stored in a STRING(50) column, e.g., "bb-koth-server-2"
+const SERVER_ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
+/**
+ * Map auditService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Server not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Server already registered')) {
+        return res.status(409).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Parse an optional ISO date query parameter
+ */
+function parseDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Strip the API token from a GameServer record
+ */
+function toPublicServer(server) {
+    const data = server.toJSON();
+    delete data.api_token;
+    return data;
+}
+
+/**
+ * Push an updated GameServer record to subscribed dashboards
+ */
+function pushServerUpdate(server) {
+    emitToDashboard('servers', 'gameServer:updated', toPublicServer(server));
+}
+
+/**
+ * Record an action performed by the current dashboard user
+ */
+function record(req, action, serverId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'server',
+        targetId: serverId,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * GET /api/admin/servers
+ * List registered game servers with their live connection state (tokens are never included)
+ *
+ * Query params: activeOnly, flaggedOnly ('true' to enable)
+ *
+ * Response 200: {
+ *   servers: [{
+ *     ...GameServer,
+ *     connection: { status, playerCount, connectedAt, config, ... } | null,
+ *     config: { [document]: { version, overrideVersion, hash } } what the server should run, to compare with connection.config
+ *   }],
+ *   unmatchedConnections: [ configured connections that never authenticated ]
+ * }
+ */
+router.get('/', canView, async (req, res) => {
+    try {
+        const servers = await getServers({
+            activeOnly: req.query.activeOnly === 'true',
+            flaggedOnly: req.query.flaggedOnly === 'true'
+        });
+
+        const connections = getConnectedGameServers();
+        const knownIds = new Set(servers.map(server => server.server_id));
+
+        const result = [];
+        for (const server of servers) {
+            result.push({
+                ...server.toJSON(),
+                connection: connections.find(conn => conn.serverId === server.server_id) || null,
+                config: await getConfigVersions(server.server_id)
+            });
+        }
+
+        res.json({
+            servers: result,
+            unmatchedConnections: connections.filter(conn => !conn.serverId || !knownIds.has(conn.serverId))
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve servers');
+    }
+});
+
+/**
+ * GET /api/admin/servers/stats
+ * Sync statistics across all servers or a single server
+ *
+ * Query params: since, until (ISO dates), serverId
+ */
+router.get('/stats', canView, async (req, res) => {
+    try {
+        const stats = await getSyncStats({
+            since: parseDate(req.query.since),
+            until: parseDate(req.query.until),
+            serverId: req.query.serverId
+        });
+
+        res.json(stats);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve sync stats');
+    }
+});
+
+/**
+ * GET /api/admin/servers/flag-rates
+ * Flagged-sync rates per server over the watchdog windows
+ *
+ * Response 200: {
+ *   windows: [{ minutes, minSyncs, maxFlaggedRate }],
+ *   servers: { [serverId]: [{ minutes, syncs, flagged, rate, maxFlaggedRate, tripped }] } one entry per window,
+ *   checkedAt
+ * }
+ */
+router.get('/flag-rates', canView, async (req, res) => {
+    try {
+        const rates = await getServerFlagRates();
+        res.json(rates);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve flag rates');
+    }
+});
+
+/**
+ * POST /api/admin/servers
+ * Register a new game server
+ *
+ * Body: { serverId, serverName }
+ * Response 201: { serverId, serverName, apiToken, isActive } - the token is only shown once
+ */
+router.post('/', canManage, async (req, res) => {
+    const { serverId, serverName } = req.body || {};
+
+    if (!serverId || !SERVER_ID_PATTERN.test(serverId)) {
+        return res.status(400).json({ error: 'serverId must be 1-50 letters, numbers, dashes or underscores' });
+    }
+
+    try {
+        const result = await registerServer(serverId, serverName || null);
+        await record(req, 'server.register', serverId, { serverName: result.serverName });
+        emitToDashboard('servers', 'gameServer:registered', { serverId: result.serverId });
+
+        res.status(201).json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to register server');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/token
+ * Regenerate a server's API token (the old token stops working immediately)
+ *
+ * Response 200: { serverId, serverName, apiToken, isActive }
+ */
+router.post('/:serverId/token', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const result = await regenerateServerToken(serverId);
+        await record(req, 'server.token.regenerate', serverId);
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to regenerate token');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/flag
+ * Flag a server for review
+ *
+ * Body: { reason }
+ */
+router.post('/:serverId/flag', canManage, async (req, res) => {
+    const { serverId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+    }
+
+    try {
+        const server = await flagServer(serverId, reason);
+        await refreshServerRecord(serverId);
+        await record(req, 'server.flag', serverId, { reason });
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to flag server');
+    }
+});
+
+/**
+ * DELETE /api/admin/servers/:serverId/flag
+ * Clear a server's flag after review
+ */
+router.delete('/:serverId/flag', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const server = await unflagServer(serverId);
+        await refreshServerRecord(serverId);
+        await record(req, 'server.unflag', serverId);
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to unflag server');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/quarantine
+ * Flag a server and store its saves for review instead of applying them
+ *
+ * Body: { reason }
+ */
+router.post('/:serverId/quarantine', canManage, async (req, res) => {
+    const { serverId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+    }
+
+    try {
+        const server = await quarantineServer(serverId, reason);
+        await refreshServerRecord(serverId);
+        await record(req, 'server.quarantine', serverId, { reason });
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to quarantine server');
+    }
+});
+
+/**
+ * DELETE /api/admin/servers/:serverId/quarantine
+ * Apply a server's saves again (the flag stays until it is cleared)
+ */
+router.delete('/:serverId/quarantine', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const server = await unquarantineServer(serverId);
+        await refreshServerRecord(serverId);
+        await record(req, 'server.unquarantine', serverId);
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to release server from quarantine');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/deactivate
+ * Revoke a server's access and release its active player sessions
+ *
+ * Body: { reason }
+ */
+router.post('/:serverId/deactivate', canManage, async (req, res) => {
+    const { serverId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+    }
+
+    try {
+        const server = await deactivateServer(serverId, reason);
+
+        // The live socket was authenticated with the now revoked record, drop it
+        const disconnected = disconnectServer(serverId);
+
+        await record(req, 'server.deactivate', serverId, { reason, disconnected });
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to deactivate server');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/reactivate
+ * Restore a deactivated server's access
+ */
+router.post('/:serverId/reactivate', canManage, async (req, res) => {
+    const { serverId } = req.params;
+
+    try {
+        const server = await reactivateServer(serverId);
+        await record(req, 'server.reactivate', serverId);
+        pushServerUpdate(server);
+
+        res.json({ server: toPublicServer(server) });
+    } catch (error) {
+        sendError(res, error, 'Failed to reactivate server');
+    }
+});
+
+/**
+ * POST /api/admin/servers/:serverId/reconnect
+ * Reconnect the bot's WebSocket connection to a game server
+ *
+ * Response 200: { reconnecting: true, url }
+ * Response 404: No configured connection for this server
+ * Response 409: Already connected
+ */
+router.post('/:serverId/reconnect', canManage, async (req, res) => {
+    const { serverId } = req.params;
+    const connection = getConnectionByServerId(serverId);
+
+    if (!connection) {
+        return res.status(404).json({ error: `No configured connection for server: ${serverId}` });
+    }
+
+    if (!reconnectToServer(connection.url)) {
+        return res.status(409).json({ error: 'Server is already connected' });
+    }
+
+    await record(req, 'server.reconnect', serverId, { url: connection.url });
+
+    res.json({ reconnecting: true, url: connection.url });
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    restoreSnapshot
+} from '../../services/snapshotService.js';
+import { recordAdminAction } from '../../services/auditService.js';
+import { pushPlayerData } from '../../services/gameServerConnector.js';
+import { validateSteamId } from '../../services/dataValidator.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminSnapshotsAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.snapshots.view');
+const canRestore = requireDashboardPermission('dashboard.snapshots.restore');
+
+const SNAPSHOT_REASONS = ['disconnect', 'daily', 'admin_edit', 'pre_restore', 'manual'];
+
+/**
+ * Map snapshotService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Snapshot not found') || error.message.startsWith('Player not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Record a snapshot action performed by the current dashboard user
+ */
+function record(req, action, snapshotId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'snapshot',
+        targetId: snapshotId,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * GET /api/admin/snapshots
+ * A player's snapshots, newest first (document data omitted)
+ *
+ * Query params: steamId (required), reason, limit (max 200), offset
+ */
+router.get('/', canView, async (req, res) => {
+    const validation = validateSteamId(req.query.steamId);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const { reason } = req.query;
+    if (reason && !SNAPSHOT_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `reason must be one of: ${SNAPSHOT_REASONS.join(', ')}` });
+    }
+
+    try {
+        const result = await listSnapshots(validation.steamId, {
+            reason,
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve snapshots');
+    }
+});
+
+/**
+ * GET /api/admin/snapshots/:id
+ * A single snapshot including its full v2 document
+ */
+router.get('/:id', canView, async (req, res) => {
+    try {
+        const snapshot = await getSnapshot(req.params.id);
+        res.json({ snapshot });
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve snapshot');
+    }
+});
+
+/**
+ * POST /api/admin/snapshots
+ * Take a manual snapshot of a player's current state
+ *
+ * Body: { steamId, note? }
+ * Response 201: { snapshot }
+ */
+router.post('/', canRestore, async (req, res) => {
+    const { steamId, note } = req.body || {};
+    const validation = validateSteamId(steamId);
+
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const snapshot = await createSnapshot(validation.steamId, 'manual', {
+            createdBy: String(req.user.id),
+            note: typeof note === 'string' && note ? note : null
+        });
+
+        if (!snapshot) {
+            return res.status(404).json({ error: `Player not found: ${validation.steamId}` });
+        }
+
+        await record(req, 'snapshot.create', snapshot.id, { steamId: validation.steamId });
+
+        res.status(201).json({ snapshot });
+    } catch (error) {
+        sendError(res, error, 'Failed to create snapshot');
+    }
+});
+
+/**
+ * POST /api/admin/snapshots/:id/restore
+ * Restore the snapshot's player to this point in time
+ *
+ * Body: { note? }
+ *
+ * Response 200: { steamId, syncSeq, preRestoreSnapshotId, pushed } - pushed is false if the
+ * player is offline or their server is not connected (the next connect loads the restored data)
+ */
+router.post('/:id/restore', canRestore, async (req, res) => {
+    const { note } = req.body || {};
+
+    try {
+        const result = await restoreSnapshot(req.params.id, {
+            user: req.user,
+            note: typeof note === 'string' && note ? note : null
+        });
+
+        let pushed = false;
+        try {
+            pushed = await pushPlayerData(result.steamId);
+        } catch (error) {
+            logger.error(`Failed to push restored data for ${result.steamId}:`, error.message);
+        }
+
+        await record(req, 'snapshot.restore', result.snapshot.id, {
+            steamId: result.steamId,
+            snapshotCreatedAt: result.snapshot.created_at,
+            preRestoreSnapshotId: result.preRestoreSnapshotId,
+            syncSeq: result.syncSeq,
+            pushed
+        });
+
+        res.json({
+            steamId: result.steamId,
+            syncSeq: result.syncSeq,
+            preRestoreSnapshotId: result.preRestoreSnapshotId,
+            pushed
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to restore snapshot');
+    }
+});
+
+export default router;
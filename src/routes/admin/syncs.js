@@ -0,0 +1,200 @@
+import { Router } from 'express';
+import { requireDashboardPermission } from '../../handlers/permissionHandler.js';
+import {
+    getFlaggedSyncs,
+    approveFlaggedSync,
+    setFlaggedSyncNote,
+    revertFlaggedSync,
+    recordAdminAction
+} from '../../services/auditService.js';
+import { pushPlayerData } from '../../services/gameServerConnector.js';
+import { emitToDashboard } from '../../services/dashboardEvents.js';
+import { createServiceLogger } from '../../utils/logger.js';
+
+const logger = createServiceLogger('AdminSyncsAPI');
+const router = Router();
+
+const canView = requireDashboardPermission('dashboard.syncs.view');
+const canReview = requireDashboardPermission('dashboard.syncs.review');
+
+const REVIEW_STATUSES = ['pending', 'reviewed', 'all'];
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Map auditService errors to HTTP responses
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error.message.startsWith('Flagged sync not found') || error.message.startsWith('Player not found')) {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Flagged sync already reviewed') || error.message.startsWith('Flagged sync was rejected')) {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Flagged sync has no snapshot')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    logger.error(`${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * Validate the optional note in a request body
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateNote(note) {
+    if (note === undefined || note === null) return null;
+    if (typeof note !== 'string') return 'note must be a string';
+    if (note.length > MAX_NOTE_LENGTH) return `note must be at most ${MAX_NOTE_LENGTH} characters`;
+    return null;
+}
+
+/**
+ * Push a reviewed entry to subscribed dashboards
+ */
+function pushReviewUpdate(entry) {
+    emitToDashboard('syncs', 'sync:reviewed', entry.toJSON());
+}
+
+/**
+ * Record a review action performed by the current dashboard user
+ */
+function record(req, action, entryId, details = null) {
+    return recordAdminAction({
+        user: req.user,
+        action,
+        targetType: 'sync',
+        targetId: entryId,
+        details,
+        ipAddress: req.ip
+    });
+}
+
+/**
+ * GET /api/admin/syncs/flagged
+ * Flagged sync review queue, newest first
+ *
+ * Query params: status ('pending' default, 'reviewed', 'all'), serverId, steamId, limit (max 200), offset
+ */
+router.get('/flagged', canView, async (req, res) => {
+    const status = req.query.status || 'pending';
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const result = await getFlaggedSyncs({
+            serverId: req.query.serverId,
+            steamId: req.query.steamId,
+            status: status === 'all' ? undefined : status,
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Failed to retrieve flagged syncs');
+    }
+});
+
+/**
+ * POST /api/admin/syncs/flagged/:id/approve
+ * Mark a flagged sync as reviewed and keep its data
+ *
+ * Body: { note? }
+ */
+router.post('/flagged/:id/approve', canReview, async (req, res) => {
+    const { note } = req.body || {};
+    const noteError = validateNote(note);
+
+    if (noteError) {
+        return res.status(400).json({ error: noteError });
+    }
+
+    try {
+        const entry = await approveFlaggedSync(req.params.id, { user: req.user, note });
+        await record(req, 'sync.approve', entry.id, { steamId: entry.player_steam_id, note });
+        pushReviewUpdate(entry);
+
+        res.json({ entry });
+    } catch (error) {
+        sendError(res, error, 'Failed to approve flagged sync');
+    }
+});
+
+/**
+ * POST /api/admin/syncs/flagged/:id/revert
+ * Take back what the sync changed (currency, xp, xp_total, prestige and its
+ * stat history gains), keeping the player's progress from later syncs
+ *
+ * Body: { note? }
+ *
+ * Response 200: { entry, syncSeq, reverted, pushed } - pushed is false if the player
+ * is offline or their server is not connected (the next connect loads the reverted data)
+ */
+router.post('/flagged/:id/revert', canReview, async (req, res) => {
+    const { note } = req.body || {};
+    const noteError = validateNote(note);
+
+    if (noteError) {
+        return res.status(400).json({ error: noteError });
+    }
+
+    try {
+        const result = await revertFlaggedSync(req.params.id, { user: req.user, note });
+
+        let pushed = false;
+        try {
+            pushed = await pushPlayerData(result.steamId);
+        } catch (error) {
+            logger.error(`Failed to push reverted data for ${result.steamId}:`, error.message);
+        }
+
+        await record(req, 'sync.revert', result.entry.id, {
+            steamId: result.steamId,
+            syncSeq: result.syncSeq,
+            reverted: result.reverted,
+            pushed,
+            note
+        });
+        pushReviewUpdate(result.entry);
+
+        res.json({
+            entry: result.entry,
+            syncSeq: result.syncSeq,
+            reverted: result.reverted,
+            pushed
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to revert flagged sync');
+    }
+});
+
+/**
+ * PUT /api/admin/syncs/flagged/:id/note
+ * Set or clear the reviewer note without changing the review status
+ *
+ * Body: { note }
+ */
+router.put('/flagged/:id/note', canReview, async (req, res) => {
+    const { note } = req.body || {};
+    const noteError = validateNote(note);
+
+    if (noteError) {
+        return res.status(400).json({ error: noteError });
+    }
+
+    try {
+        const entry = await setFlaggedSyncNote(req.params.id, note);
+        await record(req, 'sync.note', entry.id, { note });
+        pushReviewUpdate(entry);
+
+        res.json({ entry });
+    } catch (error) {
+        sendError(res, error, 'Failed to update note');
+    }
+});
+
+export default router;
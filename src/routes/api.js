@@ -44,7 +44,9 @@ router.get('/', (req, res) => {
         endpoints: {
             health: '/api/health',
             user: '/api/user',
-            stats: '/api/stats'
+            stats: '/api/stats',
+            leaderboards: '/api/leaderboards',
+            admin: '/api/admin'
         }
     });
 });
@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import {
+    CATEGORIES,
+    PERIODS,
+    listCategories,
+    getLeaderboard,
+    getLeaderboardGroups
+} from '../services/leaderboardService.js';
+import { createServiceLogger } from '../utils/logger.js';
+
+const logger = createServiceLogger('LeaderboardAPI');
+const router = Router();
+
+/**
+ * GET /api/leaderboards
+ * Available categories and periods (no auth required)
+ */
+router.get('/', (req, res) => {
+    res.json(listCategories());
+});
+
+/**
+ * GET /api/leaderboards/:category
+ * One page of a leaderboard (no auth required, cached)
+ *
+ * Query params: period (all|monthly|weekly), group (vehicle_kills/weapon_xp only),
+ *               limit (max config.leaderboards.maxPageSize), offset
+ *
+ * Response 200: { category, label, period, group, total, limit, offset, entries: [{ rank, steamId, name, value }], generatedAt }
+ */
+router.get('/:category', async (req, res) => {
+    const { category } = req.params;
+    const { period = 'all', group, limit, offset } = req.query;
+
+    if (!Object.hasOwn(CATEGORIES, category)) {
+        return res.status(404).json({ error: `Unknown leaderboard category: ${category}` });
+    }
+
+    if (!Object.hasOwn(PERIODS, period)) {
+        return res.status(400).json({ error: `Invalid period. Use one of: ${Object.keys(PERIODS).join(', ')}` });
+    }
+
+    try {
+        const leaderboard = await getLeaderboard(category, { period, group, limit, offset });
+        res.json(leaderboard);
+    } catch (error) {
+        logger.error(`Failed to get ${category} leaderboard:`, error.message);
+        res.status(500).json({ error: 'Failed to retrieve leaderboard' });
+    }
+});
+
+/**
+ * GET /api/leaderboards/:category/groups
+ * Vehicle or weapon names a grouped category can be filtered by
+ *
+ * Response 200: { category, groups: [name] }
+ */
+router.get('/:category/groups', async (req, res) => {
+    const { category } = req.params;
+
+    if (!Object.hasOwn(CATEGORIES, category)) {
+        return res.status(404).json({ error: `Unknown leaderboard category: ${category}` });
+    }
+
+    try {
+        const groups = await getLeaderboardGroups(category);
+        res.json({ category, groups });
+    } catch (error) {
+        logger.error(`Failed to get ${category} leaderboard groups:`, error.message);
+        res.status(500).json({ error: 'Failed to retrieve leaderboard groups' });
+    }
+});
+
+export default router;
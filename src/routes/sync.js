@@ -1,87 +1,134 @@
 import { Router } from 'express';
-import { syncPlayer, syncBatch, getLastSyncTime, getPlayerForGame, getPlayerBySteamId } from '../services/syncService.js';
+import {
+    validateServerToken,
+    handlePlayerConnect,
+    handlePeriodicSync,
+    handlePlayerDisconnect,
+    handleCrashRecovery
+} from '../services/syncService.js';
 import { createServiceLogger } from '../utils/logger.js';
-import { validatePlayerData, validateSteamId } from '../services/dataValidator.js';
-import { detectFormat, gameToApi } from '../services/gameDataTransformer.js';
+import { validateSteamId } from '../services/dataValidator.js';
+import { getGameConfig } from '../services/configService.js';
+import { SERVER_HOP_RETRY_DELAY } from '../services/gameServerConnector.js';
 
 const router = Router();
 const logger = createServiceLogger('SyncAPI');
 
+// Maximum players accepted in one crash recovery request
+const MAX_RECOVERY_BATCH = 100;
+
+// HTTP status for each handler error code
+const ERROR_STATUS = {
+    validation_failed: 400,
+    tracking_validation_failed: 400,
+    player_not_found: 404,
+    not_session_owner: 409,
+    invalid_sync_seq: 409,
+    rule_rejected: 422,
+    server_quarantined: 423,
+    player_frozen: 403,
+    sync_banned: 403
+};
+
 /**
- * API Key authentication middleware
+ * Per-server token authentication middleware
+ *
+ * Accepts the token from the GameServer record either as
+ * "Authorization: Bearer <token>" or "X-Server-Token: <token>".
+ * The authenticated GameServer record is exposed as req.gameServer.
  */
-function requireApiKey(req, res, next) {
-    const apiKey = req.headers['x-api-key'];
-    const expectedKey = process.env.SYNC_API_KEY;
-
-    if (!expectedKey) {
-        logger.error('SYNC_API_KEY not configured');
-        return res.status(500).json({ error: 'Server configuration error' });
+async function requireServerToken(req, res, next) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ')
+        ? authHeader.slice(7).trim()
+        : req.headers['x-server-token'];
+
+    if (!token) {
+        logger.warn(`Missing server token in request from ${req.ip}`);
+        return res.status(401).json({ success: false, error: 'Missing server token' });
     }
 
-    if (!apiKey) {
-        logger.warn('Missing API key in request');
-        return res.status(401).json({ error: 'Missing API key' });
+    try {
+        const server = await validateServerToken(token);
+
+        if (!server) {
+            return res.status(403).json({ success: false, error: 'Invalid server token' });
+        }
+
+        req.gameServer = server;
+        next();
+    } catch (error) {
+        logger.error('Server token validation error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
     }
+}
 
-    if (apiKey !== expectedKey) {
-        logger.warn('Invalid API key attempt');
-        return res.status(403).json({ error: 'Invalid API key' });
+/**
+ * Send a sync handler result with a matching HTTP status
+ */
+function sendResult(res, result) {
+    if (result.success) {
+        return res.json(result);
     }
 
-    next();
+    res.status(ERROR_STATUS[result.error] || 400).json(result);
 }
 
 /**
- * POST /api/sync/player
- * Sync a single player's data from SquadJS
+ * POST /api/sync/connect
+ * Claim a player session for this server and return their v2 player data
  *
  * Headers:
- *   X-API-Key: {SYNC_API_KEY}
- *   Content-Type: application/json
- *   X-Data-Format: game | api (optional, auto-detected if not specified)
+ *   Authorization: Bearer {server api token}
+ *
+ * Body: { steamId }
  *
- * Body: Player JSON blob (game format or API format)
+ * Response 200: { success, status: 'ok', player, syncSeq }
+ *            or { success, status: 'frozen', moderation, player, syncSeq } - load the data, saves will be rejected
+ *            or { success, status: 'sync_banned', moderation } - no data, play on a fresh save that is never sent
+ *            or { success, status: 'player_active_elsewhere', activeServer, activeSince, retryAfterMs } -
+ *               retry after retryAfterMs (the socket player:wait delay) until the other server's claim expires
  */
-router.post('/player', requireApiKey, async (req, res) => {
+router.post('/connect', requireServerToken, async (req, res) => {
     try {
-        let playerData = req.body;
-
-        if (!playerData || typeof playerData !== 'object') {
-            return res.status(400).json({ error: 'Invalid player data' });
+        const validation = validateSteamId(req.body?.steamId);
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.error });
         }
 
-        // Detect or use specified format
-        const formatHeader = req.headers['x-data-format'];
-        const format = formatHeader || detectFormat(playerData);
+        const result = await handlePlayerConnect(validation.steamId, req.gameServer);
 
-        // Validate the data
-        const validation = validatePlayerData(playerData, format);
-        if (!validation.valid) {
-            logger.warn(`Validation failed for player data: ${validation.errors.join(', ')}`);
-            return res.status(400).json({
-                error: 'Validation failed',
-                details: validation.errors
+        if (result.status === 'player_active_elsewhere') {
+            return res.json({
+                success: true,
+                status: result.status,
+                steamId: validation.steamId,
+                activeServer: result.activeServer,
+                activeSince: result.activeSince,
+                retryAfterMs: SERVER_HOP_RETRY_DELAY
             });
         }
 
-        // Transform game format to API format if needed
-        if (format === 'game') {
-            logger.debug('Converting game format to API format');
-            playerData = gameToApi(playerData);
-        }
-
-        // Ensure we have a Steam ID
-        if (!playerData.SteamID && !playerData.steamId) {
-            return res.status(400).json({ error: 'Missing required field: SteamID' });
+        if (result.status === 'sync_banned') {
+            return res.json({
+                success: true,
+                status: result.status,
+                steamId: validation.steamId,
+                moderation: result.moderation
+            });
         }
 
-        const result = await syncPlayer(playerData);
-
-        res.json(result);
+        res.json({
+            success: true,
+            status: result.status,
+            steamId: validation.steamId,
+            moderation: result.moderation,
+            player: result.player,
+            syncSeq: result.syncSeq
+        });
 
     } catch (error) {
-        logger.error('Player sync error:', error.message);
+        logger.error('Player connect error:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -90,37 +137,27 @@ router.post('/player', requireApiKey, async (req, res) => {
 });
 
 /**
- * POST /api/sync/batch
- * Sync multiple players' data in one request
+ * POST /api/sync/periodic
+ * Periodic sync of a connected player's data
  *
  * Headers:
- *   X-API-Key: {SYNC_API_KEY}
- *   Content-Type: application/json
+ *   Authorization: Bearer {server api token}
+ *
+ * Body: Combined v2 player JSON with optional embedded tracking section
  *
- * Body: { players: [ array of player JSON objects ] }
+ * Response 200: { success, syncSeq, flagged }
+ * Response 409: { success: false, error: 'not_session_owner' | 'invalid_sync_seq', ... }
+ * Response 422: { success: false, error: 'rule_rejected', reason, expectedSeq } - an anti-cheat rule refused the save
+ * Response 423: { success: false, error: 'server_quarantined', reason, expectedSeq } - the server is quarantined, the save was stored for review
+ * Response 403: { success: false, error: 'player_frozen' | 'sync_banned', reason, expectedSeq } - the player is under moderation
  */
-router.post('/batch', requireApiKey, async (req, res) => {
+router.post('/periodic', requireServerToken, async (req, res) => {
     try {
-        const { players } = req.body;
-
-        if (!Array.isArray(players)) {
-            return res.status(400).json({ error: 'Invalid request: players must be an array' });
-        }
-
-        if (players.length === 0) {
-            return res.status(400).json({ error: 'Empty players array' });
-        }
-
-        if (players.length > 100) {
-            return res.status(400).json({ error: 'Too many players. Maximum 100 per batch' });
-        }
-
-        const result = await syncBatch(players);
-
-        res.json(result);
+        const result = await handlePeriodicSync(req.body || {}, req.gameServer);
+        sendResult(res, result);
 
     } catch (error) {
-        logger.error('Batch sync error:', error.message);
+        logger.error('Periodic sync error:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -129,32 +166,23 @@ router.post('/batch', requireApiKey, async (req, res) => {
 });
 
 /**
- * GET /api/sync/status/:steamId
- * Get the last sync time for a player
+ * POST /api/sync/disconnect
+ * Final sync on player disconnect, releases the active server lock
  *
  * Headers:
- *   X-API-Key: {SYNC_API_KEY}
+ *   Authorization: Bearer {server api token}
+ *
+ * Body: Combined v2 player JSON with optional embedded tracking section
  *
- * Response: { steam_id, last_sync, synced: boolean }
+ * Response 200: { success, syncSeq, flagged, rejected, quarantined, moderation } - rejected saves only release the lock
  */
-router.get('/status/:steamId', requireApiKey, async (req, res) => {
+router.post('/disconnect', requireServerToken, async (req, res) => {
     try {
-        const { steamId } = req.params;
-
-        if (!steamId || steamId.length !== 17) {
-            return res.status(400).json({ error: 'Invalid Steam ID format' });
-        }
-
-        const lastSync = await getLastSyncTime(steamId);
-
-        res.json({
-            steam_id: steamId,
-            last_sync: lastSync,
-            synced: lastSync !== null
-        });
+        const result = await handlePlayerDisconnect(req.body || {}, req.gameServer);
+        sendResult(res, result);
 
     } catch (error) {
-        logger.error('Sync status error:', error.message);
+        logger.error('Player disconnect error:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -163,60 +191,69 @@ router.get('/status/:steamId', requireApiKey, async (req, res) => {
 });
 
 /**
- * GET /api/sync/health
- * Health check endpoint (no auth required)
- */
-router.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        service: 'sync-api',
-        timestamp: new Date().toISOString()
-    });
-});
-
-/**
- * GET /api/sync/player/:steamId
- * Get player data in game-compatible JSON format
+ * POST /api/sync/crash-recovery
+ * Recover orphaned player files left behind by a server crash
  *
  * Headers:
- *   X-API-Key: {SYNC_API_KEY}
+ *   Authorization: Bearer {server api token}
  *
- * Query params:
- *   format: 'game' (default) | 'api'
+ * Body: { players: [ combined v2 player JSON ] }
  *
- * Response 200: Full player JSON (game or API format)
- * Response 404: { error: "Player not found" }
+ * Response 200: { success, total, successful, failed, results: [{ steamId, success, syncSeq, skipped, flagged, rejected, quarantined, moderation, error }] }
  */
-router.get('/player/:steamId', requireApiKey, async (req, res) => {
+router.post('/crash-recovery', requireServerToken, async (req, res) => {
     try {
-        const { steamId } = req.params;
-        const format = req.query.format || 'game';
+        const { players } = req.body || {};
 
-        // Validate Steam ID
-        const validation = validateSteamId(steamId);
-        if (!validation.valid) {
-            return res.status(400).json({ error: validation.error });
+        if (!Array.isArray(players)) {
+            return res.status(400).json({ success: false, error: 'Invalid request: players must be an array' });
         }
 
-        // Get player data based on requested format
-        let playerData;
-        if (format === 'game') {
-            playerData = await getPlayerForGame(validation.steamId);
-        } else {
-            playerData = await getPlayerBySteamId(validation.steamId);
+        if (players.length === 0) {
+            return res.status(400).json({ success: false, error: 'Empty players array' });
         }
 
-        if (!playerData) {
-            return res.status(404).json({
-                error: 'Player not found',
-                steam_id: validation.steamId
-            });
+        if (players.length > MAX_RECOVERY_BATCH) {
+            return res.status(400).json({ success: false, error: `Too many players. Maximum ${MAX_RECOVERY_BATCH} per batch` });
         }
 
-        res.json(playerData);
+        const results = [];
+
+        for (const playerJson of players) {
+            const steamId = playerJson?.steamId;
+
+            try {
+                const result = await handleCrashRecovery(playerJson || {}, req.gameServer);
+                results.push({
+                    steamId,
+                    success: result.success,
+                    syncSeq: result.syncSeq,
+                    skipped: result.skipped,
+                    flagged: result.flagged,
+                    rejected: result.rejected,
+                    quarantined: result.quarantined,
+                    moderation: result.moderation,
+                    error: result.error
+                });
+            } catch (error) {
+                results.push({ steamId, success: false, error: error.message });
+            }
+        }
+
+        const successful = results.filter(r => r.success).length;
+
+        logger.info(`Crash recovery from ${req.gameServer.server_id}: ${successful}/${players.length} recovered`);
+
+        res.json({
+            success: true,
+            total: players.length,
+            successful,
+            failed: players.length - successful,
+            results
+        });
 
     } catch (error) {
-        logger.error('Get player error:', error.message);
+        logger.error('Crash recovery error:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -224,29 +261,39 @@ router.get('/player/:steamId', requireApiKey, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/sync/health
+ * Health check endpoint (no auth required)
+ */
+router.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        service: 'sync-api',
+        timestamp: new Date().toISOString()
+    });
+});
+
 /**
  * GET /api/sync/server-settings
- * Get server settings configuration
+ * Get the game config: settings.json (with this server's override merged in) and the faction store files
  *
  * Headers:
- *   X-API-Key: {SYNC_API_KEY}
+ *   Authorization: Bearer {server api token}
  *
- * Response 200: ServerSettings JSON
+ * Response 200: { settings, stores: { indfor, blufor, redfor }, versions, overrideVersion, hashes }
  * Response 404: { error: "Server settings not found" }
  */
-router.get('/server-settings', requireApiKey, async (req, res) => {
+router.get('/server-settings', requireServerToken, async (req, res) => {
     try {
-        // Server settings are stored as a special "player" with steam_id = 'ServerSettings'
-        const settings = await getPlayerBySteamId('ServerSettings');
+        const config = await getGameConfig(req.gameServer.server_id);
 
-        if (!settings) {
+        if (!config) {
             return res.status(404).json({
                 error: 'Server settings not found'
             });
         }
 
-        // Return the raw settings data (stored in a format similar to player data)
-        res.json(settings);
+        res.json(config);
 
     } catch (error) {
         logger.error('Get server settings error:', error.message);
@@ -0,0 +1,456 @@
+/**
+ * Analytics Service
+ *
+ * Economy reports for balancing the store and the economy settings: currency
+ * minted against currency spent, the most bought items per faction, perma
+ * unlock adoption and which rewards players earn their currency from.
+ *
+ * Like the leaderboards, 'all' reads the lifetime totals in player_stats and
+ * 'monthly'/'weekly' read the gains recorded in stat_history. Purchases and
+ * rewards come from stat_history for every period, because the tracking rows
+ * only hold each player's latest session. Purchases and perma unlocks are
+ * matched to store items by name; purchases are not recorded per faction, so an
+ * item sold by several factions is counted for each of them. Reports are cached
+ * in memory for config.analytics.cacheTtlSeconds.
+ */
+
+import { QueryTypes } from 'sequelize';
+import { analytics as analyticsConfig } from '../../config/config.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { FACTIONS } from './configValidator.js';
+import { PERIODS } from './leaderboardService.js';
+
+const logger = createServiceLogger('AnalyticsService');
+
+// How far back the currency series reaches for the all-time report (ms)
+const ALL_TIME_SERIES_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAX_LIMIT = 100;
+
+const cache = new Map();
+
+/**
+ * Get a cached report, dropping it if expired
+ */
+function getCached(key) {
+    const entry = cache.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+
+    return entry.value;
+}
+
+/**
+ * Cache a report for the configured TTL
+ */
+function setCached(key, value) {
+    if (analyticsConfig.cacheTtlSeconds <= 0) return;
+
+    cache.set(key, { value, expiresAt: Date.now() + analyticsConfig.cacheTtlSeconds * 1000 });
+}
+
+/**
+ * Start of a reporting period
+ *
+ * @returns {Date|null} null for all time
+ * @throws {Error} 'Unknown analytics period'
+ */
+function getPeriodStart(period) {
+    if (!Object.hasOwn(PERIODS, period)) {
+        throw new Error(`Unknown analytics period: ${period}`);
+    }
+
+    return PERIODS[period] ? new Date(Date.now() - PERIODS[period]) : null;
+}
+
+/**
+ * Clamp a requested list length
+ */
+function getLimit(limit, fallback) {
+    return Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_LIMIT);
+}
+
+/**
+ * Check an optional faction filter
+ *
+ * @throws {Error} 'Unknown faction'
+ */
+function getFactions(faction) {
+    if (!faction) return FACTIONS;
+
+    if (!FACTIONS.includes(faction)) {
+        throw new Error(`Unknown faction: ${faction}. Use one of: ${FACTIONS.join(', ')}`);
+    }
+
+    return [faction];
+}
+
+/**
+ * Subquery totalling a tracking stat's stat_history gains per name: { name, total, players }
+ * Tracking rows only hold the latest session, so all time sums every recorded gain as well.
+ */
+function trackingTotals(stat, since) {
+    return {
+        sql: `SELECT group_name AS name, SUM(value) AS total, COUNT(DISTINCT player_id) AS players
+            FROM stat_history
+            WHERE stat = :stat AND value > 0${since ? ' AND bucket_start >= :since' : ''}
+            GROUP BY group_name`,
+        replacements: { stat, since }
+    };
+}
+
+/**
+ * Current global economy multipliers
+ */
+async function getMultipliers(sequelize) {
+    const [row] = await sequelize.query(
+        `SELECT currency_multiplier, xp_multiplier, weapon_xp_multiplier
+        FROM server_settings
+        ORDER BY id ASC
+        LIMIT 1`,
+        { type: QueryTypes.SELECT }
+    );
+
+    return {
+        currencyMultiplier: row ? Number(row.currency_multiplier) : 1,
+        xpMultiplier: row ? Number(row.xp_multiplier) : 1,
+        weaponXpMultiplier: row ? Number(row.weapon_xp_multiplier) : 1
+    };
+}
+
+/**
+ * Currency minted against currency spent
+ *
+ * All time uses the lifetime player_stats totals, periods the recorded gains.
+ * The series always comes from stat_history (the last 30 days for all time).
+ *
+ * @param {Object} options - Report options
+ * @param {string} options.period - 'all', 'monthly' or 'weekly' (default 'all')
+ * @returns {Promise<Object>} { period, minted, spent, net, spendRatio, players, held, permaTokens, multipliers, series: [{ bucketStart, minted, spent }], generatedAt }
+ * @throws {Error} 'Unknown analytics period'
+ */
+export async function getEconomyOverview({ period = 'all' } = {}) {
+    const since = getPeriodStart(period);
+
+    const cacheKey = JSON.stringify(['economy', period]);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const sequelize = databaseManager.getSequelize();
+
+    const [held] = await sequelize.query(
+        `SELECT COUNT(*) AS players,
+            COALESCE(SUM(currency_total), 0) AS minted,
+            COALESCE(SUM(currency_spent), 0) AS spent,
+            COALESCE(SUM(currency), 0) AS currency,
+            COALESCE(SUM(perma_tokens), 0) AS perma_tokens
+        FROM player_stats`,
+        { type: QueryTypes.SELECT }
+    );
+
+    let minted = Number(held.minted);
+    let spent = Number(held.spent);
+    let players = Number(held.players);
+
+    if (since) {
+        const rows = await sequelize.query(
+            `SELECT stat, SUM(value) AS value
+            FROM stat_history
+            WHERE stat IN ('currency_earned', 'currency_spent') AND bucket_start >= :since
+            GROUP BY stat`,
+            { replacements: { since }, type: QueryTypes.SELECT }
+        );
+        const totals = Object.fromEntries(rows.map(row => [row.stat, Number(row.value)]));
+
+        const [active] = await sequelize.query(
+            `SELECT COUNT(DISTINCT player_id) AS players
+            FROM stat_history
+            WHERE stat IN ('currency_earned', 'currency_spent') AND bucket_start >= :since`,
+            { replacements: { since }, type: QueryTypes.SELECT }
+        );
+
+        minted = totals.currency_earned || 0;
+        spent = totals.currency_spent || 0;
+        players = Number(active.players) || 0;
+    }
+
+    const seriesRows = await sequelize.query(
+        `SELECT bucket_start, stat, SUM(value) AS value
+        FROM stat_history
+        WHERE stat IN ('currency_earned', 'currency_spent') AND bucket_start >= :since
+        GROUP BY bucket_start, stat
+        ORDER BY bucket_start ASC`,
+        { replacements: { since: since || new Date(Date.now() - ALL_TIME_SERIES_MS) }, type: QueryTypes.SELECT }
+    );
+
+    const buckets = new Map();
+    for (const row of seriesRows) {
+        const bucketStart = new Date(row.bucket_start).toISOString();
+        if (!buckets.has(bucketStart)) {
+            buckets.set(bucketStart, { bucketStart, minted: 0, spent: 0 });
+        }
+        buckets.get(bucketStart)[row.stat === 'currency_earned' ? 'minted' : 'spent'] = Number(row.value);
+    }
+
+    const result = {
+        period,
+        minted,
+        spent,
+        net: minted - spent,
+        spendRatio: minted > 0 ? spent / minted : null,
+        players,
+        held: Number(held.currency),
+        permaTokens: Number(held.perma_tokens),
+        multipliers: await getMultipliers(sequelize),
+        series: [...buckets.values()],
+        generatedAt: new Date().toISOString()
+    };
+
+    setCached(cacheKey, result);
+    logger.debug(`Economy overview (${period}) computed`);
+
+    return result;
+}
+
+/**
+ * Most bought items per faction
+ *
+ * @param {Object} options - Report options
+ * @param {string} options.period - 'all', 'monthly' or 'weekly' (default 'all')
+ * @param {string} options.faction - Only this faction
+ * @param {number} options.limit - Items per faction (default 20, max 100)
+ * @returns {Promise<Object>} { period, factions: { [faction]: [{ item, category, purchases, players, singleCost, permaCost, estimatedSpend }] }, unmatched: [{ item, purchases, players }], generatedAt }
+ * @throws {Error} 'Unknown analytics period' or 'Unknown faction'
+ */
+export async function getTopPurchases({ period = 'all', faction = null, limit = 20 } = {}) {
+    const since = getPeriodStart(period);
+    const factions = getFactions(faction);
+    const pageSize = getLimit(limit, 20);
+
+    const cacheKey = JSON.stringify(['purchases', period, faction, pageSize]);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const sequelize = databaseManager.getSequelize();
+    const totals = trackingTotals('purchases', since);
+
+    const rows = await sequelize.query(
+        `SELECT t.name, t.total, t.players, sc.faction, sc.name AS category, si.single_cost, si.perma_cost
+        FROM (${totals.sql}) t
+        LEFT JOIN store_items si ON si.name = t.name
+        LEFT JOIN store_categories sc ON sc.id = si.category_id
+        ORDER BY t.total DESC, t.name ASC`,
+        { replacements: totals.replacements, type: QueryTypes.SELECT }
+    );
+
+    const result = {
+        period,
+        factions: Object.fromEntries(factions.map(name => [name, []])),
+        unmatched: [],
+        generatedAt: new Date().toISOString()
+    };
+
+    for (const row of rows) {
+        const purchases = Number(row.total);
+        const players = Number(row.players);
+
+        if (!row.faction) {
+            if (result.unmatched.length < pageSize) {
+                result.unmatched.push({ item: row.name, purchases, players });
+            }
+            continue;
+        }
+
+        const list = result.factions[row.faction];
+        if (!list || list.length >= pageSize) continue;
+
+        const singleCost = row.single_cost === null ? null : Number(row.single_cost);
+
+        list.push({
+            item: row.name,
+            category: row.category,
+            purchases,
+            players,
+            singleCost,
+            permaCost: row.perma_cost === null ? null : Number(row.perma_cost),
+            estimatedSpend: singleCost > 0 ? purchases * singleCost : null
+        });
+    }
+
+    setCached(cacheKey, result);
+    logger.debug(`Top purchases (${period}${faction ? `/${faction}` : ''}) computed from ${rows.length} rows`);
+
+    return result;
+}
+
+/**
+ * Perma unlock adoption per store item
+ *
+ * Lists every store item that can be permanently unlocked, including ones
+ * nobody has unlocked. Periods count unlocks first made within the period.
+ *
+ * @param {Object} options - Report options
+ * @param {string} options.period - 'all', 'monthly' or 'weekly' (default 'all')
+ * @param {string} options.faction - Only this faction
+ * @param {number} options.limit - Items per faction (default 20, max 100)
+ * @returns {Promise<Object>} { period, totalPlayers, factions: { [faction]: [{ item, category, permaCost, players, adoptionRate }] }, unmatched: [{ item, players }], generatedAt }
+ * @throws {Error} 'Unknown analytics period' or 'Unknown faction'
+ */
+export async function getPermaUnlockAdoption({ period = 'all', faction = null, limit = 20 } = {}) {
+    const since = getPeriodStart(period);
+    const factions = getFactions(faction);
+    const pageSize = getLimit(limit, 20);
+
+    const cacheKey = JSON.stringify(['perma', period, faction, pageSize]);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const sequelize = databaseManager.getSequelize();
+    const replacements = { factions, limit: pageSize, since };
+    const unlockedSince = since ? 'WHERE unlocked_at >= :since' : '';
+
+    const [{ total }] = await sequelize.query(
+        'SELECT COUNT(*) AS total FROM players',
+        { type: QueryTypes.SELECT }
+    );
+    const totalPlayers = Number(total) || 0;
+
+    const rows = await sequelize.query(
+        `SELECT sc.faction, sc.name AS category, si.name, si.perma_cost, COALESCE(u.players, 0) AS players
+        FROM store_items si
+        JOIN store_categories sc ON sc.id = si.category_id
+        LEFT JOIN (
+            SELECT weapon_name, COUNT(DISTINCT player_id) AS players
+            FROM player_permanent_unlocks
+            ${unlockedSince}
+            GROUP BY weapon_name
+        ) u ON u.weapon_name = si.name
+        WHERE si.perma_cost > 0 AND sc.faction IN (:factions)
+        ORDER BY players DESC, si.perma_cost DESC, si.name ASC`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    const unmatched = await sequelize.query(
+        `SELECT u.weapon_name AS name, COUNT(DISTINCT u.player_id) AS players
+        FROM player_permanent_unlocks u
+        WHERE NOT EXISTS (SELECT 1 FROM store_items si WHERE si.name = u.weapon_name)
+            ${since ? 'AND u.unlocked_at >= :since' : ''}
+        GROUP BY u.weapon_name
+        ORDER BY players DESC, u.weapon_name ASC
+        LIMIT :limit`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    const result = {
+        period,
+        totalPlayers,
+        factions: Object.fromEntries(factions.map(name => [name, []])),
+        unmatched: unmatched.map(row => ({ item: row.name, players: Number(row.players) })),
+        generatedAt: new Date().toISOString()
+    };
+
+    for (const row of rows) {
+        const list = result.factions[row.faction];
+        if (list.length >= pageSize) continue;
+
+        const players = Number(row.players);
+
+        list.push({
+            item: row.name,
+            category: row.category,
+            permaCost: Number(row.perma_cost),
+            players,
+            adoptionRate: totalPlayers > 0 ? players / totalPlayers : 0
+        });
+    }
+
+    setCached(cacheKey, result);
+    logger.debug(`Perma unlock adoption (${period}${faction ? `/${faction}` : ''}) computed`);
+
+    return result;
+}
+
+/**
+ * Rewards earned by type, with the currency and XP they are worth
+ *
+ * Estimates use the reward's configured values and the global economy
+ * multipliers; per-server overrides are not taken into account.
+ *
+ * @param {Object} options - Report options
+ * @param {string} options.period - 'all', 'monthly' or 'weekly' (default 'all')
+ * @returns {Promise<Object>} { period, multipliers, rewards: [{ type, name, count, players, currency, xp, estimatedCurrency, estimatedXp, share }], generatedAt }
+ * @throws {Error} 'Unknown analytics period'
+ */
+export async function getRewardSources({ period = 'all' } = {}) {
+    const since = getPeriodStart(period);
+
+    const cacheKey = JSON.stringify(['rewards', period]);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const sequelize = databaseManager.getSequelize();
+    const totals = trackingTotals('rewards', since);
+    const multipliers = await getMultipliers(sequelize);
+
+    const rows = await sequelize.query(
+        `SELECT t.name, t.total, t.players, r.name AS label, r.xp, r.currency
+        FROM (${totals.sql}) t
+        LEFT JOIN settings_rewards r ON r.reward_key = t.name
+        ORDER BY t.total DESC, t.name ASC`,
+        { replacements: totals.replacements, type: QueryTypes.SELECT }
+    );
+
+    const rewards = rows.map(row => {
+        const count = Number(row.total);
+        const configured = row.label !== null;
+
+        return {
+            type: row.name,
+            name: configured ? row.label : null,
+            count,
+            players: Number(row.players),
+            currency: configured ? Number(row.currency) : null,
+            xp: configured ? Number(row.xp) : null,
+            estimatedCurrency: configured ? count * Number(row.currency) * multipliers.currencyMultiplier : null,
+            estimatedXp: configured ? count * Number(row.xp) * multipliers.xpMultiplier : null
+        };
+    });
+
+    const currencyTotal = rewards.reduce((sum, reward) => sum + (reward.estimatedCurrency || 0), 0);
+    for (const reward of rewards) {
+        reward.share = currencyTotal > 0 && reward.estimatedCurrency !== null ? reward.estimatedCurrency / currencyTotal : null;
+    }
+
+    const result = {
+        period,
+        multipliers,
+        rewards,
+        generatedAt: new Date().toISOString()
+    };
+
+    setCached(cacheKey, result);
+    logger.debug(`Reward sources (${period}) computed (${rows.length} types)`);
+
+    return result;
+}
+
+/**
+ * Drop all cached analytics reports
+ */
+export function clearAnalyticsCache() {
+    cache.clear();
+}
+
+export default {
+    getEconomyOverview,
+    getTopPurchases,
+    getPermaUnlockAdoption,
+    getRewardSources,
+    clearAnalyticsCache
+};
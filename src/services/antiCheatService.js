@@ -0,0 +1,560 @@
+/**
+ * Anti-Cheat Service
+ *
+ * Checks every incoming player save (periodic sync, disconnect, crash
+ * recovery) against a set of rules before it is applied:
+ *
+ * - delta: most a stat may grow in one sync
+ * - rate:  most a stat may grow per minute played (timePlayed delta), scaled
+ *          by the server's economy multipliers and optionally by prestige
+ * - state: saves that cannot happen in the game, e.g. more currency spent
+ *          than ever earned or perma unlocks the store does not sell
+ *
+ * The built-in rules (DEFAULT_RULES) can be tuned or disabled, and new rules
+ * added, through anti_cheat_rules rows for all servers or for one server.
+ * Each violation carries the rule's severity: 'log' only logs, 'flag' queues
+ * the sync for review, 'reject' refuses to apply it and 'flag_server' also
+ * flags the game server that sent it.
+ */
+
+import { Op } from 'sequelize';
+import { antiCheat as antiCheatConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { getEffectiveSettings } from './configService.js';
+
+const logger = createServiceLogger('AntiCheatService');
+
+/**
+ * Severities from least to most severe
+ */
+export const SEVERITIES = ['log', 'flag', 'reject', 'flag_server'];
+
+export const RULE_TYPES = ['delta', 'rate', 'state'];
+
+/**
+ * v2 stats fields rules can watch
+ */
+export const STAT_FIELDS = [
+    'currencyTotal', 'currencySpent',
+    'xp', 'xpTotal', 'prestige', 'permaTokens',
+    'dailyClaims', 'gamesPlayed', 'timePlayed'
+];
+
+/**
+ * settings.json economy multipliers a limit can be scaled by
+ */
+export const MULTIPLIERS = ['currencyMultiplier', 'xpMultiplier', 'weaponXpMultiplier'];
+
+/**
+ * Built-in rules
+ * The delta rules carry over the former fixed per-sync limits.
+ */
+export const DEFAULT_RULES = {
+    currency_total_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'currencyTotal', max: 50000 },
+        description: 'Currency earned in one sync'
+    },
+    currency_spent_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'currencySpent', max: 50000 },
+        description: 'Currency spent in one sync'
+    },
+    xp_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'xp', max: 100000 },
+        description: 'XP gained in one sync'
+    },
+    prestige_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'prestige', max: 1 },
+        description: 'Prestige levels gained in one sync'
+    },
+    perma_tokens_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'permaTokens', max: 10 },
+        description: 'Perma tokens gained in one sync'
+    },
+    time_played_delta: {
+        type: 'delta',
+        severity: 'flag',
+        params: { stat: 'timePlayed', max: 7200 },
+        description: 'Seconds played added in one sync'
+    },
+    currency_rate: {
+        type: 'rate',
+        severity: 'flag',
+        params: { stat: 'currencyTotal', maxPerMinute: 1000, multiplier: 'currencyMultiplier', perPrestige: 0, minMinutes: 1 },
+        description: 'Currency earned per minute played'
+    },
+    xp_rate: {
+        type: 'rate',
+        severity: 'flag',
+        params: { stat: 'xpTotal', maxPerMinute: 2000, multiplier: 'xpMultiplier', perPrestige: 0, minMinutes: 1 },
+        description: 'XP earned per minute played'
+    },
+    time_played_elapsed: {
+        type: 'state',
+        severity: 'flag',
+        params: { check: 'time_played_exceeds_elapsed', toleranceSeconds: 120 },
+        description: 'More time played than passed since the last save'
+    },
+    currency_spent_exceeds_total: {
+        type: 'state',
+        severity: 'reject',
+        params: { check: 'currency_spent_exceeds_total' },
+        description: 'More currency spent than ever earned'
+    },
+    perma_unlock_not_in_store: {
+        type: 'state',
+        severity: 'flag',
+        params: { check: 'perma_unlock_not_in_store' },
+        description: 'New perma unlock that no store sells as a perma unlock'
+    },
+    lifetime_stat_decreased: {
+        type: 'state',
+        severity: 'flag',
+        params: { check: 'lifetime_stat_decreased', stats: ['currencyTotal', 'xpTotal', 'timePlayed', 'gamesPlayed'] },
+        description: 'Lifetime total went down'
+    }
+};
+
+const cache = new Map();
+
+function statValue(data, stat) {
+    return Number(data?.stats?.[stat]) || 0;
+}
+
+function statGain(context, stat) {
+    return statValue(context.newData, stat) - statValue(context.oldData, stat);
+}
+
+/**
+ * Scale a limit by the server's economy multiplier and the player's prestige
+ */
+function scaleLimit(limit, params, context) {
+    let scaled = limit;
+
+    if (params.multiplier) {
+        const multiplier = Number(context.economy?.[params.multiplier]);
+        scaled *= Number.isFinite(multiplier) ? multiplier : 1;
+    }
+
+    if (params.perPrestige) {
+        scaled *= 1 + params.perPrestige * statValue(context.newData, 'prestige');
+    }
+
+    return scaled;
+}
+
+/**
+ * Impossible-state checks, by params.check
+ * Each returns a violation message or null.
+ */
+export const STATE_CHECKS = {
+    currency_spent_exceeds_total(params, { newData }) {
+        const spent = statValue(newData, 'currencySpent');
+        const total = statValue(newData, 'currencyTotal');
+
+        return spent > total ? `currencySpent ${spent} exceeds currencyTotal ${total}` : null;
+    },
+
+    time_played_exceeds_elapsed(params, context) {
+        if (context.elapsedSeconds === null || context.elapsedSeconds === undefined) return null;
+
+        const played = statGain(context, 'timePlayed');
+        const allowed = context.elapsedSeconds + (params.toleranceSeconds || 0);
+
+        return played > allowed
+            ? `timePlayed grew ${played}s but only ${Math.round(context.elapsedSeconds)}s passed since the last save`
+            : null;
+    },
+
+    perma_unlock_not_in_store(params, { oldData, newData, permaItems }) {
+        // Without store data there is nothing to compare against
+        if (!permaItems || permaItems.size === 0) return null;
+
+        const owned = new Set(oldData?.permaUnlocks || []);
+        const unknown = (newData?.permaUnlocks || []).filter(name => !owned.has(name) && !permaItems.has(name));
+
+        return unknown.length > 0 ? `perma unlocks not sold in any store: ${unknown.join(', ')}` : null;
+    },
+
+    lifetime_stat_decreased(params, context) {
+        const decreased = (params.stats || []).filter(stat => statGain(context, stat) < 0);
+
+        return decreased.length > 0
+            ? decreased.map(stat => `${stat} went from ${statValue(context.oldData, stat)} to ${statValue(context.newData, stat)}`).join(', ')
+            : null;
+    }
+};
+
+/**
+ * Checks per rule type
+ * Each returns a violation message or null.
+ */
+const RULE_CHECKS = {
+    delta(params, context) {
+        const gain = statGain(context, params.stat);
+        const limit = scaleLimit(params.max, params, context);
+
+        return gain > limit ? `${params.stat} gain ${gain} exceeds limit ${Math.round(limit)}` : null;
+    },
+
+    rate(params, context) {
+        const gain = statGain(context, params.stat);
+        if (gain <= 0) return null;
+
+        const minutes = Math.max(statGain(context, 'timePlayed') / 60, params.minMinutes || 0, 1 / 60);
+        const limit = scaleLimit(params.maxPerMinute * minutes, params, context);
+
+        return gain > limit
+            ? `${params.stat} gain ${gain} over ${minutes.toFixed(1)} min played exceeds ${Math.round(limit)}`
+            : null;
+    },
+
+    state(params, context) {
+        return STATE_CHECKS[params.check](params, context);
+    }
+};
+
+/**
+ * Validate a rule after inheritance
+ *
+ * @param {Object} rule - { key, type, severity, params }
+ * @returns {string[]} Errors (empty if valid)
+ */
+export function validateRule(rule) {
+    const errors = [];
+    const params = rule.params || {};
+
+    if (!/^[a-z0-9_]{1,64}$/.test(rule.key || '')) {
+        errors.push('key must be 1-64 lowercase letters, digits or underscores');
+    }
+
+    if (!RULE_TYPES.includes(rule.type)) {
+        errors.push(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    if (!SEVERITIES.includes(rule.severity)) {
+        errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    if (rule.type === 'delta' || rule.type === 'rate') {
+        if (!STAT_FIELDS.includes(params.stat)) {
+            errors.push(`params.stat must be one of: ${STAT_FIELDS.join(', ')}`);
+        }
+
+        const limitField = rule.type === 'delta' ? 'max' : 'maxPerMinute';
+        if (typeof params[limitField] !== 'number' || params[limitField] < 0) {
+            errors.push(`params.${limitField} must be a non-negative number`);
+        }
+
+        if (params.multiplier !== undefined && params.multiplier !== null && !MULTIPLIERS.includes(params.multiplier)) {
+            errors.push(`params.multiplier must be null or one of: ${MULTIPLIERS.join(', ')}`);
+        }
+
+        if (params.perPrestige !== undefined && (typeof params.perPrestige !== 'number' || params.perPrestige < 0)) {
+            errors.push('params.perPrestige must be a non-negative number');
+        }
+    }
+
+    if (rule.type === 'rate' && params.minMinutes !== undefined && (typeof params.minMinutes !== 'number' || params.minMinutes < 0)) {
+        errors.push('params.minMinutes must be a non-negative number');
+    }
+
+    if (rule.type === 'state') {
+        if (!STATE_CHECKS[params.check]) {
+            errors.push(`params.check must be one of: ${Object.keys(STATE_CHECKS).join(', ')}`);
+        }
+
+        if (params.stats !== undefined && (!Array.isArray(params.stats) || params.stats.some(stat => !STAT_FIELDS.includes(stat)))) {
+            errors.push(`params.stats must be an array of: ${STAT_FIELDS.join(', ')}`);
+        }
+
+        if (params.toleranceSeconds !== undefined && (typeof params.toleranceSeconds !== 'number' || params.toleranceSeconds < 0)) {
+            errors.push('params.toleranceSeconds must be a non-negative number');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply one anti_cheat_rules row over the rule it inherits from
+ */
+function applyRuleRow(inherited, row) {
+    const base = inherited || { key: row.rule_key, type: null, severity: 'flag', enabled: true, params: {}, description: null };
+
+    return {
+        key: row.rule_key,
+        type: row.type ?? base.type,
+        severity: row.severity ?? base.severity,
+        enabled: row.enabled ?? base.enabled,
+        params: { ...base.params, ...(row.params || {}) },
+        description: row.description ?? base.description,
+        source: row.server_id ? 'server' : 'global'
+    };
+}
+
+/**
+ * Work out the rules that apply to a server
+ * Built-in rules, then global rows, then the server's own rows.
+ *
+ * @param {Array<Object>} rows - anti_cheat_rules rows (global and for this server)
+ * @param {string|null} serverId - GameServer server_id
+ * @returns {Array<Object>} [{ key, type, severity, enabled, params, description, source }]
+ */
+export function resolveRules(rows, serverId = null) {
+    const rules = new Map(Object.entries(DEFAULT_RULES).map(([key, rule]) => [
+        key,
+        { key, ...rule, params: { ...rule.params }, enabled: true, source: 'default' }
+    ]));
+
+    const globalRows = rows.filter(row => !row.server_id);
+    const serverRows = serverId ? rows.filter(row => row.server_id === serverId) : [];
+
+    for (const row of [...globalRows, ...serverRows]) {
+        rules.set(row.rule_key, applyRuleRow(rules.get(row.rule_key), row));
+    }
+
+    return [...rules.values()];
+}
+
+/**
+ * Run rules against a save
+ *
+ * @param {Array<Object>} rules - Rules from resolveRules
+ * @param {Object} context - What the rules look at
+ * @param {Object} context.oldData - Stored v2 player data
+ * @param {Object} context.newData - Incoming v2 player data
+ * @param {Object} context.economy - settings.json economy section as delivered to the server
+ * @param {Set<string>|null} context.permaItems - Store item names that can be perma unlocked
+ * @param {number|null} context.elapsedSeconds - Seconds since the player's last save
+ * @returns {Object} { violations: [{ rule, severity, message }], severity, flagged, rejected, flagServer, reason }
+ */
+export function evaluateRules(rules, context) {
+    const violations = [];
+
+    for (const rule of rules) {
+        if (!rule.enabled || validateRule(rule).length > 0) continue;
+
+        const message = RULE_CHECKS[rule.type](rule.params, context);
+        if (message) {
+            violations.push({ rule: rule.key, severity: rule.severity, message });
+        }
+    }
+
+    const level = violations.reduce((highest, violation) => Math.max(highest, SEVERITIES.indexOf(violation.severity)), -1);
+    const reasons = violations
+        .filter(violation => violation.severity !== 'log')
+        .map(violation => `[${violation.rule}] ${violation.message}`);
+
+    return {
+        violations,
+        severity: level >= 0 ? SEVERITIES[level] : null,
+        flagged: level >= SEVERITIES.indexOf('flag'),
+        rejected: level >= SEVERITIES.indexOf('reject'),
+        flagServer: level >= SEVERITIES.indexOf('flag_server'),
+        reason: reasons.length > 0 ? reasons.join('; ') : null
+    };
+}
+
+/**
+ * Load a server's rules and what they compare against, cached for config.antiCheat.cacheTtlSeconds
+ */
+async function getRuleSet(serverId) {
+    const entry = cache.get(serverId);
+    if (entry && entry.expiresAt > Date.now()) {
+        return entry.value;
+    }
+
+    const models = getModels();
+    const [rows, settings, permaItems] = await Promise.all([
+        models.AntiCheatRule.getForServer(serverId),
+        getEffectiveSettings(serverId),
+        models.StoreItem.findAll({ where: { perma_cost: { [Op.gt]: 0 } }, attributes: ['name'], raw: true })
+    ]);
+
+    const value = {
+        rules: resolveRules(rows, serverId),
+        economy: settings?.data?.economy || {},
+        permaItems: new Set(permaItems.map(item => item.name))
+    };
+
+    if (antiCheatConfig.cacheTtlSeconds > 0) {
+        cache.set(serverId, { value, expiresAt: Date.now() + antiCheatConfig.cacheTtlSeconds * 1000 });
+    }
+
+    return value;
+}
+
+/**
+ * Check an incoming save before it is applied
+ *
+ * Logs every violation and flags the game server when a 'flag_server' rule
+ * fires. The caller flags or rejects the sync based on the result.
+ *
+ * @param {Object} options - Sync being checked
+ * @param {Object} options.server - GameServer record that sent the save
+ * @param {Object} options.player - Player record as stored (before the save)
+ * @param {Object} options.oldData - Stored v2 player data
+ * @param {Object} options.newData - Incoming v2 player data
+ * @param {string} options.syncType - 'periodic', 'disconnect' or 'crash_recovery'
+ * @returns {Promise<Object>} Result of evaluateRules
+ */
+export async function checkSync({ server, player, oldData, newData, syncType }) {
+    const ruleSet = await getRuleSet(server.server_id);
+    const lastSave = player.updatedAt ? new Date(player.updatedAt).getTime() : null;
+
+    const result = evaluateRules(ruleSet.rules, {
+        oldData,
+        newData,
+        economy: ruleSet.economy,
+        permaItems: ruleSet.permaItems,
+        elapsedSeconds: lastSave ? Math.max((Date.now() - lastSave) / 1000, 0) : null
+    });
+
+    for (const violation of result.violations) {
+        const message = `Rule ${violation.rule} (${violation.severity}) on ${syncType} from ${server.server_id} for ${newData.steamId}: ${violation.message}`;
+        if (violation.severity === 'log') {
+            logger.info(message);
+        } else {
+            logger.warn(message);
+        }
+    }
+
+    if (result.flagServer && !server.flagged) {
+        await server.flag(`Anti-cheat on ${newData.steamId}: ${result.reason}`);
+        logger.warn(`Server flagged by anti-cheat: ${server.server_id}`);
+    }
+
+    return result;
+}
+
+/**
+ * List the rules, as stored and as they apply
+ *
+ * @param {string|null} serverId - Also resolve for this server
+ * @returns {Promise<Object>} { defaults, rows, effective, severities, stateChecks }
+ */
+export async function listRules(serverId = null) {
+    const models = getModels();
+    const rows = serverId
+        ? await models.AntiCheatRule.getForServer(serverId)
+        : await models.AntiCheatRule.findAll({ order: [['rule_key', 'ASC'], ['server_id', 'ASC']] });
+
+    return {
+        defaults: DEFAULT_RULES,
+        rows,
+        effective: resolveRules(rows, serverId),
+        severities: SEVERITIES,
+        stateChecks: Object.keys(STATE_CHECKS)
+    };
+}
+
+/**
+ * Create or replace the rule row for a key (globally or for one server)
+ * The row is validated together with what it inherits.
+ *
+ * @param {string} key - Rule key
+ * @param {Object} rule - { serverId, type, severity, enabled, params, description }, omitted fields inherit
+ * @param {Object} options - Options
+ * @param {Object} options.user - Dashboard user (req.user)
+ * @returns {Promise<Object>} { row, effective }
+ * @throws {Error} 'Server not found' or 'Invalid rule'
+ */
+export async function setRule(key, { serverId = null, type = null, severity = null, enabled = null, params = null, description = null }, { user = null } = {}) {
+    const models = getModels();
+
+    if (serverId && !await models.GameServer.findOne({ where: { server_id: serverId }, attributes: ['id'] })) {
+        throw new Error(`Server not found: ${serverId}`);
+    }
+
+    if (params !== null && (typeof params !== 'object' || Array.isArray(params))) {
+        throw new Error('Invalid rule: params must be an object');
+    }
+
+    if (enabled !== null && typeof enabled !== 'boolean') {
+        throw new Error('Invalid rule: enabled must be a boolean');
+    }
+
+    const values = {
+        rule_key: key,
+        server_id: serverId,
+        type,
+        severity,
+        enabled,
+        params,
+        description: description ? String(description).slice(0, 255) : null,
+        updated_by: user ? String(user.id) : null
+    };
+
+    const rows = (await models.AntiCheatRule.getForServer(serverId))
+        .filter(row => !(row.rule_key === key && row.server_id === serverId));
+    const effective = resolveRules([...rows, values], serverId).find(rule => rule.key === key);
+
+    const errors = validateRule(effective);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rule: ${errors.join('; ')}`);
+    }
+
+    const existing = await models.AntiCheatRule.findOne({ where: { rule_key: key, server_id: serverId } });
+    const row = existing ? await existing.update(values) : await models.AntiCheatRule.create(values);
+
+    clearRuleCache();
+    logger.info(`Anti-cheat rule ${key} set${serverId ? ` for ${serverId}` : ''}`);
+
+    return { row, effective };
+}
+
+/**
+ * Remove the rule row for a key, falling back to what it inherited
+ *
+ * @param {string} key - Rule key
+ * @param {string|null} serverId - Server the row belongs to (null = global row)
+ * @throws {Error} 'Rule not found'
+ */
+export async function deleteRule(key, serverId = null) {
+    const models = getModels();
+    const row = await models.AntiCheatRule.findOne({ where: { rule_key: key, server_id: serverId } });
+
+    if (!row) {
+        throw new Error(`Rule not found: ${key}${serverId ? ` for ${serverId}` : ''}`);
+    }
+
+    await row.destroy();
+
+    clearRuleCache();
+    logger.info(`Anti-cheat rule ${key} removed${serverId ? ` for ${serverId}` : ''}`);
+}
+
+/**
+ * Drop all cached rule sets
+ */
+export function clearRuleCache() {
+    cache.clear();
+}
+
+export default {
+    SEVERITIES,
+    RULE_TYPES,
+    STAT_FIELDS,
+    MULTIPLIERS,
+    DEFAULT_RULES,
+    STATE_CHECKS,
+    validateRule,
+    resolveRules,
+    evaluateRules,
+    checkSync,
+    listRules,
+    setRule,
+    deleteRule,
+    clearRuleCache
+};
@@ -1,6 +1,11 @@
 import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
 import { Op } from 'sequelize';
 import { createServiceLogger } from '../utils/logger.js';
+import { bumpSyncSeq, lockPlayer } from './syncService.js';
+import { createSnapshot } from './snapshotService.js';
+import { revertSyncDeltas } from './statHistoryService.js';
+import { clearLeaderboardCache } from './leaderboardService.js';
 
 const logger = createServiceLogger('AuditService');
 
@@ -10,16 +15,19 @@ const logger = createServiceLogger('AuditService');
  * @param {Object} options - Query options
  * @param {string} options.serverId - Filter by server ID
  * @param {string} options.steamId - Filter by player Steam ID
+ * @param {string} options.status - 'pending', 'reviewed', or omit for all
  * @param {number} options.limit - Max entries to return (default 50)
  * @param {number} options.offset - Pagination offset (default 0)
  * @returns {Promise<Object>} Flagged entries with count
  */
-export async function getFlaggedSyncs({ serverId, steamId, limit = 50, offset = 0 } = {}) {
+export async function getFlaggedSyncs({ serverId, steamId, status, limit = 50, offset = 0 } = {}) {
     const models = getModels();
 
     const where = { flagged: true };
     if (serverId) where.server_id = serverId;
     if (steamId) where.player_steam_id = steamId;
+    if (status === 'pending') where.review_status = null;
+    if (status === 'reviewed') where.review_status = { [Op.ne]: null };
 
     const { rows, count } = await models.SyncAuditLog.findAndCountAll({
         where,
@@ -36,6 +44,186 @@ export async function getFlaggedSyncs({ serverId, steamId, limit = 50, offset =
     };
 }
 
+/**
+ * Load a flagged sync entry that is still waiting for review
+ */
+async function findPendingFlaggedSync(entryId, options = {}) {
+    const models = getModels();
+    const entry = await models.SyncAuditLog.findByPk(entryId, options);
+
+    if (!entry || !entry.flagged) {
+        throw new Error(`Flagged sync not found: ${entryId}`);
+    }
+
+    if (entry.review_status) {
+        throw new Error(`Flagged sync already reviewed: ${entryId} (${entry.review_status})`);
+    }
+
+    return entry;
+}
+
+/**
+ * Review fields for a moderator decision
+ */
+function reviewFields(user, status, note) {
+    return {
+        review_status: status,
+        reviewed_by: String(user.id),
+        reviewed_by_name: user.username,
+        reviewed_at: new Date(),
+        review_note: note || null
+    };
+}
+
+/**
+ * Approve a flagged sync, keeping the data it applied
+ *
+ * @param {number} entryId - SyncAuditLog ID
+ * @param {Object} review - Review details
+ * @param {Object} review.user - Dashboard user (req.user)
+ * @param {string} review.note - Optional reviewer note
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function approveFlaggedSync(entryId, { user, note = null }) {
+    const entry = await findPendingFlaggedSync(entryId);
+
+    await entry.update(reviewFields(user, 'approved', note));
+
+    logger.info(`Flagged sync ${entryId} approved by ${user.username}`);
+
+    return entry;
+}
+
+/**
+ * Set the reviewer note on a flagged sync without changing its status
+ *
+ * @param {number} entryId - SyncAuditLog ID
+ * @param {string} note - Note text (empty clears it)
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function setFlaggedSyncNote(entryId, note) {
+    const models = getModels();
+    const entry = await models.SyncAuditLog.findByPk(entryId);
+
+    if (!entry || !entry.flagged) {
+        throw new Error(`Flagged sync not found: ${entryId}`);
+    }
+
+    await entry.update({ review_note: note || null });
+
+    return entry;
+}
+
+/**
+ * player_stats columns a revert takes back, by createDataSummary field
+ */
+const REVERT_STAT_FIELDS = {
+    currencyTotal: 'currency_total',
+    currencySpent: 'currency_spent',
+    xp: 'xp',
+    xpTotal: 'xp_total',
+    prestige: 'prestige'
+};
+
+/**
+ * Revert what a flagged sync changed, keeping everything saved since
+ *
+ * The sync's changes (data_before to data_after) to currency, xp, xp_total and
+ * prestige are subtracted from the player's current stats, and the gains it
+ * recorded into stat_history are taken back out, so the leaderboards drop
+ * them too. Tracking rows keep their session counts: the next save's gains
+ * are measured against them, so the reverted gains are not counted again.
+ * sync_seq is bumped so the game server's next save is rejected as stale.
+ * The caller should push the player to their active server afterwards.
+ * Syncs rejected by an anti-cheat rule applied nothing and cannot be reverted.
+ *
+ * @param {number} entryId - SyncAuditLog ID
+ * @param {Object} review - Review details
+ * @param {Object} review.user - Dashboard user (req.user)
+ * @param {string} review.note - Optional reviewer note
+ * @returns {Promise<Object>} { entry, steamId, syncSeq, reverted } - reverted is
+ *   { stats: { column: change taken back }, statHistory: removed deltas }
+ */
+export async function revertFlaggedSync(entryId, { user, note = null }) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        const entry = await findPendingFlaggedSync(entryId, { transaction });
+        const before = entry.data_before;
+        const after = entry.data_after;
+
+        if (entry.rejected) {
+            throw new Error(`Flagged sync was rejected, nothing to revert: ${entryId}`);
+        }
+
+        if (!before || !after) {
+            throw new Error(`Flagged sync has no snapshot to revert to: ${entryId}`);
+        }
+
+        // Row locked like the sync handlers, so a save cannot land between the read and the bump
+        await lockPlayer(entry.player_steam_id, transaction);
+        const player = await models.Player.findOne({
+            where: { steam_id: entry.player_steam_id },
+            include: [{ association: 'stats' }],
+            transaction
+        });
+
+        if (!player) {
+            throw new Error(`Player not found: ${entry.player_steam_id}`);
+        }
+
+        await createSnapshot(entry.player_steam_id, 'admin_edit', {
+            createdBy: String(user.id),
+            note: `Before reverting flagged sync ${entryId}`,
+            transaction
+        });
+
+        // Entries logged before xpTotal was summarized leave xp_total as it is
+        const changes = {};
+        const values = {};
+        for (const [field, column] of Object.entries(REVERT_STAT_FIELDS)) {
+            if (!(field in before) || !(field in after)) continue;
+
+            const change = (Number(after[field]) || 0) - (Number(before[field]) || 0);
+            if (change === 0) continue;
+
+            changes[column] = change;
+            values[column] = Math.max(0, (Number(player.stats?.[column]) || 0) - change);
+        }
+
+        if (Object.keys(values).length > 0) {
+            await models.PlayerStats.upsert({
+                player_id: player.id,
+                ...values
+            }, { transaction });
+        }
+
+        const statHistory = await revertSyncDeltas(player.id, entry.stat_deltas, { transaction });
+
+        const syncSeq = await bumpSyncSeq(player, { transaction });
+
+        await entry.update(reviewFields(user, 'reverted', note), { transaction });
+
+        await transaction.commit();
+
+        clearLeaderboardCache();
+
+        logger.warn(`Flagged sync ${entryId} reverted by ${user.username}: ${entry.player_steam_id} now at seq ${syncSeq}`);
+
+        return {
+            entry,
+            steamId: entry.player_steam_id,
+            syncSeq,
+            reverted: { stats: changes, statHistory }
+        };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
 /**
  * Get sync history for a player
  *
@@ -202,6 +390,60 @@ export async function unflagServer(serverId) {
     return server;
 }
 
+/**
+ * Quarantine a server
+ *
+ * Flags the server and stops its saves from being applied; they are stored
+ * in sync_audit_log for review instead. The caller should refresh the live
+ * connection's server record so socket syncs see the change.
+ *
+ * @param {string} serverId - Server ID to quarantine
+ * @param {string} reason - Reason for the quarantine
+ * @returns {Promise<Object>} Updated server record
+ */
+export async function quarantineServer(serverId, reason) {
+    const models = getModels();
+
+    const server = await models.GameServer.findOne({
+        where: { server_id: serverId }
+    });
+
+    if (!server) {
+        throw new Error(`Server not found: ${serverId}`);
+    }
+
+    await server.quarantine(reason);
+
+    logger.warn(`Server quarantined: ${serverId} - ${reason}`);
+
+    return server;
+}
+
+/**
+ * Lift a server's quarantine so its saves are applied again
+ * The server stays flagged until it is unflagged separately.
+ *
+ * @param {string} serverId - Server ID to release
+ * @returns {Promise<Object>} Updated server record
+ */
+export async function unquarantineServer(serverId) {
+    const models = getModels();
+
+    const server = await models.GameServer.findOne({
+        where: { server_id: serverId }
+    });
+
+    if (!server) {
+        throw new Error(`Server not found: ${serverId}`);
+    }
+
+    await server.releaseQuarantine();
+
+    logger.info(`Server released from quarantine: ${serverId}`);
+
+    return server;
+}
+
 /**
  * Deactivate a server (revoke token)
  *
@@ -379,17 +621,98 @@ export async function cleanupOldLogs(daysToKeep = 30) {
     return deleted;
 }
 
+/**
+ * Record an action taken through the admin API
+ *
+ * Failures are logged but never thrown, so a logging problem cannot
+ * undo an action that already succeeded.
+ *
+ * @param {Object} entry - Audit entry
+ * @param {Object} entry.user - Dashboard User performing the action
+ * @param {string} entry.action - Action key, e.g., 'server.flag'
+ * @param {string} entry.targetType - Target kind, e.g., 'server'
+ * @param {string} entry.targetId - Target identifier
+ * @param {Object} entry.details - Extra context (reason, etc.)
+ * @param {string} entry.ipAddress - Request IP
+ * @returns {Promise<Object|null>} Created entry or null on failure
+ */
+export async function recordAdminAction({ user, action, targetType = null, targetId = null, details = null, ipAddress = null }) {
+    const models = getModels();
+
+    try {
+        const entry = await models.AdminAuditLog.record({
+            actorId: String(user.id),
+            actorName: user.username,
+            action,
+            targetType,
+            targetId: targetId !== null ? String(targetId) : null,
+            details,
+            ipAddress
+        });
+
+        logger.info(`Admin action: ${user.username} ${action}${targetId ? ` ${targetId}` : ''}`);
+
+        return entry;
+    } catch (error) {
+        logger.error(`Failed to record admin action ${action} by ${user?.username}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Get recorded admin actions
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.actorId - Filter by Discord user ID
+ * @param {string} options.action - Filter by action key
+ * @param {string} options.targetType - Filter by target kind
+ * @param {string} options.targetId - Filter by target identifier
+ * @param {number} options.limit - Max entries to return (default 50)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} Entries with count
+ */
+export async function getAdminActions({ actorId, action, targetType, targetId, limit = 50, offset = 0 } = {}) {
+    const models = getModels();
+
+    const where = {};
+    if (actorId) where.actor_id = actorId;
+    if (action) where.action = action;
+    if (targetType) where.target_type = targetType;
+    if (targetId) where.target_id = targetId;
+
+    const { rows, count } = await models.AdminAuditLog.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+    });
+
+    return {
+        entries: rows,
+        total: count,
+        limit,
+        offset
+    };
+}
+
 export default {
     getFlaggedSyncs,
+    approveFlaggedSync,
+    setFlaggedSyncNote,
+    revertFlaggedSync,
     getPlayerSyncHistory,
     getServerSyncHistory,
     getSyncStats,
     flagServer,
     unflagServer,
+    quarantineServer,
+    unquarantineServer,
     deactivateServer,
     reactivateServer,
     getServers,
     registerServer,
     regenerateServerToken,
-    cleanupOldLogs
+    cleanupOldLogs,
+    recordAdminAction,
+    getAdminActions
 };
@@ -0,0 +1,1053 @@
+/**
+ * Server Config Service
+ *
+ * Holds the game's settings.json and stores/{faction}.json in the database
+ * (docs/ServerSettings-v2-format.md) and rebuilds the documents from it.
+ *
+ * Every change is validated against the v2 schema, written in one transaction
+ * and recorded as a config_revisions row holding the full rebuilt document,
+ * its version (per document) and a content hash. A change that leaves the
+ * document identical does not create a revision.
+ *
+ * A game server can also have an override document that is deep-merged over
+ * the global settings.json before it is delivered to that server.
+ */
+
+import crypto from 'crypto';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import {
+    FACTIONS,
+    STORE_CATEGORIES,
+    validateReward,
+    validateSettingsDocument,
+    validateStoreItem,
+    validateStoreDocument
+} from './configValidator.js';
+
+const logger = createServiceLogger('ConfigService');
+
+export const CONFIG_DOCUMENTS = ['settings', ...FACTIONS];
+
+/**
+ * JSON with sorted object keys, so equal documents hash equally
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Content hash of a config document (lastUpdated excluded)
+ *
+ * @param {Object} data - settings or store document
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashConfigDocument(data) {
+    const content = { ...data };
+    delete content.lastUpdated;
+
+    // Keys are hashed sorted, but the order of store categories is part of the file
+    if (content.categories && typeof content.categories === 'object') {
+        content.categoryOrder = Object.keys(content.categories);
+    }
+
+    return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * Throw 'Invalid config: ...' for a failed validation
+ */
+function assertValid(result, label) {
+    if (!result.valid) {
+        throw new Error(`Invalid config: ${label}: ${result.errors.slice(0, 20).join('; ')}`);
+    }
+}
+
+/**
+ * Check a document name
+ */
+function assertDocument(document) {
+    if (!CONFIG_DOCUMENTS.includes(document)) {
+        throw new Error(`Invalid config: unknown document ${document}`);
+    }
+}
+
+/**
+ * Name that identifies a store item: group, name or item path, whichever the item type has
+ */
+function storeItemKey(item) {
+    const xpUnlock = Array.isArray(item?.xpUnlocks) ? item.xpUnlocks[0] : null;
+    return String(item?.group || item?.name || item?.item || xpUnlock?.item || 'item');
+}
+
+/**
+ * Indexed columns for a store item (the full item stays in data)
+ */
+function storeItemColumns(item) {
+    const xpUnlock = Array.isArray(item.xpUnlocks) ? item.xpUnlocks[0] : null;
+
+    return {
+        name: storeItemKey(item).slice(0, 255),
+        single_cost: Number.isFinite(item.singleCost) ? item.singleCost : null,
+        perma_cost: Number.isFinite(item.permaCost) ? item.permaCost : null,
+        unlock_level: Math.max(0, Number(item.unlockLevel) || 0),
+        prestige: Math.max(0, Number(item.prestige ?? xpUnlock?.prestige) || 0),
+        data: item
+    };
+}
+
+/**
+ * Rebuild settings.json from the database
+ * Returns null until settings have been saved once.
+ */
+async function buildSettingsDocument(transaction) {
+    const models = getModels();
+    const row = await models.ServerSettings.getCurrent({ transaction });
+
+    if (!row) return null;
+
+    const rewards = await models.SettingsReward.findAll({
+        order: [['sort_order', 'ASC'], ['id', 'ASC']],
+        transaction
+    });
+
+    const { saveVersion, modLoader, ...sections } = row.settings || {};
+
+    const document = { v: 2 };
+    if (saveVersion) document.saveVersion = saveVersion;
+    if (modLoader) document.modLoader = modLoader;
+
+    document.economy = {
+        currencyMultiplier: row.currency_multiplier,
+        xpMultiplier: row.xp_multiplier,
+        weaponXpMultiplier: row.weapon_xp_multiplier
+    };
+
+    Object.assign(document, sections);
+
+    document.rewards = {};
+    for (const reward of rewards) {
+        const entry = {
+            name: reward.name,
+            xp: reward.xp,
+            currency: reward.currency
+        };
+        if (reward.description !== null) entry.description = reward.description;
+        if (reward.texture !== null) entry.texture = reward.texture;
+        entry.displayReward = reward.display_reward;
+
+        document.rewards[reward.reward_key] = entry;
+    }
+
+    return document;
+}
+
+/**
+ * Rebuild stores/{faction}.json from the database
+ * Categories appear in STORE_CATEGORIES order.
+ */
+async function buildStoreDocument(faction, transaction) {
+    const models = getModels();
+    const categories = await models.StoreCategory.findAll({
+        where: { faction },
+        include: [{ association: 'items' }],
+        order: [['sort_order', 'ASC'], [{ model: models.StoreItem, as: 'items' }, 'sort_order', 'ASC'], [{ model: models.StoreItem, as: 'items' }, 'id', 'ASC']],
+        transaction
+    });
+
+    const document = { v: 2, faction, categories: {} };
+    for (const category of categories) {
+        document.categories[category.name] = category.items.map(item => item.data);
+    }
+
+    return document;
+}
+
+/**
+ * Rebuild any config document
+ */
+async function buildDocument(document, transaction) {
+    return document === 'settings'
+        ? buildSettingsDocument(transaction)
+        : buildStoreDocument(document, transaction);
+}
+
+/**
+ * Record a revision of a document if its content changed
+ * Call inside the transaction that made the change.
+ */
+async function recordRevision(document, { user = null, note = null, transaction }) {
+    const models = getModels();
+    const data = await buildDocument(document, transaction);
+    const hash = hashConfigDocument(data);
+
+    const latest = await models.ConfigRevision.getLatest(document, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (latest && latest.hash === hash) {
+        return { revision: latest, changed: false };
+    }
+
+    const revision = await models.ConfigRevision.create({
+        document,
+        version: (latest?.version || 0) + 1,
+        hash,
+        data,
+        created_by: user ? String(user.id) : null,
+        note: note ? String(note).slice(0, 255) : null
+    }, { transaction });
+
+    return { revision, changed: true };
+}
+
+/**
+ * Run a change to one document in a transaction and record its revision
+ *
+ * @returns {Promise<Object>} { document, version, hash, changed, result }
+ */
+async function withRevision(document, { user, note }, change) {
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        const result = await change(transaction);
+        const { revision, changed } = await recordRevision(document, { user, note, transaction });
+
+        await transaction.commit();
+
+        if (changed) {
+            logger.info(`Config ${document} saved as version ${revision.version}${user ? ` by ${user.username}` : ''}`);
+        }
+
+        return { document, version: revision.version, hash: revision.hash, changed, result };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Get a config document with its current version
+ *
+ * @param {string} document - 'settings' or a faction
+ * @returns {Promise<Object|null>} { document, data, version, hash, updatedAt } or null if never saved
+ */
+export async function getConfigDocument(document) {
+    const models = getModels();
+    assertDocument(document);
+
+    const revision = await models.ConfigRevision.getLatest(document);
+
+    if (!revision) {
+        return null;
+    }
+
+    return {
+        document,
+        data: { ...revision.data, lastUpdated: revision.created_at.toISOString() },
+        version: revision.version,
+        hash: revision.hash,
+        updatedAt: revision.created_at
+    };
+}
+
+// ==================== Per-Server Overrides ====================
+
+// Keys an override may not change
+const OVERRIDE_RESERVED_KEYS = ['v', 'lastUpdated'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Record the source of every leaf under a value
+ */
+function markSources(value, path, source, sources) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            markSources(child, `${path}.${key}`, source, sources);
+        }
+        return;
+    }
+
+    sources[path] = source;
+}
+
+/**
+ * Merge one object level of an override into the base
+ */
+function mergeLevel(base, override, path, sources) {
+    const result = {};
+
+    for (const key of new Set([...Object.keys(base), ...Object.keys(override)])) {
+        const keyPath = path ? `${path}.${key}` : key;
+
+        if (!Object.prototype.hasOwnProperty.call(override, key)) {
+            result[key] = base[key];
+            markSources(base[key], keyPath, 'global', sources);
+        } else if (isPlainObject(base[key]) && isPlainObject(override[key])) {
+            result[key] = mergeLevel(base[key], override[key], keyPath, sources);
+        } else {
+            result[key] = override[key];
+            markSources(override[key], keyPath, 'server', sources);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Deep-merge a server override over a settings document
+ * Objects merge key by key; arrays and plain values in the override replace the global value.
+ *
+ * @param {Object} base - settings.json (lastUpdated is dropped)
+ * @param {Object} override - Partial settings.json
+ * @returns {Object} { data, sources } where sources maps each dotted leaf path to 'global' or 'server'
+ */
+export function mergeConfigOverride(base, override) {
+    const content = { ...base };
+    delete content.lastUpdated;
+
+    const sources = {};
+    const data = mergeLevel(content, override || {}, '', sources);
+
+    return { data, sources };
+}
+
+/**
+ * Check an override document
+ */
+function assertOverride(overrides) {
+    if (!isPlainObject(overrides)) {
+        throw new Error('Invalid config: overrides must be an object');
+    }
+
+    const reserved = OVERRIDE_RESERVED_KEYS.filter(key => key in overrides);
+    if (reserved.length > 0) {
+        throw new Error(`Invalid config: overrides cannot change ${reserved.join(', ')}`);
+    }
+}
+
+/**
+ * Public view of an override row
+ */
+function toOverride(row) {
+    return {
+        serverId: row.server_id,
+        overrides: row.overrides,
+        version: row.version,
+        note: row.note,
+        updatedBy: row.updated_by,
+        updatedAt: row.updatedAt
+    };
+}
+
+/**
+ * Get settings.json as delivered to a server: the global document with the server's override merged in
+ *
+ * @param {string|null} serverId - GameServer server_id (null = global settings only)
+ * @returns {Promise<Object|null>} { document, data, version, overrideVersion, hash, updatedAt, sources }
+ * or null if settings have never been saved. version is the global revision, hash covers the merged content.
+ */
+export async function getEffectiveSettings(serverId) {
+    const models = getModels();
+    const base = await getConfigDocument('settings');
+
+    if (!base) {
+        return null;
+    }
+
+    const override = serverId ? await models.ServerConfigOverride.getForServer(serverId) : null;
+    const { data, sources } = mergeConfigOverride(base.data, override?.overrides);
+
+    const updatedAt = override && override.updatedAt > base.updatedAt ? override.updatedAt : base.updatedAt;
+    data.lastUpdated = updatedAt.toISOString();
+
+    return {
+        document: 'settings',
+        data,
+        version: base.version,
+        overrideVersion: override ? override.version : null,
+        hash: hashConfigDocument(data),
+        updatedAt,
+        sources
+    };
+}
+
+/**
+ * Get a config document as delivered to a server
+ * Only settings.json has per-server overrides, store files are the same everywhere.
+ *
+ * @param {string} document - 'settings' or a faction
+ * @param {string|null} serverId - GameServer server_id
+ * @returns {Promise<Object|null>} { document, data, version, overrideVersion, hash, updatedAt } or null if never saved
+ */
+export async function getServerConfigDocument(document, serverId) {
+    if (document === 'settings') {
+        const settings = await getEffectiveSettings(serverId);
+        if (!settings) return null;
+
+        delete settings.sources;
+        return settings;
+    }
+
+    const current = await getConfigDocument(document);
+    return current ? { ...current, overrideVersion: null } : null;
+}
+
+/**
+ * List every server's override
+ *
+ * @returns {Promise<Array>} [{ serverId, overrides, version, note, updatedBy, updatedAt }]
+ */
+export async function listServerOverrides() {
+    const models = getModels();
+    const rows = await models.ServerConfigOverride.findAll({ order: [['server_id', 'ASC']] });
+
+    return rows.map(toOverride);
+}
+
+/**
+ * Get a server's override
+ *
+ * @param {string} serverId - GameServer server_id
+ * @returns {Promise<Object>} { serverId, overrides, version, note, updatedBy, updatedAt }
+ */
+export async function getServerOverride(serverId) {
+    const models = getModels();
+    const row = await models.ServerConfigOverride.getForServer(serverId);
+
+    if (!row) {
+        throw new Error(`Override not found: ${serverId}`);
+    }
+
+    return toOverride(row);
+}
+
+/**
+ * Set a server's override document
+ * The merged settings must pass the same validation as the global document.
+ *
+ * @param {string} serverId - GameServer server_id
+ * @param {Object} overrides - Partial settings.json, e.g. { economy: { xpMultiplier: 2 } }
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { serverId, version, changed }
+ */
+export async function setServerOverride(serverId, overrides, { user = null, note = null } = {}) {
+    const models = getModels();
+    assertOverride(overrides);
+
+    const server = await models.GameServer.findOne({ where: { server_id: serverId } });
+    if (!server) {
+        throw new Error(`Server not found: ${serverId}`);
+    }
+
+    const base = await getConfigDocument('settings');
+    if (!base) {
+        throw new Error('Settings not found');
+    }
+
+    assertValid(validateSettingsDocument(mergeConfigOverride(base.data, overrides).data), `override for ${serverId}`);
+
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        const values = {
+            overrides,
+            note: note ? String(note).slice(0, 255) : null,
+            updated_by: user ? String(user.id) : null
+        };
+
+        let row = await models.ServerConfigOverride.getForServer(serverId, { transaction, lock: transaction.LOCK.UPDATE });
+        let changed = true;
+
+        if (!row) {
+            row = await models.ServerConfigOverride.create({ server_id: serverId, ...values }, { transaction });
+        } else if (hashConfigDocument(row.overrides) === hashConfigDocument(overrides)) {
+            changed = false;
+        } else {
+            await row.update({ ...values, version: row.version + 1 }, { transaction });
+        }
+
+        await transaction.commit();
+
+        if (changed) {
+            logger.info(`Config override for ${serverId} saved as version ${row.version}${user ? ` by ${user.username}` : ''}`);
+        }
+
+        return { serverId, version: row.version, changed };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Remove a server's override, it gets the global settings again
+ *
+ * @param {string} serverId - GameServer server_id
+ * @param {Object} options - { user }
+ * @returns {Promise<Object>} { serverId, changed }
+ */
+export async function deleteServerOverride(serverId, { user = null } = {}) {
+    const models = getModels();
+    const deleted = await models.ServerConfigOverride.destroy({ where: { server_id: serverId } });
+
+    if (!deleted) {
+        throw new Error(`Override not found: ${serverId}`);
+    }
+
+    logger.info(`Config override for ${serverId} removed${user ? ` by ${user.username}` : ''}`);
+
+    return { serverId, changed: true };
+}
+
+/**
+ * Get the version and hash of every config document as delivered to a server
+ *
+ * @param {string|null} serverId - GameServer server_id (null = global documents)
+ * @returns {Promise<Object>} { [document]: { version, overrideVersion, hash } }, version 0 and hash null if never saved
+ */
+export async function getConfigVersions(serverId = null) {
+    const versions = {};
+
+    for (const document of CONFIG_DOCUMENTS) {
+        const current = await getServerConfigDocument(document, serverId);
+        versions[document] = {
+            version: current?.version || 0,
+            overrideVersion: current?.overrideVersion || null,
+            hash: current?.hash || null
+        };
+    }
+
+    return versions;
+}
+
+/**
+ * Get everything a game server needs: settings.json and the three store files
+ *
+ * @param {string|null} serverId - Merge this server's settings override (null = global settings)
+ * @returns {Promise<Object|null>} { settings, stores: { indfor, blufor, redfor }, versions, overrideVersion, hashes }
+ * or null if settings have never been saved
+ */
+export async function getGameConfig(serverId = null) {
+    const settings = await getServerConfigDocument('settings', serverId);
+
+    if (!settings) {
+        return null;
+    }
+
+    const result = {
+        settings: settings.data,
+        stores: {},
+        versions: { settings: settings.version },
+        overrideVersion: settings.overrideVersion,
+        hashes: { settings: settings.hash }
+    };
+
+    for (const faction of FACTIONS) {
+        const store = await getConfigDocument(faction);
+        result.stores[faction] = store ? store.data : { v: 2, faction, categories: {} };
+        result.versions[faction] = store ? store.version : 0;
+        result.hashes[faction] = store ? store.hash : null;
+    }
+
+    return result;
+}
+
+/**
+ * Replace settings.json
+ *
+ * @param {Object} data - settings.json in v2 format
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function replaceSettings(data, { user = null, note = null } = {}) {
+    const models = getModels();
+    assertValid(validateSettingsDocument(data), 'settings');
+
+    const { economy, rewards = {} } = data;
+
+    // Everything without its own columns or table is kept as JSON
+    const sections = { ...data };
+    for (const key of ['v', 'lastUpdated', 'economy', 'rewards']) {
+        delete sections[key];
+    }
+
+    return withRevision('settings', { user, note }, async (transaction) => {
+        const values = {
+            currency_multiplier: economy.currencyMultiplier,
+            xp_multiplier: economy.xpMultiplier,
+            weapon_xp_multiplier: economy.weaponXpMultiplier,
+            settings: sections,
+            updated_by: user ? String(user.id) : null
+        };
+
+        const row = await models.ServerSettings.getCurrent({ transaction, lock: transaction.LOCK.UPDATE });
+        if (row) {
+            await row.update(values, { transaction });
+        } else {
+            await models.ServerSettings.create(values, { transaction });
+        }
+
+        await models.SettingsReward.destroy({ where: {}, transaction });
+        await models.SettingsReward.bulkCreate(Object.entries(rewards).map(([key, reward], index) => ({
+            reward_key: key,
+            name: reward.name,
+            xp: reward.xp,
+            currency: reward.currency,
+            description: reward.description ?? null,
+            texture: reward.texture ?? null,
+            display_reward: reward.displayReward ?? true,
+            sort_order: index
+        })), { transaction });
+    });
+}
+
+/**
+ * Change top-level sections of settings.json, keeping the rest
+ *
+ * @param {Object} changes - Sections to replace, e.g. { economy: {...}, zone: {...} }
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function updateSettings(changes, { user = null, note = null } = {}) {
+    const current = await getConfigDocument('settings');
+
+    if (!current) {
+        throw new Error('Settings not found');
+    }
+
+    return replaceSettings({ ...current.data, ...changes, v: 2 }, { user, note });
+}
+
+/**
+ * Add or replace one reward of settings.json
+ *
+ * @param {string} key - Reward type, e.g. enemyKilled
+ * @param {Object} reward - { name, xp, currency, description?, texture?, displayReward? }
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function setReward(key, reward, { user = null, note = null } = {}) {
+    if (typeof key !== 'string' || !/^\w{1,64}$/.test(key)) {
+        throw new Error('Invalid config: reward key must be 1-64 letters, digits or underscores');
+    }
+    assertValid(validateReward(reward, `rewards.${key}`), 'reward');
+
+    const current = await getConfigDocument('settings');
+
+    if (!current) {
+        throw new Error('Settings not found');
+    }
+
+    return replaceSettings({
+        ...current.data,
+        rewards: { ...current.data.rewards, [key]: reward }
+    }, { user, note });
+}
+
+/**
+ * Remove one reward of settings.json
+ *
+ * @param {string} key - Reward type
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function deleteReward(key, { user = null, note = null } = {}) {
+    const current = await getConfigDocument('settings');
+
+    if (!current || !current.data.rewards?.[key]) {
+        throw new Error(`Reward not found: ${key}`);
+    }
+
+    const rewards = { ...current.data.rewards };
+    delete rewards[key];
+
+    return replaceSettings({ ...current.data, rewards }, { user, note });
+}
+
+/**
+ * Check a faction name
+ */
+function assertFaction(faction) {
+    if (!FACTIONS.includes(faction)) {
+        throw new Error(`Invalid config: unknown faction ${faction}`);
+    }
+}
+
+/**
+ * Find or create a faction's store category
+ */
+async function getOrCreateCategory(faction, name, transaction, sortOrder = null) {
+    const models = getModels();
+    const [category] = await models.StoreCategory.findOrCreate({
+        where: { faction, name },
+        defaults: { sort_order: sortOrder ?? Object.keys(STORE_CATEGORIES).indexOf(name) },
+        transaction
+    });
+
+    return category;
+}
+
+/**
+ * Replace a faction's whole store file
+ *
+ * @param {string} faction - indfor, blufor or redfor
+ * @param {Object} data - stores/{faction}.json in v2 format
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function replaceStore(faction, data, { user = null, note = null } = {}) {
+    const models = getModels();
+    assertFaction(faction);
+    assertValid(validateStoreDocument(data, faction), `stores/${faction}`);
+
+    return withRevision(faction, { user, note }, async (transaction) => {
+        // Items go with their categories (ON DELETE CASCADE)
+        await models.StoreCategory.destroy({ where: { faction }, transaction });
+
+        // Categories keep the order they have in the file
+        for (const [index, [name, items]] of Object.entries(data.categories).entries()) {
+            const category = await getOrCreateCategory(faction, name, transaction, index);
+
+            await models.StoreItem.bulkCreate(items.map((item, index) => ({
+                category_id: category.id,
+                sort_order: index,
+                ...storeItemColumns(item)
+            })), { transaction });
+        }
+    });
+}
+
+/**
+ * Field-level differences between two values
+ * Objects are compared key by key, arrays of equal length entry by entry.
+ */
+function diffValues(before, after, path, changes) {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+        }
+    } else if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+        for (let index = 0; index < before.length; index++) {
+            diffValues(before[index], after[index], `${path}[${index}]`, changes);
+        }
+    } else if (stableStringify(before) !== stableStringify(after)) {
+        changes.push({ path, before: before ?? null, after: after ?? null });
+    }
+
+    return changes;
+}
+
+/**
+ * Key a category's items by storeItemKey, numbering repeated keys (#2, #3, ...)
+ */
+function keyStoreItems(items) {
+    const keyed = new Map();
+
+    for (const item of Array.isArray(items) ? items : []) {
+        const base = storeItemKey(item);
+        let key = base;
+        for (let count = 2; keyed.has(key); count++) {
+            key = `${base} #${count}`;
+        }
+        keyed.set(key, item);
+    }
+
+    return keyed;
+}
+
+/**
+ * Compare two versions of a store file
+ * Items are matched by group, name or item path rather than position.
+ *
+ * @param {Object|null} before - Current stores/{faction}.json (null if never saved)
+ * @param {Object} after - Proposed stores/{faction}.json
+ * @returns {Object} {
+ *   categories: { added, removed, reordered },
+ *   items: [{ category, key, change: 'added'|'removed'|'changed', before?, after?, fields? }],
+ *   reorderedItems: [categories whose item order changed]
+ * }
+ */
+export function diffStoreDocuments(before, after) {
+    const beforeCategories = isPlainObject(before?.categories) ? before.categories : {};
+    const afterCategories = isPlainObject(after?.categories) ? after.categories : {};
+    const beforeOrder = Object.keys(beforeCategories);
+    const afterOrder = Object.keys(afterCategories);
+
+    const kept = afterOrder.filter(category => category in beforeCategories);
+    const diff = {
+        categories: {
+            added: afterOrder.filter(category => !(category in beforeCategories)),
+            removed: beforeOrder.filter(category => !(category in afterCategories)),
+            reordered: kept.join() !== beforeOrder.filter(category => category in afterCategories).join()
+        },
+        items: [],
+        reorderedItems: []
+    };
+
+    for (const category of new Set([...beforeOrder, ...afterOrder])) {
+        const beforeItems = keyStoreItems(beforeCategories[category]);
+        const afterItems = keyStoreItems(afterCategories[category]);
+
+        for (const [key, item] of afterItems) {
+            if (!beforeItems.has(key)) {
+                diff.items.push({ category, key, change: 'added', after: item });
+                continue;
+            }
+
+            const fields = diffValues(beforeItems.get(key), item, '', []);
+            if (fields.length > 0) {
+                diff.items.push({ category, key, change: 'changed', fields });
+            }
+        }
+
+        for (const [key, item] of beforeItems) {
+            if (!afterItems.has(key)) {
+                diff.items.push({ category, key, change: 'removed', before: item });
+            }
+        }
+
+        const keptBefore = [...beforeItems.keys()].filter(key => afterItems.has(key));
+        const keptAfter = [...afterItems.keys()].filter(key => beforeItems.has(key));
+        if (keptBefore.join('\n') !== keptAfter.join('\n')) {
+            diff.reorderedItems.push(category);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Validate a store file and compare it with the current revision, without saving
+ *
+ * @param {string} faction - indfor, blufor or redfor
+ * @param {Object} data - Proposed stores/{faction}.json
+ * @returns {Promise<Object>} { valid, errors, version, hash, changed, diff }
+ * where version is the current revision and hash the proposed content's
+ */
+export async function previewStore(faction, data) {
+    assertFaction(faction);
+
+    const validation = validateStoreDocument(data, faction);
+    const current = await getConfigDocument(faction);
+    // Hash what the saved file would be, the file holds only these keys
+    const hash = validation.valid ? hashConfigDocument({ v: 2, faction, categories: data.categories }) : null;
+
+    return {
+        valid: validation.valid,
+        errors: validation.errors,
+        version: current?.version || 0,
+        hash,
+        changed: hash !== null && hash !== current?.hash,
+        diff: diffStoreDocuments(current?.data || null, data)
+    };
+}
+
+/**
+ * List a faction's store items with their IDs (for editing)
+ *
+ * @param {string} faction - indfor, blufor or redfor
+ * @param {Object} options - Query options
+ * @param {string} options.category - Only this category
+ * @returns {Promise<Array<Object>>} [{ id, category, sortOrder, item }]
+ */
+export async function listStoreItems(faction, { category = null } = {}) {
+    const models = getModels();
+    assertFaction(faction);
+
+    const where = { faction };
+    if (category) where.name = category;
+
+    const categories = await models.StoreCategory.findAll({
+        where,
+        include: [{ association: 'items' }],
+        order: [['sort_order', 'ASC'], [{ model: models.StoreItem, as: 'items' }, 'sort_order', 'ASC'], [{ model: models.StoreItem, as: 'items' }, 'id', 'ASC']]
+    });
+
+    return categories.flatMap(storeCategory => storeCategory.items.map(item => ({
+        id: item.id,
+        category: storeCategory.name,
+        sortOrder: item.sort_order,
+        item: item.data
+    })));
+}
+
+/**
+ * Add an item to a faction's store
+ *
+ * @param {string} faction - indfor, blufor or redfor
+ * @param {string} category - Key of STORE_CATEGORIES
+ * @param {Object} item - Store item in v2 format
+ * @param {Object} options - { sortOrder (default: last), user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed, result: StoreItem }
+ */
+export async function createStoreItem(faction, category, item, { sortOrder = null, user = null, note = null } = {}) {
+    const models = getModels();
+    assertFaction(faction);
+    assertValid(validateStoreItem(category, item), 'item');
+
+    return withRevision(faction, { user, note }, async (transaction) => {
+        const storeCategory = await getOrCreateCategory(faction, category, transaction);
+        const order = sortOrder ?? (await models.StoreItem.max('sort_order', {
+            where: { category_id: storeCategory.id },
+            transaction
+        }) ?? -1) + 1;
+
+        return models.StoreItem.create({
+            category_id: storeCategory.id,
+            sort_order: order,
+            ...storeItemColumns(item)
+        }, { transaction });
+    });
+}
+
+/**
+ * Load a store item with its category
+ */
+async function getStoreItem(itemId, transaction) {
+    const models = getModels();
+    const item = await models.StoreItem.findByPk(itemId, {
+        include: [{ association: 'category' }],
+        transaction
+    });
+
+    if (!item) {
+        throw new Error(`Store item not found: ${itemId}`);
+    }
+
+    return item;
+}
+
+/**
+ * Change a store item
+ *
+ * @param {number} itemId - Store item ID
+ * @param {Object} changes - { item?, sortOrder? }
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed, result: StoreItem }
+ */
+export async function updateStoreItem(itemId, { item = null, sortOrder = null }, { user = null, note = null } = {}) {
+    const existing = await getStoreItem(itemId);
+
+    if (item) {
+        assertValid(validateStoreItem(existing.category.name, item), 'item');
+    }
+
+    return withRevision(existing.category.faction, { user, note }, async (transaction) => {
+        const values = item ? storeItemColumns(item) : {};
+        if (sortOrder !== null) values.sort_order = sortOrder;
+
+        return existing.update(values, { transaction });
+    });
+}
+
+/**
+ * Remove a store item
+ *
+ * @param {number} itemId - Store item ID
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function deleteStoreItem(itemId, { user = null, note = null } = {}) {
+    const existing = await getStoreItem(itemId);
+
+    return withRevision(existing.category.faction, { user, note }, async (transaction) => {
+        await existing.destroy({ transaction });
+    });
+}
+
+/**
+ * List the revisions of a document, newest first (document data omitted)
+ *
+ * @param {string} document - 'settings' or a faction
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { revisions, total, limit, offset }
+ */
+export async function listRevisions(document, { limit = 50, offset = 0 } = {}) {
+    const models = getModels();
+    assertDocument(document);
+
+    const { rows, count } = await models.ConfigRevision.findAndCountAll({
+        where: { document },
+        attributes: { exclude: ['data'] },
+        order: [['version', 'DESC']],
+        limit,
+        offset
+    });
+
+    return { revisions: rows, total: count, limit, offset };
+}
+
+/**
+ * Get a revision including its document
+ *
+ * @param {number} revisionId - Revision ID
+ * @returns {Promise<Object>} ConfigRevision
+ */
+export async function getRevision(revisionId) {
+    const models = getModels();
+    const revision = await models.ConfigRevision.findByPk(revisionId);
+
+    if (!revision) {
+        throw new Error(`Revision not found: ${revisionId}`);
+    }
+
+    return revision;
+}
+
+/**
+ * Restore a document to an earlier revision (recorded as a new revision)
+ *
+ * @param {number} revisionId - Revision to restore
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} { document, version, hash, changed }
+ */
+export async function restoreRevision(revisionId, { user = null, note = null } = {}) {
+    const revision = await getRevision(revisionId);
+    const options = { user, note: note || `Restored version ${revision.version}` };
+
+    return revision.document === 'settings'
+        ? replaceSettings(revision.data, options)
+        : replaceStore(revision.document, revision.data, options);
+}
+
+export default {
+    CONFIG_DOCUMENTS,
+    hashConfigDocument,
+    getConfigDocument,
+    getConfigVersions,
+    getGameConfig,
+    mergeConfigOverride,
+    getEffectiveSettings,
+    getServerConfigDocument,
+    listServerOverrides,
+    getServerOverride,
+    setServerOverride,
+    deleteServerOverride,
+    replaceSettings,
+    updateSettings,
+    setReward,
+    deleteReward,
+    replaceStore,
+    diffStoreDocuments,
+    previewStore,
+    listStoreItems,
+    createStoreItem,
+    updateStoreItem,
+    deleteStoreItem,
+    listRevisions,
+    getRevision,
+    restoreRevision
+};
@@ -0,0 +1,362 @@
+/**
+ * Server config validation
+ * Validates settings.json and stores/{faction}.json documents against
+ * docs/ServerSettings-v2-format.md. Validators return { valid, errors } like dataValidator.
+ */
+
+export const FACTIONS = ['indfor', 'blufor', 'redfor'];
+
+/**
+ * Store categories in file order and the item type each one holds
+ */
+export const STORE_CATEGORIES = {
+    freeItems: 'free',
+    primary: 'weapon',
+    secondary: 'weapon',
+    special: 'weapon',
+    deployables: 'weapon',
+    vehicles: 'vehicle',
+    perks: 'perk',
+    skins: 'skin',
+    communityTab: 'community'
+};
+
+/**
+ * settings.json sections that are objects of numbers and booleans
+ */
+const SETTINGS_SECTIONS = ['intel', 'bounties', 'zone', 'vehicleCleanup'];
+
+/**
+ * settings.json top-level numbers
+ */
+const SETTINGS_NUMBERS = ['haloCost', 'maxPrestige', 'msvTimer', 'msvEnemyTraceDistance', 'mainProtectionTime'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field checks shared by the validators
+ * Each pushes an error and returns false when the value does not match.
+ */
+function checkNumber(errors, path, value, { min = null, required = true } = {}) {
+    if (value === undefined && !required) return true;
+    if (!isNumber(value)) {
+        errors.push(`${path} must be a number`);
+        return false;
+    }
+    if (min !== null && value < min) {
+        errors.push(`${path} must be at least ${min}`);
+        return false;
+    }
+    return true;
+}
+
+function checkString(errors, path, value, { required = true } = {}) {
+    if ((value === undefined || value === null) && !required) return true;
+    if (typeof value !== 'string' || (required && !value)) {
+        errors.push(`${path} must be a${required ? ' non-empty' : ''} string`);
+        return false;
+    }
+    return true;
+}
+
+function checkStringArray(errors, path, value, { required = true } = {}) {
+    if (value === undefined && !required) return true;
+    if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+        errors.push(`${path} must be an array of strings`);
+        return false;
+    }
+    return true;
+}
+
+function checkBoolean(errors, path, value, { required = true } = {}) {
+    if (value === undefined && !required) return true;
+    if (typeof value !== 'boolean') {
+        errors.push(`${path} must be a boolean`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate one reward of settings.json rewards
+ *
+ * @param {Object} reward - { name, xp, currency, description?, texture?, displayReward? }
+ * @param {string} path - Field path used in error messages
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateReward(reward, path = 'reward') {
+    const errors = [];
+
+    if (!isObject(reward)) {
+        return { valid: false, errors: [`${path} must be an object`] };
+    }
+
+    checkString(errors, `${path}.name`, reward.name);
+    checkNumber(errors, `${path}.xp`, reward.xp);
+    checkNumber(errors, `${path}.currency`, reward.currency);
+    checkString(errors, `${path}.description`, reward.description, { required: false });
+    checkString(errors, `${path}.texture`, reward.texture, { required: false });
+    checkBoolean(errors, `${path}.displayReward`, reward.displayReward, { required: false });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a settings.json document
+ *
+ * @param {Object} data - settings.json in v2 format
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateSettingsDocument(data) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return { valid: false, errors: ['Settings must be an object'] };
+    }
+
+    if (data.v !== 2) {
+        errors.push(`Invalid version: expected 2, got ${data.v}`);
+    }
+
+    if (data.saveVersion !== undefined) {
+        if (!isObject(data.saveVersion)) {
+            errors.push('saveVersion must be an object');
+        } else {
+            checkString(errors, 'saveVersion.text', data.saveVersion.text, { required: false });
+            checkNumber(errors, 'saveVersion.major', data.saveVersion.major, { required: false });
+            checkNumber(errors, 'saveVersion.minor', data.saveVersion.minor, { required: false });
+        }
+    }
+
+    checkStringArray(errors, 'modLoader', data.modLoader, { required: false });
+
+    if (!isObject(data.economy)) {
+        errors.push('economy must be an object');
+    } else {
+        for (const field of ['currencyMultiplier', 'xpMultiplier', 'weaponXpMultiplier']) {
+            checkNumber(errors, `economy.${field}`, data.economy[field], { min: 0 });
+        }
+    }
+
+    if (data.dailyRewards !== undefined) {
+        if (!isObject(data.dailyRewards)) {
+            errors.push('dailyRewards must be an object');
+        } else {
+            const { checkInterval, delayMinutes, claimAmounts, permaTokenDays } = data.dailyRewards;
+            checkNumber(errors, 'dailyRewards.checkInterval', checkInterval, { min: 0 });
+            checkNumber(errors, 'dailyRewards.delayMinutes', delayMinutes, { min: 0 });
+            checkNumber(errors, 'dailyRewards.permaTokenDays', permaTokenDays, { min: 0 });
+            if (!Array.isArray(claimAmounts) || claimAmounts.some(amount => !isNumber(amount) || amount < 0)) {
+                errors.push('dailyRewards.claimAmounts must be an array of non-negative numbers');
+            }
+        }
+    }
+
+    for (const section of SETTINGS_SECTIONS) {
+        if (data[section] === undefined) continue;
+
+        if (!isObject(data[section])) {
+            errors.push(`${section} must be an object`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(data[section])) {
+            if (!isNumber(value) && typeof value !== 'boolean') {
+                errors.push(`${section}.${key} must be a number or boolean`);
+            }
+        }
+    }
+
+    for (const field of SETTINGS_NUMBERS) {
+        checkNumber(errors, field, data[field], { required: false, min: 0 });
+    }
+
+    if (data.tkPenalties !== undefined &&
+        (!Array.isArray(data.tkPenalties) || data.tkPenalties.some(penalty => !isNumber(penalty)))) {
+        errors.push('tkPenalties must be an array of numbers');
+    }
+
+    if (data.rewards !== undefined) {
+        if (!isObject(data.rewards)) {
+            errors.push('rewards must be an object keyed by reward type');
+        } else {
+            for (const [key, reward] of Object.entries(data.rewards)) {
+                if (key.length > 64) {
+                    errors.push(`rewards.${key} key is longer than 64 characters`);
+                }
+                errors.push(...validateReward(reward, `rewards.${key}`).errors);
+            }
+        }
+    }
+
+    if (data.grenadierReferences !== undefined) {
+        if (!Array.isArray(data.grenadierReferences)) {
+            errors.push('grenadierReferences must be an array');
+        } else {
+            data.grenadierReferences.forEach((reference, index) => {
+                const path = `grenadierReferences[${index}]`;
+                if (!isObject(reference)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                checkString(errors, `${path}.parent`, reference.parent);
+                checkStringArray(errors, `${path}.items`, reference.items);
+            });
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate one store item for its category
+ *
+ * @param {string} category - Key of STORE_CATEGORIES
+ * @param {Object} item - Store item in v2 format
+ * @param {string} path - Field path used in error messages
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateStoreItem(category, item, path = 'item') {
+    const errors = [];
+    const type = STORE_CATEGORIES[category];
+
+    if (!type) {
+        return { valid: false, errors: [`Unknown store category: ${category}`] };
+    }
+
+    if (!isObject(item)) {
+        return { valid: false, errors: [`${path} must be an object`] };
+    }
+
+    switch (type) {
+        case 'free':
+            checkString(errors, `${path}.item`, item.item);
+            checkNumber(errors, `${path}.slot`, item.slot, { min: 0 });
+            checkNumber(errors, `${path}.itemCount`, item.itemCount, { min: -1 });
+            break;
+
+        case 'weapon':
+            checkString(errors, `${path}.group`, item.group, { required: false });
+            checkNumber(errors, `${path}.singleCost`, item.singleCost, { min: -1 });
+            checkNumber(errors, `${path}.permaCost`, item.permaCost, { min: -1 });
+            checkString(errors, `${path}.description`, item.description, { required: false });
+            checkString(errors, `${path}.texture`, item.texture, { required: false });
+            checkNumber(errors, `${path}.unlockLevel`, item.unlockLevel, { min: 0 });
+
+            if (!Array.isArray(item.xpUnlocks) || item.xpUnlocks.length === 0) {
+                errors.push(`${path}.xpUnlocks must be a non-empty array`);
+            } else {
+                item.xpUnlocks.forEach((unlock, index) => {
+                    const unlockPath = `${path}.xpUnlocks[${index}]`;
+                    if (!isObject(unlock)) {
+                        errors.push(`${unlockPath} must be an object`);
+                        return;
+                    }
+                    checkString(errors, `${unlockPath}.item`, unlock.item);
+                    checkNumber(errors, `${unlockPath}.unlockLevel`, unlock.unlockLevel, { min: 0 });
+                    checkStringArray(errors, `${unlockPath}.perkRequirements`, unlock.perkRequirements);
+                    checkNumber(errors, `${unlockPath}.itemCount`, unlock.itemCount, { min: -1 });
+                    checkNumber(errors, `${unlockPath}.prestige`, unlock.prestige, { min: 0 });
+                });
+            }
+            break;
+
+        case 'vehicle':
+            checkString(errors, `${path}.name`, item.name);
+            checkString(errors, `${path}.vehicle`, item.vehicle);
+            checkNumber(errors, `${path}.singleCost`, item.singleCost, { min: -1 });
+            checkString(errors, `${path}.description`, item.description, { required: false });
+            checkNumber(errors, `${path}.unlockLevel`, item.unlockLevel, { min: 0 });
+            checkString(errors, `${path}.texture`, item.texture, { required: false });
+            checkString(errors, `${path}.spawnType`, item.spawnType);
+            checkNumber(errors, `${path}.killXpReward`, item.killXpReward);
+            checkNumber(errors, `${path}.killCurrencyReward`, item.killCurrencyReward);
+            checkNumber(errors, `${path}.prestige`, item.prestige, { min: 0 });
+            checkBoolean(errors, `${path}.crewman`, item.crewman, { required: false });
+            break;
+
+        case 'perk':
+            checkString(errors, `${path}.name`, item.name);
+            checkString(errors, `${path}.description`, item.description, { required: false });
+            checkString(errors, `${path}.texture`, item.texture, { required: false });
+            checkString(errors, `${path}.material`, item.material, { required: false });
+            checkNumber(errors, `${path}.unlockLevel`, item.unlockLevel, { min: 0 });
+            checkStringArray(errors, `${path}.unlockItems`, item.unlockItems);
+            checkNumber(errors, `${path}.prestige`, item.prestige, { min: 0 });
+            break;
+
+        case 'skin':
+            checkString(errors, `${path}.name`, item.name);
+            for (const field of ['description', 'texture', 'imageUrl', 'model1p', 'model3p', 'upper1p']) {
+                checkString(errors, `${path}.${field}`, item[field], { required: false });
+            }
+            for (const field of ['materials1p', 'materials3p', 'upper1pMaterials']) {
+                checkStringArray(errors, `${path}.${field}`, item[field], { required: false });
+            }
+            break;
+
+        case 'community':
+            checkString(errors, `${path}.name`, item.name);
+            checkString(errors, `${path}.description`, item.description, { required: false });
+            checkString(errors, `${path}.imageUrl`, item.imageUrl, { required: false });
+            break;
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a stores/{faction}.json document
+ *
+ * @param {Object} data - Store file in v2 format
+ * @param {string} faction - Expected faction (indfor, blufor, redfor)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateStoreDocument(data, faction) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return { valid: false, errors: ['Store must be an object'] };
+    }
+
+    if (data.v !== 2) {
+        errors.push(`Invalid version: expected 2, got ${data.v}`);
+    }
+
+    if (data.faction !== faction) {
+        errors.push(`faction must be "${faction}"`);
+    }
+
+    if (!isObject(data.categories)) {
+        errors.push('categories must be an object');
+        return { valid: false, errors };
+    }
+
+    for (const [category, items] of Object.entries(data.categories)) {
+        if (!STORE_CATEGORIES[category]) {
+            errors.push(`Unknown store category: ${category}`);
+            continue;
+        }
+
+        if (!Array.isArray(items)) {
+            errors.push(`categories.${category} must be an array`);
+            continue;
+        }
+
+        items.forEach((item, index) => {
+            errors.push(...validateStoreItem(category, item, `categories.${category}[${index}]`).errors);
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+export default {
+    FACTIONS,
+    STORE_CATEGORIES,
+    validateReward,
+    validateSettingsDocument,
+    validateStoreItem,
+    validateStoreDocument
+};
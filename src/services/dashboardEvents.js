@@ -0,0 +1,88 @@
+/**
+ * Dashboard Events Service
+ *
+ * Pushes live updates to dashboard browsers over the main Socket.IO server.
+ * Dashboard sockets share the Express session, so each socket knows its user.
+ * Clients subscribe to channels, and each channel requires a roles.js permission.
+ */
+
+import { userHasPermission } from '../handlers/permissionHandler.js';
+import { createServiceLogger } from '../utils/logger.js';
+
+const logger = createServiceLogger('DashboardEvents');
+
+// Permission required to subscribe to each channel
+const CHANNEL_PERMISSIONS = {
+    servers: 'dashboard.servers.view',
+    syncs: 'dashboard.syncs.view'
+};
+
+let dashboardIo = null;
+
+/**
+ * Register dashboard socket handlers
+ *
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {Client} client - Discord client (for role lookups)
+ */
+export function setupDashboardEvents(io, client) {
+    dashboardIo = io;
+
+    io.on('connection', (socket) => {
+        const user = socket.request.user;
+        logger.debug(`Socket connected: ${socket.id}${user ? ` (${user.username})` : ''}`);
+
+        socket.on('subscribe', async (channel, callback) => {
+            const permission = CHANNEL_PERMISSIONS[channel];
+            const reply = typeof callback === 'function' ? callback : () => {};
+
+            if (!permission) {
+                reply({ success: false, error: `Unknown channel: ${channel}` });
+                return;
+            }
+
+            if (!user || user.isBanned) {
+                reply({ success: false, error: 'Not authenticated' });
+                return;
+            }
+
+            try {
+                if (!await userHasPermission(client, user, permission)) {
+                    reply({ success: false, error: 'Insufficient permissions' });
+                    return;
+                }
+
+                socket.join(channel);
+                reply({ success: true, channel });
+            } catch (error) {
+                logger.error(`Subscribe to ${channel} failed for ${user.username}:`, error.message);
+                reply({ success: false, error: 'Subscribe failed' });
+            }
+        });
+
+        socket.on('unsubscribe', (channel) => {
+            socket.leave(channel);
+        });
+
+        socket.on('disconnect', () => {
+            logger.debug(`Socket disconnected: ${socket.id}`);
+        });
+    });
+}
+
+/**
+ * Emit an event to every dashboard socket subscribed to a channel
+ *
+ * @param {string} channel - Channel name (see CHANNEL_PERMISSIONS)
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export function emitToDashboard(channel, event, data) {
+    if (!dashboardIo) return;
+    dashboardIo.to(channel).emit(event, data);
+}
+
+export default {
+    setupDashboardEvents,
+    emitToDashboard
+};
@@ -2,20 +2,6 @@ import { createServiceLogger } from '../utils/logger.js';
 
 const logger = createServiceLogger('DataValidator');
 
-/**
- * Delta limits for anti-abuse detection.
- * These are the maximum changes allowed per sync.
- * If exceeded, the sync is flagged for review.
- */
-export const DELTA_LIMITS = {
-    currencyTotal: 50000, // Max currency earned per sync
-    currencySpent: 50000, // Max currency spent per sync
-    xp: 100000,           // Max XP gain per sync
-    prestige: 1,          // Max prestige gain per sync
-    permaTokens: 10,      // Max perma tokens gain per sync
-    timePlayed: 7200      // Max time played increase (2 hours in seconds)
-};
-
 /**
  * Validate a Steam ID.
  * @param {string} steamId - Steam ID to validate
@@ -225,66 +211,6 @@ export function validateV2Format(data) {
     return playerResult;
 }
 
-/**
- * Check delta limits between old and new data.
- * Returns flags for any exceeded limits.
- *
- * @param {Object} oldData - Previous player data (from DB)
- * @param {Object} newData - New player data (from sync)
- * @returns {{flagged: boolean, reasons: string[]}}
- */
-export function checkDeltaLimits(oldData, newData) {
-    const reasons = [];
-
-    if (!oldData || !oldData.stats || !newData || !newData.stats) {
-        return { flagged: false, reasons };
-    }
-
-    const oldStats = oldData.stats;
-    const newStats = newData.stats;
-
-    // Check currency total gain (lifetime earned)
-    const currencyTotalGain = (newStats.currencyTotal || 0) - (oldStats.currencyTotal || 0);
-    if (currencyTotalGain > DELTA_LIMITS.currencyTotal) {
-        reasons.push(`Currency total gain ${currencyTotalGain} exceeds limit ${DELTA_LIMITS.currencyTotal}`);
-    }
-
-    // Check currency spent
-    const currencySpentDelta = (newStats.currencySpent || 0) - (oldStats.currencySpent || 0);
-    if (currencySpentDelta > DELTA_LIMITS.currencySpent) {
-        reasons.push(`Currency spent ${currencySpentDelta} exceeds limit ${DELTA_LIMITS.currencySpent}`);
-    }
-
-    // Check XP gain
-    const xpGain = (newStats.xp || 0) - (oldStats.xp || 0);
-    if (xpGain > DELTA_LIMITS.xp) {
-        reasons.push(`XP gain ${xpGain} exceeds limit ${DELTA_LIMITS.xp}`);
-    }
-
-    // Check prestige gain
-    const prestigeGain = (newStats.prestige || 0) - (oldStats.prestige || 0);
-    if (prestigeGain > DELTA_LIMITS.prestige) {
-        reasons.push(`Prestige gain ${prestigeGain} exceeds limit ${DELTA_LIMITS.prestige}`);
-    }
-
-    // Check perma tokens gain
-    const permaTokensGain = (newStats.permaTokens || 0) - (oldStats.permaTokens || 0);
-    if (permaTokensGain > DELTA_LIMITS.permaTokens) {
-        reasons.push(`Perma tokens gain ${permaTokensGain} exceeds limit ${DELTA_LIMITS.permaTokens}`);
-    }
-
-    // Check time played increase
-    const timePlayedDelta = (newStats.timePlayed || 0) - (oldStats.timePlayed || 0);
-    if (timePlayedDelta > DELTA_LIMITS.timePlayed) {
-        reasons.push(`Time played increase ${timePlayedDelta}s exceeds limit ${DELTA_LIMITS.timePlayed}s`);
-    }
-
-    return {
-        flagged: reasons.length > 0,
-        reasons
-    };
-}
-
 /**
  * Check if sync sequence is valid.
  * The new sequence should be within a reasonable range of the expected.
@@ -375,12 +301,10 @@ export function createDefaultPlayerData(steamId) {
 }
 
 export default {
-    DELTA_LIMITS,
     validateSteamId,
     validateV2Format,
     validateV2PlayerFormat,
     validateV2TrackingFormat,
-    checkDeltaLimits,
     validateSyncSequence,
     sanitizeString,
     createDefaultPlayerData
@@ -347,6 +347,7 @@ export function createDataSummary(v2Data) {
         currencyTotal,
         currencySpent,
         xp: playerData.stats?.xp || 0,
+        xpTotal: playerData.stats?.xpTotal || 0,
         prestige: playerData.stats?.prestige || 0,
         loadoutCount: playerData.loadout?.length || 0,
         perksCount: playerData.perks?.length || 0,
@@ -354,6 +355,233 @@ export function createDataSummary(v2Data) {
     };
 }
 
+/**
+ * v1 key aliases, matched after normalizeV1Key (lowercase, no spaces/underscores/hyphens)
+ */
+const V1_STAT_KEYS = {
+    currency: ['$', 'currency', 'money'],
+    currencyTotal: ['$total', 'currencytotal', 'totalcurrency'],
+    currencySpent: ['$spent', 'currencyspent', 'spentcurrency'],
+    xp: ['xp'],
+    xpTotal: ['xptotal', 'totalxp'],
+    prestige: ['prestige'],
+    permaTokens: ['permatokens', 'permatoken'],
+    dailyClaims: ['dailyclaims', 'dailyclaim'],
+    gamesPlayed: ['gamesplayed'],
+    timePlayed: ['timeplayed', 'playtime']
+};
+
+const V1_TRACKING_KEYS = {
+    kills: ['kills', 'playerkills'],
+    vehicleKills: ['vehiclekills'],
+    purchases: ['purchases'],
+    weaponXp: ['weaponxp'],
+    rewards: ['rewards']
+};
+
+function normalizeV1Key(key) {
+    return String(key).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * Find the first of a list of v1 keys in the given objects
+ */
+function findV1Value(sources, aliases) {
+    for (const source of sources) {
+        if (!source || typeof source !== 'object') continue;
+
+        for (const [key, value] of Object.entries(source)) {
+            if (aliases.includes(normalizeV1Key(key)) && value !== undefined && value !== null) {
+                return value;
+            }
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * v1 numbers are sometimes strings ("50"); anything unparseable becomes undefined
+ */
+function toV1Number(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(0, Math.floor(number)) : undefined;
+}
+
+/**
+ * v1 timestamps are unix seconds, unix ms or date strings
+ */
+function toV1Timestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const number = Number(value);
+        if (!number) return null;
+        date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+        date = new Date(value);
+    }
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * v1 lists are arrays of names or objects of { name: truthy }
+ */
+function toV1NameList(value) {
+    if (Array.isArray(value)) {
+        return value
+            .map(entry => (entry && typeof entry === 'object' ? entry.name || entry.item : entry))
+            .filter(entry => typeof entry === 'string' && entry);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.entries(value).filter(([, enabled]) => enabled).map(([name]) => name);
+    }
+
+    if (typeof value === 'string' && value) {
+        return [value];
+    }
+
+    return [];
+}
+
+/**
+ * v1 tracking maps of { key: count }, dropping non-numeric values
+ */
+function toV1CountMap(value) {
+    const result = {};
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return result;
+    }
+
+    for (const [key, count] of Object.entries(value)) {
+        const number = toV1Number(count);
+        if (number !== undefined) {
+            result[key] = number;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * v1 loadouts are arrays of slots or objects keyed by slot
+ */
+function toV1Loadout(value, warnings) {
+    const entries = Array.isArray(value)
+        ? value.map((slot, index) => [index, slot])
+        : Object.entries(value && typeof value === 'object' ? value : {});
+
+    const loadout = [];
+
+    for (const [key, slot] of entries) {
+        if (!slot) continue;
+
+        const entry = typeof slot === 'string' ? { item: slot } : slot;
+        const item = findV1Value([entry], ['item', 'class', 'path', 'blueprint']);
+        const slotIndex = toV1Number(findV1Value([entry], ['slot']) ?? key);
+
+        if (typeof item !== 'string' || !item || slotIndex === undefined) {
+            warnings.push(`Loadout slot ${key} dropped (no item or slot index)`);
+            continue;
+        }
+
+        loadout.push({
+            slot: slotIndex,
+            family: findV1Value([entry], ['familyname', 'family', 'group']) || null,
+            item,
+            count: toV1Number(findV1Value([entry], ['count', 'itemcount'])) || 1
+        });
+    }
+
+    return loadout;
+}
+
+/**
+ * Convert a legacy OfficialKothDB (v1) player blob to the v2 player and tracking documents.
+ *
+ * v1 used spaced keys ("family name"), "$" for currency and nested the save under
+ * "player info"."save data". Keys are matched case, space and underscore insensitive,
+ * and each value is looked up in the save data first, then the player info, then the root.
+ * Anything that cannot be converted is dropped and reported in warnings.
+ *
+ * @param {Object} blob - Parsed v1 playerdata JSON
+ * @param {string} steamId - Player's Steam ID (KOTH_PlayerData.player_id)
+ * @returns {Object} { player, tracking, warnings } in v2 format
+ */
+export function v1ToV2(blob, steamId) {
+    const warnings = [];
+    const root = blob && typeof blob === 'object' ? blob : {};
+    const info = findV1Value([root], ['playerinfo']);
+    const save = findV1Value([info, root], ['savedata']);
+    const sources = [save, info, root];
+
+    const stats = {};
+    for (const [field, aliases] of Object.entries(V1_STAT_KEYS)) {
+        stats[field] = toV1Number(findV1Value(sources, aliases));
+    }
+
+    // v2 stores lifetime earned and spent, the balance is derived from them
+    const currencySpent = stats.currencySpent || 0;
+    const currencyTotal = stats.currencyTotal ?? (stats.currency || 0) + currencySpent;
+    if (stats.currency !== undefined && stats.currencyTotal !== undefined &&
+        stats.currencyTotal - currencySpent !== stats.currency) {
+        warnings.push(`Currency balance ${stats.currency} does not match total ${stats.currencyTotal} - spent ${currencySpent}`);
+    }
+
+    const prestige = stats.prestige || 0;
+    if (prestige > 100) {
+        warnings.push(`Prestige ${prestige} capped at 100`);
+    }
+
+    const eosId = findV1Value(sources, ['eosid', 'eos']);
+    const name = findV1Value(sources, ['name', 'playername']);
+    const skinsSource = findV1Value(sources, ['skins', 'skin']) || {};
+    const trackingSource = findV1Value(sources, ['tracking', 'trackingdata']);
+    const trackingSources = [trackingSource, ...sources];
+
+    const player = {
+        v: 2,
+        steamId,
+        eosId: eosId ? String(eosId).slice(0, 64) : null,
+        name: name ? String(name).slice(0, 100) : null,
+        syncSeq: 0,
+        stats: {
+            currencyTotal,
+            currencySpent,
+            xp: stats.xp || 0,
+            xpTotal: stats.xpTotal ?? stats.xp ?? 0,
+            prestige: Math.min(prestige, 100),
+            permaTokens: stats.permaTokens || 0,
+            dailyClaims: stats.dailyClaims || 0,
+            gamesPlayed: stats.gamesPlayed || 0,
+            timePlayed: stats.timePlayed || 0,
+            joinTime: toV1Timestamp(findV1Value(sources, ['jointime'])),
+            dailyClaimTime: toV1Timestamp(findV1Value(sources, ['dailyclaimtime', 'lastdailyclaim']))
+        },
+        skins: {
+            indfor: findV1Value([skinsSource], ['indfor']) || null,
+            blufor: findV1Value([skinsSource], ['blufor']) || null,
+            redfor: findV1Value([skinsSource], ['redfor']) || null
+        },
+        loadout: toV1Loadout(findV1Value(sources, ['loadout']), warnings),
+        perks: toV1NameList(findV1Value(sources, ['perks'])),
+        permaUnlocks: toV1NameList(findV1Value(sources, ['permaunlocks', 'permaunlock', 'permanentunlocks'])),
+        supporterStatus: toV1NameList(findV1Value(sources, ['supporterstatus', 'supporter']))
+    };
+
+    const tracking = { v: 2, steamId };
+    for (const [field, aliases] of Object.entries(V1_TRACKING_KEYS)) {
+        tracking[field] = toV1CountMap(findV1Value(trackingSources, aliases));
+    }
+
+    return { player, tracking, warnings };
+}
+
 export default {
     dbToV2,
     dbToV2Player,
@@ -361,5 +589,6 @@ export default {
     v2ToDbParts,
     v2PlayerToDbParts,
     v2TrackingToDbParts,
+    v1ToV2,
     createDataSummary
 };
@@ -10,6 +10,8 @@
  * - v2 JSON format only
  * - Handles connect, periodic sync, disconnect, crash recovery events
  * - Active server locking for multi-server player protection
+ * - Lifecycle events are answered through Socket.IO acks; results are cached by
+ *   request ID so a resent request is answered without being applied twice
  */
 
 import { io } from 'socket.io-client';
@@ -23,17 +25,185 @@ import {
     handleCrashRecovery
 } from './syncService.js';
 import { validateV2PlayerFormat, validateV2TrackingFormat } from './dataValidator.js';
+import { dbToV2Player } from './gameDataTransformer.js';
+import { verifyLinkCode } from './linkService.js';
+import { CONFIG_DOCUMENTS, getServerConfigDocument } from './configService.js';
+import { getModerationStatus } from './moderationService.js';
 import { getModels } from '../database/models/index.js';
+import { emitToDashboard } from './dashboardEvents.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
 
 const logger = createServiceLogger('GameServerConnector');
 
 // Track connected game servers
 const connections = new Map();
 
-// Retry delay for server-hop waiting (ms)
-const SERVER_HOP_RETRY_DELAY = 2000;
+// Retry delay for server-hop waiting (ms), also sent by the HTTP sync API
+export const SERVER_HOP_RETRY_DELAY = 2000;
 const SERVER_HOP_MAX_RETRIES = 5;
 
+// In-game replies for failed link verification (linkService error codes)
+const LINK_ERROR_MESSAGES = {
+    invalid_code: 'That link code is not valid. Use /link in Discord to get a new one.',
+    expired_code: 'That link code has expired. Use /link in Discord to get a new one.',
+    steam_already_linked: 'This Steam account is already linked to another Discord user.'
+};
+
+// Most saves accepted in one players:sync-batch or player:batch-crash-recovery message
+const MAX_SYNC_BATCH = 100;
+
+// How long the result of a lifecycle request is kept for retries with the same request ID (ms)
+const REQUEST_RESULT_TTL = 5 * 60 * 1000;
+
+// Upper bound on kept results so a flood of request IDs cannot grow memory unbounded
+const MAX_REQUEST_RESULTS = 5000;
+
+// `${serverId}:${requestId}` -> { promise, expiresAt }
+const requestResults = new Map();
+
+/**
+ * Run a lifecycle request once per request ID
+ *
+ * A retry with the same ID (the plugin never got the answer) gets the first
+ * result instead of being applied again, and one still running is awaited.
+ * Transient results (exceptions, not authenticated) are not kept, so their retry runs again.
+ *
+ * @param {Object} conn - Tracked connection
+ * @param {string|null} requestId - Request ID sent by the plugin
+ * @param {Function} handler - Async function returning { event, payload, transient? }
+ * @returns {Promise<Object>} Handler result
+ */
+function runOnce(conn, requestId, handler) {
+    if (!requestId) return handler();
+
+    const key = `${conn.serverId || conn.url}:${requestId}`;
+    const cached = requestResults.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        logger.debug(`Repeating result of request ${requestId} for ${conn.serverName || conn.url}`);
+        return cached.promise;
+    }
+
+    requestResults.delete(key);
+    if (requestResults.size >= MAX_REQUEST_RESULTS) {
+        // Map keeps insertion order, the first key is the oldest
+        requestResults.delete(requestResults.keys().next().value);
+    }
+
+    const promise = handler();
+    requestResults.set(key, { promise, expiresAt: Date.now() + REQUEST_RESULT_TTL });
+
+    promise.then(
+        result => { if (result.transient) requestResults.delete(key); },
+        () => requestResults.delete(key)
+    );
+
+    return promise;
+}
+
+/**
+ * Answer a lifecycle request from the plugin
+ *
+ * Requests sent with a Socket.IO acknowledgement get the result through it as
+ * { event, requestId, ...payload }; plugins without acks get the named event.
+ *
+ * @param {Object} conn - Tracked connection
+ * @param {Object} data - Request data (requestId is optional)
+ * @param {Function|undefined} ack - Socket.IO acknowledgement callback
+ * @param {Function} handler - Async function returning { event, payload, transient? }
+ */
+async function respond(conn, data, ack, handler) {
+    const requestId = data?.requestId || null;
+    let result;
+
+    try {
+        result = await runOnce(conn, requestId, handler);
+    } catch (error) {
+        logger.error(`Unhandled error answering request ${requestId || ''} from ${conn.serverName || conn.url}: ${error.message}`);
+        result = { event: 'sync:error', payload: { steamId: data?.steamId, error: error.message } };
+    }
+
+    const payload = requestId ? { requestId, ...result.payload } : result.payload;
+
+    if (typeof ack === 'function') {
+        ack({ event: result.event, ...payload });
+    } else {
+        conn.socket.emit(result.event, payload);
+    }
+}
+
+/**
+ * Apply one periodic save from a game server
+ * Shared by player:sync and players:sync-batch.
+ *
+ * @param {Object} connectionInfo - Tracked (authenticated) connection
+ * @param {Object} data - Combined v2 format with optional tracking
+ * @returns {Promise<Object>} { event: 'sync:ack' | 'sync:error', payload, transient? }
+ */
+async function periodicSync(connectionInfo, data) {
+    const steamId = data?.steamId;
+
+    // Validate v2 player format (combined format with optional tracking)
+    const validation = validateV2PlayerFormat(data);
+    if (!validation.valid) {
+        logger.warn(`Invalid sync data from ${connectionInfo.serverName} for ${steamId}`);
+        return {
+            event: 'sync:error',
+            payload: {
+                steamId,
+                error: 'validation_failed',
+                errors: validation.errors
+            }
+        };
+    }
+
+    // Validate tracking data if provided
+    if (data.tracking) {
+        const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...data.tracking });
+        if (!trackingValidation.valid) {
+            logger.warn(`Invalid tracking data from ${connectionInfo.serverName} for ${steamId}`);
+            return {
+                event: 'sync:error',
+                payload: {
+                    steamId,
+                    error: 'tracking_validation_failed',
+                    errors: trackingValidation.errors
+                }
+            };
+        }
+    }
+
+    try {
+        // Pass combined data to sync service (includes tracking if present)
+        const result = await handlePeriodicSync(data, connectionInfo.serverRecord);
+
+        if (!result.success) {
+            return {
+                event: 'sync:error',
+                payload: {
+                    steamId,
+                    error: result.error,
+                    expectedSeq: result.expectedSeq,
+                    details: result
+                }
+            };
+        }
+
+        return {
+            event: 'sync:ack',
+            payload: {
+                steamId,
+                syncSeq: result.syncSeq,
+                flagged: result.flagged
+            }
+        };
+
+    } catch (error) {
+        logger.error(`Error on periodic sync ${steamId}: ${error.message}`);
+        return { event: 'sync:error', payload: { steamId, error: error.message }, transient: true };
+    }
+}
+
 /**
  * Initialize connections to all configured game servers
  */
@@ -82,7 +252,11 @@ function connectToGameServer(serverConfig) {
         serverRecord: null, // GameServer DB record
         connectedAt: null,
         status: 'connecting',
-        authenticated: false
+        authenticated: false,
+        playerCount: null,
+        queueDepth: null, // events waiting in the plugin's offline outbox
+        lastSeenAt: null,
+        config: {} // document -> { version, overrideVersion, hash, ackedAt, pendingVersion, error }
     };
     connections.set(url, connectionInfo);
 
@@ -99,6 +273,7 @@ function connectToGameServer(serverConfig) {
             logger.error(`Invalid token for ${url}, disconnecting`);
             socket.disconnect();
             connectionInfo.status = 'auth_failed';
+            notifyStatusChange(connectionInfo);
             return;
         }
 
@@ -109,17 +284,35 @@ function connectToGameServer(serverConfig) {
 
         logger.info(`Authenticated game server: ${serverRecord.server_name} (${serverRecord.server_id})`);
 
+        await touchServer(connectionInfo);
+        notifyStatusChange(connectionInfo);
+
         // Notify game server of successful auth
         socket.emit('auth:success', {
             serverId: serverRecord.server_id,
             serverName: serverRecord.server_name
         });
+
+        // Bring the server's config files up to date (it may have missed revisions while offline)
+        try {
+            await pushConfig(CONFIG_DOCUMENTS, [serverRecord.server_id]);
+        } catch (error) {
+            logger.error(`Failed to push config to ${serverRecord.server_id}: ${error.message}`);
+        }
     });
 
     socket.on('disconnect', async (reason) => {
         logger.warn(`Disconnected from game server ${connectionInfo.serverName || url}: ${reason}`);
+        const wasAuthenticated = connectionInfo.authenticated;
         connectionInfo.status = 'disconnected';
         connectionInfo.authenticated = false;
+        connectionInfo.playerCount = null;
+        connectionInfo.queueDepth = null;
+
+        if (wasAuthenticated) {
+            await touchServer(connectionInfo);
+        }
+        notifyStatusChange(connectionInfo);
 
         // Clear active players for this server if we were authenticated
         if (connectionInfo.serverId) {
@@ -135,24 +328,70 @@ function connectToGameServer(serverConfig) {
 
     socket.on('connect_error', (error) => {
         logger.error(`Connection error to ${url}: ${error.message}`);
+        const changed = connectionInfo.status !== 'error';
         connectionInfo.status = 'error';
+
+        // Reconnection attempts repeat this error, only push the first one
+        if (changed) {
+            notifyStatusChange(connectionInfo);
+        }
     });
 
     // ==================== Server Info ====================
 
-    socket.on('server:info', (data) => {
-        const { playerCount } = data;
-        logger.info(`Game server info: ${connectionInfo.serverName} - ${playerCount} players online`);
+    socket.on('server:info', async (data) => {
+        const { playerCount, queueDepth } = data;
+        logger.info(`Game server info: ${connectionInfo.serverName} - ${playerCount} players online${queueDepth ? `, ${queueDepth} queued events` : ''}`);
+
+        connectionInfo.playerCount = typeof playerCount === 'number' ? playerCount : null;
+        connectionInfo.queueDepth = typeof queueDepth === 'number' ? queueDepth : null;
+
+        if (connectionInfo.authenticated) {
+            await touchServer(connectionInfo);
+        }
+        notifyStatusChange(connectionInfo);
+    });
+
+    // ==================== Config ====================
+
+    socket.on('config:ack', (data) => {
+        const { document, version, overrideVersion, hash } = data || {};
+        if (!CONFIG_DOCUMENTS.includes(document)) return;
+
+        logger.info(`${connectionInfo.serverName} is running ${document} v${version}${overrideVersion ? ` (override v${overrideVersion})` : ''}`);
+
+        connectionInfo.config[document] = {
+            version,
+            overrideVersion: overrideVersion || null,
+            hash,
+            ackedAt: new Date(),
+            pendingVersion: null,
+            error: null
+        };
+        notifyStatusChange(connectionInfo);
+    });
+
+    socket.on('config:error', (data) => {
+        const { document, version, error } = data || {};
+        if (!CONFIG_DOCUMENTS.includes(document)) return;
+
+        logger.error(`${connectionInfo.serverName} failed to apply ${document} v${version}: ${error}`);
+
+        connectionInfo.config[document] = {
+            ...connectionInfo.config[document],
+            pendingVersion: null,
+            error: error || 'Unknown error'
+        };
+        notifyStatusChange(connectionInfo);
     });
 
     // ==================== Player Connect ====================
 
-    socket.on('player:connect', async (data) => {
-        const { steamId, eosId, name } = data;
+    socket.on('player:connect', (data, ack) => respond(connectionInfo, data, ack, async () => {
+        const { steamId, name } = data || {};
 
         if (!connectionInfo.authenticated) {
-            socket.emit('player:error', { steamId, error: 'Server not authenticated' });
-            return;
+            return { event: 'player:error', payload: { steamId, error: 'Server not authenticated' }, transient: true };
         }
 
         logger.debug(`Player connect on ${connectionInfo.serverName}: ${steamId} (${name})`);
@@ -162,96 +401,95 @@ function connectToGameServer(serverConfig) {
 
             if (result.status === 'player_active_elsewhere') {
                 // Player is on another server, tell game to wait and retry
-                socket.emit('player:wait', {
-                    steamId,
-                    activeServer: result.activeServer,
-                    retryAfterMs: SERVER_HOP_RETRY_DELAY,
-                    maxRetries: SERVER_HOP_MAX_RETRIES
-                });
-                return;
+                return {
+                    event: 'player:wait',
+                    payload: {
+                        steamId,
+                        activeServer: result.activeServer,
+                        retryAfterMs: SERVER_HOP_RETRY_DELAY,
+                        maxRetries: SERVER_HOP_MAX_RETRIES
+                    }
+                };
             }
 
             // Send player data only (no tracking - game builds tracking fresh)
             // Tracking data is for leaderboards/stats on web dashboard
-            socket.emit('player:data', {
-                steamId,
-                player: result.player,
-                syncSeq: result.syncSeq
-            });
+            // Sync banned players get no data (status tells the plugin why)
+            return {
+                event: 'player:data',
+                payload: {
+                    steamId,
+                    status: result.status,
+                    moderation: result.moderation,
+                    player: result.player || null,
+                    syncSeq: result.syncSeq ?? null
+                }
+            };
 
         } catch (error) {
             logger.error(`Error on player connect ${steamId}: ${error.message}`);
-            socket.emit('player:error', { steamId, error: error.message });
+            return { event: 'player:error', payload: { steamId, error: error.message }, transient: true };
         }
-    });
+    }));
 
     // ==================== Periodic Sync ====================
 
-    socket.on('player:sync', async (data) => {
+    socket.on('player:sync', (data, ack) => respond(connectionInfo, data, ack, async () => {
         if (!connectionInfo.authenticated) {
-            socket.emit('sync:error', { error: 'Server not authenticated' });
-            return;
+            return { event: 'sync:error', payload: { error: 'Server not authenticated' }, transient: true };
         }
 
-        const { steamId } = data;
+        return periodicSync(connectionInfo, data);
+    }));
 
-        // Validate v2 player format (combined format with optional tracking)
-        const validation = validateV2PlayerFormat(data);
-        if (!validation.valid) {
-            logger.warn(`Invalid sync data from ${connectionInfo.serverName} for ${steamId}`);
-            socket.emit('sync:error', {
-                steamId,
-                error: 'validation_failed',
-                errors: validation.errors
-            });
-            return;
+    // All online players of a server in one message ({ players: [v2 document] }),
+    // synced with bounded concurrency and answered with one sync:batch-ack
+    socket.on('players:sync-batch', (data, ack) => respond(connectionInfo, data, ack, async () => {
+        if (!connectionInfo.authenticated) {
+            return { event: 'sync:batch-error', payload: { error: 'Server not authenticated' }, transient: true };
         }
 
-        // Validate tracking data if provided
-        if (data.tracking) {
-            const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...data.tracking });
-            if (!trackingValidation.valid) {
-                logger.warn(`Invalid tracking data from ${connectionInfo.serverName} for ${steamId}`);
-                socket.emit('sync:error', {
-                    steamId,
-                    error: 'tracking_validation_failed',
-                    errors: trackingValidation.errors
-                });
-                return;
-            }
+        const { players } = data || {};
+
+        if (!Array.isArray(players)) {
+            return { event: 'sync:batch-error', payload: { error: 'Expected array of players' } };
         }
 
-        try {
-            // Pass combined data to sync service (includes tracking if present)
-            const result = await handlePeriodicSync(data, connectionInfo.serverRecord);
+        if (players.length > MAX_SYNC_BATCH) {
+            return { event: 'sync:batch-error', payload: { error: `Too many players. Maximum ${MAX_SYNC_BATCH} per batch` } };
+        }
 
-            if (!result.success) {
-                socket.emit('sync:error', {
-                    steamId,
-                    error: result.error,
-                    details: result
-                });
-                return;
-            }
+        const startTime = Date.now();
 
-            socket.emit('sync:ack', {
-                steamId,
-                syncSeq: result.syncSeq,
-                flagged: result.flagged
-            });
+        // Each player's result is kept on its own, so a resent batch repeats the saves that
+        // went through and retries the ones that failed transiently (lock timeout, database error)
+        const results = await mapWithConcurrency(players, gameServersConfig.syncConcurrency, async (playerJson) => {
+            const playerRequestId = data.requestId ? `${data.requestId}:${playerJson?.steamId}` : null;
+            const { event, payload } = await runOnce(connectionInfo, playerRequestId, () => periodicSync(connectionInfo, playerJson));
+            return { success: event === 'sync:ack', ...payload };
+        });
 
-        } catch (error) {
-            logger.error(`Error on periodic sync ${steamId}: ${error.message}`);
-            socket.emit('sync:error', { steamId, error: error.message });
-        }
-    });
+        const failed = results.filter(r => !r.success).length;
+        logger.debug(`Batch sync: ${players.length} players from ${connectionInfo.serverName} (${Date.now() - startTime}ms)${failed ? `, ${failed} failed` : ''}`);
+
+        return {
+            event: 'sync:batch-ack',
+            payload: {
+                total: players.length,
+                successful: players.length - failed,
+                failed,
+                results
+            },
+            // The batch as a whole is not kept, see the per-player results above
+            transient: true
+        };
+    }));
 
     // ==================== Player Disconnect ====================
 
-    socket.on('player:disconnect', async (data) => {
+    socket.on('player:disconnect', (data, ack) => respond(connectionInfo, data, ack, async () => {
         if (!connectionInfo.authenticated) {
-            socket.emit('disconnect:error', { error: 'Server not authenticated' });
-            return;
+            return { event: 'disconnect:error', payload: { error: 'Server not authenticated' }, transient: true };
         }
 
         // Combined format: data is full player JSON with tracking embedded
@@ -261,12 +499,14 @@ function connectToGameServer(serverConfig) {
         const playerValidation = validateV2PlayerFormat(data);
         if (!playerValidation.valid) {
             logger.warn(`Invalid disconnect player data from ${connectionInfo.serverName} for ${steamId}`);
-            socket.emit('disconnect:error', {
-                steamId,
-                error: 'validation_failed',
-                errors: playerValidation.errors
-            });
-            return;
+            return {
+                event: 'disconnect:error',
+                payload: {
+                    steamId,
+                    error: 'validation_failed',
+                    errors: playerValidation.errors
+                }
+            };
         }
 
         // Validate tracking data if provided
@@ -274,12 +514,14 @@ function connectToGameServer(serverConfig) {
             const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...data.tracking });
             if (!trackingValidation.valid) {
                 logger.warn(`Invalid disconnect tracking data from ${connectionInfo.serverName} for ${steamId}`);
-                socket.emit('disconnect:error', {
-                    steamId,
-                    error: 'tracking_validation_failed',
-                    errors: trackingValidation.errors
-                });
-                return;
+                return {
+                    event: 'disconnect:error',
+                    payload: {
+                        steamId,
+                        error: 'tracking_validation_failed',
+                        errors: trackingValidation.errors
+                    }
+                };
             }
         }
 
@@ -288,31 +530,39 @@ function connectToGameServer(serverConfig) {
             const result = await handlePlayerDisconnect(data, connectionInfo.serverRecord);
 
             if (!result.success) {
-                socket.emit('disconnect:error', {
-                    steamId,
-                    error: result.error,
-                    details: result
-                });
-                return;
+                return {
+                    event: 'disconnect:error',
+                    payload: {
+                        steamId,
+                        error: result.error,
+                        expectedSeq: result.expectedSeq,
+                        details: result
+                    }
+                };
             }
 
-            socket.emit('disconnect:ack', {
-                steamId,
-                syncSeq: result.syncSeq
-            });
+            return {
+                event: 'disconnect:ack',
+                payload: {
+                    steamId,
+                    syncSeq: result.syncSeq,
+                    rejected: result.rejected,
+                    quarantined: result.quarantined,
+                    moderation: result.moderation
+                }
+            };
 
         } catch (error) {
             logger.error(`Error on player disconnect ${steamId}: ${error.message}`);
-            socket.emit('disconnect:error', { steamId, error: error.message });
+            return { event: 'disconnect:error', payload: { steamId, error: error.message }, transient: true };
         }
-    });
+    }));
 
     // ==================== Crash Recovery ====================
 
-    socket.on('player:crash-recovery', async (data) => {
+    socket.on('player:crash-recovery', (data, ack) => respond(connectionInfo, data, ack, async () => {
         if (!connectionInfo.authenticated) {
-            socket.emit('recovery:error', { error: 'Server not authenticated' });
-            return;
+            return { event: 'recovery:error', payload: { error: 'Server not authenticated' }, transient: true };
         }
 
         // Combined format: full player JSON with tracking embedded
@@ -322,12 +572,14 @@ function connectToGameServer(serverConfig) {
         const playerValidation = validateV2PlayerFormat(data);
         if (!playerValidation.valid) {
             logger.warn(`Invalid crash recovery player data from ${connectionInfo.serverName} for ${steamId}`);
-            socket.emit('recovery:error', {
-                steamId,
-                error: 'validation_failed',
-                errors: playerValidation.errors
-            });
-            return;
+            return {
+                event: 'recovery:error',
+                payload: {
+                    steamId,
+                    error: 'validation_failed',
+                    errors: playerValidation.errors
+                }
+            };
         }
 
         // Validate tracking data if provided
@@ -335,12 +587,14 @@ function connectToGameServer(serverConfig) {
             const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...data.tracking });
             if (!trackingValidation.valid) {
                 logger.warn(`Invalid crash recovery tracking data from ${connectionInfo.serverName} for ${steamId}`);
-                socket.emit('recovery:error', {
-                    steamId,
-                    error: 'tracking_validation_failed',
-                    errors: trackingValidation.errors
-                });
-                return;
+                return {
+                    event: 'recovery:error',
+                    payload: {
+                        steamId,
+                        error: 'tracking_validation_failed',
+                        errors: trackingValidation.errors
+                    }
+                };
             }
         }
 
@@ -349,104 +603,177 @@ function connectToGameServer(serverConfig) {
             const result = await handleCrashRecovery(data, connectionInfo.serverRecord);
 
             if (!result.success) {
-                socket.emit('recovery:error', {
-                    steamId,
-                    error: result.error,
-                    details: result
-                });
-                return;
+                return {
+                    event: 'recovery:error',
+                    payload: {
+                        steamId,
+                        error: result.error,
+                        details: result
+                    }
+                };
             }
 
-            socket.emit('recovery:ack', {
-                steamId,
-                syncSeq: result.syncSeq,
-                skipped: result.skipped,
-                flagged: result.flagged
-            });
+            return {
+                event: 'recovery:ack',
+                payload: {
+                    steamId,
+                    syncSeq: result.syncSeq,
+                    skipped: result.skipped,
+                    flagged: result.flagged,
+                    rejected: result.rejected,
+                    quarantined: result.quarantined,
+                    moderation: result.moderation
+                }
+            };
 
         } catch (error) {
             logger.error(`Error on crash recovery ${steamId}: ${error.message}`);
-            socket.emit('recovery:error', { steamId, error: error.message });
+            return { event: 'recovery:error', payload: { steamId, error: error.message }, transient: true };
         }
-    });
+    }));
 
     // ==================== Batch Crash Recovery ====================
 
-    socket.on('player:batch-crash-recovery', async (data) => {
+    // The plugin sends orphaned files in chunks ({ batchId, chunk, chunks, players });
+    // each chunk is recovered with bounded concurrency and answered with per-player results.
+    // Failed players keep their file on the game server and are sent again on the next attempt.
+    socket.on('player:batch-crash-recovery', (data, ack) => respond(connectionInfo, data, ack, async () => {
         if (!connectionInfo.authenticated) {
-            socket.emit('batch-recovery:error', { error: 'Server not authenticated' });
-            return;
+            return { event: 'batch-recovery:error', payload: { error: 'Server not authenticated' }, transient: true };
         }
 
-        const { players } = data;
+        const { players, batchId = null, chunk = 1, chunks = 1 } = data || {};
 
         if (!Array.isArray(players)) {
-            socket.emit('batch-recovery:error', { error: 'Expected array of players' });
-            return;
+            return { event: 'batch-recovery:error', payload: { error: 'Expected array of players' } };
         }
 
-        logger.info(`Batch crash recovery: ${players.length} players from ${connectionInfo.serverName}`);
+        if (players.length > MAX_SYNC_BATCH) {
+            return { event: 'batch-recovery:error', payload: { error: `Too many players. Maximum ${MAX_SYNC_BATCH} per chunk` } };
+        }
 
-        const results = [];
+        logger.info(`Batch crash recovery: ${players.length} players from ${connectionInfo.serverName} (chunk ${chunk}/${chunks})`);
 
-        for (const playerJson of players) {
+        const results = await mapWithConcurrency(players, gameServersConfig.recoveryConcurrency, async (playerJson) => {
             // Combined format: full player JSON with tracking embedded
-            const steamId = playerJson.steamId;
+            const steamId = playerJson?.steamId;
 
             try {
-                // Validate player data
-                const playerValidation = validateV2PlayerFormat(playerJson);
-                if (!playerValidation.valid) {
-                    results.push({ steamId, success: false, error: 'validation_failed' });
-                    continue;
-                }
-
-                // Validate tracking data if provided
-                if (playerJson.tracking) {
-                    const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...playerJson.tracking });
-                    if (!trackingValidation.valid) {
-                        results.push({ steamId, success: false, error: 'tracking_validation_failed' });
-                        continue;
-                    }
-                }
-
                 const result = await handleCrashRecovery(playerJson, connectionInfo.serverRecord);
-                results.push({
+                return {
                     steamId,
                     success: result.success,
+                    error: result.error,
                     syncSeq: result.syncSeq,
                     skipped: result.skipped,
-                    flagged: result.flagged
-                });
-
+                    flagged: result.flagged,
+                    rejected: result.rejected,
+                    quarantined: result.quarantined,
+                    moderation: result.moderation
+                };
             } catch (error) {
-                results.push({ steamId, success: false, error: error.message });
+                logger.error(`Error on crash recovery ${steamId}: ${error.message}`);
+                return { steamId, success: false, error: error.message };
             }
-        }
+        });
 
-        socket.emit('batch-recovery:complete', {
+        const progress = {
+            batchId,
+            chunk,
+            chunks,
             total: players.length,
             successful: results.filter(r => r.success).length,
-            failed: results.filter(r => !r.success).length,
-            results
-        });
+            failed: results.filter(r => !r.success).length
+        };
+
+        socket.emit('batch-recovery:progress', progress);
+        emitToDashboard('servers', 'gameServer:recovery', { serverId: connectionInfo.serverId, ...progress });
+
+        return {
+            event: 'batch-recovery:complete',
+            payload: { ...progress, results }
+        };
+    }));
+
+    // ==================== Account Linking ====================
+
+    socket.on('link:verify', async (data) => {
+        const { steamId, code } = data || {};
+
+        if (!connectionInfo.authenticated) {
+            socket.emit('link:result', { steamId, success: false, message: 'KOTH Bot is not ready, try again shortly.' });
+            return;
+        }
+
+        try {
+            const result = await verifyLinkCode(code, steamId, connectionInfo.serverId);
+
+            socket.emit('link:result', {
+                steamId,
+                success: result.success,
+                error: result.error,
+                message: result.success
+                    ? `Your Steam account is now linked to Discord user ${result.discordUsername || result.discordId}.`
+                    : LINK_ERROR_MESSAGES[result.error]
+            });
+        } catch (error) {
+            logger.error(`Link verification failed for ${steamId}: ${error.message}`);
+            socket.emit('link:result', { steamId, success: false, message: 'Linking failed, please try again later.' });
+        }
     });
 }
 
 /**
- * Get list of connected game servers
+ * Update a server's last_seen_at and mirror it on the connection
  *
- * @returns {Array} Array of connected server info objects
+ * @param {Object} connectionInfo - Tracked connection
  */
-export function getConnectedGameServers() {
-    return Array.from(connections.values()).map(conn => ({
+async function touchServer(connectionInfo) {
+    try {
+        await connectionInfo.serverRecord.touch();
+        connectionInfo.lastSeenAt = connectionInfo.serverRecord.last_seen_at;
+    } catch (error) {
+        logger.error(`Failed to update last seen for ${connectionInfo.serverId}: ${error.message}`);
+    }
+}
+
+/**
+ * Public view of a tracked connection (no socket or token)
+ *
+ * @param {Object} conn - Tracked connection
+ * @returns {Object} Connection status
+ */
+function toConnectionStatus(conn) {
+    return {
         url: conn.url,
         serverId: conn.serverId,
         serverName: conn.serverName,
         connectedAt: conn.connectedAt,
         status: conn.status,
-        authenticated: conn.authenticated
-    }));
+        authenticated: conn.authenticated,
+        playerCount: conn.playerCount,
+        queueDepth: conn.queueDepth,
+        lastSeenAt: conn.lastSeenAt,
+        config: conn.config
+    };
+}
+
+/**
+ * Push a connection status change to subscribed dashboards
+ *
+ * @param {Object} conn - Tracked connection
+ */
+function notifyStatusChange(conn) {
+    emitToDashboard('servers', 'gameServer:status', toConnectionStatus(conn));
+}
+
+/**
+ * Get list of connected game servers
+ *
+ * @returns {Array} Array of connected server info objects
+ */
+export function getConnectedGameServers() {
+    return Array.from(connections.values()).map(toConnectionStatus);
 }
 
 /**
@@ -482,6 +809,110 @@ export function sendToServer(serverId, event, data) {
     return true;
 }
 
+/**
+ * Push a player's current data to the server that owns their session
+ *
+ * Used after admin changes (review reverts, etc.) that bumped sync_seq,
+ * so the plugin rewrites the player file and continues from the new sequence.
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @returns {Promise<boolean>} Whether data was sent (false if offline or server not connected)
+ */
+export async function pushPlayerData(steamId) {
+    const models = getModels();
+    const player = await models.Player.findWithFullData(steamId);
+
+    if (!player?.active_server_id) {
+        return false;
+    }
+
+    const moderation = await getModerationStatus(player.id);
+
+    const sent = sendToServer(player.active_server_id, 'player:data', {
+        steamId,
+        status: moderation ? moderation.status : 'ok',
+        moderation,
+        player: dbToV2Player(player),
+        syncSeq: Number(player.sync_seq)
+    });
+
+    if (!sent) {
+        logger.warn(`Could not push ${steamId} to ${player.active_server_id}: server not connected`);
+    }
+
+    return sent;
+}
+
+/**
+ * Tell the server that owns a player's session about a moderation change
+ *
+ * Sent after a freeze or sync ban is created or revoked, so the plugin
+ * starts or stops sending the player's saves without waiting for a reconnect.
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @returns {Promise<boolean>} Whether the update was sent (false if offline or server not connected)
+ */
+export async function pushPlayerModeration(steamId) {
+    const models = getModels();
+    const player = await models.Player.findOne({ where: { steam_id: steamId } });
+
+    if (!player?.active_server_id) {
+        return false;
+    }
+
+    return sendToServer(player.active_server_id, 'player:moderation', {
+        steamId,
+        moderation: await getModerationStatus(player.id)
+    });
+}
+
+/**
+ * Push the current revision of config documents to game servers
+ *
+ * Each server gets settings.json with its own override merged in. The plugin
+ * writes each file and answers with config:ack carrying the hash, which is
+ * what the dashboard shows per server.
+ *
+ * @param {Array<string>} documents - 'settings' and/or factions
+ * @param {Array<string>|null} serverIds - Limit to these servers (null = every authenticated server)
+ * @returns {Promise<Array>} [{ serverId, documents: [{ document, version, overrideVersion, hash }] }] of what was sent
+ */
+export async function pushConfig(documents = CONFIG_DOCUMENTS, serverIds = null) {
+    const pushed = [];
+
+    for (const conn of connections.values()) {
+        if (!conn.authenticated || !conn.socket) continue;
+        if (serverIds && !serverIds.includes(conn.serverId)) continue;
+
+        const sent = [];
+        for (const document of documents) {
+            const config = await getServerConfigDocument(document, conn.serverId);
+            if (!config) continue;
+
+            const revision = {
+                document,
+                version: config.version,
+                overrideVersion: config.overrideVersion,
+                hash: config.hash
+            };
+
+            conn.socket.emit('config:update', { ...revision, data: config.data });
+            conn.config[document] = {
+                ...conn.config[document],
+                pendingVersion: config.version
+            };
+            sent.push(revision);
+        }
+
+        if (sent.length > 0) {
+            pushed.push({ serverId: conn.serverId, documents: sent });
+            notifyStatusChange(conn);
+        }
+    }
+
+    return pushed;
+}
+
 /**
  * Broadcast message to all authenticated servers
  *
@@ -515,14 +946,57 @@ export async function disconnectAll() {
 /**
  * Reconnect to a specific server
  *
+ * Does nothing if the socket is already connected.
+ *
  * @param {string} url - Server URL
+ * @returns {boolean} Whether a reconnect was started
  */
 export function reconnectToServer(url) {
     const conn = connections.get(url);
-    if (conn && conn.socket) {
-        logger.info(`Reconnecting to ${url}`);
-        conn.socket.connect();
+    if (!conn || !conn.socket || conn.socket.connected) {
+        return false;
+    }
+
+    logger.info(`Reconnecting to ${url}`);
+    conn.status = 'connecting';
+    notifyStatusChange(conn);
+    conn.socket.connect();
+    return true;
+}
+
+/**
+ * Drop the connection to a server without automatic reconnection
+ * Used when a server is deactivated; reconnectToServer() resumes it.
+ *
+ * @param {string} serverId - Server ID
+ * @returns {boolean} Whether a live connection was closed
+ */
+export function disconnectServer(serverId) {
+    const conn = getConnectionByServerId(serverId);
+    if (!conn || !conn.socket?.connected) {
+        return false;
+    }
+
+    logger.info(`Disconnecting from ${conn.serverName || conn.url}`);
+    conn.socket.disconnect();
+    return true;
+}
+
+/**
+ * Reload the GameServer record a live connection authenticated with
+ * Socket syncs use that record, so flag and quarantine changes made elsewhere apply from the next save.
+ *
+ * @param {string} serverId - Server ID
+ * @returns {Promise<boolean>} Whether a connection's record was reloaded
+ */
+export async function refreshServerRecord(serverId) {
+    const conn = getConnectionByServerId(serverId);
+    if (!conn?.serverRecord) {
+        return false;
     }
+
+    await conn.serverRecord.reload();
+    return true;
 }
 
 export default {
@@ -530,7 +1004,12 @@ export default {
     getConnectedGameServers,
     getConnectionByServerId,
     sendToServer,
+    pushPlayerData,
+    pushPlayerModeration,
+    pushConfig,
     broadcastToServers,
     disconnectAll,
-    reconnectToServer
+    reconnectToServer,
+    disconnectServer,
+    refreshServerRecord
 };
@@ -0,0 +1,311 @@
+/**
+ * Leaderboard Service
+ *
+ * Ranks players over player_stats (all time) or the gains recorded in
+ * stat_history (monthly, weekly, and all time for the tracking categories,
+ * whose tables only hold the latest session). Every page is cached in
+ * memory for config.leaderboards.cacheTtlSeconds so the API, the /leaderboard
+ * command and the dashboard can be hit freely without hammering MariaDB.
+ */
+
+import { QueryTypes } from 'sequelize';
+import { leaderboards as leaderboardConfig } from '../../config/config.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+
+const logger = createServiceLogger('LeaderboardService');
+
+/**
+ * Leaderboard categories
+ * table/playerColumn/valueColumn are interpolated into SQL and must never come from user input.
+ * player_stats columns are lifetime totals. The tracking tables only hold the counts the
+ * latest session reported, so tracking categories (history: true) rank the gains recorded
+ * in stat_history for every period; their all-time boards start when gains were first recorded.
+ * Categories with a groupColumn can be narrowed to one vehicle or weapon.
+ */
+export const CATEGORIES = {
+    xp: {
+        label: 'XP',
+        table: 'player_stats',
+        playerColumn: 'player_id',
+        valueColumn: 'xp_total'
+    },
+    prestige: {
+        label: 'Prestige',
+        table: 'player_stats',
+        playerColumn: 'player_id',
+        valueColumn: 'prestige'
+    },
+    time_played: {
+        label: 'Time Played',
+        table: 'player_stats',
+        playerColumn: 'player_id',
+        valueColumn: 'time_played'
+    },
+    kills: {
+        label: 'Kills',
+        history: true
+    },
+    vehicle_kills: {
+        label: 'Vehicle Kills',
+        history: true,
+        groupColumn: 'group_name',
+        groupLabel: 'Vehicle'
+    },
+    weapon_xp: {
+        label: 'Weapon XP',
+        history: true,
+        groupColumn: 'group_name',
+        groupLabel: 'Weapon'
+    }
+};
+
+/**
+ * Leaderboard periods and how far back each one reaches (ms, null = all time)
+ */
+export const PERIODS = {
+    all: null,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Upper bound on cached pages so odd group/offset combinations cannot grow memory unbounded
+const MAX_CACHE_ENTRIES = 500;
+
+const cache = new Map();
+
+/**
+ * Get a cached value, dropping it if expired
+ */
+function getCached(key) {
+    const entry = cache.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+
+    return entry.value;
+}
+
+/**
+ * Cache a value for the configured TTL
+ */
+function setCached(key, value) {
+    if (leaderboardConfig.cacheTtlSeconds <= 0) return;
+
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        // Maps iterate in insertion order, so this evicts the oldest entry
+        cache.delete(cache.keys().next().value);
+    }
+
+    cache.set(key, { value, expiresAt: Date.now() + leaderboardConfig.cacheTtlSeconds * 1000 });
+}
+
+/**
+ * Look up a category definition
+ *
+ * @throws {Error} 'Unknown leaderboard category'
+ */
+function getCategory(category) {
+    if (!Object.hasOwn(CATEGORIES, category)) {
+        throw new Error(`Unknown leaderboard category: ${category}`);
+    }
+
+    return CATEGORIES[category];
+}
+
+/**
+ * Query source for all-time boards of player_stats categories: the table itself
+ */
+function tableSource(definition) {
+    return {
+        table: definition.table,
+        playerColumn: definition.playerColumn,
+        valueColumn: definition.valueColumn,
+        groupColumn: definition.groupColumn,
+        conditions: [`t.${definition.valueColumn} > 0`],
+        replacements: {}
+    };
+}
+
+/**
+ * Query source for period and tracking boards: gains recorded in stat_history
+ * History stats are named after the leaderboard categories.
+ *
+ * @param {string} category - Key of CATEGORIES
+ * @param {number|null} periodMs - How far back to sum (null = all time)
+ */
+function historySource(category, periodMs) {
+    const conditions = ['t.stat = :stat', 't.value > 0'];
+    const replacements = { stat: category };
+
+    if (periodMs) {
+        conditions.push('t.bucket_start >= :since');
+        replacements.since = new Date(Date.now() - periodMs);
+    }
+
+    return {
+        table: 'stat_history',
+        playerColumn: 'player_id',
+        valueColumn: 'value',
+        groupColumn: 'group_name',
+        conditions,
+        replacements
+    };
+}
+
+/**
+ * List the available categories and periods
+ *
+ * @returns {Object} { categories: [{ id, label, groupLabel }], periods }
+ */
+export function listCategories() {
+    return {
+        categories: Object.entries(CATEGORIES).map(([id, definition]) => ({
+            id,
+            label: definition.label,
+            groupLabel: definition.groupLabel || null
+        })),
+        periods: Object.keys(PERIODS)
+    };
+}
+
+/**
+ * Get one page of a leaderboard
+ *
+ * All-time boards rank the lifetime totals in player_stats, or every recorded
+ * gain for tracking categories; monthly and weekly boards rank what players
+ * gained over the period (stat_history).
+ *
+ * @param {string} category - Key of CATEGORIES
+ * @param {Object} options - Query options
+ * @param {string} options.period - 'all', 'monthly' or 'weekly' (default 'all')
+ * @param {string} options.group - Vehicle or weapon name for grouped categories
+ * @param {number} options.limit - Page size (default 25, capped at config.leaderboards.maxPageSize)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} { category, label, period, group, total, limit, offset, entries, generatedAt }
+ * @throws {Error} 'Unknown leaderboard category' or 'Unknown leaderboard period'
+ */
+export async function getLeaderboard(category, { period = 'all', group = null, limit = 25, offset = 0 } = {}) {
+    const definition = getCategory(category);
+
+    if (!Object.hasOwn(PERIODS, period)) {
+        throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), leaderboardConfig.maxPageSize);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+    const groupName = definition.groupColumn && group ? String(group) : null;
+
+    const cacheKey = JSON.stringify([category, period, groupName, pageSize, pageOffset]);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const source = definition.history || PERIODS[period]
+        ? historySource(category, PERIODS[period])
+        : tableSource(definition);
+    const conditions = [...source.conditions];
+    const replacements = { ...source.replacements, limit: pageSize, offset: pageOffset };
+
+    if (groupName) {
+        conditions.push(`t.${source.groupColumn} = :group`);
+        replacements.group = groupName;
+    }
+
+    const where = conditions.join(' AND ');
+    const sequelize = databaseManager.getSequelize();
+
+    const rows = await sequelize.query(
+        `SELECT p.steam_id, p.name, SUM(t.${source.valueColumn}) AS value
+        FROM ${source.table} t
+        JOIN players p ON p.id = t.${source.playerColumn}
+        WHERE ${where}
+        GROUP BY t.${source.playerColumn}, p.steam_id, p.name
+        ORDER BY value DESC, t.${source.playerColumn} ASC
+        LIMIT :limit OFFSET :offset`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    const [{ total }] = await sequelize.query(
+        `SELECT COUNT(DISTINCT t.${source.playerColumn}) AS total
+        FROM ${source.table} t
+        WHERE ${where}`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    const result = {
+        category,
+        label: definition.label,
+        period,
+        group: groupName,
+        total: Number(total) || 0,
+        limit: pageSize,
+        offset: pageOffset,
+        entries: rows.map((row, index) => ({
+            rank: pageOffset + index + 1,
+            steamId: row.steam_id,
+            name: row.name,
+            value: Number(row.value)
+        })),
+        generatedAt: new Date().toISOString()
+    };
+
+    setCached(cacheKey, result);
+    logger.debug(`Leaderboard ${category}/${period}${groupName ? `/${groupName}` : ''} computed (${rows.length} rows)`);
+
+    return result;
+}
+
+/**
+ * List the vehicle or weapon names a grouped category can be narrowed to
+ * Ordered by total value so the most relevant groups come first.
+ *
+ * @param {string} category - Key of CATEGORIES
+ * @returns {Promise<string[]>} Group names (empty for ungrouped categories)
+ */
+export async function getLeaderboardGroups(category) {
+    const definition = getCategory(category);
+
+    if (!definition.groupColumn) {
+        return [];
+    }
+
+    const cacheKey = JSON.stringify([category, 'groups']);
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    // Grouped categories are tracking categories, ranked from stat_history
+    const sequelize = databaseManager.getSequelize();
+    const rows = await sequelize.query(
+        `SELECT group_name AS name
+        FROM stat_history
+        WHERE stat = :stat AND group_name <> ''
+        GROUP BY group_name
+        ORDER BY SUM(value) DESC`,
+        { replacements: { stat: category }, type: QueryTypes.SELECT }
+    );
+
+    const groups = rows.map(row => row.name);
+    setCached(cacheKey, groups);
+
+    return groups;
+}
+
+/**
+ * Drop all cached leaderboard pages
+ */
+export function clearLeaderboardCache() {
+    cache.clear();
+}
+
+export default {
+    CATEGORIES,
+    PERIODS,
+    listCategories,
+    getLeaderboard,
+    getLeaderboardGroups,
+    clearLeaderboardCache
+};
@@ -0,0 +1,313 @@
+/**
+ * Legacy Import Service
+ *
+ * Moves players off the legacy OfficialKothDB plugin: reads the v1 JSON blobs from
+ * KOTH_PlayerData (main database or config.legacyImport), converts them with v1ToV2
+ * and writes them through the same v2 path as snapshot restores (replacePlayerState).
+ *
+ * Rows are read in id order in batches, so an interrupted run can resume after the
+ * last finished batch (scripts/import-legacy-players.js keeps the checkpoint file).
+ * Players that already exist in the v2 schema are skipped unless overwrite is set.
+ */
+
+import { Sequelize, QueryTypes } from 'sequelize';
+import { database as dbConfig, legacyImport as legacyConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { v1ToV2 } from './gameDataTransformer.js';
+import { validateSteamId, validateV2PlayerFormat, validateV2TrackingFormat } from './dataValidator.js';
+import { createSnapshot, replacePlayerState } from './snapshotService.js';
+import { bumpSyncSeq } from './syncService.js';
+
+const logger = createServiceLogger('LegacyImportService');
+
+/**
+ * Open the database holding the legacy table
+ * Uses the main connection unless LEGACY_DB_NAME is set.
+ *
+ * @returns {Promise<Object>} { sequelize, table, close }
+ */
+export async function openLegacySource() {
+    const table = legacyConfig.table;
+
+    // The table name is interpolated into SQL
+    if (!/^\w+$/.test(table)) {
+        throw new Error(`Invalid legacy table name: ${table}`);
+    }
+
+    if (!legacyConfig.name) {
+        return { sequelize: databaseManager.getSequelize(), table, close: async () => {} };
+    }
+
+    const sequelize = new Sequelize(
+        legacyConfig.name,
+        legacyConfig.user || dbConfig.user,
+        legacyConfig.password || dbConfig.password,
+        {
+            host: legacyConfig.host || dbConfig.host,
+            port: legacyConfig.port || dbConfig.port,
+            dialect: 'mariadb',
+            logging: (msg) => logger.debug(msg),
+            pool: { min: 0, max: 2 }
+        }
+    );
+
+    await sequelize.authenticate();
+    logger.info(`Connected to legacy database ${legacyConfig.name}`);
+
+    return { sequelize, table, close: () => sequelize.close() };
+}
+
+/**
+ * Count the legacy rows after an id
+ *
+ * @param {Object} source - From openLegacySource
+ * @param {number} afterId - Only count rows with a higher id
+ * @returns {Promise<number>} Row count
+ */
+export async function countLegacyRows(source, afterId = 0) {
+    const [{ total }] = await source.sequelize.query(
+        `SELECT COUNT(*) AS total FROM \`${source.table}\` WHERE id > :afterId`,
+        { replacements: { afterId }, type: QueryTypes.SELECT }
+    );
+
+    return Number(total) || 0;
+}
+
+/**
+ * Read the next batch of legacy rows in id order
+ */
+async function readLegacyBatch(source, afterId, limit) {
+    return source.sequelize.query(
+        `SELECT id, player_id, playerdata FROM \`${source.table}\` WHERE id > :afterId ORDER BY id ASC LIMIT :limit`,
+        { replacements: { afterId, limit }, type: QueryTypes.SELECT }
+    );
+}
+
+/**
+ * Convert one KOTH_PlayerData row to v2
+ *
+ * @param {Object} row - { id, player_id, playerdata }
+ * @returns {Object} { steamId, player, tracking, warnings }
+ * @throws {Error} If the blob cannot be parsed or the result is not valid v2
+ */
+export function convertLegacyRow(row) {
+    const steamIdResult = validateSteamId(String(row.player_id ?? ''));
+    if (!steamIdResult.valid) {
+        throw new Error(`Invalid player_id "${row.player_id}": ${steamIdResult.error}`);
+    }
+
+    let blob = row.playerdata;
+    if (typeof blob === 'string') {
+        try {
+            blob = JSON.parse(blob);
+        } catch (error) {
+            throw new Error(`Invalid playerdata JSON: ${error.message}`);
+        }
+    }
+
+    if (!blob || typeof blob !== 'object') {
+        throw new Error('playerdata is empty');
+    }
+
+    const converted = v1ToV2(blob, steamIdResult.steamId);
+
+    const playerResult = validateV2PlayerFormat(converted.player);
+    const trackingResult = validateV2TrackingFormat(converted.tracking);
+    const errors = [...playerResult.errors, ...trackingResult.errors];
+
+    if (errors.length > 0) {
+        throw new Error(`Converted data invalid: ${errors.join('; ')}`);
+    }
+
+    return { steamId: steamIdResult.steamId, ...converted };
+}
+
+/**
+ * Write one converted player
+ *
+ * New players are created, existing ones are skipped unless overwrite is set.
+ * An overwrite takes an admin_edit snapshot first and bumps sync_seq.
+ *
+ * @param {Object} converted - From convertLegacyRow
+ * @param {Object} options - Import options
+ * @param {boolean} options.overwrite - Replace players that already exist
+ * @param {boolean} options.dryRun - Only check what would happen
+ * @returns {Promise<string>} 'imported', 'overwritten' or 'skipped'
+ * @throws {Error} 'Player is online' when overwriting a player in a session
+ */
+export async function importLegacyPlayer(converted, { overwrite = false, dryRun = false } = {}) {
+    const models = getModels();
+
+    if (dryRun) {
+        const existing = await models.Player.findOne({
+            where: { steam_id: converted.steamId },
+            attributes: ['id', 'active_server_id']
+        });
+
+        if (!existing) return 'imported';
+        if (!overwrite) return 'skipped';
+        if (existing.active_server_id) {
+            throw new Error(`Player is online on ${existing.active_server_id}`);
+        }
+        return 'overwritten';
+    }
+
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        let player = await models.Player.findOne({
+            where: { steam_id: converted.steamId },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        let status = 'imported';
+
+        if (player) {
+            if (!overwrite) {
+                await transaction.rollback();
+                return 'skipped';
+            }
+
+            if (player.active_server_id) {
+                throw new Error(`Player is online on ${player.active_server_id}`);
+            }
+
+            await createSnapshot(converted.steamId, 'admin_edit', {
+                note: 'Before legacy import',
+                transaction
+            });
+            status = 'overwritten';
+        } else {
+            player = await models.Player.create({
+                steam_id: converted.steamId,
+                eos_id: converted.player.eosId,
+                name: converted.player.name
+            }, { transaction });
+        }
+
+        await replacePlayerState(player, { player: converted.player, tracking: converted.tracking }, transaction);
+
+        if (status === 'overwritten') {
+            await bumpSyncSeq(player, { transaction });
+        }
+
+        await transaction.commit();
+
+        return status;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Create an empty import report
+ */
+function createReport(dryRun) {
+    return {
+        dryRun,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        lastId: 0,
+        scanned: 0,
+        imported: 0,
+        overwritten: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+        warnings: []
+    };
+}
+
+/**
+ * Import legacy rows in batches
+ *
+ * Per-player failures are collected in the report and do not stop the run.
+ *
+ * @param {Object} options - Import options
+ * @param {number} options.afterId - Resume after this KOTH_PlayerData id (default 0)
+ * @param {number} options.batchSize - Rows per batch (default config.legacyImport.batchSize)
+ * @param {number} options.limit - Stop after this many rows (default all)
+ * @param {boolean} options.dryRun - Convert and validate only, write nothing
+ * @param {boolean} options.overwrite - Replace players that already exist
+ * @param {Object} options.report - Report of an interrupted run to continue counting in
+ * @param {Function} options.onBatch - Awaited with the report after each finished batch
+ * @returns {Promise<Object>} Report { lastId, scanned, imported, overwritten, skipped, failed, errors, warnings }
+ */
+export async function runLegacyImport({
+    afterId = 0,
+    batchSize = legacyConfig.batchSize,
+    limit = null,
+    dryRun = false,
+    overwrite = false,
+    report: previousReport = null,
+    onBatch = null
+} = {}) {
+    const source = await openLegacySource();
+    const report = previousReport ? { ...previousReport, dryRun, finishedAt: null } : createReport(dryRun);
+    report.lastId = afterId;
+
+    let remaining = limit ?? Infinity;
+
+    try {
+        const pending = await countLegacyRows(source, afterId);
+        logger.info(`${dryRun ? '[dry run] ' : ''}Importing ${Math.min(pending, remaining)} legacy rows after id ${afterId}`);
+
+        while (remaining > 0) {
+            const rows = await readLegacyBatch(source, report.lastId, Math.min(batchSize, remaining));
+            if (rows.length === 0) break;
+
+            for (const row of rows) {
+                // OfficialKothDB keeps its server settings in the same table
+                if (row.player_id === 'ServerSettings') {
+                    continue;
+                }
+
+                report.scanned++;
+                let steamId = row.player_id;
+
+                try {
+                    const converted = convertLegacyRow(row);
+                    steamId = converted.steamId;
+
+                    const status = await importLegacyPlayer(converted, { overwrite, dryRun });
+                    report[status]++;
+
+                    if (converted.warnings.length > 0) {
+                        report.warnings.push({ id: row.id, steamId, warnings: converted.warnings });
+                    }
+                } catch (error) {
+                    report.failed++;
+                    report.errors.push({ id: row.id, steamId, error: error.message });
+                    logger.warn(`Legacy row ${row.id} (${steamId}) failed: ${error.message}`);
+                }
+            }
+
+            report.lastId = Number(rows[rows.length - 1].id);
+            remaining -= rows.length;
+
+            logger.info(`Legacy import at id ${report.lastId}: ${report.imported} imported, ${report.overwritten} overwritten, ${report.skipped} skipped, ${report.failed} failed`);
+
+            if (onBatch) {
+                await onBatch(report);
+            }
+        }
+    } finally {
+        await source.close();
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    return report;
+}
+
+export default {
+    openLegacySource,
+    countLegacyRows,
+    convertLegacyRow,
+    importLegacyPlayer,
+    runLegacyImport
+};
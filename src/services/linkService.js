@@ -0,0 +1,252 @@
+/**
+ * Link Service
+ *
+ * Links Discord users to Steam accounts through one-time codes:
+ * 1. /link issues a short code to the Discord user
+ * 2. The player types "<chat command> <code>" in game chat
+ * 3. The SquadJS plugin forwards it as 'link:verify' and the link is stored verified
+ *
+ * Codes, expiry and rate limits live in the link_codes table so they
+ * survive restarts and work across every connected game server.
+ */
+
+import { randomInt } from 'crypto';
+import { Op } from 'sequelize';
+import { linking as linkingConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { linkDiscordAccount } from './syncService.js';
+
+const logger = createServiceLogger('LinkService');
+
+// No 0/O or 1/I so codes survive being read off a screen and typed in game
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Used and expired codes are kept this long for auditing before cleanup
+const CODE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a random link code
+ */
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Get a Discord user's link, if any
+ *
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<Object|null>} { steamId, verified, verifiedAt, linkedAt } or null
+ */
+export async function getLinkByDiscordId(discordId) {
+    const models = getModels();
+    const link = await models.DiscordLink.findOne({
+        where: { discord_id: discordId },
+        include: [{ association: 'player', attributes: ['steam_id', 'name'] }]
+    });
+
+    if (!link) {
+        return null;
+    }
+
+    return {
+        steamId: link.player?.steam_id || null,
+        playerName: link.player?.name || null,
+        verified: link.verified,
+        verifiedAt: link.verified_at,
+        linkedAt: link.linked_at
+    };
+}
+
+/**
+ * Issue a one-time link code to a Discord user
+ * Any unused code the user still holds stops working.
+ *
+ * @param {Object} user - Discord user ({ id, username })
+ * @returns {Promise<Object>} { code, expiresAt }
+ * @throws {Error} 'Already linked' or 'Rate limited'
+ */
+export async function createLinkCode(user) {
+    const models = getModels();
+    const discordId = String(user.id);
+
+    const existing = await getLinkByDiscordId(discordId);
+    if (existing?.verified) {
+        throw new Error(`Already linked to ${existing.steamId}`);
+    }
+
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+    const issued = await models.LinkCode.countIssuedSince(discordId, since);
+    if (issued >= linkingConfig.maxCodesPerHour) {
+        throw new Error(`Rate limited: at most ${linkingConfig.maxCodesPerHour} codes per hour`);
+    }
+
+    // Old rows are only kept for auditing, clear them so the code space stays free
+    await models.LinkCode.destroy({
+        where: { expires_at: { [Op.lt]: new Date(Date.now() - CODE_RETENTION_MS) } }
+    });
+
+    await models.LinkCode.expireUnused(discordId);
+
+    const expiresAt = new Date(Date.now() + linkingConfig.codeTtlMinutes * 60 * 1000);
+
+    // The unique index rejects the rare collision, retry with a fresh code
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const linkCode = await models.LinkCode.create({
+                code: generateCode(),
+                discord_id: discordId,
+                discord_username: user.username || null,
+                expires_at: expiresAt
+            });
+
+            logger.info(`Link code issued to ${user.username} (${discordId})`);
+
+            return { code: linkCode.code, expiresAt };
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+        }
+    }
+
+    throw new Error('Could not generate a unique link code');
+}
+
+/**
+ * Redeem a link code typed in game chat
+ *
+ * @param {string} code - Code as typed by the player
+ * @param {string} steamId - Player's Steam ID
+ * @param {string} serverId - Game server the code was typed on
+ * @returns {Promise<Object>} { success, discordId?, discordUsername?, error? }
+ *   error: 'invalid_code' | 'expired_code' | 'steam_already_linked'
+ */
+export async function verifyLinkCode(code, steamId, serverId) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    const normalized = String(code || '').trim().toUpperCase();
+
+    if (normalized.length !== CODE_LENGTH) {
+        return { success: false, error: 'invalid_code' };
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const linkCode = await models.LinkCode.findOne({
+            where: { code: normalized },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        if (!linkCode || linkCode.used_at) {
+            await transaction.rollback();
+            return { success: false, error: 'invalid_code' };
+        }
+
+        if (!linkCode.isRedeemable()) {
+            await transaction.rollback();
+            return { success: false, error: 'expired_code' };
+        }
+
+        // One verified Discord account per Steam account
+        const player = await models.Player.findOne({ where: { steam_id: steamId }, transaction });
+        if (player) {
+            const otherLink = await models.DiscordLink.findOne({
+                where: {
+                    player_id: player.id,
+                    verified: true,
+                    discord_id: { [Op.ne]: linkCode.discord_id }
+                },
+                transaction
+            });
+
+            if (otherLink) {
+                await transaction.rollback();
+                return { success: false, error: 'steam_already_linked' };
+            }
+        }
+
+        await linkCode.update({
+            used_at: new Date(),
+            used_by_steam_id: steamId,
+            used_on_server_id: serverId
+        }, { transaction });
+
+        await linkDiscordAccount(linkCode.discord_id, steamId, true, { transaction });
+
+        await transaction.commit();
+
+        logger.info(`Linked ${linkCode.discord_username} (${linkCode.discord_id}) to ${steamId} on ${serverId}`);
+
+        return {
+            success: true,
+            discordId: linkCode.discord_id,
+            discordUsername: linkCode.discord_username
+        };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Remove a Discord user's link
+ *
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+export async function unlinkDiscordAccount(discordId) {
+    const models = getModels();
+    const removed = await models.DiscordLink.destroy({ where: { discord_id: String(discordId) } });
+
+    if (removed > 0) {
+        logger.info(`Unlinked Discord user ${discordId}`);
+    }
+
+    return removed > 0;
+}
+
+/**
+ * Admin override: link a Discord user to a Steam account without a code
+ * Replaces any existing link of the Discord user and clears other verified
+ * links to the same Steam account.
+ *
+ * @param {string} discordId - Discord user ID
+ * @param {string} steamId - Steam ID
+ * @returns {Promise<Object>} DiscordLink record
+ */
+export async function forceLinkDiscordAccount(discordId, steamId) {
+    const models = getModels();
+
+    const player = await models.Player.findOne({ where: { steam_id: steamId } });
+    if (player) {
+        await models.DiscordLink.destroy({
+            where: {
+                player_id: player.id,
+                discord_id: { [Op.ne]: String(discordId) }
+            }
+        });
+    }
+
+    const link = await linkDiscordAccount(String(discordId), steamId, true);
+
+    logger.warn(`Admin linked Discord user ${discordId} to ${steamId}`);
+
+    return link;
+}
+
+export default {
+    getLinkByDiscordId,
+    createLinkCode,
+    verifyLinkCode,
+    unlinkDiscordAccount,
+    forceLinkDiscordAccount
+};
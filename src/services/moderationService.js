@@ -0,0 +1,302 @@
+/**
+ * Player Moderation Service
+ *
+ * Moderation records against game players, each with a reason, the moderator,
+ * an optional expiry and evidence links:
+ *
+ * - freeze:   the player keeps playing with their stored data, but saves from
+ *             the game are rejected (audited in sync_audit_log) until it ends
+ * - sync_ban: the player gets no stored data on connect and nothing is saved
+ * - wipe:     progression is reset once (stats, loadout, perks, perma unlocks,
+ *             tracking and stat history); a snapshot is taken first so it can
+ *             be undone with a snapshot restore. Skins and supporter status stay.
+ *
+ * handlePlayerConnect reports the active status to the game server, which
+ * acts on it (see the WsKothDB plugin).
+ */
+
+import { Op } from 'sequelize';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { dbToV2 } from './gameDataTransformer.js';
+import { bumpSyncSeq, lockPlayer } from './syncService.js';
+import { createSnapshot, replacePlayerState } from './snapshotService.js';
+import { clearLeaderboardCache } from './leaderboardService.js';
+
+const logger = createServiceLogger('ModerationService');
+
+export const MODERATION_ACTIONS = ['freeze', 'wipe', 'sync_ban'];
+
+// Connect status reported for each action in force, strongest first
+const ACTION_STATUS = {
+    sync_ban: 'sync_banned',
+    freeze: 'frozen'
+};
+
+const MAX_EVIDENCE_LINKS = 10;
+
+/**
+ * Work out a player's moderation status from their active records
+ *
+ * @param {Array<Object>} records - Active PlayerModeration records
+ * @returns {Object|null} { status: 'sync_banned' | 'frozen', moderationId, reason, expiresAt } or null
+ */
+export function moderationStatus(records) {
+    for (const action of Object.keys(ACTION_STATUS)) {
+        const record = records.find(entry => entry.action === action);
+        if (record) {
+            return {
+                status: ACTION_STATUS[action],
+                moderationId: record.id,
+                reason: record.reason,
+                expiresAt: record.expires_at || null
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the moderation status in force for a player
+ *
+ * @param {number} playerId - Player ID
+ * @param {Object} options - Query options (transaction)
+ * @returns {Promise<Object|null>} See moderationStatus
+ */
+export async function getModerationStatus(playerId, options = {}) {
+    const models = getModels();
+    return moderationStatus(await models.PlayerModeration.getActive(playerId, options));
+}
+
+/**
+ * Check evidence links
+ */
+function normalizeEvidence(evidence) {
+    if (evidence === null || evidence === undefined) return null;
+
+    if (!Array.isArray(evidence) || evidence.length > MAX_EVIDENCE_LINKS) {
+        throw new Error(`Invalid moderation: evidence must be a list of up to ${MAX_EVIDENCE_LINKS} links`);
+    }
+
+    const links = evidence.map(link => String(link).trim()).filter(Boolean);
+    for (const link of links) {
+        if (!/^https?:\/\/\S+$/i.test(link)) {
+            throw new Error(`Invalid moderation: evidence link is not an http(s) URL: ${link}`);
+        }
+    }
+
+    return links.length > 0 ? links : null;
+}
+
+/**
+ * Build the document a wipe replaces the player's state with
+ * Identity, skins and supporter status are kept, everything earned is cleared.
+ */
+function wipedState(player) {
+    const current = dbToV2(player).player;
+
+    return {
+        player: {
+            ...current,
+            stats: {
+                currencyTotal: 0,
+                currencySpent: 0,
+                xp: 0,
+                xpTotal: 0,
+                prestige: 0,
+                permaTokens: 0,
+                dailyClaims: 0,
+                gamesPlayed: 0,
+                timePlayed: 0,
+                joinTime: current.stats.joinTime,
+                dailyClaimTime: null
+            },
+            loadout: [],
+            perks: [],
+            permaUnlocks: []
+        },
+        tracking: null
+    };
+}
+
+/**
+ * List moderation records, newest first
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.steamId - Filter by player Steam ID
+ * @param {string} options.action - Filter by action
+ * @param {boolean} options.active - Only freezes and sync bans still in force
+ * @param {number} options.limit - Max entries to return (default 50)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} { records, total, limit, offset }
+ */
+export async function listModeration({ steamId, action, active = false, limit = 50, offset = 0 } = {}) {
+    const models = getModels();
+
+    const where = {};
+    if (steamId) where.steam_id = steamId;
+    if (action) where.action = action;
+    if (active) {
+        where.action = action && action !== 'wipe' ? action : ['freeze', 'sync_ban'];
+        where.revoked_at = null;
+        where[Op.or] = [
+            { expires_at: null },
+            { expires_at: { [Op.gt]: new Date() } }
+        ];
+    }
+
+    const { rows, count } = await models.PlayerModeration.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+    });
+
+    return {
+        records: rows,
+        total: count,
+        limit,
+        offset
+    };
+}
+
+/**
+ * Freeze, wipe or sync ban a player
+ *
+ * A wipe runs in one transaction: an admin_edit snapshot is taken, the
+ * progression tables are reset and sync_seq is bumped so the game server
+ * cannot save over it. The caller should push the player afterwards
+ * (gameServerConnector.pushPlayerData for wipes, pushPlayerModeration otherwise).
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {Object} fields - Moderation details
+ * @param {string} fields.action - 'freeze', 'wipe' or 'sync_ban'
+ * @param {string} fields.reason - Why (required)
+ * @param {Array<string>} fields.evidence - Evidence links
+ * @param {Date|string|null} fields.expiresAt - When a freeze or sync ban ends (null = permanent)
+ * @param {Object} options - Options
+ * @param {Object} options.user - Dashboard user (req.user)
+ * @returns {Promise<Object>} { record, steamId, syncSeq } - syncSeq is set for wipes
+ * @throws {Error} 'Invalid moderation' or 'Player not found'
+ */
+export async function createModeration(steamId, { action, reason, evidence = null, expiresAt = null }, { user }) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+        throw new Error(`Invalid moderation: action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        throw new Error('Invalid moderation: reason is required');
+    }
+
+    let expires = null;
+    if (expiresAt && action !== 'wipe') {
+        expires = new Date(expiresAt);
+        if (isNaN(expires.getTime()) || expires <= new Date()) {
+            throw new Error('Invalid moderation: expiresAt must be a date in the future');
+        }
+    }
+
+    const values = {
+        steam_id: steamId,
+        action,
+        reason: reason.trim(),
+        evidence: normalizeEvidence(evidence),
+        moderator_id: String(user.id),
+        moderator_name: user.username,
+        expires_at: expires
+    };
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        // Row locked like the sync handlers, so a save cannot land between the snapshot and the bump
+        await lockPlayer(steamId, transaction);
+        const player = await models.Player.findWithFullData(steamId, null, { transaction });
+
+        if (!player) {
+            throw new Error(`Player not found: ${steamId}`);
+        }
+
+        let syncSeq = null;
+
+        if (action === 'wipe') {
+            const snapshot = await createSnapshot(steamId, 'admin_edit', {
+                createdBy: String(user.id),
+                note: `Before wipe: ${values.reason}`,
+                transaction
+            });
+
+            await replacePlayerState(player, wipedState(player), transaction);
+            await models.StatHistory.destroy({ where: { player_id: player.id }, transaction });
+            syncSeq = await bumpSyncSeq(player, { transaction });
+
+            values.snapshot_id = snapshot.id;
+        }
+
+        const record = await models.PlayerModeration.create({ player_id: player.id, ...values }, { transaction });
+
+        await transaction.commit();
+
+        if (action === 'wipe') {
+            clearLeaderboardCache();
+        }
+
+        logger.warn(`Player ${steamId} ${action} by ${user.username}${expires ? ` until ${expires.toISOString()}` : ''}: ${values.reason}`);
+
+        return { record, steamId, syncSeq };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * End a freeze or sync ban before it expires
+ * Wipes cannot be revoked; restore the snapshot recorded on the wipe instead.
+ *
+ * @param {number} moderationId - PlayerModeration ID
+ * @param {Object} options - Options
+ * @param {Object} options.user - Dashboard user (req.user)
+ * @returns {Promise<Object>} Updated record
+ * @throws {Error} 'Moderation not found', 'Moderation cannot be revoked'
+ */
+export async function revokeModeration(moderationId, { user }) {
+    const models = getModels();
+    const record = await models.PlayerModeration.findByPk(moderationId);
+
+    if (!record) {
+        throw new Error(`Moderation not found: ${moderationId}`);
+    }
+
+    if (record.action === 'wipe') {
+        throw new Error(`Moderation cannot be revoked: ${moderationId} is a wipe, restore snapshot ${record.snapshot_id} instead`);
+    }
+
+    if (!record.isActive()) {
+        throw new Error(`Moderation cannot be revoked: ${moderationId} already ${record.revoked_at ? 'revoked' : 'expired'}`);
+    }
+
+    await record.update({
+        revoked_at: new Date(),
+        revoked_by: String(user.id),
+        revoked_by_name: user.username
+    });
+
+    logger.info(`Player ${record.steam_id} ${record.action} ${moderationId} revoked by ${user.username}`);
+
+    return record;
+}
+
+export default {
+    MODERATION_ACTIONS,
+    moderationStatus,
+    getModerationStatus,
+    listModeration,
+    createModeration,
+    revokeModeration
+};
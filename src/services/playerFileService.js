@@ -0,0 +1,350 @@
+/**
+ * Player File Service
+ *
+ * Bulk import and export of the game's KOTH/players/{steamId}.json files
+ * (v2 player document with embedded tracking, see docs/PlayerSave-v2-format.md).
+ *
+ * Import compares each file's syncSeq with the database:
+ * - no player yet            -> created
+ * - file syncSeq > database  -> updated (the file has progress the database missed)
+ * - file syncSeq = database  -> unchanged
+ * - file syncSeq < database  -> conflict, skipped unless force is set
+ * Existing players get an admin_edit snapshot before they are replaced.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { Op } from 'sequelize';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { parseJsonBuffer } from '../utils/jsonFile.js';
+import { dbToV2 } from './gameDataTransformer.js';
+import { validateV2Format } from './dataValidator.js';
+import { createSnapshot, replacePlayerState } from './snapshotService.js';
+import { bumpSyncSeq } from './syncService.js';
+
+const logger = createServiceLogger('PlayerFileService');
+
+const PLAYER_FILE_PATTERN = /^(\d{17})\.json$/;
+
+// Players loaded per query when exporting everyone
+const EXPORT_BATCH_SIZE = 200;
+
+/**
+ * List the player files in a folder or zip archive
+ * Files not named {steamId}.json are ignored, zip entries are matched on their base name.
+ *
+ * @param {Object} source - { folder } path, { zipPath } path or { zipBuffer } Buffer
+ * @returns {Array<Object>} [{ name, read: () => Buffer }]
+ */
+export function listPlayerFiles(source) {
+    if (source.folder) {
+        return fs.readdirSync(source.folder)
+            .filter(name => PLAYER_FILE_PATTERN.test(name))
+            .sort()
+            .map(name => ({ name, read: () => fs.readFileSync(path.join(source.folder, name)) }));
+    }
+
+    let zip;
+    try {
+        zip = new AdmZip(source.zipPath || source.zipBuffer);
+    } catch (error) {
+        throw new Error(`Invalid zip archive: ${error.message}`);
+    }
+
+    return zip.getEntries()
+        .filter(entry => !entry.isDirectory && PLAYER_FILE_PATTERN.test(path.posix.basename(entry.entryName)))
+        .sort((a, b) => a.entryName.localeCompare(b.entryName))
+        .map(entry => ({ name: path.posix.basename(entry.entryName), read: () => entry.getData() }));
+}
+
+/**
+ * Parse and validate one player file
+ *
+ * @param {string} name - File name ({steamId}.json)
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} { steamId, syncSeq, player, tracking } split for replacePlayerState
+ * @throws {Error} If the file is not valid v2 or its steamId does not match the name
+ */
+export function parsePlayerFile(name, buffer) {
+    let data;
+    try {
+        data = parseJsonBuffer(buffer);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const validation = validateV2Format(data);
+    if (!validation.valid) {
+        throw new Error(`Invalid v2 data: ${validation.errors.join('; ')}`);
+    }
+
+    const fileSteamId = name.match(PLAYER_FILE_PATTERN)?.[1];
+    if (fileSteamId && fileSteamId !== data.steamId) {
+        throw new Error(`File name does not match steamId ${data.steamId}`);
+    }
+
+    const { tracking = {}, ...player } = data;
+
+    return {
+        steamId: data.steamId,
+        syncSeq: Number(data.syncSeq) || 0,
+        player,
+        tracking: { v: 2, steamId: data.steamId, ...tracking }
+    };
+}
+
+/**
+ * Build the game's player file for a player loaded with findWithFullData
+ *
+ * @param {Object} player - Player record with associations
+ * @returns {Object} v2 player document with embedded tracking
+ */
+export function toPlayerFile(player) {
+    const { player: playerData, tracking } = dbToV2(player);
+    const { kills, vehicleKills, purchases, weaponXp, rewards } = tracking;
+
+    return { ...playerData, tracking: { kills, vehicleKills, purchases, weaponXp, rewards } };
+}
+
+/**
+ * Work out what importing a file would do
+ */
+function classifyFile(file, existing, force) {
+    if (!existing) return 'created';
+
+    const dbSeq = Number(existing.sync_seq) || 0;
+    if (file.syncSeq > dbSeq) return 'updated';
+    if (file.syncSeq === dbSeq) return 'unchanged';
+    return force ? 'forced' : 'conflict';
+}
+
+/**
+ * Write one parsed file, re-checking the sync_seq under the player lock
+ */
+async function writePlayerFile(file, force, user) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        let player = await models.Player.findOne({
+            where: { steam_id: file.steamId },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        const status = classifyFile(file, player, force);
+        const dbSeq = player ? Number(player.sync_seq) || 0 : null;
+
+        if (status === 'unchanged' || status === 'conflict') {
+            await transaction.rollback();
+            return { status, dbSeq };
+        }
+
+        if (player?.active_server_id) {
+            throw new Error(`Player is online on ${player.active_server_id}`);
+        }
+
+        if (player) {
+            await createSnapshot(file.steamId, 'admin_edit', {
+                createdBy: user ? String(user.id) : null,
+                note: 'Before player file import',
+                transaction
+            });
+        } else {
+            player = await models.Player.create({ steam_id: file.steamId }, { transaction });
+        }
+
+        await replacePlayerState(player, file, transaction);
+
+        // A forced older file must still beat stale copies of the newer data
+        let syncSeq = file.syncSeq;
+        if (status === 'forced') {
+            syncSeq = await bumpSyncSeq(player, { transaction });
+        } else {
+            await player.update({ sync_seq: syncSeq }, { transaction });
+        }
+
+        await transaction.commit();
+
+        return { status, dbSeq, syncSeq };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Import player files from a folder or zip archive
+ *
+ * Each file is handled on its own; invalid files and failures are reported per file.
+ *
+ * @param {Object} source - { folder }, { zipPath } or { zipBuffer } (see listPlayerFiles)
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Validate and compare with the database only
+ * @param {boolean} options.force - Also import files older than the database (conflicts)
+ * @param {Object} options.user - Dashboard user for snapshot attribution
+ * @returns {Promise<Object>} { dryRun, total, created, updated, forced, unchanged, conflict, invalid, failed, files }
+ */
+export async function importPlayerFiles(source, { dryRun = false, force = false, user = null } = {}) {
+    const models = getModels();
+    const files = listPlayerFiles(source);
+
+    const report = {
+        dryRun,
+        total: files.length,
+        created: 0,
+        updated: 0,
+        forced: 0,
+        unchanged: 0,
+        conflict: 0,
+        invalid: 0,
+        failed: 0,
+        files: []
+    };
+
+    for (const { name, read } of files) {
+        const entry = { file: name, steamId: null, status: null, fileSeq: null, dbSeq: null };
+
+        let parsed;
+        try {
+            parsed = parsePlayerFile(name, read());
+            entry.steamId = parsed.steamId;
+            entry.fileSeq = parsed.syncSeq;
+        } catch (error) {
+            entry.status = 'invalid';
+            entry.error = error.message;
+            report.invalid++;
+            report.files.push(entry);
+            continue;
+        }
+
+        try {
+            if (dryRun) {
+                const existing = await models.Player.findOne({
+                    where: { steam_id: parsed.steamId },
+                    attributes: ['id', 'sync_seq', 'active_server_id']
+                });
+
+                entry.status = classifyFile(parsed, existing, force);
+                entry.dbSeq = existing ? Number(existing.sync_seq) || 0 : null;
+                if (existing?.active_server_id && !['unchanged', 'conflict'].includes(entry.status)) {
+                    entry.warning = `Player is online on ${existing.active_server_id}`;
+                }
+            } else {
+                const result = await writePlayerFile(parsed, force, user);
+                entry.status = result.status;
+                entry.dbSeq = result.dbSeq;
+                if (result.syncSeq !== undefined) entry.syncSeq = result.syncSeq;
+            }
+
+            report[entry.status]++;
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            report.failed++;
+            logger.warn(`Player file ${name} failed: ${error.message}`);
+        }
+
+        report.files.push(entry);
+    }
+
+    logger.info(`${dryRun ? '[dry run] ' : ''}Player file import: ${report.total} files, ${report.created} created, ${report.updated} updated, ${report.forced} forced, ${report.unchanged} unchanged, ${report.conflict} conflicts, ${report.invalid} invalid, ${report.failed} failed`);
+
+    return report;
+}
+
+/**
+ * Load players for export in batches
+ * @param {string[]|null} steamIds - Players to export, null for everyone
+ */
+async function* iteratePlayersForExport(steamIds) {
+    const models = getModels();
+
+    if (steamIds) {
+        for (const steamId of steamIds) {
+            const player = await models.Player.findWithFullData(steamId);
+            if (!player) {
+                throw new Error(`Player not found: ${steamId}`);
+            }
+            yield player;
+        }
+        return;
+    }
+
+    let afterId = 0;
+    for (;;) {
+        const batch = await models.Player.findAll({
+            where: { id: { [Op.gt]: afterId } },
+            attributes: ['id'],
+            order: [['id', 'ASC']],
+            limit: EXPORT_BATCH_SIZE
+        });
+
+        if (batch.length === 0) return;
+
+        for (const { id } of batch) {
+            const player = await models.Player.findWithFullData(null, id);
+            if (player) yield player;
+        }
+
+        afterId = batch[batch.length - 1].id;
+    }
+}
+
+/**
+ * Export players to {steamId}.json files in a folder
+ *
+ * @param {string} folder - Output folder (created if missing)
+ * @param {string[]|null} steamIds - Players to export, null for everyone
+ * @returns {Promise<number>} Number of files written
+ */
+export async function exportPlayerFilesToFolder(folder, steamIds = null) {
+    fs.mkdirSync(folder, { recursive: true });
+
+    let count = 0;
+    for await (const player of iteratePlayersForExport(steamIds)) {
+        fs.writeFileSync(
+            path.join(folder, `${player.steam_id}.json`),
+            JSON.stringify(toPlayerFile(player), null, 2),
+            'utf-8'
+        );
+        count++;
+    }
+
+    logger.info(`Exported ${count} player files to ${folder}`);
+
+    return count;
+}
+
+/**
+ * Export players to a zip of {steamId}.json files
+ *
+ * @param {string[]|null} steamIds - Players to export, null for everyone
+ * @returns {Promise<Object>} { buffer, count }
+ */
+export async function exportPlayerFilesToZip(steamIds = null) {
+    const zip = new AdmZip();
+
+    let count = 0;
+    for await (const player of iteratePlayersForExport(steamIds)) {
+        zip.addFile(`${player.steam_id}.json`, Buffer.from(JSON.stringify(toPlayerFile(player), null, 2), 'utf-8'));
+        count++;
+    }
+
+    logger.info(`Exported ${count} player files to zip`);
+
+    return { buffer: zip.toBuffer(), count };
+}
+
+export default {
+    listPlayerFiles,
+    parsePlayerFile,
+    toPlayerFile,
+    importPlayerFiles,
+    exportPlayerFilesToFolder,
+    exportPlayerFilesToZip
+};
@@ -0,0 +1,270 @@
+/**
+ * Player Lookup Service
+ *
+ * Player search and the player detail view of the dashboard: the stored v2
+ * document plus what the game file does not show (store groups of loadout
+ * items, supporter expiry, Discord links, session and sync timeline).
+ */
+
+import { Op } from 'sequelize';
+import { getModels } from '../database/models/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { dbToV2 } from './gameDataTransformer.js';
+import { getPlayerSyncHistory } from './auditService.js';
+import { getModerationStatus } from './moderationService.js';
+
+const logger = createServiceLogger('PlayerLookupService');
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function likeEscape(value) {
+    return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Player IDs linked to a Discord user, by Discord ID or by the username of a dashboard user
+ */
+async function findLinkedPlayerIds(query) {
+    const models = getModels();
+    const discordIds = [];
+
+    if (/^\d{17,20}$/.test(query)) {
+        discordIds.push(query);
+    }
+
+    const users = await models.User.findAll({
+        where: { username: { [Op.like]: `%${likeEscape(query)}%` } },
+        attributes: ['id'],
+        limit: 50
+    });
+    discordIds.push(...users.map(user => String(user.id)));
+
+    if (discordIds.length === 0) return [];
+
+    const links = await models.DiscordLink.findAll({
+        where: { discord_id: discordIds },
+        attributes: ['player_id']
+    });
+
+    return links.map(link => link.player_id);
+}
+
+/**
+ * Search players by Steam ID, EOS ID, name or linked Discord user
+ *
+ * Steam and EOS IDs match exactly or by prefix, names anywhere, Discord users by
+ * ID or by username (for Discord users who have logged into the dashboard).
+ *
+ * @param {string} query - Search text
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max players to return (default 25)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} { players: [{ steamId, eosId, name, activeServerId, lastSeen, discordIds }], total, limit, offset }
+ * @throws {Error} 'Invalid search' if the query is too short
+ */
+export async function searchPlayers(query, { limit = 25, offset = 0 } = {}) {
+    const models = getModels();
+    const text = String(query || '').trim();
+
+    if (text.length < MIN_QUERY_LENGTH) {
+        throw new Error(`Invalid search: enter at least ${MIN_QUERY_LENGTH} characters`);
+    }
+
+    const prefix = `${likeEscape(text)}%`;
+    const conditions = [
+        { name: { [Op.like]: `%${likeEscape(text)}%` } }
+    ];
+
+    if (/^\d+$/.test(text)) {
+        conditions.push({ steam_id: text.length === 17 ? text : { [Op.like]: prefix } });
+    }
+
+    if (/^[0-9a-f]+$/i.test(text)) {
+        conditions.push({ eos_id: text.length === 32 ? text.toLowerCase() : { [Op.like]: prefix } });
+    }
+
+    const linkedIds = await findLinkedPlayerIds(text);
+    if (linkedIds.length > 0) {
+        conditions.push({ id: linkedIds });
+    }
+
+    const { rows, count } = await models.Player.findAndCountAll({
+        where: { [Op.or]: conditions },
+        include: [{ association: 'discordLinks', attributes: ['discord_id'] }],
+        order: [['updatedAt', 'DESC']],
+        distinct: true,
+        limit,
+        offset
+    });
+
+    return {
+        players: rows.map(player => ({
+            steamId: player.steam_id,
+            eosId: player.eos_id,
+            name: player.name,
+            activeServerId: player.active_server_id,
+            lastSeen: player.updatedAt,
+            discordIds: player.discordLinks.map(link => link.discord_id)
+        })),
+        total: count,
+        limit,
+        offset
+    };
+}
+
+/**
+ * Index store items by item path and by store name (group, name or item path)
+ * An item can be sold by several factions, so each key lists every store it is in.
+ */
+async function loadStoreIndex() {
+    const models = getModels();
+    const items = await models.StoreItem.findAll({
+        include: [{ association: 'category', attributes: ['faction', 'name'] }]
+    });
+
+    const byPath = new Map();
+    const byName = new Map();
+    const add = (map, key, entry) => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(entry);
+    };
+
+    for (const row of items) {
+        const entry = { group: row.name, faction: row.category?.faction || null, category: row.category?.name || null };
+        const data = row.data || {};
+
+        add(byName, row.name, entry);
+        add(byPath, data.item, entry);
+        for (const unlock of Array.isArray(data.xpUnlocks) ? data.xpUnlocks : []) {
+            add(byPath, unlock.item, entry);
+        }
+    }
+
+    return { byPath, byName };
+}
+
+/**
+ * Group name and stores of a list of store matches
+ */
+function storeMatch(matches) {
+    if (!matches || matches.length === 0) {
+        return { group: null, stores: [] };
+    }
+
+    return {
+        group: matches[0].group,
+        stores: matches.map(({ faction, category }) => ({ faction, category }))
+    };
+}
+
+/**
+ * Everything the dashboard shows about a player
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {Object} options - Options
+ * @param {number} options.historyLimit - Sync timeline entries (default 50)
+ *   Timeline entries leave out the before/after documents and payload.
+ * @returns {Promise<Object>} { document, player, loadout, perks, permaUnlocks, supporterStatus, discordLinks, session, moderation, syncHistory }
+ * @throws {Error} 'Player not found'
+ */
+export async function getPlayerDetail(steamId, { historyLimit = 50 } = {}) {
+    const models = getModels();
+    const player = await models.Player.findWithFullData(steamId);
+
+    if (!player) {
+        throw new Error(`Player not found: ${steamId}`);
+    }
+
+    const [links, storeIndex, moderation, history, server] = await Promise.all([
+        models.DiscordLink.findAll({ where: { player_id: player.id }, order: [['linked_at', 'ASC']] }),
+        loadStoreIndex(),
+        getModerationStatus(player.id),
+        getPlayerSyncHistory(steamId, { limit: historyLimit }),
+        player.active_server_id
+            ? models.GameServer.findOne({ where: { server_id: player.active_server_id }, attributes: ['server_id', 'server_name'] })
+            : null
+    ]);
+
+    const users = links.length > 0
+        ? await models.User.findAll({ where: { id: links.map(link => link.discord_id) }, attributes: ['id', 'username'] })
+        : [];
+    const usernames = new Map(users.map(user => [String(user.id), user.username]));
+
+    const supporter = player.supporterStatus;
+    const now = new Date();
+
+    logger.debug(`Player detail for ${steamId}: ${history.length} sync entries`);
+
+    return {
+        document: dbToV2(player),
+        player: {
+            id: player.id,
+            steamId: player.steam_id,
+            eosId: player.eos_id,
+            name: player.name,
+            syncSeq: Number(player.sync_seq),
+            createdAt: player.createdAt,
+            updatedAt: player.updatedAt
+        },
+        loadout: [...(player.loadout || [])]
+            .sort((a, b) => a.slot - b.slot)
+            .map(slot => ({
+                slot: slot.slot,
+                family: slot.family,
+                item: slot.item,
+                count: slot.count,
+                ...storeMatch(storeIndex.byPath.get(slot.item))
+            })),
+        perks: (player.perks || []).map(perk => perk.perk_name),
+        permaUnlocks: (player.permaUnlocks || []).map(unlock => ({
+            name: unlock.weapon_name,
+            unlockedAt: unlock.unlocked_at,
+            ...storeMatch(storeIndex.byName.get(unlock.weapon_name) || storeIndex.byPath.get(unlock.weapon_name))
+        })),
+        supporterStatus: supporter
+            ? {
+                type: supporter.status_type,
+                expiresAt: supporter.expires_at,
+                grantedBy: supporter.granted_by,
+                grantedAt: supporter.granted_at,
+                active: !supporter.expires_at || supporter.expires_at > now
+            }
+            : null,
+        discordLinks: links.map(link => ({
+            discordId: link.discord_id,
+            username: usernames.get(String(link.discord_id)) || null,
+            verified: link.verified,
+            linkedAt: link.linked_at,
+            verifiedAt: link.verified_at
+        })),
+        session: {
+            activeServerId: player.active_server_id,
+            activeServerName: server?.server_name || null,
+            activeSince: player.active_since
+        },
+        moderation,
+        syncHistory: history.map(entry => ({
+            id: entry.id,
+            serverId: entry.server_id,
+            syncType: entry.sync_type,
+            syncSeqBefore: entry.sync_seq_before,
+            syncSeqAfter: entry.sync_seq_after,
+            flagged: entry.flagged,
+            flagReason: entry.flag_reason,
+            rejected: entry.rejected,
+            quarantined: entry.quarantined,
+            reviewStatus: entry.review_status,
+            durationMs: entry.duration_ms,
+            createdAt: entry.created_at
+        }))
+    };
+}
+
+export default {
+    searchPlayers,
+    getPlayerDetail
+};
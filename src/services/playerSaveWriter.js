@@ -0,0 +1,223 @@
+/**
+ * Player Save Writer
+ *
+ * Applies a save from the game server (v2 player document plus tracking) to a
+ * player loaded with Player.findWithFullData, writing only what changed:
+ *
+ * - one-row tables (stats, skins, supporter status) get an UPDATE of the changed
+ *   columns, or nothing when the save matches
+ * - list tables get at most one multi-row DELETE and one multi-row INSERT
+ *   (tracking counters: INSERT ... ON DUPLICATE KEY UPDATE)
+ *
+ * The result is the same as the per-row writes of the sync handlers it replaces:
+ * loadout and perks follow the save exactly, perma unlocks and tracking counters
+ * are only added or updated, supporter status only changes its type.
+ *
+ * Tracking rows last written before the current session are rewritten even when
+ * the count matches: statHistoryService reads updated_at to tell the session apart.
+ */
+
+import { getModels } from '../database/models/index.js';
+import { v2PlayerToDbParts, v2TrackingToDbParts } from './gameDataTransformer.js';
+
+/**
+ * One-row tables: association on the loaded player, dbParts key and compared columns
+ */
+const SINGLE_TABLES = {
+    PlayerStats: {
+        association: 'stats',
+        part: 'stats',
+        columns: [
+            'currency_total', 'currency_spent', 'xp', 'xp_total', 'prestige', 'perma_tokens',
+            'daily_claims', 'games_played', 'time_played', 'join_time', 'daily_claim_time'
+        ]
+    },
+    PlayerSkin: { association: 'skins', part: 'skins', columns: ['indfor', 'blufor', 'redfor'] },
+    PlayerSupporterStatus: { association: 'supporterStatus', part: 'supporterStatus', columns: ['status_type'] }
+};
+
+/**
+ * List tables
+ * key: identifies a row; value: counter column updated in place (tracking);
+ * exact: rows missing from the save are deleted; duplicates: no unique key on the table
+ */
+const LIST_TABLES = {
+    LoadoutSlot: { association: 'loadout', part: 'loadout', key: ['slot', 'family', 'item', 'count'], exact: true, duplicates: true },
+    PlayerPerk: { association: 'perks', part: 'perks', key: ['perk_name'], exact: true },
+    PlayerPermanentUnlock: { association: 'permaUnlocks', part: 'permaUnlocks', key: ['weapon_name'] },
+    PlayerReward: { association: 'rewards', part: 'rewards', key: ['reward_type'], value: 'count', tracking: true },
+    PlayerKill: { association: 'kills', part: 'kills', key: ['victim_steam_id'], value: 'count', tracking: true, foreignKey: 'killer_id' },
+    PlayerVehicleKill: { association: 'vehicleKills', part: 'vehicleKills', key: ['vehicle_name'], value: 'count', tracking: true },
+    PlayerPurchase: { association: 'purchases', part: 'purchases', key: ['item_name'], value: 'count', tracking: true },
+    PlayerWeaponXp: { association: 'weaponXp', part: 'weaponXp', key: ['weapon_name'], value: 'xp', tracking: true }
+};
+
+/**
+ * Compare a stored column with an incoming value
+ * Dates compare by time; BIGINT columns may come back from MariaDB as strings.
+ */
+function sameValue(stored, incoming) {
+    if (stored === null || stored === undefined || incoming === null || incoming === undefined) {
+        return (stored ?? null) === (incoming ?? null);
+    }
+
+    if (stored instanceof Date || incoming instanceof Date) {
+        return new Date(stored).getTime() === new Date(incoming).getTime();
+    }
+
+    return String(stored) === String(incoming);
+}
+
+function rowKey(row, columns) {
+    return columns.map(column => String(row[column] ?? '')).join('\u0000');
+}
+
+/**
+ * Work out the writes a save needs
+ *
+ * @param {Object} player - Player loaded with findWithFullData
+ * @param {Object} playerParts - v2PlayerToDbParts result
+ * @param {Object|null} trackingParts - v2TrackingToDbParts result (null = save without tracking)
+ * @param {Date|null} sessionStart - When the player's current session started
+ * @returns {Object} { player, updates, removals, inserts }
+ *   player: changed players table columns; updates: [{ table, row, values }] (row null = insert);
+ *   removals: [{ table, ids }]; inserts: [{ table, rows, upsert }]
+ */
+export function planSaveWrites(player, playerParts, trackingParts, sessionStart = null) {
+    const since = sessionStart ? new Date(sessionStart) : null;
+    const plan = { player: {}, updates: [], removals: [], inserts: [] };
+
+    const playerValues = {
+        eos_id: playerParts.player.eos_id || player.eos_id,
+        name: playerParts.player.name || player.name,
+        sync_seq: playerParts.player.sync_seq
+    };
+    for (const [column, value] of Object.entries(playerValues)) {
+        if (!sameValue(player[column], value)) plan.player[column] = value;
+    }
+
+    for (const [table, { association, part, columns }] of Object.entries(SINGLE_TABLES)) {
+        const values = playerParts[part];
+        if (!values) continue;
+
+        const row = player[association] || null;
+        const changed = {};
+        for (const column of columns) {
+            if (!row || !sameValue(row[column], values[column])) changed[column] = values[column];
+        }
+
+        if (Object.keys(changed).length > 0) {
+            plan.updates.push({ table, row, values: row ? changed : values });
+        }
+    }
+
+    for (const [table, { association, part, key, value, exact, tracking }] of Object.entries(LIST_TABLES)) {
+        if (tracking && !trackingParts) continue;
+
+        const incoming = (tracking ? trackingParts : playerParts)[part];
+
+        // Stored rows by key; a list, since loadouts may hold the same item twice
+        const stored = new Map();
+        for (const row of player[association] || []) {
+            const k = rowKey(row, key);
+            if (!stored.has(k)) stored.set(k, []);
+            stored.get(k).push(row);
+        }
+
+        const rows = [];
+        for (const entry of incoming) {
+            const matches = stored.get(rowKey(entry, key));
+            const match = matches && matches.shift();
+
+            const current = match && (!value || (
+                sameValue(match[value], entry[value]) && (!tracking || !since || new Date(match.updatedAt) >= since)
+            ));
+
+            if (!current) {
+                rows.push(entry);
+            }
+        }
+
+        if (exact) {
+            const ids = [...stored.values()].flat().map(row => row.id);
+            if (ids.length > 0) plan.removals.push({ table, ids });
+        }
+
+        if (rows.length > 0) {
+            plan.inserts.push({ table, rows, upsert: Boolean(value) });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Number of SQL statements a plan runs
+ */
+export function countPlanStatements(plan) {
+    return (Object.keys(plan.player).length > 0 ? 1 : 0)
+        + plan.updates.length
+        + plan.removals.length
+        + plan.inserts.length;
+}
+
+/**
+ * Apply a save to a player's tables
+ *
+ * Call inside the sync transaction, after anything that compares against the
+ * loaded values (anti-cheat rules, recordSyncDeltas).
+ *
+ * @param {Object} player - Player loaded with findWithFullData
+ * @param {Object} playerData - v2 player document
+ * @param {Object|null} trackingData - v2 tracking section
+ * @param {Object} options - Options
+ * @param {Date|null} options.sessionStart - When the player's current session started
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<number>} Statements run
+ */
+export async function writePlayerSave(player, playerData, trackingData, { sessionStart = null, transaction }) {
+    const models = getModels();
+    const plan = planSaveWrites(
+        player,
+        v2PlayerToDbParts(playerData),
+        trackingData ? v2TrackingToDbParts(trackingData) : null,
+        sessionStart
+    );
+
+    if (Object.keys(plan.player).length > 0) {
+        await player.update(plan.player, { transaction });
+    }
+
+    for (const { table, row, values } of plan.updates) {
+        if (row) {
+            await row.update(values, { transaction });
+        } else {
+            await models[table].upsert({ player_id: player.id, ...values }, { transaction });
+        }
+    }
+
+    for (const { table, ids } of plan.removals) {
+        await models[table].destroy({ where: { id: ids }, transaction });
+    }
+
+    for (const { table, rows, upsert } of plan.inserts) {
+        const { foreignKey = 'player_id', value, duplicates = false } = LIST_TABLES[table];
+        const records = rows.map(row => ({ [foreignKey]: player.id, ...row }));
+
+        // updateOnDuplicate takes attribute names: 'updated_at' would be silently dropped
+        await models[table].bulkCreate(records, {
+            transaction,
+            ...(upsert
+                ? { updateOnDuplicate: [value, 'updatedAt'] }
+                : { ignoreDuplicates: !duplicates })
+        });
+    }
+
+    return countPlanStatements(plan);
+}
+
+export default {
+    planSaveWrites,
+    countPlanStatements,
+    writePlayerSave
+};
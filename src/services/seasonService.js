@@ -0,0 +1,420 @@
+/**
+ * Season Service
+ *
+ * Seasons run from starts_at to ends_at. When a season ends:
+ * 1. every player's sync_seq is bumped, which locks the player rows so
+ *    in-flight syncs finish first and later stale syncs are rejected
+ * 2. final standings are archived into season_results
+ * 3. the season's reset fields are zeroed in player_stats
+ * 4. online players are pushed their reset data (gameServerConnector.pushPlayerData)
+ *
+ * Perma unlocks, supporter status, skins and every other table persist.
+ * Lifetime gains stay available in stat_history.
+ */
+
+import { Op } from 'sequelize';
+import { seasons as seasonConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { ADMIN_SYNC_SEQ_BUMP } from './syncService.js';
+import { pushPlayerData } from './gameServerConnector.js';
+import { clearLeaderboardCache } from './leaderboardService.js';
+
+const logger = createServiceLogger('SeasonService');
+
+/**
+ * player_stats columns zeroed for each resettable stat group
+ */
+export const RESET_GROUPS = {
+    xp: ['xp', 'xp_total'],
+    currency: ['currency', 'currency_total', 'currency_spent'],
+    prestige: ['prestige'],
+    perma_tokens: ['perma_tokens'],
+    daily_claims: ['daily_claims']
+};
+
+export const DEFAULT_RESET_FIELDS = ['xp', 'currency', 'prestige', 'perma_tokens'];
+
+let schedulerTimer = null;
+let scheduleRunning = false;
+
+/**
+ * Validate season fields, returning column values or throwing 'Invalid season: ...'
+ */
+function validateSeasonFields({ name, startsAt, endsAt, resetFields }, current = null) {
+    const values = {};
+
+    if (name !== undefined || !current) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            throw new Error('Invalid season: name must be 1-100 characters');
+        }
+        values.name = name.trim();
+    }
+
+    if (startsAt !== undefined || !current) {
+        values.starts_at = new Date(startsAt);
+        if (Number.isNaN(values.starts_at.getTime())) {
+            throw new Error('Invalid season: startsAt is not a valid date');
+        }
+    }
+
+    if (endsAt !== undefined || !current) {
+        values.ends_at = new Date(endsAt);
+        if (Number.isNaN(values.ends_at.getTime())) {
+            throw new Error('Invalid season: endsAt is not a valid date');
+        }
+    }
+
+    if (resetFields !== undefined || !current) {
+        const fields = resetFields ?? DEFAULT_RESET_FIELDS;
+        if (!Array.isArray(fields) || fields.some(field => !RESET_GROUPS[field])) {
+            throw new Error(`Invalid season: resetFields must be a list of ${Object.keys(RESET_GROUPS).join(', ')}`);
+        }
+        values.reset_fields = [...new Set(fields)];
+    }
+
+    const startsAtValue = values.starts_at || current?.starts_at;
+    const endsAtValue = values.ends_at || current?.ends_at;
+    if (new Date(endsAtValue) <= new Date(startsAtValue)) {
+        throw new Error('Invalid season: endsAt must be after startsAt');
+    }
+
+    return values;
+}
+
+/**
+ * Reject seasons that overlap another scheduled or active season
+ */
+async function checkOverlap(startsAt, endsAt, excludeId = null) {
+    const models = getModels();
+    const where = {
+        status: { [Op.ne]: 'ended' },
+        starts_at: { [Op.lt]: endsAt },
+        ends_at: { [Op.gt]: startsAt }
+    };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+
+    const overlapping = await models.Season.findOne({ where });
+    if (overlapping) {
+        throw new Error(`Invalid season: overlaps season "${overlapping.name}"`);
+    }
+}
+
+/**
+ * List all seasons, newest first
+ *
+ * @returns {Promise<Array>} Season records
+ */
+export async function listSeasons() {
+    const models = getModels();
+    return models.Season.findAll({ order: [['starts_at', 'DESC']] });
+}
+
+/**
+ * Get a season by ID
+ *
+ * @param {number} seasonId - Season ID
+ * @returns {Promise<Object>} Season record
+ */
+export async function getSeason(seasonId) {
+    const models = getModels();
+    const season = await models.Season.findByPk(seasonId);
+
+    if (!season) {
+        throw new Error(`Season not found: ${seasonId}`);
+    }
+
+    return season;
+}
+
+/**
+ * Schedule a new season
+ * The scheduler activates it once starts_at has passed.
+ *
+ * @param {Object} fields - { name, startsAt, endsAt, resetFields? }
+ * @param {Object} user - Dashboard user (req.user)
+ * @returns {Promise<Object>} Created season
+ */
+export async function createSeason(fields, user) {
+    const models = getModels();
+    const values = validateSeasonFields(fields);
+
+    await checkOverlap(values.starts_at, values.ends_at);
+
+    const season = await models.Season.create({
+        ...values,
+        status: 'scheduled',
+        created_by: user ? String(user.id) : null
+    });
+
+    logger.info(`Season "${season.name}" scheduled ${season.starts_at.toISOString()} - ${season.ends_at.toISOString()}`);
+
+    return season;
+}
+
+/**
+ * Change a season that has not ended
+ * The start of an active season cannot be moved.
+ *
+ * @param {number} seasonId - Season ID
+ * @param {Object} fields - Any of { name, startsAt, endsAt, resetFields }
+ * @returns {Promise<Object>} Updated season
+ */
+export async function updateSeason(seasonId, fields) {
+    const season = await getSeason(seasonId);
+
+    if (season.status === 'ended') {
+        throw new Error('Season already ended');
+    }
+
+    if (season.status === 'active' && fields.startsAt !== undefined) {
+        throw new Error('Invalid season: the start of an active season cannot be changed');
+    }
+
+    const values = validateSeasonFields(fields, season);
+
+    await checkOverlap(values.starts_at || season.starts_at, values.ends_at || season.ends_at, season.id);
+
+    await season.update(values);
+
+    return season;
+}
+
+/**
+ * Delete a season that has not started
+ *
+ * @param {number} seasonId - Season ID
+ */
+export async function deleteSeason(seasonId) {
+    const season = await getSeason(seasonId);
+
+    if (season.status !== 'scheduled') {
+        throw new Error('Season already started');
+    }
+
+    await season.destroy();
+}
+
+/**
+ * Activate a scheduled season
+ *
+ * @param {Object} season - Season record
+ * @returns {Promise<Object>} Activated season
+ */
+async function startSeason(season) {
+    await season.update({ status: 'active' });
+    clearLeaderboardCache();
+
+    logger.info(`Season "${season.name}" started`);
+
+    return season;
+}
+
+/**
+ * End a season: archive standings, reset stats and push online players
+ *
+ * @param {number} seasonId - Season ID
+ * @returns {Promise<Object>} { season, resultsCount, playersReset, onlinePlayers, pushed }
+ */
+export async function endSeason(seasonId) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    let season;
+    let resultsCount;
+    let playersReset;
+
+    try {
+        season = await models.Season.findByPk(seasonId, { transaction, lock: transaction.LOCK.UPDATE });
+
+        if (!season) {
+            throw new Error(`Season not found: ${seasonId}`);
+        }
+
+        if (season.status === 'ended') {
+            throw new Error('Season already ended');
+        }
+
+        if (season.status === 'scheduled') {
+            throw new Error('Season not started');
+        }
+
+        // Locks every player row: syncs holding a player lock finish first, later ones
+        // wait for this transaction and then fail the sync_seq check with their stale data
+        await sequelize.query(
+            'UPDATE players SET sync_seq = sync_seq + :bump',
+            { replacements: { bump: ADMIN_SYNC_SEQ_BUMP }, transaction }
+        );
+
+        await sequelize.query(
+            `INSERT INTO season_results
+                (season_id, player_id, steam_id, player_name, \`rank\`, xp_total, prestige, currency_total, time_played, kills, created_at)
+            SELECT :seasonId, p.id, p.steam_id, p.name,
+                ROW_NUMBER() OVER (ORDER BY s.xp_total DESC, s.prestige DESC, p.id ASC),
+                s.xp_total, s.prestige, s.currency_total, s.time_played, COALESCE(k.kills, 0), NOW()
+            FROM player_stats s
+            JOIN players p ON p.id = s.player_id
+            LEFT JOIN (
+                SELECT player_id, SUM(value) AS kills
+                FROM stat_history
+                WHERE stat = 'kills' AND bucket_start >= :startsAt
+                GROUP BY player_id
+            ) k ON k.player_id = p.id
+            WHERE s.xp_total > 0 OR s.prestige > 0`,
+            { replacements: { seasonId: season.id, startsAt: season.starts_at }, transaction }
+        );
+
+        resultsCount = await models.SeasonResult.count({ where: { season_id: season.id }, transaction });
+
+        const resetValues = {};
+        for (const field of season.reset_fields) {
+            for (const column of RESET_GROUPS[field] || []) {
+                resetValues[column] = 0;
+            }
+        }
+
+        [playersReset] = Object.keys(resetValues).length > 0
+            ? await models.PlayerStats.update(resetValues, { where: {}, transaction })
+            : [0];
+
+        await season.update({
+            status: 'ended',
+            ended_at: new Date(),
+            results_count: resultsCount
+        }, { transaction });
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    clearLeaderboardCache();
+
+    // Online players continue from the reset data and the new sync_seq
+    const onlinePlayers = await models.Player.findAll({
+        where: { active_server_id: { [Op.ne]: null } },
+        attributes: ['steam_id']
+    });
+
+    let pushed = 0;
+    for (const { steam_id: steamId } of onlinePlayers) {
+        try {
+            if (await pushPlayerData(steamId)) {
+                pushed++;
+            }
+        } catch (error) {
+            logger.error(`Failed to push season reset to ${steamId}: ${error.message}`);
+        }
+    }
+
+    logger.warn(`Season "${season.name}" ended: ${resultsCount} standings archived, ${playersReset} players reset, ${pushed}/${onlinePlayers.length} online players pushed`);
+
+    return {
+        season,
+        resultsCount,
+        playersReset,
+        onlinePlayers: onlinePlayers.length,
+        pushed
+    };
+}
+
+/**
+ * Get a season's archived standings
+ *
+ * @param {number} seasonId - Season ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max entries to return (default 50)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} { season, results, total, limit, offset }
+ */
+export async function getSeasonResults(seasonId, { limit = 50, offset = 0 } = {}) {
+    const models = getModels();
+    const season = await getSeason(seasonId);
+
+    const { rows, count } = await models.SeasonResult.findAndCountAll({
+        where: { season_id: season.id },
+        order: [['rank', 'ASC']],
+        limit,
+        offset
+    });
+
+    return {
+        season,
+        results: rows,
+        total: count,
+        limit,
+        offset
+    };
+}
+
+/**
+ * End the active season once its end time has passed, then start the next due season
+ */
+export async function runSeasonSchedule() {
+    const models = getModels();
+
+    if (scheduleRunning) return;
+    scheduleRunning = true;
+
+    try {
+        let active = await models.Season.getActive();
+
+        if (active?.isDue()) {
+            await endSeason(active.id);
+            active = null;
+        }
+
+        if (!active) {
+            const next = await models.Season.getDueToStart();
+            if (next) {
+                await startSeason(next);
+            }
+        }
+    } catch (error) {
+        logger.error(`Season schedule failed: ${error.message}`);
+    } finally {
+        scheduleRunning = false;
+    }
+}
+
+/**
+ * Start the periodic season start/end check
+ */
+export function startSeasonScheduler() {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(runSeasonSchedule, seasonConfig.schedulerInterval);
+    schedulerTimer.unref();
+
+    runSeasonSchedule();
+
+    logger.info(`Season scheduler started (every ${Math.round(seasonConfig.schedulerInterval / 1000)}s)`);
+}
+
+/**
+ * Stop the season scheduler
+ */
+export function stopSeasonScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+export default {
+    RESET_GROUPS,
+    DEFAULT_RESET_FIELDS,
+    listSeasons,
+    getSeason,
+    createSeason,
+    updateSeason,
+    deleteSeason,
+    endSeason,
+    getSeasonResults,
+    runSeasonSchedule,
+    startSeasonScheduler,
+    stopSeasonScheduler
+};
@@ -0,0 +1,369 @@
+/**
+ * Player Snapshot Service
+ *
+ * Keeps full v2 player documents (dbToV2: player + tracking) so a player can be
+ * restored to a point in time after a bad sync, an exploit or a wipe bug.
+ *
+ * Snapshots are taken:
+ * - after each disconnect sync (config.snapshots.onDisconnect)
+ * - daily for every player active in the last day (config.snapshots.daily)
+ * - before any admin edit of player data (admin_edit / pre_restore)
+ * - on demand from the dashboard (manual)
+ */
+
+import { Op, QueryTypes } from 'sequelize';
+import { snapshots as snapshotConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import databaseManager from '../database/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { dbToV2, v2PlayerToDbParts, v2TrackingToDbParts } from './gameDataTransformer.js';
+import { bumpSyncSeq, lockPlayer } from './syncService.js';
+
+const logger = createServiceLogger('SnapshotService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Store a snapshot of an already loaded player (findWithFullData)
+ */
+async function snapshotPlayer(player, reason, { createdBy = null, note = null, transaction } = {}) {
+    const models = getModels();
+
+    return models.PlayerSnapshot.create({
+        player_id: player.id,
+        steam_id: player.steam_id,
+        reason,
+        sync_seq: Number(player.sync_seq) || 0,
+        data: dbToV2(player),
+        created_by: createdBy,
+        note
+    }, { transaction });
+}
+
+/**
+ * Replace every table of a player's state with a v2 document
+ *
+ * One-row tables are recreated (or removed if the document has no section),
+ * list tables are cleared and refilled, so the result matches the document exactly.
+ *
+ * @param {Object} player - Player record
+ * @param {Object} data - { player, tracking } in v2 format
+ * @param {Object} transaction - Sequelize transaction
+ */
+export async function replacePlayerState(player, data, transaction) {
+    const models = getModels();
+    const playerParts = v2PlayerToDbParts(data.player);
+    const trackingParts = v2TrackingToDbParts(data.tracking);
+
+    await player.update({
+        eos_id: playerParts.player.eos_id,
+        name: playerParts.player.name
+    }, { transaction });
+
+    const singleTables = [
+        [models.PlayerStats, playerParts.stats],
+        [models.PlayerSkin, playerParts.skins],
+        [models.PlayerSupporterStatus, playerParts.supporterStatus]
+    ];
+
+    for (const [Model, values] of singleTables) {
+        await Model.destroy({ where: { player_id: player.id }, transaction });
+        if (values) {
+            await Model.create({ player_id: player.id, ...values }, { transaction });
+        }
+    }
+
+    const listTables = [
+        [models.LoadoutSlot, 'player_id', playerParts.loadout],
+        [models.PlayerPerk, 'player_id', playerParts.perks],
+        [models.PlayerPermanentUnlock, 'player_id', playerParts.permaUnlocks],
+        [models.PlayerReward, 'player_id', trackingParts.rewards],
+        [models.PlayerKill, 'killer_id', trackingParts.kills],
+        [models.PlayerVehicleKill, 'player_id', trackingParts.vehicleKills],
+        [models.PlayerPurchase, 'player_id', trackingParts.purchases],
+        [models.PlayerWeaponXp, 'player_id', trackingParts.weaponXp]
+    ];
+
+    for (const [Model, foreignKey, rows] of listTables) {
+        await Model.destroy({ where: { [foreignKey]: player.id }, transaction });
+        if (rows.length > 0) {
+            await Model.bulkCreate(rows.map(row => ({ [foreignKey]: player.id, ...row })), { transaction });
+        }
+    }
+}
+
+/**
+ * Take a snapshot of a player's current state
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {string} reason - 'disconnect', 'daily', 'admin_edit', 'pre_restore' or 'manual'
+ * @param {Object} options - Snapshot options
+ * @param {string} options.createdBy - Discord user ID for admin snapshots
+ * @param {string} options.note - Free-text note
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Created snapshot or null if the player does not exist
+ */
+export async function createSnapshot(steamId, reason, { createdBy = null, note = null, transaction } = {}) {
+    const models = getModels();
+    const player = await models.Player.findWithFullData(steamId, null, { transaction });
+
+    if (!player) {
+        return null;
+    }
+
+    const snapshot = await snapshotPlayer(player, reason, { createdBy, note, transaction });
+
+    logger.debug(`Snapshot ${snapshot.id} (${reason}) taken for ${steamId} at seq ${snapshot.sync_seq}`);
+
+    return snapshot;
+}
+
+/**
+ * List a player's snapshots, newest first (without document data)
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {Object} options - Query options
+ * @param {string} options.reason - Filter by reason
+ * @param {number} options.limit - Max entries to return (default 50)
+ * @param {number} options.offset - Pagination offset (default 0)
+ * @returns {Promise<Object>} Snapshots with count
+ */
+export async function listSnapshots(steamId, { reason, limit = 50, offset = 0 } = {}) {
+    const models = getModels();
+    const player = await models.Player.findOne({ where: { steam_id: steamId } });
+
+    if (!player) {
+        throw new Error(`Player not found: ${steamId}`);
+    }
+
+    const { rows, count } = await models.PlayerSnapshot.listForPlayer(player.id, { reason, limit, offset });
+
+    return {
+        snapshots: rows,
+        total: count,
+        limit,
+        offset
+    };
+}
+
+/**
+ * Get a single snapshot including its document
+ *
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot record
+ */
+export async function getSnapshot(snapshotId) {
+    const models = getModels();
+    const snapshot = await models.PlayerSnapshot.findByPk(snapshotId);
+
+    if (!snapshot) {
+        throw new Error(`Snapshot not found: ${snapshotId}`);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Restore a player to a snapshot
+ *
+ * Runs in one transaction: the current state is saved as a pre_restore snapshot,
+ * every player table is replaced from the snapshot document, and sync_seq is bumped
+ * so the game server cannot overwrite the restore. The caller should push the player
+ * to their active server afterwards (gameServerConnector.pushPlayerData).
+ *
+ * @param {number} snapshotId - Snapshot to restore
+ * @param {Object} options - Restore options
+ * @param {Object} options.user - Dashboard user (req.user)
+ * @param {string} options.note - Optional note stored on the pre_restore snapshot
+ * @returns {Promise<Object>} { steamId, syncSeq, snapshot, preRestoreSnapshotId }
+ */
+export async function restoreSnapshot(snapshotId, { user, note = null }) {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    const transaction = await sequelize.transaction();
+
+    try {
+        const snapshot = await models.PlayerSnapshot.findByPk(snapshotId, { transaction });
+
+        if (!snapshot) {
+            throw new Error(`Snapshot not found: ${snapshotId}`);
+        }
+
+        // Row locked like the sync handlers, so a save cannot interleave with the restore
+        await lockPlayer(snapshot.steam_id, transaction);
+        const player = await models.Player.findWithFullData(null, snapshot.player_id, { transaction });
+
+        if (!player) {
+            throw new Error(`Player not found: ${snapshot.steam_id}`);
+        }
+
+        const preRestore = await snapshotPlayer(player, 'pre_restore', {
+            createdBy: String(user.id),
+            note: note || `Before restoring snapshot ${snapshotId}`,
+            transaction
+        });
+
+        await replacePlayerState(player, snapshot.data, transaction);
+        const syncSeq = await bumpSyncSeq(player, { transaction });
+
+        await transaction.commit();
+
+        logger.warn(`Snapshot ${snapshotId} restored for ${player.steam_id} by ${user.username} (seq ${syncSeq})`);
+
+        return {
+            steamId: player.steam_id,
+            syncSeq,
+            snapshot,
+            preRestoreSnapshotId: preRestore.id
+        };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Take a daily snapshot of every player active in the last day
+ * Players that already have a daily snapshot within the last day are skipped.
+ *
+ * @returns {Promise<number>} Number of snapshots taken
+ */
+export async function runDailySnapshots() {
+    const models = getModels();
+    const since = new Date(Date.now() - DAY_MS);
+
+    const activePlayers = await models.Player.findAll({
+        where: { updated_at: { [Op.gte]: since } },
+        attributes: ['id', 'steam_id']
+    });
+
+    const recent = await models.PlayerSnapshot.findAll({
+        where: { reason: 'daily', created_at: { [Op.gte]: since } },
+        attributes: ['player_id']
+    });
+    const alreadyTaken = new Set(recent.map(snapshot => String(snapshot.player_id)));
+
+    let taken = 0;
+
+    for (const { id, steam_id: steamId } of activePlayers) {
+        if (alreadyTaken.has(String(id))) continue;
+
+        try {
+            if (await createSnapshot(steamId, 'daily')) {
+                taken++;
+            }
+        } catch (error) {
+            logger.error(`Daily snapshot failed for ${steamId}: ${error.message}`);
+        }
+    }
+
+    if (taken > 0) {
+        logger.info(`Daily snapshots: ${taken} taken`);
+    }
+
+    return taken;
+}
+
+/**
+ * Delete snapshots past their retention period
+ * The latest config.snapshots.keepLatestDisconnect disconnect snapshots of each player are always kept.
+ *
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function pruneSnapshots() {
+    const models = getModels();
+    const sequelize = databaseManager.getSequelize();
+    let deleted = 0;
+
+    for (const [reason, days] of Object.entries(snapshotConfig.retentionDays)) {
+        if (!days) continue;
+
+        const cutoff = new Date(Date.now() - days * DAY_MS);
+
+        if (reason === 'disconnect' && snapshotConfig.keepLatestDisconnect > 0) {
+            const expired = await sequelize.query(
+                `SELECT id FROM (
+                    SELECT id, created_at,
+                        ROW_NUMBER() OVER (PARTITION BY player_id ORDER BY created_at DESC) AS position
+                    FROM player_snapshots
+                    WHERE reason = 'disconnect'
+                ) ranked
+                WHERE position > :keep AND created_at < :cutoff`,
+                {
+                    replacements: { keep: snapshotConfig.keepLatestDisconnect, cutoff },
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (expired.length > 0) {
+                deleted += await models.PlayerSnapshot.destroy({
+                    where: { id: expired.map(row => row.id) }
+                });
+            }
+            continue;
+        }
+
+        deleted += await models.PlayerSnapshot.destroy({
+            where: { reason, created_at: { [Op.lt]: cutoff } }
+        });
+    }
+
+    if (deleted > 0) {
+        logger.info(`Pruned ${deleted} expired snapshots`);
+    }
+
+    return deleted;
+}
+
+/**
+ * Run one scheduler pass: daily snapshots then retention
+ */
+async function runScheduledTasks() {
+    try {
+        if (snapshotConfig.daily) {
+            await runDailySnapshots();
+        }
+        await pruneSnapshots();
+    } catch (error) {
+        logger.error(`Scheduled snapshot tasks failed: ${error.message}`);
+    }
+}
+
+/**
+ * Start the periodic daily snapshot and retention job
+ */
+export function startSnapshotScheduler() {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(runScheduledTasks, snapshotConfig.schedulerInterval);
+    schedulerTimer.unref();
+
+    // First pass shortly after startup rather than a full interval later
+    setTimeout(runScheduledTasks, 60000).unref();
+
+    logger.info(`Snapshot scheduler started (every ${Math.round(snapshotConfig.schedulerInterval / 60000)} min)`);
+}
+
+/**
+ * Stop the snapshot scheduler
+ */
+export function stopSnapshotScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+export default {
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    restoreSnapshot,
+    replacePlayerState,
+    runDailySnapshots,
+    pruneSnapshots,
+    startSnapshotScheduler,
+    stopSnapshotScheduler
+};
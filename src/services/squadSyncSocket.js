@@ -6,9 +6,15 @@
  */
 
 import { createServiceLogger } from '../utils/logger.js';
-import { syncPlayer, getPlayerForGame, getPlayerBySteamId } from './syncService.js';
-import { validatePlayerData, validateSteamId } from './dataValidator.js';
-import { detectFormat, gameToApi } from './gameDataTransformer.js';
+import {
+    validateServerToken,
+    handlePlayerConnect,
+    handlePeriodicSync,
+    handlePlayerDisconnect,
+    handleCrashRecovery
+} from './syncService.js';
+import { validateSteamId } from './dataValidator.js';
+import { getGameConfig } from './configService.js';
 
 const logger = createServiceLogger('SquadSyncSocket');
 
@@ -16,28 +22,11 @@ const logger = createServiceLogger('SquadSyncSocket');
 const connectedServers = new Map();
 
 /**
- * Get the expected API key from environment
+ * Reply to a socket request via ack callback and a fallback event
  */
-function getExpectedApiKey() {
-    return process.env.SYNC_API_KEY;
-}
-
-/**
- * Validate API key
- */
-function validateApiKey(apiKey) {
-    const expectedKey = getExpectedApiKey();
-    if (!expectedKey) {
-        logger.error('SYNC_API_KEY not configured');
-        return { valid: false, error: 'Server configuration error' };
-    }
-    if (!apiKey) {
-        return { valid: false, error: 'Missing API key' };
-    }
-    if (apiKey !== expectedKey) {
-        return { valid: false, error: 'Invalid API key' };
-    }
-    return { valid: true };
+function reply(socket, callback, event, response) {
+    if (callback) callback(response);
+    socket.emit(event, response);
 }
 
 /**
@@ -53,52 +42,61 @@ export function setupSquadSyncSocket(io) {
     squadjs.on('connection', (socket) => {
         logger.info(`New connection from ${socket.id} (${socket.handshake.address})`);
 
-        // Track authentication state
-        let isAuthenticated = false;
-        let serverInfo = null;
+        // Authenticated GameServer record (null until server:register succeeds)
+        let serverRecord = null;
+
+        /**
+         * Run a v2 sync handler for an authenticated server
+         */
+        const handleSync = (event, replyEvent, handler) => {
+            socket.on(event, async (data, callback) => {
+                if (!serverRecord) {
+                    reply(socket, callback, replyEvent, { success: false, error: 'Not authenticated. Call server:register first.' });
+                    return;
+                }
+
+                const steamId = data?.steamId;
+
+                try {
+                    const result = await handler(data || {}, serverRecord);
+                    reply(socket, callback, replyEvent, { steamId, ...result });
+                } catch (error) {
+                    logger.error(`${event} error for ${steamId}:`, error.message);
+                    reply(socket, callback, replyEvent, { success: false, steamId, error: error.message });
+                }
+            });
+        };
 
         // ==================== Server Registration ====================
 
         socket.on('server:register', async (data, callback) => {
             try {
-                const { serverId, serverName, apiKey } = data || {};
-
-                // Validate API key
-                const keyValidation = validateApiKey(apiKey);
-                if (!keyValidation.valid) {
-                    logger.warn(`Registration failed for ${socket.id}: ${keyValidation.error}`);
-                    const response = { success: false, error: keyValidation.error };
-                    if (callback) callback(response);
-                    socket.emit('server:error', response);
-                    return;
-                }
+                const { apiToken } = data || {};
 
-                // Validate required fields
-                if (!serverId) {
-                    const response = { success: false, error: 'Missing serverId' };
+                const server = await validateServerToken(apiToken);
+                if (!server) {
+                    logger.warn(`Registration failed for ${socket.id}: invalid server token`);
+                    const response = { success: false, error: apiToken ? 'Invalid server token' : 'Missing server token' };
                     if (callback) callback(response);
                     socket.emit('server:error', response);
                     return;
                 }
 
-                // Store server info
-                isAuthenticated = true;
-                serverInfo = {
-                    serverId,
-                    serverName: serverName || serverId,
+                serverRecord = server;
+                connectedServers.set(socket.id, {
+                    serverId: server.server_id,
+                    serverName: server.server_name,
                     connectedAt: new Date(),
                     socketId: socket.id,
                     address: socket.handshake.address
-                };
-
-                connectedServers.set(socket.id, serverInfo);
+                });
 
-                logger.info(`Server registered: ${serverInfo.serverName} (${serverId}) from ${socket.handshake.address}`);
+                logger.info(`Server registered: ${server.server_name} (${server.server_id}) from ${socket.handshake.address}`);
 
                 const response = {
                     success: true,
-                    serverId,
-                    serverName: serverInfo.serverName,
+                    serverId: server.server_id,
+                    serverName: server.server_name,
                     message: 'Successfully registered'
                 };
 
@@ -113,141 +111,35 @@ export function setupSquadSyncSocket(io) {
             }
         });
 
-        // ==================== Player Load ====================
-
-        socket.on('player:load', async (data, callback) => {
-            try {
-                // Require authentication
-                if (!isAuthenticated) {
-                    const response = { success: false, error: 'Not authenticated. Call server:register first.' };
-                    if (callback) callback(response);
-                    socket.emit('player:error', response);
-                    return;
-                }
-
-                const { steamId } = data || {};
-
-                // Validate Steam ID
-                const validation = validateSteamId(steamId);
-                if (!validation.valid) {
-                    const response = { success: false, steamId, error: validation.error };
-                    if (callback) callback(response);
-                    socket.emit('player:error', response);
-                    return;
-                }
-
-                logger.debug(`Loading player ${validation.steamId} for server ${serverInfo?.serverId}`);
-
-                // Get player data in game format
-                const playerData = await getPlayerForGame(validation.steamId);
-
-                if (!playerData) {
-                    logger.debug(`Player ${validation.steamId} not found (new player)`);
-                    const response = { steamId: validation.steamId };
-                    if (callback) callback({ success: true, found: false, ...response });
-                    socket.emit('player:not-found', response);
-                    return;
-                }
-
-                logger.debug(`Loaded player ${validation.steamId}`);
-                const response = { steamId: validation.steamId, data: playerData };
-                if (callback) callback({ success: true, found: true, ...response });
-                socket.emit('player:data', response);
+        // ==================== Player Lifecycle ====================
 
-            } catch (error) {
-                logger.error(`Player load error:`, error.message);
-                const response = { success: false, steamId: data?.steamId, error: error.message };
-                if (callback) callback(response);
-                socket.emit('player:error', response);
+        handleSync('player:connect', 'player:connect:result', async (data, server) => {
+            const validation = validateSteamId(data.steamId);
+            if (!validation.valid) {
+                return { success: false, error: validation.error };
             }
+            return handlePlayerConnect(validation.steamId, server);
         });
 
-        // ==================== Player Save ====================
-
-        socket.on('player:save', async (data, callback) => {
-            try {
-                // Require authentication
-                if (!isAuthenticated) {
-                    const response = { success: false, error: 'Not authenticated. Call server:register first.' };
-                    if (callback) callback(response);
-                    socket.emit('player:error', response);
-                    return;
-                }
-
-                let { playerData } = data || {};
-
-                if (!playerData || typeof playerData !== 'object') {
-                    const response = { success: false, error: 'Invalid player data' };
-                    if (callback) callback(response);
-                    socket.emit('player:error', response);
-                    return;
-                }
-
-                // Detect format and validate
-                const format = detectFormat(playerData);
-                const validation = validatePlayerData(playerData, format);
-
-                if (!validation.valid) {
-                    logger.warn(`Validation failed: ${validation.errors.join(', ')}`);
-                    const response = {
-                        success: false,
-                        error: 'Validation failed',
-                        details: validation.errors
-                    };
-                    if (callback) callback(response);
-                    socket.emit('player:error', response);
-                    return;
-                }
-
-                // Transform game format to API format if needed
-                if (format === 'game') {
-                    playerData = gameToApi(playerData);
-                }
-
-                const steamId = playerData.SteamID || playerData.steamId;
-                logger.debug(`Saving player ${steamId} from server ${serverInfo?.serverId}`);
-
-                // Sync to database
-                const result = await syncPlayer(playerData);
-
-                logger.debug(`Saved player ${steamId}: ${result.synced_tables?.join(', ') || 'no tables'}`);
-
-                const response = {
-                    success: true,
-                    steamId,
-                    syncedTables: result.synced_tables,
-                    durationMs: result.duration_ms
-                };
-                if (callback) callback(response);
-                socket.emit('player:saved', response);
-
-            } catch (error) {
-                logger.error(`Player save error:`, error.message);
-                const steamId = data?.playerData?.['player info']?.steamid ||
-                               data?.playerData?.SteamID ||
-                               data?.playerData?.steamId;
-                const response = { success: false, steamId, error: error.message };
-                if (callback) callback(response);
-                socket.emit('player:error', response);
-            }
-        });
+        handleSync('player:sync', 'player:sync:result', handlePeriodicSync);
+        handleSync('player:disconnect', 'player:disconnect:result', handlePlayerDisconnect);
+        handleSync('player:crash-recovery', 'player:crash-recovery:result', handleCrashRecovery);
 
         // ==================== Server Settings ====================
 
         socket.on('server-settings:request', async (data, callback) => {
             try {
                 // Require authentication
-                if (!isAuthenticated) {
+                if (!serverRecord) {
                     const response = { success: false, error: 'Not authenticated. Call server:register first.' };
                     if (callback) callback(response);
                     socket.emit('server-settings:error', response);
                     return;
                 }
 
-                logger.debug(`Server settings requested by ${serverInfo?.serverId}`);
+                logger.debug(`Server settings requested by ${serverRecord.server_id}`);
 
-                // Server settings are stored as a special "player" with steam_id = 'ServerSettings'
-                const settings = await getPlayerBySteamId('ServerSettings');
+                const settings = await getGameConfig();
 
                 if (!settings) {
                     const response = { success: false, error: 'Server settings not found' };
@@ -261,7 +153,7 @@ export function setupSquadSyncSocket(io) {
                 socket.emit('server-settings:data', response);
 
             } catch (error) {
-                logger.error(`Server settings error:`, error.message);
+                logger.error('Server settings error:', error.message);
                 const response = { success: false, error: error.message };
                 if (callback) callback(response);
                 socket.emit('server-settings:error', response);
@@ -271,8 +163,8 @@ export function setupSquadSyncSocket(io) {
         // ==================== Disconnect ====================
 
         socket.on('disconnect', (reason) => {
-            if (serverInfo) {
-                logger.info(`Server disconnected: ${serverInfo.serverName} (${serverInfo.serverId}) - ${reason}`);
+            if (serverRecord) {
+                logger.info(`Server disconnected: ${serverRecord.server_name} (${serverRecord.server_id}) - ${reason}`);
                 connectedServers.delete(socket.id);
             } else {
                 logger.debug(`Unauthenticated socket disconnected: ${socket.id} - ${reason}`);
@@ -0,0 +1,219 @@
+/**
+ * Stat History Service
+ *
+ * Records what a player gained in each sync into hourly or daily buckets
+ * (config.statHistory.bucket), so "kills this week" can be answered even though
+ * player_stats and the tracking tables only hold current values.
+ *
+ * The game builds tracking fresh every session, so tracking rows hold the
+ * latest session's counts. A tracking gain is the difference to the row's
+ * previous value when that value was written in the same session
+ * (row updated_at >= player.active_since), otherwise the whole new value.
+ */
+
+import { Op, fn, col } from 'sequelize';
+import { statHistory as statHistoryConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { v2PlayerToDbParts, v2TrackingToDbParts } from './gameDataTransformer.js';
+
+const logger = createServiceLogger('StatHistoryService');
+
+/**
+ * Lifetime player_stats columns recorded as gains
+ */
+const STAT_COLUMNS = {
+    xp: 'xp_total',
+    prestige: 'prestige',
+    time_played: 'time_played',
+    currency_earned: 'currency_total',
+    currency_spent: 'currency_spent',
+    games_played: 'games_played'
+};
+
+/**
+ * Tracking tables recorded as gains
+ * key: identifies a row within a session, group: column stored as group_name (if any)
+ */
+const TRACKING_STATS = {
+    kills: { association: 'kills', part: 'kills', key: 'victim_steam_id', valueColumn: 'count' },
+    vehicle_kills: { association: 'vehicleKills', part: 'vehicleKills', key: 'vehicle_name', group: 'vehicle_name', valueColumn: 'count' },
+    weapon_xp: { association: 'weaponXp', part: 'weaponXp', key: 'weapon_name', group: 'weapon_name', valueColumn: 'xp' },
+    purchases: { association: 'purchases', part: 'purchases', key: 'item_name', group: 'item_name', valueColumn: 'count' },
+    rewards: { association: 'rewards', part: 'rewards', key: 'reward_type', group: 'reward_type', valueColumn: 'count' }
+};
+
+export const HISTORY_STATS = [...Object.keys(STAT_COLUMNS), ...Object.keys(TRACKING_STATS)];
+
+/**
+ * Get the start of the bucket a point in time falls into (UTC)
+ *
+ * @param {Date} date - Point in time (default now)
+ * @returns {Date} Bucket start
+ */
+export function getBucketStart(date = new Date()) {
+    const bucket = new Date(date);
+
+    if (statHistoryConfig.bucket === 'hour') {
+        bucket.setUTCMinutes(0, 0, 0);
+    } else {
+        bucket.setUTCHours(0, 0, 0, 0);
+    }
+
+    return bucket;
+}
+
+/**
+ * Work out what a sync adds on top of the stored state
+ *
+ * @param {Object} player - Player loaded with findWithFullData before the sync was applied
+ * @param {Object} playerData - Incoming v2 player data
+ * @param {Object|null} trackingData - Incoming tracking section
+ * @param {Date|null} sessionStart - When the player's current session started (player.active_since)
+ * @returns {Array<Object>} [{ stat, group, value }] with positive values only
+ */
+export function computeSyncDeltas(player, playerData, trackingData, sessionStart) {
+    const deltas = [];
+    const newStats = v2PlayerToDbParts(playerData).stats;
+    const oldStats = player.stats || {};
+
+    if (newStats) {
+        for (const [stat, column] of Object.entries(STAT_COLUMNS)) {
+            const gain = Number(newStats[column] || 0) - Number(oldStats[column] || 0);
+            if (gain > 0) {
+                deltas.push({ stat, group: '', value: gain });
+            }
+        }
+    }
+
+    if (!trackingData) {
+        return deltas;
+    }
+
+    const trackingParts = v2TrackingToDbParts({ v: 2, steamId: player.steam_id, ...trackingData });
+    const since = sessionStart ? new Date(sessionStart) : null;
+
+    for (const [stat, definition] of Object.entries(TRACKING_STATS)) {
+        const previous = new Map((player[definition.association] || []).map(row => [row[definition.key], row]));
+        const gains = new Map();
+
+        for (const row of trackingParts[definition.part]) {
+            const value = Number(row[definition.valueColumn]) || 0;
+            const old = previous.get(row[definition.key]);
+            const oldValue = old ? Number(old[definition.valueColumn]) || 0 : 0;
+
+            // Without a known session start, a lower value than stored means a new session
+            const sameSession = old && (since ? new Date(old.updatedAt) >= since : value >= oldValue);
+            const gain = sameSession && value >= oldValue ? value - oldValue : value;
+
+            if (gain > 0) {
+                const group = definition.group ? row[definition.group] : '';
+                gains.set(group, (gains.get(group) || 0) + gain);
+            }
+        }
+
+        for (const [group, value] of gains) {
+            deltas.push({ stat, group, value });
+        }
+    }
+
+    return deltas;
+}
+
+/**
+ * Record the gains of a sync into the current bucket
+ * Call inside the sync transaction, before the new values are written.
+ *
+ * @param {Object} player - Player loaded with findWithFullData before the sync was applied
+ * @param {Object} playerData - Incoming v2 player data
+ * @param {Object|null} trackingData - Incoming tracking section
+ * @param {Object} options - Options
+ * @param {Date|null} options.sessionStart - When the player's current session started
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} { bucketStart, deltas } - kept on the sync's audit entry for reverts
+ */
+export async function recordSyncDeltas(player, playerData, trackingData, { sessionStart = null, transaction } = {}) {
+    const models = getModels();
+    const deltas = computeSyncDeltas(player, playerData, trackingData, sessionStart);
+    const bucketStart = getBucketStart();
+
+    await models.StatHistory.addDeltas(player.id, bucketStart, deltas, { transaction });
+
+    if (deltas.length > 0) {
+        logger.debug(`Recorded ${deltas.length} stat gains for ${player.steam_id}`);
+    }
+
+    return { bucketStart, deltas };
+}
+
+/**
+ * Take the gains a sync recorded back out of stat history
+ *
+ * @param {number} playerId - Player ID
+ * @param {Object} recorded - What recordSyncDeltas returned (SyncAuditLog.stat_deltas)
+ * @param {Object} options - Options
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Removed deltas
+ */
+export async function revertSyncDeltas(playerId, recorded, { transaction } = {}) {
+    const models = getModels();
+    const deltas = recorded?.deltas || [];
+
+    if (deltas.length > 0) {
+        await models.StatHistory.removeDeltas(playerId, new Date(recorded.bucketStart), deltas, { transaction });
+    }
+
+    return deltas;
+}
+
+/**
+ * Get a player's history for one stat, oldest bucket first
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {Object} options - Query options
+ * @param {string} options.stat - One of HISTORY_STATS
+ * @param {string} options.group - Only this vehicle, weapon, item or reward type (grouped stats)
+ * @param {Date} options.since - First bucket to include
+ * @param {Date} options.until - Include buckets before this time
+ * @returns {Promise<Array<Object>>} [{ bucketStart, value }] summed over groups
+ */
+export async function getPlayerHistory(steamId, { stat, group = null, since = null, until = null }) {
+    const models = getModels();
+
+    if (!HISTORY_STATS.includes(stat)) {
+        throw new Error(`Unknown history stat: ${stat}`);
+    }
+
+    const player = await models.Player.findOne({ where: { steam_id: steamId }, attributes: ['id'] });
+
+    if (!player) {
+        throw new Error(`Player not found: ${steamId}`);
+    }
+
+    const where = { player_id: player.id, stat };
+    if (group) where.group_name = group;
+    if (since || until) {
+        where.bucket_start = {};
+        if (since) where.bucket_start[Op.gte] = since;
+        if (until) where.bucket_start[Op.lt] = until;
+    }
+
+    const rows = await models.StatHistory.findAll({
+        where,
+        attributes: ['bucket_start', [fn('SUM', col('value')), 'value']],
+        group: ['bucket_start'],
+        order: [['bucket_start', 'ASC']],
+        raw: true
+    });
+
+    return rows.map(row => ({ bucketStart: row.bucket_start, value: Number(row.value) }));
+}
+
+export default {
+    HISTORY_STATS,
+    getBucketStart,
+    computeSyncDeltas,
+    recordSyncDeltas,
+    revertSyncDeltas,
+    getPlayerHistory
+};
@@ -1,21 +1,123 @@
 import { getModels } from '../database/models/index.js';
 import databaseManager from '../database/index.js';
 import { createServiceLogger } from '../utils/logger.js';
+import { snapshots as snapshotConfig } from '../../config/config.js';
 import {
     dbToV2,
     dbToV2Player,
     dbToV2Tracking,
-    v2PlayerToDbParts,
-    v2TrackingToDbParts,
     createDataSummary
 } from './gameDataTransformer.js';
-import { validateV2PlayerFormat, validateV2TrackingFormat, checkDeltaLimits, validateSyncSequence } from './dataValidator.js';
+import { validateV2PlayerFormat, validateV2TrackingFormat, validateSyncSequence } from './dataValidator.js';
+import { checkSync } from './antiCheatService.js';
+import { getModerationStatus } from './moderationService.js';
+import { emitToDashboard } from './dashboardEvents.js';
+import { createSnapshot } from './snapshotService.js';
+import { recordSyncDeltas } from './statHistoryService.js';
+import { writePlayerSave } from './playerSaveWriter.js';
 
 const logger = createServiceLogger('SyncService');
 
 // How long to wait before allowing a new server to claim a player (ms)
 const ACTIVE_SERVER_TIMEOUT = 30000; // 30 seconds
 
+// How far an admin change moves sync_seq ahead of the game server's copy.
+// Saves already in flight from the game (seq + 1, seq + 2, ...) then fail as stale
+// instead of overwriting the change, until the plugin adopts the pushed seq.
+export const ADMIN_SYNC_SEQ_BUMP = 5;
+
+/**
+ * Push a newly flagged sync to the dashboard review queue
+ */
+function notifyFlaggedSync(entry) {
+    if (entry.flagged) {
+        emitToDashboard('syncs', 'sync:flagged', entry.toJSON());
+    }
+}
+
+/**
+ * Run the anti-cheat rules on a save before it is applied
+ * Saves of a frozen or sync banned player, and saves from a quarantined server,
+ * are refused without evaluating the rules. Moderation refusals are not flagged:
+ * the player is already dealt with, so they stay out of the review queue.
+ */
+async function checkSave({ server, player, oldPlayerData, playerData, syncType }) {
+    const moderation = await getModerationStatus(player.id);
+    if (moderation) {
+        return {
+            flagged: false,
+            rejected: true,
+            moderation: moderation.status,
+            reason: `Player is ${moderation.status === 'frozen' ? 'frozen' : 'sync banned'}: ${moderation.reason}`
+        };
+    }
+
+    if (server.quarantined) {
+        return {
+            flagged: true,
+            rejected: true,
+            quarantined: true,
+            reason: `Server ${server.server_id} is quarantined`
+        };
+    }
+
+    return checkSync({ server, player, oldData: oldPlayerData, newData: playerData, syncType });
+}
+
+/**
+ * Record a save that was refused by an anti-cheat rule, a server quarantine or player moderation
+ * Flagged entries go to the review queue like any flagged sync; quarantined saves keep the full payload.
+ */
+async function logRejectedSync({ server, player, syncType, oldPlayerData, playerData, reason, flagged = true, quarantined = false, startTime }) {
+    const models = getModels();
+
+    const auditEntry = await models.SyncAuditLog.logSync({
+        serverId: server.server_id,
+        playerSteamId: playerData.steamId,
+        syncType,
+        syncSeqBefore: Number(player.sync_seq),
+        syncSeqAfter: playerData.syncSeq,
+        dataBefore: createDataSummary(oldPlayerData),
+        dataAfter: createDataSummary(playerData),
+        flagged,
+        flagReason: reason,
+        rejected: true,
+        quarantined,
+        payload: quarantined ? playerData : null,
+        durationMs: Date.now() - startTime
+    });
+    notifyFlaggedSync(auditEntry);
+
+    logger.warn(`${quarantined ? 'Quarantined' : 'Rejected'} ${syncType} save from ${server.server_id} for ${playerData.steamId}: ${reason}`);
+}
+
+/**
+ * Error code a periodic sync returns when its save is refused
+ */
+function rejectionError(check) {
+    if (check.moderation) return check.moderation === 'frozen' ? 'player_frozen' : 'sync_banned';
+    return check.quarantined ? 'server_quarantined' : 'rule_rejected';
+}
+
+/**
+ * Take a row lock on a player for the rest of the transaction
+ *
+ * Admin changes (reverts, restores, wipes, season resets) bump sync_seq under the
+ * same lock, so a sync either completes before them or sees the bumped sequence.
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @param {Object} transaction - Sequelize transaction holding the lock
+ */
+export async function lockPlayer(steamId, transaction) {
+    const models = getModels();
+    await models.Player.findOne({
+        where: { steam_id: steamId },
+        attributes: ['id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+}
+
 /**
  * Validate server token and return server record
  * @param {string} token - API token from the server
@@ -43,6 +145,12 @@ export async function validateServerToken(token) {
 /**
  * Handle player connect - return player data and set active server lock
  *
+ * status tells the game server how to treat the player:
+ * - 'ok': load the returned data
+ * - 'player_active_elsewhere': wait waitMs and retry
+ * - 'frozen': load the returned data, saves will be rejected (moderation has the details)
+ * - 'sync_banned': no data is returned and the session is not claimed, play on a fresh save that is never sent
+ *
  * @param {string} steamId - Player's Steam ID
  * @param {Object} server - GameServer record
  * @returns {Promise<Object>} Connect result with player data or wait signal
@@ -71,6 +179,17 @@ export async function handlePlayerConnect(steamId, server) {
             player = await models.Player.findWithFullData(steamId);
         }
 
+        const moderation = await getModerationStatus(player.id);
+
+        if (moderation?.status === 'sync_banned') {
+            logger.info(`Player ${steamId} is sync banned, no data sent to ${server.server_id}`);
+            return {
+                success: true,
+                status: 'sync_banned',
+                moderation
+            };
+        }
+
         // Check if player is active on another server
         if (player.active_server_id && player.active_server_id !== server.server_id) {
             if (player.wasRecentlyActive(ACTIVE_SERVER_TIMEOUT)) {
@@ -112,7 +231,8 @@ export async function handlePlayerConnect(steamId, server) {
 
         return {
             success: true,
-            status: 'ok',
+            status: moderation ? moderation.status : 'ok',
+            moderation,
             player: playerData,
             // Note: No tracking sent on connect - game builds it fresh
             syncSeq: Number(player.sync_seq)
@@ -127,6 +247,9 @@ export async function handlePlayerConnect(steamId, server) {
 /**
  * Handle periodic sync during gameplay (full data: player + tracking)
  * Tracking is synced periodically to protect against crash data loss.
+ * A save that breaks a rejecting anti-cheat rule is not applied (error 'rule_rejected'),
+ * neither is a save from a quarantined server (error 'server_quarantined') or of a
+ * frozen or sync banned player (error 'player_frozen' / 'sync_banned').
  *
  * @param {Object} data - Full v2 data with player fields + tracking section
  * @param {Object} server - GameServer record
@@ -169,8 +292,9 @@ export async function handlePeriodicSync(data, server) {
     const transaction = await sequelize.transaction();
 
     try {
-        // Get current player data
-        const player = await models.Player.findWithFullData(steamId);
+        // Get current player data (row locked so admin changes and season resets cannot interleave)
+        await lockPlayer(steamId, transaction);
+        const player = await models.Player.findWithFullData(steamId, null, { transaction });
 
         if (!player) {
             await transaction.rollback();
@@ -204,132 +328,41 @@ export async function handlePeriodicSync(data, server) {
             };
         }
 
-        // Get old data for delta check
+        // Get old data for the anti-cheat rules
         const oldPlayerData = dbToV2Player(player);
 
-        // Check delta limits (player data only)
-        const deltaCheck = checkDeltaLimits(oldPlayerData, playerData);
-        let flagged = false;
-        let flagReason = null;
-
-        if (!deltaCheck.valid) {
-            // Flag but don't reject
-            flagged = true;
-            flagReason = deltaCheck.violations.join('; ');
-            logger.warn(`Delta violation from ${server.server_id} for ${steamId}: ${flagReason}`);
-        }
-
-        // Extract parts for database upsert (player data only)
-        const dbParts = v2PlayerToDbParts(playerData);
-
-        // Update player record
-        await player.update({
-            eos_id: dbParts.player.eos_id || player.eos_id,
-            name: dbParts.player.name || player.name,
-            sync_seq: playerData.syncSeq
-        }, { transaction });
-
-        // Upsert stats
-        if (dbParts.stats) {
-            await models.PlayerStats.upsert({
-                player_id: player.id,
-                ...dbParts.stats
-            }, { transaction });
-        }
-
-        // Upsert skins
-        if (dbParts.skins) {
-            await models.PlayerSkin.upsert({
-                player_id: player.id,
-                ...dbParts.skins
-            }, { transaction });
-        }
-
-        // Upsert supporter status
-        if (dbParts.supporterStatus) {
-            await models.PlayerSupporterStatus.upsert({
-                player_id: player.id,
-                ...dbParts.supporterStatus
-            }, { transaction });
-        }
-
-        // Replace loadout (delete all, insert new)
-        await models.LoadoutSlot.destroy({ where: { player_id: player.id }, transaction });
-        for (const slot of dbParts.loadout) {
-            await models.LoadoutSlot.create({
-                player_id: player.id,
-                ...slot
-            }, { transaction });
-        }
-
-        // Replace perks
-        await models.PlayerPerk.destroy({ where: { player_id: player.id }, transaction });
-        for (const perk of dbParts.perks) {
-            await models.PlayerPerk.create({
-                player_id: player.id,
-                ...perk
-            }, { transaction });
-        }
+        // Check anti-cheat rules (player data only)
+        const check = await checkSave({ server, player, oldPlayerData, playerData, syncType: 'periodic' });
 
-        // Upsert perma unlocks
-        for (const unlock of dbParts.permaUnlocks) {
-            await models.PlayerPermanentUnlock.upsert({
-                player_id: player.id,
-                ...unlock
-            }, { transaction });
+        if (check.rejected) {
+            await transaction.rollback();
+            await logRejectedSync({
+                server, player, syncType: 'periodic', oldPlayerData, playerData,
+                reason: check.reason, flagged: check.flagged, quarantined: Boolean(check.quarantined), startTime
+            });
+            return {
+                success: false,
+                error: rejectionError(check),
+                reason: check.reason,
+                expectedSeq: Number(player.sync_seq)
+            };
         }
 
-        // === Sync tracking data (for crash protection) ===
-        if (trackingData) {
-            const trackingParts = v2TrackingToDbParts({ v: 2, steamId, ...trackingData });
-
-            // Upsert rewards
-            for (const reward of trackingParts.rewards) {
-                await models.PlayerReward.upsert({
-                    player_id: player.id,
-                    ...reward
-                }, { transaction });
-            }
-
-            // Upsert kills
-            for (const kill of trackingParts.kills) {
-                await models.PlayerKill.upsert({
-                    killer_id: player.id,
-                    ...kill
-                }, { transaction });
-            }
-
-            // Upsert vehicle kills
-            for (const vk of trackingParts.vehicleKills) {
-                await models.PlayerVehicleKill.upsert({
-                    player_id: player.id,
-                    ...vk
-                }, { transaction });
-            }
+        const flagged = check.flagged;
+        const flagReason = check.reason;
 
-            // Upsert purchases
-            for (const purchase of trackingParts.purchases) {
-                await models.PlayerPurchase.upsert({
-                    player_id: player.id,
-                    ...purchase
-                }, { transaction });
-            }
+        // Record gains for period leaderboards (compares against the values loaded above)
+        const statDeltas = await recordSyncDeltas(player, playerData, trackingData, { sessionStart: player.active_since, transaction });
 
-            // Upsert weapon xp
-            for (const wxp of trackingParts.weaponXp) {
-                await models.PlayerWeaponXp.upsert({
-                    player_id: player.id,
-                    ...wxp
-                }, { transaction });
-            }
-        }
+        // Write what changed (tracking included for crash protection)
+        await writePlayerSave(player, playerData, trackingData, { sessionStart: player.active_since, transaction });
 
         await transaction.commit();
 
         const duration = Date.now() - startTime;
 
         // Log the sync
-        await models.SyncAuditLog.logSync({
+        const auditEntry = await models.SyncAuditLog.logSync({
             serverId: server.server_id,
             playerSteamId: steamId,
             syncType: 'periodic',
@@ -339,8 +372,10 @@ export async function handlePeriodicSync(data, server) {
             dataAfter: createDataSummary(playerData),
             flagged,
             flagReason,
+            statDeltas,
             durationMs: duration
         });
+        notifyFlaggedSync(auditEntry);
 
         logger.info(`Periodic sync: ${steamId} seq ${playerData.syncSeq} (${duration}ms)${trackingData ? ' +tracking' : ''}${flagged ? ' [FLAGGED]' : ''}`);
 
@@ -359,6 +394,8 @@ export async function handlePeriodicSync(data, server) {
 
 /**
  * Handle player disconnect - sync player data, tracking data, and release lock
+ * A save that breaks a rejecting anti-cheat rule, comes from a quarantined server or
+ * belongs to a frozen or sync banned player only releases the lock (rejected: true).
  *
  * @param {Object} data - Combined v2 format with tracking embedded
  * @param {Object} server - GameServer record
@@ -386,7 +423,7 @@ export async function handlePlayerDisconnect(data, server) {
 
     // Validate tracking data if provided
     if (trackingData) {
-        const trackingValidation = validateV2TrackingFormat(trackingData);
+        const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...trackingData });
         if (!trackingValidation.valid) {
             logger.warn(`Invalid tracking data on disconnect from ${server.server_id} for ${steamId}`);
             return {
@@ -400,8 +437,9 @@ export async function handlePlayerDisconnect(data, server) {
     const transaction = await sequelize.transaction();
 
     try {
-        // Get current player
-        const player = await models.Player.findWithFullData(steamId);
+        // Get current player (row locked, see handlePeriodicSync)
+        await lockPlayer(steamId, transaction);
+        const player = await models.Player.findWithFullData(steamId, null, { transaction });
 
         if (!player) {
             await transaction.rollback();
@@ -435,117 +473,40 @@ export async function handlePlayerDisconnect(data, server) {
             };
         }
 
-        // Get old data for delta check
+        // Get old data for the anti-cheat rules
         const oldPlayerData = dbToV2Player(player);
 
-        // Check delta limits
-        const deltaCheck = checkDeltaLimits(oldPlayerData, playerData);
-        let flagged = false;
-        let flagReason = null;
-
-        if (!deltaCheck.valid) {
-            flagged = true;
-            flagReason = deltaCheck.violations.join('; ');
-            logger.warn(`Delta violation on disconnect from ${server.server_id} for ${steamId}: ${flagReason}`);
-        }
-
-        // === Sync player data ===
-        const dbParts = v2PlayerToDbParts(playerData);
+        // Check anti-cheat rules
+        const check = await checkSave({ server, player, oldPlayerData, playerData, syncType: 'disconnect' });
 
-        await player.update({
-            eos_id: dbParts.player.eos_id || player.eos_id,
-            name: dbParts.player.name || player.name,
-            sync_seq: playerData.syncSeq
-        }, { transaction });
-
-        if (dbParts.stats) {
-            await models.PlayerStats.upsert({
-                player_id: player.id,
-                ...dbParts.stats
-            }, { transaction });
-        }
-
-        if (dbParts.skins) {
-            await models.PlayerSkin.upsert({
-                player_id: player.id,
-                ...dbParts.skins
-            }, { transaction });
-        }
-
-        if (dbParts.supporterStatus) {
-            await models.PlayerSupporterStatus.upsert({
-                player_id: player.id,
-                ...dbParts.supporterStatus
-            }, { transaction });
-        }
-
-        await models.LoadoutSlot.destroy({ where: { player_id: player.id }, transaction });
-        for (const slot of dbParts.loadout) {
-            await models.LoadoutSlot.create({
-                player_id: player.id,
-                ...slot
-            }, { transaction });
-        }
-
-        await models.PlayerPerk.destroy({ where: { player_id: player.id }, transaction });
-        for (const perk of dbParts.perks) {
-            await models.PlayerPerk.create({
-                player_id: player.id,
-                ...perk
+        if (check.rejected) {
+            // The player is gone either way, release the session without applying the save
+            await player.update({
+                active_server_id: null,
+                active_since: null
             }, { transaction });
-        }
+            await transaction.commit();
 
-        for (const unlock of dbParts.permaUnlocks) {
-            await models.PlayerPermanentUnlock.upsert({
-                player_id: player.id,
-                ...unlock
-            }, { transaction });
+            await logRejectedSync({
+                server, player, syncType: 'disconnect', oldPlayerData, playerData,
+                reason: check.reason, flagged: check.flagged, quarantined: Boolean(check.quarantined), startTime
+            });
+            return {
+                success: true,
+                rejected: true,
+                quarantined: Boolean(check.quarantined),
+                moderation: check.moderation || null,
+                reason: check.reason,
+                syncSeq: Number(player.sync_seq)
+            };
         }
 
-        // === Sync tracking data (only on disconnect) ===
-        if (trackingData) {
-            const trackingParts = v2TrackingToDbParts(trackingData);
-
-            // Upsert rewards
-            for (const reward of trackingParts.rewards) {
-                await models.PlayerReward.upsert({
-                    player_id: player.id,
-                    ...reward
-                }, { transaction });
-            }
-
-            // Upsert kills
-            for (const kill of trackingParts.kills) {
-                await models.PlayerKill.upsert({
-                    killer_id: player.id,
-                    ...kill
-                }, { transaction });
-            }
-
-            // Upsert vehicle kills
-            for (const vk of trackingParts.vehicleKills) {
-                await models.PlayerVehicleKill.upsert({
-                    player_id: player.id,
-                    ...vk
-                }, { transaction });
-            }
-
-            // Upsert purchases
-            for (const purchase of trackingParts.purchases) {
-                await models.PlayerPurchase.upsert({
-                    player_id: player.id,
-                    ...purchase
-                }, { transaction });
-            }
+        const flagged = check.flagged;
+        const flagReason = check.reason;
 
-            // Upsert weapon xp
-            for (const wxp of trackingParts.weaponXp) {
-                await models.PlayerWeaponXp.upsert({
-                    player_id: player.id,
-                    ...wxp
-                }, { transaction });
-            }
-        }
+        // === Sync player data and tracking ===
+        const statDeltas = await recordSyncDeltas(player, playerData, trackingData, { sessionStart: player.active_since, transaction });
+        await writePlayerSave(player, playerData, trackingData, { sessionStart: player.active_since, transaction });
 
         // Clear active server lock
         await player.update({
@@ -558,7 +519,7 @@ export async function handlePlayerDisconnect(data, server) {
         const duration = Date.now() - startTime;
 
         // Log disconnect
-        await models.SyncAuditLog.logSync({
+        const auditEntry = await models.SyncAuditLog.logSync({
             serverId: server.server_id,
             playerSteamId: steamId,
             syncType: 'disconnect',
@@ -568,11 +529,20 @@ export async function handlePlayerDisconnect(data, server) {
             dataAfter: createDataSummary(playerData),
             flagged,
             flagReason,
+            statDeltas,
             durationMs: duration
         });
+        notifyFlaggedSync(auditEntry);
 
         logger.info(`Player disconnect: ${steamId} from ${server.server_id} (${duration}ms)${trackingData ? ' +tracking' : ''}${flagged ? ' [FLAGGED]' : ''}`);
 
+        // Snapshot the final state in the background, the disconnect ack should not wait for it
+        if (snapshotConfig.onDisconnect) {
+            createSnapshot(steamId, 'disconnect').catch(error => {
+                logger.error(`Disconnect snapshot failed for ${steamId}: ${error.message}`);
+            });
+        }
+
         return {
             success: true,
             syncSeq: playerData.syncSeq,
@@ -588,6 +558,8 @@ export async function handlePlayerDisconnect(data, server) {
 
 /**
  * Handle crash recovery sync - process orphaned player files
+ * A save that breaks a rejecting anti-cheat rule, comes from a quarantined server or
+ * belongs to a frozen or sync banned player is not applied (rejected: true).
  *
  * @param {Object} data - Combined v2 format with tracking embedded
  * @param {Object} server - GameServer record
@@ -615,7 +587,7 @@ export async function handleCrashRecovery(data, server) {
 
     // Validate tracking data if provided
     if (trackingData) {
-        const trackingValidation = validateV2TrackingFormat(trackingData);
+        const trackingValidation = validateV2TrackingFormat({ v: 2, steamId, ...trackingData });
         if (!trackingValidation.valid) {
             logger.warn(`Invalid crash recovery tracking data from ${server.server_id} for ${steamId}`);
             return {
@@ -626,11 +598,16 @@ export async function handleCrashRecovery(data, server) {
         }
     }
 
+    const transaction = await sequelize.transaction();
+
     try {
-        // Get current player data
-        const player = await models.Player.findWithFullData(steamId);
+        // Get current player (row locked, see handlePeriodicSync): recovery chunks run
+        // concurrently and may race a live sync for the same player
+        await lockPlayer(steamId, transaction);
+        const player = await models.Player.findWithFullData(steamId, null, { transaction });
 
         if (!player) {
+            await transaction.rollback();
             logger.warn(`Crash recovery for unknown player: ${steamId}`);
             return {
                 success: false,
@@ -648,17 +625,18 @@ export async function handleCrashRecovery(data, server) {
             flagReason = `Crash recovery seq mismatch: ${seqValidation.reason}`;
         }
 
-        // Check delta limits
+        // Check anti-cheat rules
         const oldPlayerData = dbToV2Player(player);
-        const deltaCheck = checkDeltaLimits(oldPlayerData, playerData);
+        const check = await checkSave({ server, player, oldPlayerData, playerData, syncType: 'crash_recovery' });
 
-        if (!deltaCheck.valid) {
+        if (check.flagged) {
             flagged = true;
-            flagReason = (flagReason ? flagReason + '; ' : '') + deltaCheck.violations.join('; ');
+            flagReason = (flagReason ? flagReason + '; ' : '') + check.reason;
         }
 
         // If the recovered data is older than DB, skip it
         if (playerData.syncSeq < Number(player.sync_seq)) {
+            await transaction.rollback();
             logger.info(`Crash recovery skipped for ${steamId}: recovered seq ${playerData.syncSeq} < db seq ${player.sync_seq}`);
             return {
                 success: true,
@@ -668,114 +646,40 @@ export async function handleCrashRecovery(data, server) {
         }
 
         // Clear active server (the crash implies the old session is dead)
-        await player.clearActiveServer();
-
-        const transaction = await sequelize.transaction();
-
-        try {
-            // === Sync player data ===
-            const dbParts = v2PlayerToDbParts(playerData);
-
-            await player.update({
-                eos_id: dbParts.player.eos_id || player.eos_id,
-                name: dbParts.player.name || player.name,
-                sync_seq: playerData.syncSeq
-            }, { transaction });
-
-            if (dbParts.stats) {
-                await models.PlayerStats.upsert({
-                    player_id: player.id,
-                    ...dbParts.stats
-                }, { transaction });
-            }
-
-            if (dbParts.skins) {
-                await models.PlayerSkin.upsert({
-                    player_id: player.id,
-                    ...dbParts.skins
-                }, { transaction });
-            }
-
-            if (dbParts.supporterStatus) {
-                await models.PlayerSupporterStatus.upsert({
-                    player_id: player.id,
-                    ...dbParts.supporterStatus
-                }, { transaction });
-            }
-
-            await models.LoadoutSlot.destroy({ where: { player_id: player.id }, transaction });
-            for (const slot of dbParts.loadout) {
-                await models.LoadoutSlot.create({
-                    player_id: player.id,
-                    ...slot
-                }, { transaction });
-            }
+        const sessionStart = player.active_since;
+        await player.update({
+            active_server_id: null,
+            active_since: null
+        }, { transaction });
 
-            await models.PlayerPerk.destroy({ where: { player_id: player.id }, transaction });
-            for (const perk of dbParts.perks) {
-                await models.PlayerPerk.create({
-                    player_id: player.id,
-                    ...perk
-                }, { transaction });
-            }
+        if (check.rejected) {
+            await transaction.commit();
 
-            for (const unlock of dbParts.permaUnlocks) {
-                await models.PlayerPermanentUnlock.upsert({
-                    player_id: player.id,
-                    ...unlock
-                }, { transaction });
-            }
+            const reason = check.moderation ? check.reason : flagReason;
+            await logRejectedSync({
+                server, player, syncType: 'crash_recovery', oldPlayerData, playerData,
+                reason, flagged: check.flagged, quarantined: Boolean(check.quarantined), startTime
+            });
+            return {
+                success: true,
+                rejected: true,
+                quarantined: Boolean(check.quarantined),
+                moderation: check.moderation || null,
+                reason,
+                syncSeq: Number(player.sync_seq)
+            };
+        }
 
-            // === Sync tracking data if provided ===
-            if (trackingData) {
-                const trackingParts = v2TrackingToDbParts(trackingData);
-
-                for (const reward of trackingParts.rewards) {
-                    await models.PlayerReward.upsert({
-                        player_id: player.id,
-                        ...reward
-                    }, { transaction });
-                }
-
-                for (const kill of trackingParts.kills) {
-                    await models.PlayerKill.upsert({
-                        killer_id: player.id,
-                        ...kill
-                    }, { transaction });
-                }
-
-                for (const vk of trackingParts.vehicleKills) {
-                    await models.PlayerVehicleKill.upsert({
-                        player_id: player.id,
-                        ...vk
-                    }, { transaction });
-                }
-
-                for (const purchase of trackingParts.purchases) {
-                    await models.PlayerPurchase.upsert({
-                        player_id: player.id,
-                        ...purchase
-                    }, { transaction });
-                }
-
-                for (const wxp of trackingParts.weaponXp) {
-                    await models.PlayerWeaponXp.upsert({
-                        player_id: player.id,
-                        ...wxp
-                    }, { transaction });
-                }
-            }
+        // === Sync player data and tracking if provided ===
+        const statDeltas = await recordSyncDeltas(player, playerData, trackingData, { sessionStart, transaction });
+        await writePlayerSave(player, playerData, trackingData, { sessionStart, transaction });
 
-            await transaction.commit();
-        } catch (error) {
-            await transaction.rollback();
-            throw error;
-        }
+        await transaction.commit();
 
         const duration = Date.now() - startTime;
 
         // Log crash recovery
-        await models.SyncAuditLog.logSync({
+        const auditEntry = await models.SyncAuditLog.logSync({
             serverId: server.server_id,
             playerSteamId: steamId,
             syncType: 'crash_recovery',
@@ -785,8 +689,10 @@ export async function handleCrashRecovery(data, server) {
             dataAfter: createDataSummary(playerData),
             flagged,
             flagReason,
+            statDeltas,
             durationMs: duration
         });
+        notifyFlaggedSync(auditEntry);
 
         logger.info(`Crash recovery: ${steamId} (${duration}ms)${trackingData ? ' +tracking' : ''}${flagged ? ' [FLAGGED]' : ''}`);
 
@@ -797,11 +703,31 @@ export async function handleCrashRecovery(data, server) {
         };
 
     } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
         logger.error(`Crash recovery failed for ${steamId}: ${error.message}`, error.stack);
         throw error;
     }
 }
 
+/**
+ * Move a player's sync_seq past anything the game server may still send
+ *
+ * Call inside the transaction that applies an admin change to player data,
+ * then push the player to their active server (gameServerConnector.pushPlayerData)
+ * so the plugin continues from the new sequence.
+ *
+ * @param {Object} player - Player record
+ * @param {Object} options - Sequelize options (transaction)
+ * @returns {Promise<number>} New sync sequence
+ */
+export async function bumpSyncSeq(player, options = {}) {
+    const syncSeq = (Number(player.sync_seq) || 0) + ADMIN_SYNC_SEQ_BUMP;
+    await player.update({ sync_seq: syncSeq }, options);
+    return syncSeq;
+}
+
 /**
  * Get player data by Steam ID in v2 format
  *
@@ -819,6 +745,35 @@ export async function getPlayerBySteamId(steamId) {
     return dbToV2(player);
 }
 
+/**
+ * Get the server a player is currently live on
+ *
+ * @param {string} steamId - Player's Steam ID
+ * @returns {Promise<Object|null>} { serverId, serverName, since } or null if not on a server
+ */
+export async function getPlayerSession(steamId) {
+    const models = getModels();
+    const player = await models.Player.findOne({
+        where: { steam_id: steamId },
+        attributes: ['active_server_id', 'active_since']
+    });
+
+    if (!player?.active_server_id) {
+        return null;
+    }
+
+    const server = await models.GameServer.findOne({
+        where: { server_id: player.active_server_id },
+        attributes: ['server_name']
+    });
+
+    return {
+        serverId: player.active_server_id,
+        serverName: server?.server_name || player.active_server_id,
+        since: player.active_since
+    };
+}
+
 /**
  * Get player by Discord ID via discord_links
  *
@@ -850,15 +805,17 @@ export async function getPlayerByDiscordId(discordId) {
  * @param {string} discordId - Discord user ID
  * @param {string} steamId - Steam ID to link
  * @param {boolean} verified - Whether the link is verified
+ * @param {Object} options - Sequelize options (transaction)
  * @returns {Promise<Object>} The created/updated link
  */
-export async function linkDiscordAccount(discordId, steamId, verified = false) {
+export async function linkDiscordAccount(discordId, steamId, verified = false, options = {}) {
     const models = getModels();
 
     // Find or create the player
     let [player] = await models.Player.findOrCreate({
         where: { steam_id: steamId },
-        defaults: { steam_id: steamId }
+        defaults: { steam_id: steamId },
+        ...options
     });
 
     // Upsert the discord link
@@ -867,7 +824,7 @@ export async function linkDiscordAccount(discordId, steamId, verified = false) {
         player_id: player.id,
         verified: verified,
         verified_at: verified ? new Date() : null
-    }, { returning: true });
+    }, { returning: true, ...options });
 
     return link;
 }
@@ -906,7 +863,10 @@ export default {
     handlePeriodicSync,
     handlePlayerDisconnect,
     handleCrashRecovery,
+    lockPlayer,
+    bumpSyncSeq,
     getPlayerBySteamId,
+    getPlayerSession,
     getPlayerByDiscordId,
     linkDiscordAccount,
     createPlayer
@@ -0,0 +1,221 @@
+/**
+ * Watchdog Service
+ *
+ * Watches the share of flagged syncs each server sends over sliding windows
+ * (config.watchdog.windows). A server that trips a window is flagged, an alert
+ * is posted to the Discord alert channel and, with autoQuarantine, the server
+ * is quarantined: its saves are stored in sync_audit_log for review but not applied.
+ *
+ * Servers that are already quarantined are left alone, as are flagged servers
+ * unless autoQuarantine is on. Syncs stored during a quarantine are not counted.
+ */
+
+import { Op } from 'sequelize';
+import { watchdog as watchdogConfig } from '../../config/config.js';
+import { getModels } from '../database/models/index.js';
+import { createServiceLogger } from '../utils/logger.js';
+import { warningEmbed } from '../utils/messageHandler.js';
+import { flagServer, quarantineServer } from './auditService.js';
+import { refreshServerRecord } from './gameServerConnector.js';
+import { emitToDashboard } from './dashboardEvents.js';
+
+const logger = createServiceLogger('WatchdogService');
+
+let watchdogTimer = null;
+let watchdogRunning = false;
+let discordClient = null;
+
+/**
+ * Compare a server's sync counts in one window against its threshold
+ *
+ * @param {Object} counts - { syncs, flagged }
+ * @param {Object} window - { minutes, minSyncs, maxFlaggedRate }
+ * @returns {Object} { minutes, syncs, flagged, rate, maxFlaggedRate, tripped }
+ */
+export function evaluateWindow(counts, window) {
+    const syncs = counts?.syncs || 0;
+    const flagged = counts?.flagged || 0;
+    const rate = syncs > 0 ? flagged / syncs : 0;
+
+    return {
+        minutes: window.minutes,
+        syncs,
+        flagged,
+        rate,
+        maxFlaggedRate: window.maxFlaggedRate,
+        tripped: syncs >= window.minSyncs && rate >= window.maxFlaggedRate
+    };
+}
+
+/**
+ * Describe the windows a server tripped
+ */
+function describeTripped(tripped) {
+    return tripped
+        .map(w => `${w.flagged} of ${w.syncs} syncs flagged in the last ${w.minutes} min (${Math.round(w.rate * 100)}%, limit ${Math.round(w.maxFlaggedRate * 100)}%)`)
+        .join('; ');
+}
+
+/**
+ * Flagged-sync rates per server for each configured window
+ *
+ * Counts saves only (connect entries are never flagged) and skips saves
+ * stored while their server was quarantined.
+ *
+ * @param {Object} options - Query options
+ * @param {Array<Object>} options.windows - Windows to compute (default config.watchdog.windows)
+ * @returns {Promise<Object>} { windows, servers: { [serverId]: [evaluateWindow result] }, checkedAt }
+ */
+export async function getServerFlagRates({ windows = watchdogConfig.windows } = {}) {
+    const models = getModels();
+    const { fn, col, literal } = models.SyncAuditLog.sequelize;
+    const now = Date.now();
+    const servers = {};
+
+    for (const [index, window] of windows.entries()) {
+        const rows = await models.SyncAuditLog.findAll({
+            where: {
+                created_at: { [Op.gte]: new Date(now - window.minutes * 60000) },
+                sync_type: { [Op.ne]: 'connect' },
+                quarantined: false
+            },
+            attributes: [
+                'server_id',
+                [fn('COUNT', col('id')), 'syncs'],
+                [fn('SUM', literal('CASE WHEN flagged THEN 1 ELSE 0 END')), 'flagged']
+            ],
+            group: ['server_id'],
+            raw: true
+        });
+
+        for (const row of rows) {
+            if (!servers[row.server_id]) {
+                servers[row.server_id] = windows.map(w => evaluateWindow(null, w));
+            }
+            servers[row.server_id][index] = evaluateWindow({
+                syncs: Number(row.syncs),
+                flagged: Number(row.flagged)
+            }, window);
+        }
+    }
+
+    return {
+        windows,
+        servers,
+        checkedAt: new Date(now)
+    };
+}
+
+/**
+ * Post a watchdog alert to the configured Discord channel
+ */
+async function sendAlert(server, reason, quarantined) {
+    if (!watchdogConfig.alertChannelId || !discordClient?.isReady()) return;
+
+    try {
+        const channel = await discordClient.channels.fetch(watchdogConfig.alertChannelId);
+        const embed = warningEmbed(
+            `Server ${quarantined ? 'quarantined' : 'flagged'}: ${server.server_name || server.server_id}`,
+            reason
+        ).addFields(
+            { name: 'Server ID', value: server.server_id, inline: true },
+            {
+                name: 'Saves',
+                value: quarantined ? 'Stored for review, not applied' : 'Still applied, flagged syncs await review',
+                inline: true
+            }
+        );
+
+        await channel.send({ embeds: [embed] });
+    } catch (error) {
+        logger.error(`Failed to send watchdog alert for ${server.server_id}: ${error.message}`);
+    }
+}
+
+/**
+ * Flag (and with autoQuarantine, quarantine) every server over its thresholds
+ *
+ * @returns {Promise<Array<Object>>} [{ serverId, reason, quarantined }] servers acted on
+ */
+export async function runWatchdog() {
+    const models = getModels();
+    const actions = [];
+
+    if (watchdogRunning) return actions;
+    watchdogRunning = true;
+
+    try {
+        const rates = await getServerFlagRates();
+        const trippedIds = Object.keys(rates.servers).filter(serverId => rates.servers[serverId].some(w => w.tripped));
+        if (trippedIds.length === 0) return actions;
+
+        const servers = await models.GameServer.findAll({
+            where: { server_id: trippedIds }
+        });
+
+        for (const server of servers) {
+            if (server.quarantined) continue;
+            if (server.flagged && !watchdogConfig.autoQuarantine) continue;
+
+            const reason = `Watchdog: ${describeTripped(rates.servers[server.server_id].filter(w => w.tripped))}`;
+
+            const updated = watchdogConfig.autoQuarantine
+                ? await quarantineServer(server.server_id, reason)
+                : await flagServer(server.server_id, reason);
+
+            await refreshServerRecord(server.server_id);
+
+            const data = updated.toJSON();
+            delete data.api_token;
+            emitToDashboard('servers', 'gameServer:updated', data);
+
+            await sendAlert(updated, reason, watchdogConfig.autoQuarantine);
+
+            actions.push({ serverId: server.server_id, reason, quarantined: watchdogConfig.autoQuarantine });
+        }
+    } catch (error) {
+        logger.error(`Watchdog run failed: ${error.message}`);
+    } finally {
+        watchdogRunning = false;
+    }
+
+    return actions;
+}
+
+/**
+ * Start the periodic flagged-sync rate check
+ *
+ * @param {Client} client - Discord client used for alerts
+ */
+export function startWatchdog(client) {
+    if (watchdogTimer || !watchdogConfig.enabled) return;
+
+    if (watchdogConfig.windows.length === 0) {
+        logger.warn('Watchdog not started: no valid WATCHDOG_WINDOWS');
+        return;
+    }
+
+    discordClient = client;
+    watchdogTimer = setInterval(runWatchdog, watchdogConfig.interval);
+    watchdogTimer.unref();
+
+    logger.info(`Watchdog started (every ${Math.round(watchdogConfig.interval / 1000)}s, ${watchdogConfig.autoQuarantine ? 'quarantine' : 'flag only'})`);
+}
+
+/**
+ * Stop the watchdog
+ */
+export function stopWatchdog() {
+    if (watchdogTimer) {
+        clearInterval(watchdogTimer);
+        watchdogTimer = null;
+    }
+}
+
+export default {
+    evaluateWindow,
+    getServerFlagRates,
+    runWatchdog,
+    startWatchdog,
+    stopWatchdog
+};
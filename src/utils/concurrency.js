@@ -0,0 +1,31 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ *
+ * Results keep the order of the items. A rejection rejects the whole call, so
+ * callers that need per-item outcomes should catch inside fn.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent calls (at least 1)
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return results;
+}
@@ -0,0 +1,46 @@
+/**
+ * JSON file decoding helpers
+ * Game servers write KOTH files as UTF-8 or UTF-16, with or without a BOM
+ * (same handling as decodeBufferSmart in the squadjs plugins)
+ */
+
+/**
+ * Decode a buffer with BOM detection (UTF-16LE, UTF-16BE, UTF-8)
+ * @param {Buffer} buf - Raw file contents
+ * @returns {string}
+ */
+export function decodeBufferSmart(buf) {
+    if (!buf || buf.length === 0) return '';
+    if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
+        return buf.toString('utf16le');
+    }
+    if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+        const out = Buffer.alloc(Math.max(0, buf.length - 2));
+        for (let i = 2; i + 1 < buf.length; i += 2) {
+            out[i - 2] = buf[i + 1];
+            out[i - 1] = buf[i];
+        }
+        return out.toString('utf16le');
+    }
+    if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+        return buf.slice(3).toString('utf8');
+    }
+    return buf.toString('utf8');
+}
+
+/**
+ * Parse a JSON file buffer in any encoding decodeBufferSmart understands
+ * @param {Buffer} buf - Raw file contents
+ * @returns {*} Parsed JSON
+ * @throws {SyntaxError} If the contents are not valid JSON
+ */
+export function parseJsonBuffer(buf) {
+    let text = decodeBufferSmart(buf);
+    if (text && text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    return JSON.parse(text);
+}
+
+export default {
+    decodeBufferSmart,
+    parseJsonBuffer
+};
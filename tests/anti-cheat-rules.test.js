@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Anti-Cheat Rule Test Suite
+ * Run with: npm test
+ *
+ * Exercises rule resolution and evaluation only, no server or database needed.
+ */
+
+import {
+    DEFAULT_RULES,
+    resolveRules,
+    evaluateRules,
+    validateRule
+} from '../src/services/antiCheatService.js';
+
+// Colors for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    dim: '\x1b[2m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function v2Player(stats = {}, extra = {}) {
+    return {
+        v: 2,
+        steamId: '76561198000000001',
+        syncSeq: 1,
+        stats: {
+            currencyTotal: 10000,
+            currencySpent: 2000,
+            xp: 5000,
+            xpTotal: 5000,
+            prestige: 0,
+            permaTokens: 0,
+            dailyClaims: 0,
+            gamesPlayed: 3,
+            timePlayed: 3600,
+            ...stats
+        },
+        permaUnlocks: [],
+        ...extra
+    };
+}
+
+function context(oldStats, newStats, extra = {}) {
+    return {
+        oldData: v2Player(oldStats),
+        newData: v2Player(newStats),
+        economy: { currencyMultiplier: 1, xpMultiplier: 1 },
+        permaItems: new Set(['BP_AK74']),
+        elapsedSeconds: 60,
+        ...extra
+    };
+}
+
+function ruleRow(rule_key, fields = {}, server_id = null) {
+    return { rule_key, server_id, type: null, severity: null, enabled: null, params: null, description: null, ...fields };
+}
+
+const defaults = resolveRules([]);
+
+const tests = [
+    {
+        name: 'Defaults - Clean save passes',
+        run: () => {
+            const result = evaluateRules(defaults, context({}, { currencyTotal: 10500, xpTotal: 5800, xp: 5800, timePlayed: 3660 }));
+            return {
+                passed: result.violations.length === 0 && !result.flagged && !result.rejected,
+                details: `${result.violations.length} violations`
+            };
+        }
+    },
+    {
+        name: 'Defaults - Every built-in rule is valid',
+        run: () => {
+            const invalid = defaults.filter(rule => validateRule(rule).length > 0).map(rule => rule.key);
+            return {
+                passed: invalid.length === 0 && defaults.length === Object.keys(DEFAULT_RULES).length,
+                details: invalid.length > 0 ? `Invalid: ${invalid.join(', ')}` : `${defaults.length} rules`
+            };
+        }
+    },
+    {
+        name: 'Delta - Per-sync limit flags',
+        run: () => {
+            const result = evaluateRules(defaults, context({}, { currencyTotal: 70000, timePlayed: 7200 }, { elapsedSeconds: 3600 }));
+            const rules = result.violations.map(violation => violation.rule);
+            return {
+                passed: rules.includes('currency_total_delta') && result.flagged && !result.rejected,
+                details: result.reason
+            };
+        }
+    },
+    {
+        name: 'Rate - Normalized by time played',
+        run: () => {
+            // 3000 currency in one minute is too fast, in five minutes it is not
+            const fast = evaluateRules(defaults, context({}, { currencyTotal: 13000, timePlayed: 3660 }));
+            const slow = evaluateRules(defaults, context({}, { currencyTotal: 13000, timePlayed: 3900 }, { elapsedSeconds: 300 }));
+            return {
+                passed: fast.violations.some(v => v.rule === 'currency_rate') && !slow.violations.some(v => v.rule === 'currency_rate'),
+                details: fast.reason
+            };
+        }
+    },
+    {
+        name: 'Rate - Scaled by economy multiplier',
+        run: () => {
+            const result = evaluateRules(defaults, context({}, { currencyTotal: 13000, timePlayed: 3660 }, {
+                economy: { currencyMultiplier: 4, xpMultiplier: 1 }
+            }));
+            return {
+                passed: !result.violations.some(v => v.rule === 'currency_rate'),
+                details: `${result.violations.length} violations`
+            };
+        }
+    },
+    {
+        name: 'Rate - Scaled by prestige',
+        run: () => {
+            const rules = resolveRules([ruleRow('currency_rate', { params: { perPrestige: 0.5 } })]);
+            const result = evaluateRules(rules, context({ prestige: 4 }, { prestige: 4, currencyTotal: 12500, timePlayed: 3660 }));
+            return {
+                passed: !result.violations.some(v => v.rule === 'currency_rate'),
+                details: `${result.violations.length} violations`
+            };
+        }
+    },
+    {
+        name: 'State - Spent over total rejects',
+        run: () => {
+            const result = evaluateRules(defaults, context({}, { currencySpent: 20000, timePlayed: 3660 }));
+            return {
+                passed: result.rejected && result.severity === 'reject' && result.reason.includes('currency_spent_exceeds_total'),
+                details: result.reason
+            };
+        }
+    },
+    {
+        name: 'State - Perma unlock not in store',
+        run: () => {
+            const ctx = context({}, { timePlayed: 3660 });
+            ctx.newData.permaUnlocks = ['BP_AK74', 'BP_Minigun'];
+            const result = evaluateRules(defaults, ctx);
+            return {
+                passed: result.flagged && result.reason.includes('BP_Minigun') && !result.reason.includes('BP_AK74'),
+                details: result.reason
+            };
+        }
+    },
+    {
+        name: 'State - Time played beyond elapsed time',
+        run: () => {
+            const result = evaluateRules(defaults, context({}, { timePlayed: 4200 }, { elapsedSeconds: 60 }));
+            return {
+                passed: result.violations.some(v => v.rule === 'time_played_elapsed'),
+                details: result.reason
+            };
+        }
+    },
+    {
+        name: 'Overrides - Server row beats global row',
+        run: () => {
+            const rows = [
+                ruleRow('currency_total_delta', { params: { max: 1000 }, severity: 'reject' }),
+                ruleRow('currency_total_delta', { params: { max: 100000 } }, 'server-2')
+            ];
+            const global = resolveRules(rows, 'server-1').find(rule => rule.key === 'currency_total_delta');
+            const server = resolveRules(rows, 'server-2').find(rule => rule.key === 'currency_total_delta');
+            return {
+                passed: global.params.max === 1000 && global.source === 'global' &&
+                    server.params.max === 100000 && server.severity === 'reject' && server.source === 'server',
+                details: `global max ${global.params.max}, server-2 max ${server.params.max} (${server.severity})`
+            };
+        }
+    },
+    {
+        name: 'Overrides - Disabled rule is skipped',
+        run: () => {
+            const rules = resolveRules([ruleRow('currency_spent_exceeds_total', { enabled: false })]);
+            const result = evaluateRules(rules, context({}, { currencySpent: 20000, timePlayed: 3660 }));
+            return {
+                passed: !result.rejected,
+                details: `${result.violations.length} violations`
+            };
+        }
+    },
+    {
+        name: 'Severity - Log only does not flag',
+        run: () => {
+            const rules = resolveRules([ruleRow('currency_total_delta', { severity: 'log', params: { max: 100 } })]);
+            const result = evaluateRules(rules, context({}, { currencyTotal: 10500, timePlayed: 3660 }));
+            return {
+                passed: result.severity === 'log' && !result.flagged && result.reason === null,
+                details: `severity: ${result.severity}`
+            };
+        }
+    },
+    {
+        name: 'Severity - Flag server also rejects',
+        run: () => {
+            const rules = resolveRules([ruleRow('currency_spent_exceeds_total', { severity: 'flag_server' })]);
+            const result = evaluateRules(rules, context({}, { currencySpent: 20000, timePlayed: 3660 }));
+            return {
+                passed: result.flagServer && result.rejected && result.flagged,
+                details: `severity: ${result.severity}`
+            };
+        }
+    },
+    {
+        name: 'Validation - Custom rule needs a type',
+        run: () => {
+            const rule = resolveRules([ruleRow('perma_tokens_rate', { params: { stat: 'permaTokens', maxPerMinute: 1 } })])
+                .find(entry => entry.key === 'perma_tokens_rate');
+            const errors = validateRule(rule);
+            return {
+                passed: errors.some(error => error.startsWith('type')),
+                details: errors.join('; ')
+            };
+        }
+    }
+];
+
+function runTests() {
+    console.log();
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    log('                 ANTI-CHEAT RULE TEST SUITE                 ', 'cyan');
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    console.log();
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+        process.stdout.write(`  ${test.name.padEnd(45)}`);
+
+        try {
+            const result = test.run();
+
+            if (result.passed) {
+                passed++;
+                log('✓ PASSED', 'green');
+                if (result.details) {
+                    log(`    ${result.details}`, 'dim');
+                }
+            } else {
+                failed++;
+                log('✗ FAILED', 'red');
+                if (result.details) {
+                    log(`    ${result.details}`, 'yellow');
+                }
+            }
+        } catch (error) {
+            failed++;
+            log('✗ ERROR', 'red');
+            log(`    ${error.message}`, 'yellow');
+        }
+    }
+
+    console.log();
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    log(`  Results: ${passed} passed, ${failed} failed, ${tests.length} total`, passed === tests.length ? 'green' : 'yellow');
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    console.log();
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Player Save Writer Test Suite
+ * Run with: npm test
+ *
+ * Exercises the write plan and the SQL writePlayerSave sends. Queries are
+ * captured instead of run, no server or database needed.
+ */
+
+import { Sequelize } from 'sequelize';
+import databaseManager from '../src/database/index.js';
+import definePlayerKill from '../src/database/models/PlayerKill.js';
+import definePlayerPurchase from '../src/database/models/PlayerPurchase.js';
+import { v2PlayerToDbParts, v2TrackingToDbParts } from '../src/services/gameDataTransformer.js';
+import { planSaveWrites, countPlanStatements, writePlayerSave } from '../src/services/playerSaveWriter.js';
+
+// Colors for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    dim: '\x1b[2m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const SESSION_START = new Date('2025-01-01T12:00:00Z');
+const IN_SESSION = new Date('2025-01-01T12:30:00Z');
+
+function v2Save(changes = {}) {
+    return {
+        v: 2,
+        steamId: '76561198000000001',
+        eosId: 'eos1',
+        name: 'Tester',
+        syncSeq: 10,
+        stats: {
+            currencyTotal: 10000,
+            currencySpent: 2000,
+            xp: 5000,
+            xpTotal: 5000,
+            prestige: 0,
+            permaTokens: 0,
+            dailyClaims: 0,
+            gamesPlayed: 3,
+            timePlayed: 3600,
+            joinTime: '2024-06-01T00:00:00.000Z',
+            dailyClaimTime: null
+        },
+        skins: { indfor: 'a', blufor: 'b', redfor: 'c' },
+        supporterStatus: [],
+        loadout: [
+            { slot: 1, family: 'Rifle', item: '/Game/AK', count: 1 },
+            { slot: 2, family: 'Rifle', item: '/Game/AK', count: 1 }
+        ],
+        perks: ['medic', 'engineer'],
+        permaUnlocks: ['BP_AK74'],
+        tracking: {
+            kills: { '76561198000000002': 2 },
+            vehicleKills: {},
+            purchases: { ammo: 1 },
+            weaponXp: {},
+            rewards: {}
+        },
+        ...changes
+    };
+}
+
+/**
+ * A player as findWithFullData loads it after `save` was written
+ * BIGINT columns come back as strings, like MariaDB returns them.
+ */
+function stored(save, updatedAt = IN_SESSION) {
+    const parts = v2PlayerToDbParts(save);
+    const tracking = v2TrackingToDbParts(save.tracking);
+    let id = 1;
+    const rows = list => list.map(row => ({ id: id++, ...row, updatedAt }));
+
+    return {
+        id: 1,
+        ...parts.player,
+        sync_seq: String(parts.player.sync_seq),
+        stats: { id: 1, ...parts.stats, currency_total: String(parts.stats.currency_total) },
+        skins: { ...parts.skins },
+        supporterStatus: null,
+        loadout: rows(parts.loadout),
+        perks: rows(parts.perks),
+        permaUnlocks: rows(parts.permaUnlocks),
+        rewards: rows(tracking.rewards),
+        kills: rows(tracking.kills),
+        vehicleKills: rows(tracking.vehicleKills),
+        purchases: rows(tracking.purchases),
+        weaponXp: rows(tracking.weaponXp)
+    };
+}
+
+function plan(player, save, sessionStart = SESSION_START) {
+    return planSaveWrites(player, v2PlayerToDbParts(save), save.tracking ? v2TrackingToDbParts(save.tracking) : null, sessionStart);
+}
+
+/**
+ * Register the tracking models on a MariaDB Sequelize that records its queries instead of running them
+ */
+function captureStatements() {
+    const statements = [];
+
+    databaseManager.sequelize = new Sequelize({ dialect: 'mariadb', logging: false });
+    databaseManager.registerModel('PlayerKill', definePlayerKill);
+    databaseManager.registerModel('PlayerPurchase', definePlayerPurchase);
+    databaseManager.sequelize.query = async (sql) => {
+        statements.push(typeof sql === 'string' ? sql : sql.query);
+        return [[], 0];
+    };
+
+    return statements;
+}
+
+const tests = [
+    {
+        name: 'Unchanged save - Only sync_seq written',
+        run: () => {
+            const save = v2Save();
+            const result = plan(stored(save), { ...save, syncSeq: 11 });
+            return {
+                passed: countPlanStatements(result) === 1 && Object.keys(result.player).join() === 'sync_seq',
+                details: `${countPlanStatements(result)} statements`
+            };
+        }
+    },
+    {
+        name: 'Stats - Only changed columns updated',
+        run: () => {
+            const save = v2Save();
+            const next = v2Save({ syncSeq: 11, stats: { ...save.stats, timePlayed: 3660 } });
+            const result = plan(stored(save), next);
+            const stats = result.updates.find(update => update.table === 'PlayerStats');
+            return {
+                passed: result.updates.length === 1 && Object.keys(stats.values).join() === 'time_played',
+                details: JSON.stringify(stats?.values)
+            };
+        }
+    },
+    {
+        name: 'Stats - Missing row inserted in full',
+        run: () => {
+            const save = v2Save();
+            const player = { ...stored(save), stats: null };
+            const stats = plan(player, save).updates.find(update => update.table === 'PlayerStats');
+            return {
+                passed: stats && stats.row === null && Object.keys(stats.values).length === 11,
+                details: stats ? `${Object.keys(stats.values).length} columns` : 'no update'
+            };
+        }
+    },
+    {
+        name: 'Loadout - Changed slot deleted and reinserted',
+        run: () => {
+            const save = v2Save();
+            const loadout = [save.loadout[0], { slot: 2, family: 'Rifle', item: '/Game/M4', count: 1 }];
+            const result = plan(stored(save), v2Save({ syncSeq: 11, loadout }));
+            const removal = result.removals.find(entry => entry.table === 'LoadoutSlot');
+            const insert = result.inserts.find(entry => entry.table === 'LoadoutSlot');
+            return {
+                passed: removal?.ids.length === 1 && removal.ids[0] === 2 && insert?.rows.length === 1 && insert.rows[0].item === '/Game/M4',
+                details: `removed ${removal?.ids}, inserted ${insert?.rows.length}`
+            };
+        }
+    },
+    {
+        name: 'Loadout - Duplicate items matched one to one',
+        run: () => {
+            const slot = { slot: 1, family: 'Rifle', item: '/Game/AK', count: 1 };
+            const save = v2Save({ loadout: [slot, { ...slot }] });
+            const result = plan(stored(save), v2Save({ syncSeq: 11, loadout: [slot] }));
+            const removal = result.removals.find(entry => entry.table === 'LoadoutSlot');
+            return {
+                passed: removal?.ids.length === 1 && !result.inserts.some(entry => entry.table === 'LoadoutSlot'),
+                details: `removed ${removal?.ids}`
+            };
+        }
+    },
+    {
+        name: 'Perks - Removed perk deleted, new one inserted',
+        run: () => {
+            const result = plan(stored(v2Save()), v2Save({ syncSeq: 11, perks: ['medic', 'sniper'] }));
+            const removal = result.removals.find(entry => entry.table === 'PlayerPerk');
+            const insert = result.inserts.find(entry => entry.table === 'PlayerPerk');
+            return {
+                passed: removal?.ids.length === 1 && insert?.rows.length === 1 && insert.rows[0].perk_name === 'sniper',
+                details: `removed ${removal?.ids}, inserted ${insert?.rows.map(row => row.perk_name)}`
+            };
+        }
+    },
+    {
+        name: 'Perma unlocks - Never deleted',
+        run: () => {
+            const result = plan(stored(v2Save()), v2Save({ syncSeq: 11, permaUnlocks: [] }));
+            return {
+                passed: !result.removals.some(entry => entry.table === 'PlayerPermanentUnlock'),
+                details: `${result.removals.length} removals`
+            };
+        }
+    },
+    {
+        name: 'Tracking - Changed counters upserted in one statement',
+        run: () => {
+            const save = v2Save();
+            const tracking = { ...save.tracking, kills: { '76561198000000002': 3, '76561198000000003': 1 } };
+            const result = plan(stored(save), v2Save({ syncSeq: 11, tracking }));
+            const insert = result.inserts.find(entry => entry.table === 'PlayerKill');
+            return {
+                passed: result.inserts.length === 1 && insert.upsert && insert.rows.length === 2,
+                details: `${insert?.rows.length} rows`
+            };
+        }
+    },
+    {
+        name: 'Tracking - Rows from an earlier session rewritten',
+        run: () => {
+            const save = v2Save();
+            const result = plan(stored(save, new Date('2025-01-01T11:00:00Z')), { ...save, syncSeq: 11 });
+            const tables = result.inserts.map(entry => entry.table).sort().join();
+            return {
+                passed: tables === 'PlayerKill,PlayerPurchase',
+                details: tables
+            };
+        }
+    },
+    {
+        name: 'Write - Tracking upsert refreshes updated_at',
+        run: async () => {
+            const statements = captureStatements();
+            const save = v2Save();
+            const count = await writePlayerSave(stored(save, new Date('2025-01-01T11:00:00Z')), save, save.tracking, {
+                sessionStart: SESSION_START,
+                transaction: null
+            });
+            const kills = statements.find(sql => sql.startsWith('INSERT INTO `player_kills`')) || '';
+            return {
+                passed: count === 2 && statements.length === 2
+                    && kills.endsWith('ON DUPLICATE KEY UPDATE `count`=VALUES(`count`),`updated_at`=VALUES(`updated_at`);'),
+                details: kills.slice(kills.indexOf('ON DUPLICATE'))
+            };
+        }
+    },
+    {
+        name: 'Tracking - Save without tracking leaves rows alone',
+        run: () => {
+            const save = v2Save();
+            const result = plan(stored(save), { ...save, syncSeq: 11, tracking: undefined });
+            return {
+                passed: result.inserts.length === 0 && result.removals.length === 0,
+                details: `${countPlanStatements(result)} statements`
+            };
+        }
+    }
+];
+
+async function runTests() {
+    console.log();
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    log('               PLAYER SAVE WRITER TEST SUITE               ', 'cyan');
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    console.log();
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+        process.stdout.write(`  ${test.name.padEnd(55)}`);
+
+        try {
+            const result = await test.run();
+
+            if (result.passed) {
+                passed++;
+                log('✓ PASSED', 'green');
+                if (result.details) {
+                    log(`    ${result.details}`, 'dim');
+                }
+            } else {
+                failed++;
+                log('✗ FAILED', 'red');
+                if (result.details) {
+                    log(`    ${result.details}`, 'yellow');
+                }
+            }
+        } catch (error) {
+            failed++;
+            log('✗ ERROR', 'red');
+            log(`    ${error.message}`, 'yellow');
+        }
+    }
+
+    console.log();
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    log(`  Results: ${passed} passed, ${failed} failed, ${tests.length} total`, passed === tests.length ? 'green' : 'yellow');
+    log('═══════════════════════════════════════════════════════════', 'cyan');
+    console.log();
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
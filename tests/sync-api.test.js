@@ -9,7 +9,7 @@
 
 import 'dotenv/config';
 
-const API_KEY = process.env.SYNC_API_KEY || 'dev-sync-api-key-12345';
+const SERVER_TOKEN = process.env.TEST_SERVER_TOKEN || '';
 const BASE_URL = process.env.TEST_BASE_URL || 'http://localhost:3000';
 
 // Colors for terminal output
@@ -45,7 +45,45 @@ async function request(method, path, body = null, headers = {}) {
     return { status: response.status, data };
 }
 
-// Test definitions
+const auth = { 'Authorization': `Bearer ${SERVER_TOKEN}` };
+
+// Unique Steam ID per run so connect always starts from a fresh player
+const TEST_STEAM_ID = `7656119800${String(Date.now() % 10000000).padStart(7, '0')}`;
+
+function v2Player(steamId, syncSeq, extra = {}) {
+    return {
+        v: 2,
+        steamId,
+        name: 'SyncTestPlayer',
+        syncSeq,
+        stats: {
+            currencyTotal: 1000,
+            currencySpent: 250,
+            xp: 500,
+            xpTotal: 500,
+            prestige: 0,
+            permaTokens: 0,
+            dailyClaims: 0,
+            gamesPlayed: 1,
+            timePlayed: 60
+        },
+        skins: { indfor: null, blufor: null, redfor: null },
+        loadout: [],
+        perks: [],
+        permaUnlocks: [],
+        supporterStatus: [],
+        tracking: {
+            kills: {},
+            vehicleKills: {},
+            purchases: {},
+            weaponXp: {},
+            rewards: {}
+        },
+        ...extra
+    };
+}
+
+// Test definitions (run in order - later tests depend on the session opened by connect)
 const tests = [
     {
         name: 'Health check',
@@ -58,181 +96,132 @@ const tests = [
         }
     },
     {
-        name: 'Auth - Missing API key',
+        name: 'Sync health (no auth)',
+        run: async () => {
+            const { status, data } = await request('GET', '/api/sync/health');
+            return {
+                passed: status === 200 && data.status === 'ok',
+                details: `Service: ${data.service}`
+            };
+        }
+    },
+    {
+        name: 'Auth - Missing server token',
         run: async () => {
-            const { status, data } = await request('POST', '/api/sync/player', {});
+            const { status, data } = await request('POST', '/api/sync/connect', {});
             return {
-                passed: status === 401 && data.error?.includes('API key'),
+                passed: status === 401 && data.error?.includes('token'),
                 details: data.error
             };
         }
     },
     {
-        name: 'Auth - Invalid API key',
+        name: 'Auth - Invalid server token',
         run: async () => {
-            const { status, data } = await request('POST', '/api/sync/player', {}, { 'X-API-Key': 'wrong-key' });
+            const { status, data } = await request('POST', '/api/sync/connect', {}, { 'Authorization': 'Bearer wrong-token' });
             return {
-                passed: (status === 401 || status === 403) && data.error?.toLowerCase().includes('invalid'),
+                passed: status === 403 && data.error?.toLowerCase().includes('invalid'),
                 details: `${status}: ${data.error}`
             };
         }
     },
     {
-        name: 'Validation - Missing steamId',
+        name: 'Validation - Invalid steamId',
         run: async () => {
-            const { status, data } = await request('POST', '/api/sync/player', { playerName: 'Test' }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/connect', { steamId: '123' }, auth);
             return {
-                passed: status === 400 && data.error?.toLowerCase().includes('steamid'),
+                passed: status === 400 && data.success === false,
                 details: data.error
             };
         }
     },
     {
-        name: 'Sync - Minimal player',
+        name: 'Connect - New player',
         run: async () => {
-            const steamId = `765611980000${String(Date.now() % 10000).padStart(5, '0')}`;
-            const { status, data } = await request('POST', '/api/sync/player', {
-                steamId,
-                playerName: 'MinimalTestPlayer'
-            }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/connect', { steamId: TEST_STEAM_ID, name: 'SyncTestPlayer' }, auth);
             return {
-                passed: status === 200 && data.success === true && data.player_id > 0,
-                details: `Player ID: ${data.player_id}, Duration: ${data.duration_ms}ms`
+                passed: status === 200 && data.status === 'ok' && data.player?.v === 2 && data.syncSeq === 0,
+                details: `Status: ${data.status}, syncSeq: ${data.syncSeq}`
             };
         }
     },
     {
-        name: 'Sync - Full player data',
+        name: 'Periodic - Next sequence',
         run: async () => {
-            const ts = Date.now();
-            const steamId = `765611980001${String(ts % 10000).padStart(5, '0')}`;
-            const eosId = `eos${ts.toString(16).slice(-16)}`;  // Unique EOS ID per run
-            const { status, data } = await request('POST', '/api/sync/player', {
-                steamId,
-                eosId,
-                playerName: 'FullDataTestPlayer',
-                stats: {
-                    currency: 5000,
-                    currencyEarnedTotal: 15000,
-                    currencySpentTotal: 10000,
-                    xp: 2500,
-                    xpTotal: 12500,
-                    prestige: 2,
-                    gamesPlayed: 50,
-                    timePlayedSeconds: 180000
-                },
-                skins: {
-                    indforSkin: 'skin_indfor_woodland',
-                    bluforSkin: 'skin_blufor_desert',
-                    redforSkin: 'skin_redfor_urban'
-                },
-                loadout: [
-                    { slotNumber: 1, familyName: 'Primary', itemPath: '/weapons/rifle/ak47', itemDisplayName: 'AK-47' },
-                    { slotNumber: 2, familyName: 'Secondary', itemPath: '/weapons/pistol/glock', itemDisplayName: 'Glock 17' }
-                ],
-                perks: ['fast_reload', 'extra_ammo', 'steady_aim'],
-                permanentUnlocks: ['m4a1', 'scar_h', 'acog_scope'],
-                rewards: [
-                    { rewardType: 'killstreak', count: 5 },
-                    { rewardType: 'headshot', count: 25 }
-                ],
-                kills: [
-                    { victimSteamId: '76561198000000099', killCount: 10 },
-                    { victimSteamId: '76561198000000098', killCount: 5 }
-                ],
-                vehicleKills: [
-                    { vehicleName: 'tank_t72', killCount: 3 },
-                    { vehicleName: 'heli_mi24', killCount: 2 }
-                ],
-                weaponXp: [
-                    { weaponName: 'ak47', xp: 1500 },
-                    { weaponName: 'm4a1', xp: 2000 }
-                ]
-            }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/periodic', v2Player(TEST_STEAM_ID, 1), auth);
             return {
-                passed: status === 200 && data.success === true,
-                details: `Player ID: ${data.player_id}, Tables: ${data.synced_tables?.length || 0}, Duration: ${data.duration_ms}ms`
+                passed: status === 200 && data.success === true && data.syncSeq === 1,
+                details: `syncSeq: ${data.syncSeq}, flagged: ${data.flagged}`
             };
         }
     },
     {
-        name: 'Sync - Update existing player',
+        name: 'Periodic - Stale sequence rejected',
         run: async () => {
-            const steamId = '76561198000000001';
-            // First sync
-            await request('POST', '/api/sync/player', {
-                steamId,
-                playerName: 'UpdateTestPlayer'
-            }, { 'X-API-Key': API_KEY });
-
-            // Update sync
-            const { status, data } = await request('POST', '/api/sync/player', {
-                steamId,
-                playerName: 'UpdateTestPlayerModified',
-                stats: { currency: 9999, xp: 1234 }
-            }, { 'X-API-Key': API_KEY });
-
+            const { status, data } = await request('POST', '/api/sync/periodic', v2Player(TEST_STEAM_ID, 0), auth);
             return {
-                passed: status === 200 && data.success === true,
-                details: `Player ID: ${data.player_id}, Duration: ${data.duration_ms}ms`
+                passed: status === 409 && data.error === 'invalid_sync_seq' && data.expectedSeq === 1,
+                details: `${status}: ${data.error} (expected ${data.expectedSeq})`
             };
         }
     },
     {
-        name: 'Sync - Batch (multiple players)',
+        name: 'Periodic - Invalid v2 data',
         run: async () => {
-            const ts = String(Date.now() % 10000).padStart(5, '0');
-            const { status, data } = await request('POST', '/api/sync/batch', {
-                players: [
-                    { steamId: `7656119810${ts}01`, playerName: 'BatchPlayer1', stats: { currency: 100 } },
-                    { steamId: `7656119810${ts}02`, playerName: 'BatchPlayer2', stats: { currency: 200 } },
-                    { steamId: `7656119810${ts}03`, playerName: 'BatchPlayer3', stats: { currency: 300 } }
-                ]
-            }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/periodic', { steamId: TEST_STEAM_ID, syncSeq: 2 }, auth);
             return {
-                passed: status === 200 && data.success === true && data.total === 3 && data.synced === 3,
-                details: `Total: ${data.total}, Synced: ${data.synced}, Failed: ${data.failed}, Duration: ${data.duration_ms}ms`
+                passed: status === 400 && data.error === 'validation_failed',
+                details: `${status}: ${data.errors?.join(', ')}`
             };
         }
     },
     {
-        name: 'Status - Synced player',
+        name: 'Disconnect - Final sync',
         run: async () => {
-            const steamId = '76561198000000001';
-            // Ensure player exists
-            await request('POST', '/api/sync/player', { steamId, playerName: 'StatusTestPlayer' }, { 'X-API-Key': API_KEY });
-
-            const { status, data } = await request('GET', `/api/sync/status/${steamId}`, null, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/disconnect', v2Player(TEST_STEAM_ID, 2), auth);
+            return {
+                passed: status === 200 && data.success === true && data.syncSeq === 2,
+                details: `syncSeq: ${data.syncSeq}`
+            };
+        }
+    },
+    {
+        name: 'Periodic - After disconnect rejected',
+        run: async () => {
+            const { status, data } = await request('POST', '/api/sync/periodic', v2Player(TEST_STEAM_ID, 3), auth);
             return {
-                passed: status === 200 && data.synced === true && data.last_sync !== null,
-                details: `Last sync: ${data.last_sync}`
+                passed: status === 409 && data.error === 'not_session_owner',
+                details: `${status}: ${data.error}`
             };
         }
     },
     {
-        name: 'Status - Unknown player',
+        name: 'Crash recovery - Stale file skipped',
         run: async () => {
-            const { status, data } = await request('GET', '/api/sync/status/76561198999999999', null, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/crash-recovery', {
+                players: [v2Player(TEST_STEAM_ID, 1)]
+            }, auth);
+            const result = data.results?.[0];
             return {
-                passed: status === 200 && data.synced === false && data.last_sync === null,
-                details: `Synced: ${data.synced}`
+                passed: status === 200 && data.total === 1 && result?.success === true && result?.skipped === true,
+                details: `Successful: ${data.successful}, Skipped: ${result?.skipped}`
             };
         }
     },
     {
-        name: 'Validation - Empty batch',
+        name: 'Validation - Empty recovery batch',
         run: async () => {
-            const { status, data } = await request('POST', '/api/sync/batch', { players: [] }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/crash-recovery', { players: [] }, auth);
             return {
-                passed: status === 400 && data.error?.toLowerCase().includes('empty') || data.error?.toLowerCase().includes('required'),
+                passed: status === 400 && data.error?.toLowerCase().includes('empty'),
                 details: data.error
             };
         }
     },
     {
-        name: 'Validation - Invalid batch format',
+        name: 'Validation - Invalid recovery format',
         run: async () => {
-            const { status, data } = await request('POST', '/api/sync/batch', { players: 'not-an-array' }, { 'X-API-Key': API_KEY });
+            const { status, data } = await request('POST', '/api/sync/crash-recovery', { players: 'not-an-array' }, auth);
             return {
                 passed: status === 400 && data.error?.toLowerCase().includes('array'),
                 details: data.error
@@ -248,7 +237,7 @@ async function runTests() {
     log('═══════════════════════════════════════════════════════════', 'cyan');
     console.log();
     log(`Base URL: ${BASE_URL}`, 'dim');
-    log(`API Key: ${API_KEY.substring(0, 8)}...`, 'dim');
+    log(`Server token: ${SERVER_TOKEN ? SERVER_TOKEN.substring(0, 8) + '...' : '(not set)'}`, 'dim');
     console.log();
 
     let passed = 0;
@@ -308,6 +297,12 @@ async function main() {
         process.exit(1);
     }
 
+    if (!SERVER_TOKEN) {
+        log('Error: TEST_SERVER_TOKEN is not set', 'red');
+        log('Register a test game server and export its API token as TEST_SERVER_TOKEN', 'yellow');
+        process.exit(1);
+    }
+
     await runTests();
 }
 